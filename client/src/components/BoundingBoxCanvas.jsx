@@ -1,12 +1,18 @@
 import React, {useCallback, useEffect, useMemo, useRef, useState} from 'react'
 
+// Short dwell time for box labels, e.g. 45s or 12m
+const formatDwell = (seconds) => seconds < 60 ? `${seconds}s` : `${Math.round(seconds / 60)}m`
+
 const BoundingBoxCanvas = ({
   imageSrc,
   boundingBoxes = [],
   imageWidth,
   imageHeight,
   className = '',
-  showGrid = false  // Add option to show coordinate grid for debugging
+  showGrid = false,  // Add option to show coordinate grid for debugging
+  regions = [],  // Polygons to overlay: region masks ({ type: 'include'|'exclude', name, points }) or lanes (with a `color`)
+  draftPoints = null,  // Points of a region being drawn
+  onCanvasClick = null  // Called with normalized { x, y } when the image is clicked
 }) => {
   const canvasRef = useRef(null)
   const imageRef = useRef(null)
@@ -26,6 +32,13 @@ const BoundingBoxCanvas = ({
     other_vehicle: '#6B7280' // Gray
   }), [])
 
+  // Region mask colors: counted areas green, excluded areas red
+  const regionColors = useMemo(() => ({
+    include: { stroke: '#16A34A', fill: 'rgba(22, 163, 74, 0.15)' },
+    exclude: { stroke: '#DC2626', fill: 'rgba(220, 38, 38, 0.2)' },
+    draft: { stroke: '#2563EB', fill: 'rgba(37, 99, 235, 0.15)' }
+  }), [])
+
   // Memoize the drawing function to prevent recreation
   const drawBoundingBoxes = useCallback((ctx, boxes, imgWidth, imgHeight, scaleX, scaleY) => {
     if (!boxes || boxes.length === 0) return
@@ -46,26 +59,106 @@ const BoundingBoxCanvas = ({
       // Get color for vehicle type
       const color = vehicleColors[box.vehicle_type.toLowerCase()] || vehicleColors.other_vehicle;
 
+      // Boxes outside the camera's region masks are stored but not counted
+      const masked = box.in_roi === 0;
+      ctx.save();
+      if (masked) {
+        ctx.globalAlpha = 0.5;
+        ctx.setLineDash([6, 4]);
+      }
+
       // Draw bounding box
       ctx.strokeStyle = color;
       ctx.lineWidth = 3;
       ctx.strokeRect(x1, y1, width, height);
+      ctx.setLineDash([]);
+
+      // Vehicles standing still on the roadway get a red outer frame
+      if (box.is_stalled) {
+        ctx.strokeStyle = '#DC2626';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x1 - 4, y1 - 4, width + 8, height + 8);
+      }
 
       // Draw label background
-      const label = `${box.vehicle_type} (${Math.round((box.confidence_score || 0) * 100)}%)`;
+      const track = box.track_id ? ` #${box.track_id}${box.dwell_seconds > 0 ? ` ${formatDwell(box.dwell_seconds)}` : ''}` : '';
+      const label = `${box.is_stalled ? 'STALLED ' : ''}${box.vehicle_type} (${Math.round((box.confidence_score || 0) * 100)}%)${box.lane ? ` ${box.lane}` : ''}${track}${masked ? ' - not counted' : ''}`;
       const labelWidth = ctx.measureText(label).width + 8;
       const labelHeight = 20;
 
-      ctx.fillStyle = color;
+      ctx.fillStyle = box.is_stalled ? '#DC2626' : color;
       ctx.fillRect(x1, y1 - labelHeight, labelWidth, labelHeight);
 
       // Draw label text
       ctx.fillStyle = 'white';
       ctx.font = '12px Arial';
       ctx.fillText(label, x1 + 4, y1 - 6);
+      ctx.restore();
     });
   }, [vehicleColors, canvasSize]);
 
+  // Draw region mask polygons, and the outline of one being drawn
+  const drawRegions = useCallback((ctx, imgWidth, imgHeight, scaleX, scaleY) => {
+    const toCanvas = (point) => [
+      (point.x / 1000) * imgWidth * scaleX,
+      (point.y / 1000) * imgHeight * scaleY
+    ]
+
+    const tracePath = (points, close) => {
+      ctx.beginPath()
+      points.forEach((point, index) => {
+        const [x, y] = toCanvas(point)
+        if (index === 0) ctx.moveTo(x, y)
+        else ctx.lineTo(x, y)
+      })
+      if (close) ctx.closePath()
+    }
+
+    regions.forEach(region => {
+      if (!region.points || region.points.length < 3) return
+      const colors = regionColors[region.type] || regionColors.include
+      const stroke = region.color || colors.stroke
+
+      tracePath(region.points, true)
+      ctx.save()
+      if (region.color) {
+        ctx.globalAlpha = 0.15
+        ctx.fillStyle = region.color
+      } else {
+        ctx.fillStyle = colors.fill
+      }
+      ctx.fill()
+      ctx.restore()
+      ctx.strokeStyle = stroke
+      ctx.lineWidth = 2
+      ctx.stroke()
+
+      if (region.name) {
+        const [x, y] = toCanvas(region.points[0])
+        ctx.fillStyle = stroke
+        ctx.font = '12px Arial'
+        ctx.fillText(region.name, x + 4, y + 14)
+      }
+    })
+
+    if (draftPoints && draftPoints.length > 0) {
+      tracePath(draftPoints, draftPoints.length >= 3)
+      ctx.fillStyle = regionColors.draft.fill
+      if (draftPoints.length >= 3) ctx.fill()
+      ctx.strokeStyle = regionColors.draft.stroke
+      ctx.lineWidth = 2
+      ctx.stroke()
+
+      ctx.fillStyle = regionColors.draft.stroke
+      draftPoints.forEach(point => {
+        const [x, y] = toCanvas(point)
+        ctx.beginPath()
+        ctx.arc(x, y, 4, 0, 2 * Math.PI)
+        ctx.fill()
+      })
+    }
+  }, [regions, draftPoints, regionColors])
+
   // Function to draw coordinate grid for debugging
   const drawCoordinateGrid = useCallback((ctx, imgWidth, imgHeight, scaleX, scaleY) => {
     if (!showGrid) return
@@ -124,6 +217,19 @@ const BoundingBoxCanvas = ({
     setMouseCoords({ x: 0, y: 0, normalized: { x: 0, y: 0 } })
   }, [])
 
+  const handleClick = useCallback((event) => {
+    if (!onCanvasClick || !canvasRef.current) return
+
+    const canvas = canvasRef.current
+    const rect = canvas.getBoundingClientRect()
+    const clamp = (value) => Math.min(1000, Math.max(0, Math.round(value)))
+
+    onCanvasClick({
+      x: clamp(((event.clientX - rect.left) / rect.width) * 1000),
+      y: clamp(((event.clientY - rect.top) / rect.height) * 1000)
+    })
+  }, [onCanvasClick])
+
   // Separate effect for image loading - only runs when imageSrc changes
   useEffect(() => {
     if (!imageSrc) return
@@ -165,12 +271,15 @@ const BoundingBoxCanvas = ({
     canvas.style.width = `${displayWidth}px`
     canvas.style.height = `${displayHeight}px`
 
+    // Region masks go under the boxes
+    drawRegions(ctx, canvasSize.width, canvasSize.height, scaleX, scaleY)
+
     // Draw bounding boxes with proper scaling
     drawBoundingBoxes(ctx, boundingBoxes, canvasSize.width, canvasSize.height, scaleX, scaleY)
 
     // Draw coordinate grid for debugging (if enabled)
     drawCoordinateGrid(ctx, canvasSize.width, canvasSize.height, scaleX, scaleY)
-  }, [imageLoaded, canvasSize, boundingBoxes, drawBoundingBoxes, drawCoordinateGrid])
+  }, [imageLoaded, canvasSize, boundingBoxes, drawRegions, drawBoundingBoxes, drawCoordinateGrid])
 
   // Effect for canvas drawing - only runs when necessary
   useEffect(() => {
@@ -205,8 +314,9 @@ const BoundingBoxCanvas = ({
     )
   }
 
-  // If no bounding boxes, just show the image directly for better performance
-  if (!boundingBoxes || boundingBoxes.length === 0) {
+  // If there is nothing to draw, just show the image directly for better performance
+  const hasOverlay = regions.length > 0 || (draftPoints && draftPoints.length > 0) || onCanvasClick
+  if ((!boundingBoxes || boundingBoxes.length === 0) && !hasOverlay) {
     return (
       <div className={`relative ${className}`}>
         <img
@@ -229,10 +339,12 @@ const BoundingBoxCanvas = ({
         className="max-w-full h-auto border border-gray-200 rounded-lg"
         style={{
           maxWidth: '100%',
-          height: 'auto'
+          height: 'auto',
+          cursor: onCanvasClick ? 'crosshair' : undefined
         }}
         onMouseMove={handleMouseMove}
         onMouseLeave={handleMouseLeave}
+        onClick={handleClick}
       />
 
       {/* Debug Controls */}
@@ -261,29 +373,43 @@ const BoundingBoxCanvas = ({
       </div>
 
       {/* Legend */}
-      <div className="mt-4 p-3 bg-gray-50 rounded-lg border border-gray-200">
-        <h4 className="text-sm font-medium text-gray-900 mb-2">Vehicle Types Detected:</h4>
-        <div className="flex flex-wrap gap-2">
-          {Object.entries(vehicleColors).map(([type, color]) => {
-            const hasType = boundingBoxes.some(box =>
-              box.vehicle_type.toLowerCase() === type
-            )
-            if (!hasType) return null
-
-            return (
-              <div key={type} className="flex items-center space-x-2">
-                <div
-                  className="w-3 h-3 rounded-sm"
-                  style={{ backgroundColor: color }}
-                ></div>
-                <span className="text-xs text-gray-700 capitalize">
-                  {type.replace('_', ' ')}
-                </span>
+      {boundingBoxes.length > 0 && (
+        <div className="mt-4 p-3 bg-gray-50 rounded-lg border border-gray-200">
+          <h4 className="text-sm font-medium text-gray-900 mb-2">Vehicle Types Detected:</h4>
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(vehicleColors).map(([type, color]) => {
+              const hasType = boundingBoxes.some(box =>
+                box.vehicle_type.toLowerCase() === type
+              )
+              if (!hasType) return null
+
+              return (
+                <div key={type} className="flex items-center space-x-2">
+                  <div
+                    className="w-3 h-3 rounded-sm"
+                    style={{ backgroundColor: color }}
+                  ></div>
+                  <span className="text-xs text-gray-700 capitalize">
+                    {type.replace('_', ' ')}
+                  </span>
+                </div>
+              )
+            })}
+            {boundingBoxes.some(box => box.is_stalled) && (
+              <div className="flex items-center space-x-2">
+                <div className="w-3 h-3 rounded-sm border-2 border-red-600"></div>
+                <span className="text-xs text-gray-700">Potential stall (stationary on the roadway)</span>
+              </div>
+            )}
+            {boundingBoxes.some(box => box.in_roi === 0) && (
+              <div className="flex items-center space-x-2">
+                <div className="w-3 h-3 rounded-sm border-2 border-dashed border-gray-500"></div>
+                <span className="text-xs text-gray-700">Outside region masks (not counted)</span>
               </div>
-            )
-          })}
+            )}
+          </div>
         </div>
-      </div>
+      )}
     </div>
   )
 }
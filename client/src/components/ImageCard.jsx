@@ -2,6 +2,10 @@ import React from 'react'
 import {Brain, Clock, Download, Eye, ImageIcon, TrendingUp} from 'lucide-react'
 import {format} from 'date-fns'
 import {parseSQLiteDate} from '../utils/dateUtils'
+import {getImageSrcSet, getImageUrl} from '../utils/imageUtils'
+
+// Card width in the pages' one-to-three column image grids
+const DEFAULT_SIZES = '(min-width: 1024px) 33vw, (min-width: 768px) 50vw, 100vw'
 
 const ImageCard = ({
   image,
@@ -18,7 +22,8 @@ const ImageCard = ({
   showLatestBadge = true,
   showChangeBadge = false,
   className = '',
-  isAnalyzing = false
+  isAnalyzing = false,
+  sizes = DEFAULT_SIZES
 }) => {
   // Safety check - ensure image object exists and has required properties
   if (!image || !image.id) {
@@ -26,7 +31,9 @@ const ImageCard = ({
     return null
   }
 
-  const imageUrl = image.local_path ? `/api/images/file/${image.local_path.split('/').pop()}` : null
+  // Thumbnails for the card; the full image is only loaded when viewed
+  const imageUrl = getImageUrl(image.local_path, { width: 640, format: 'webp' })
+  const imageSrcSet = getImageSrcSet(image.local_path, [320, 640, 1280])
 
   const getTrafficDensityColor = (vehicleCount) => {
     if (!vehicleCount || vehicleCount === 0) return 'bg-gray-100 text-gray-800'
@@ -78,6 +85,9 @@ const ImageCard = ({
             <>
               <img
                 src={imageUrl}
+                srcSet={imageSrcSet}
+                sizes={sizes}
+                loading="lazy"
                 alt={`Camera ${image.camera_id}`}
                 className="w-full h-full object-cover"
                 onError={(e) => {
@@ -118,6 +128,16 @@ const ImageCard = ({
             </div>
           )}
 
+          {/* Image Quality Badge */}
+          {image.quality_score !== null && image.quality_score !== undefined && (
+            <div
+              className={`absolute bottom-2 right-2 px-2 py-1 rounded-full text-xs font-semibold shadow-sm ${image.quality_flags ? 'bg-amber-100 text-amber-800' : 'bg-white/90 text-gray-700'}`}
+              title={image.quality_flags ? `Quality issues: ${image.quality_flags.split(',').join(', ')}` : 'No quality issues'}
+            >
+              Q {image.quality_score}
+            </div>
+          )}
+
         </div>
       </div>
 
@@ -143,6 +163,7 @@ const ImageCard = ({
               image.analysis_status === 'failed' ? 'bg-red-100 text-red-800' :
               image.analysis_status === 'processing' ? 'bg-blue-100 text-blue-800' :
               image.analysis_status === 'queued' ? 'bg-purple-100 text-purple-800' :
+              image.analysis_status === 'batched' ? 'bg-indigo-100 text-indigo-800' :
               image.analysis_status === 'pending' ? 'bg-yellow-100 text-yellow-800' :
               'bg-gray-100 text-gray-800'
             }`}>
@@ -150,6 +171,7 @@ const ImageCard = ({
                image.analysis_status === 'failed' ? 'Failed' :
                image.analysis_status === 'processing' ? 'Processing' :
                image.analysis_status === 'queued' ? 'Queued' :
+               image.analysis_status === 'batched' ? 'In Batch' :
                image.analysis_status === 'pending' ? 'Pending' :
                'Not Analyzed'}
             </span>
@@ -160,6 +182,7 @@ const ImageCard = ({
                 image.analysis_status === 'failed' ? 'bg-red-100 text-red-800' :
                   image.analysis_status === 'processing' ? 'bg-blue-100 text-blue-800' :
                     image.analysis_status === 'queued' ? 'bg-purple-100 text-purple-800' :
+                      image.analysis_status === 'batched' ? 'bg-indigo-100 text-indigo-800' :
                       image.analysis_status === 'pending' ? 'bg-yellow-100 text-yellow-800' :
                         'bg-gray-100 text-gray-800'
               }`}>
@@ -169,6 +192,7 @@ const ImageCard = ({
                   image.analysis_status === 'failed' ? 'AI Failed' :
                     image.analysis_status === 'processing' ? 'AI Processing' :
                       image.analysis_status === 'queued' ? 'AI Queued' :
+                      image.analysis_status === 'batched' ? 'AI In Batch' :
                         image.analysis_status === 'pending' ? 'AI Pending' : 'AI Not Started'}
             </div>
 
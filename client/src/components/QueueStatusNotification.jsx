@@ -7,6 +7,7 @@ const QueueStatusNotification = () => {
   const [queueData, setQueueData] = useState({
     queued: 0,
     processing: 0,
+    batched: 0,
     completed: 0,
     failed: 0
   });
@@ -25,6 +26,7 @@ const QueueStatusNotification = () => {
         const newData = {
           queued: result.data.queued_images || 0,
           processing: result.data.processing_images || 0,
+          batched: result.data.batched_images || 0,
           completed: result.data.completed_images || 0,
           failed: result.data.failed_images || 0
         };
@@ -80,7 +82,7 @@ const QueueStatusNotification = () => {
     return () => clearInterval(interval);
   }, []);
 
-  const totalActive = queueData.queued + queueData.processing;
+  const totalActive = queueData.queued + queueData.processing + queueData.batched;
   const hasWork = totalActive > 0;
 
   if (!isVisible) {
@@ -166,6 +168,15 @@ const QueueStatusNotification = () => {
                   </span>
                 </div>
                 
+                {queueData.batched > 0 && (
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm text-gray-600 dark:text-gray-400">In batch jobs:</span>
+                    <span className="font-semibold text-indigo-600 dark:text-indigo-400">
+                      {queueData.batched}
+                    </span>
+                  </div>
+                )}
+                
                 <div className="flex items-center justify-between">
                   <span className="text-sm text-gray-600 dark:text-gray-400">Completed:</span>
                   <span className="font-semibold text-green-600 dark:text-green-400">
@@ -0,0 +1,156 @@
+import React, {useEffect, useState} from 'react'
+import {Brain, FolderPlus, Layers, Power, PowerOff, Trash2} from 'lucide-react'
+import axios from 'axios'
+
+// Saved camera groups (corridors) with group-wide enable and AI toggles
+const CameraGroupsPanel = ({ selectedCameraIds = [], onGroupsChanged, onError, className = '' }) => {
+  const [groups, setGroups] = useState([])
+  const [newGroupName, setNewGroupName] = useState('')
+  const [busyGroup, setBusyGroup] = useState(null)
+  const [creating, setCreating] = useState(false)
+
+  useEffect(() => {
+    fetchGroups()
+  }, [])
+
+  const fetchGroups = async () => {
+    try {
+      const response = await axios.get('/api/camera-groups')
+      setGroups(response.data.data || [])
+    } catch (error) {
+      console.error('Error fetching camera groups:', error)
+    }
+  }
+
+  const reportError = (error, fallback) => {
+    const message = error.response?.data?.error || fallback
+    if (onError) onError(message)
+  }
+
+  const createGroup = async () => {
+    if (!newGroupName.trim()) return
+
+    try {
+      setCreating(true)
+      await axios.post('/api/camera-groups', { name: newGroupName.trim(), camera_ids: selectedCameraIds })
+      setNewGroupName('')
+      await fetchGroups()
+    } catch (error) {
+      console.error('Error creating camera group:', error)
+      reportError(error, 'Failed to create camera group')
+    } finally {
+      setCreating(false)
+    }
+  }
+
+  const deleteGroup = async (group) => {
+    if (!confirm(`Delete the camera group "${group.name}"? Its cameras are not affected.`)) return
+
+    try {
+      await axios.delete(`/api/camera-groups/${group.id}`)
+      await fetchGroups()
+    } catch (error) {
+      console.error('Error deleting camera group:', error)
+      reportError(error, 'Failed to delete camera group')
+    }
+  }
+
+  const toggleGroup = async (group, endpoint, field, value) => {
+    try {
+      setBusyGroup(group.id)
+      await axios.patch(`/api/camera-groups/${group.id}/${endpoint}`, { [field]: value })
+      await fetchGroups()
+      if (onGroupsChanged) await onGroupsChanged()
+    } catch (error) {
+      console.error('Error toggling camera group:', error)
+      reportError(error, `Failed to update ${group.name}`)
+    } finally {
+      setBusyGroup(null)
+    }
+  }
+
+  return (
+    <div className={`border-t border-gray-200 pt-4 ${className}`}>
+      <h4 className="text-sm font-medium text-gray-700 mb-3 flex items-center space-x-2">
+        <Layers className="w-4 h-4 text-gray-500" />
+        <span>Camera Groups</span>
+      </h4>
+
+      {groups.length === 0 ? (
+        <p className="text-xs text-gray-500 mb-3">
+          No groups yet. Filter the cameras along a corridor and save them as a group.
+        </p>
+      ) : (
+        <div className="space-y-2 mb-3">
+          {groups.map(group => (
+            <div key={group.id} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg border border-gray-200">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900 truncate">{group.name}</p>
+                <p className="text-xs text-gray-500">
+                  {group.camera_count} cameras, {group.enabled_count} enabled, {group.ai_enabled_count} with AI
+                </p>
+              </div>
+              <div className="flex items-center space-x-1 flex-shrink-0">
+                <button
+                  onClick={() => toggleGroup(group, 'toggle', 'enabled', true)}
+                  disabled={busyGroup === group.id || group.enabled_count === group.camera_count}
+                  className="p-1.5 text-green-600 hover:bg-green-50 rounded disabled:opacity-40"
+                  title="Enable all cameras in group"
+                >
+                  <Power className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => toggleGroup(group, 'toggle', 'enabled', false)}
+                  disabled={busyGroup === group.id || group.enabled_count === 0}
+                  className="p-1.5 text-red-600 hover:bg-red-50 rounded disabled:opacity-40"
+                  title="Disable all cameras in group"
+                >
+                  <PowerOff className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => toggleGroup(group, 'toggle-ai-analysis', 'ai_analysis_enabled', group.ai_enabled_count < group.camera_count)}
+                  disabled={busyGroup === group.id || group.camera_count === 0}
+                  className={`p-1.5 rounded disabled:opacity-40 ${
+                    group.ai_enabled_count < group.camera_count ? 'text-purple-600 hover:bg-purple-50' : 'text-gray-500 hover:bg-gray-100'
+                  }`}
+                  title={group.ai_enabled_count < group.camera_count ? 'Enable AI for group' : 'Disable AI for group'}
+                >
+                  <Brain className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => deleteGroup(group)}
+                  className="p-1.5 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded"
+                  title="Delete group"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center space-x-2">
+        <input
+          type="text"
+          value={newGroupName}
+          onChange={(e) => setNewGroupName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && createGroup()}
+          placeholder="New group name"
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
+        />
+        <button
+          onClick={createGroup}
+          disabled={creating || !newGroupName.trim() || selectedCameraIds.length === 0}
+          className="px-3 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed font-medium text-xs flex items-center space-x-1"
+          title="Save the filtered cameras as a group"
+        >
+          <FolderPlus className="w-3 h-3" />
+          <span>Save {selectedCameraIds.length} filtered</span>
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default CameraGroupsPanel
@@ -0,0 +1,119 @@
+import React, {useState} from 'react'
+import {MapPin, RotateCcw, Save, X} from 'lucide-react'
+import axios from 'axios'
+
+// Edit a camera's coordinates; manual values are kept across camera refreshes
+const CameraLocationEditor = ({ camera, onUpdated, className = '' }) => {
+  const [editing, setEditing] = useState(false)
+  const [latitude, setLatitude] = useState('')
+  const [longitude, setLongitude] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const isManual = camera.location_source === 'manual'
+
+  const startEditing = () => {
+    setLatitude(camera.latitude ?? '')
+    setLongitude(camera.longitude ?? '')
+    setError(null)
+    setEditing(true)
+  }
+
+  const saveLocation = async (location) => {
+    try {
+      setSaving(true)
+      setError(null)
+      const response = await axios.put(`/api/cameras/${camera.camera_id}/location`, location)
+      if (onUpdated) onUpdated(response.data.data)
+      setEditing(false)
+    } catch (err) {
+      console.error('Error updating camera location:', err)
+      setError(err.response?.data?.error || 'Failed to update location')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSave = () => {
+    const lat = parseFloat(latitude)
+    const lng = parseFloat(longitude)
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      setError('Enter numeric latitude and longitude')
+      return
+    }
+    saveLocation({ latitude: lat, longitude: lng })
+  }
+
+  if (!editing) {
+    return (
+      <div className={`flex items-center space-x-3 text-xs ${className}`}>
+        <button
+          onClick={startEditing}
+          className="inline-flex items-center space-x-1 text-blue-600 hover:text-blue-800"
+        >
+          <MapPin className="w-3 h-3" />
+          <span>{camera.latitude && camera.longitude ? 'Edit coordinates' : 'Set coordinates'}</span>
+        </button>
+        {isManual && (
+          <button
+            onClick={() => saveLocation({ latitude: null, longitude: null })}
+            disabled={saving}
+            className="inline-flex items-center space-x-1 text-gray-600 hover:text-gray-800 disabled:opacity-50"
+            title="Use coordinates from the camera feed on the next refresh"
+          >
+            <RotateCcw className="w-3 h-3" />
+            <span>Reset to feed</span>
+          </button>
+        )}
+        {error && <span className="text-red-600">{error}</span>}
+      </div>
+    )
+  }
+
+  return (
+    <div className={`space-y-2 p-3 bg-gray-50 rounded-lg text-xs ${className}`}>
+      <div className="grid grid-cols-2 gap-2">
+        <label className="block">
+          <span className="text-gray-600">Latitude</span>
+          <input
+            type="number"
+            step="any"
+            value={latitude}
+            onChange={(e) => setLatitude(e.target.value)}
+            className="mt-1 w-full border border-gray-300 rounded-md px-2 py-1 font-mono"
+          />
+        </label>
+        <label className="block">
+          <span className="text-gray-600">Longitude</span>
+          <input
+            type="number"
+            step="any"
+            value={longitude}
+            onChange={(e) => setLongitude(e.target.value)}
+            className="mt-1 w-full border border-gray-300 rounded-md px-2 py-1 font-mono"
+          />
+        </label>
+      </div>
+      {error && <p className="text-red-600">{error}</p>}
+      <div className="flex items-center space-x-2">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="inline-flex items-center space-x-1 px-2 py-1 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+        >
+          <Save className="w-3 h-3" />
+          <span>{saving ? 'Saving...' : 'Save'}</span>
+        </button>
+        <button
+          onClick={() => setEditing(false)}
+          className="inline-flex items-center space-x-1 px-2 py-1 text-gray-600 hover:text-gray-800"
+        >
+          <X className="w-3 h-3" />
+          <span>Cancel</span>
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default CameraLocationEditor
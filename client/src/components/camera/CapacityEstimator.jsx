@@ -0,0 +1,111 @@
+import React, {useEffect, useState} from 'react'
+import {AlertTriangle, Gauge} from 'lucide-react'
+import axios from 'axios'
+import {formatFileSize, formatNumber, NUMBER_FORMATS} from '../../utils/formatUtils'
+
+const formatCount = (value) => formatNumber(value, NUMBER_FORMATS.INTEGER)
+
+// Current daily load next to the load after enabling the candidate cameras
+const CapacityEstimator = ({ enableIds = [], enableAiIds = [], label = 'after enabling', className = '' }) => {
+  const [estimate, setEstimate] = useState(null)
+  const [limits, setLimits] = useState(null)
+  const [error, setError] = useState(null)
+
+  const enableKey = enableIds.join(',')
+  const enableAiKey = enableAiIds.join(',')
+
+  useEffect(() => {
+    let cancelled = false
+
+    // Wait for filter typing to settle before asking the server
+    const timer = setTimeout(async () => {
+      try {
+        const [estimateResponse, limitsResponse] = await Promise.all([
+          axios.post('/api/cameras/capacity/estimate', { enable: enableIds, enable_ai: enableAiIds }),
+          axios.get('/api/cameras/limits/status')
+        ])
+        if (cancelled) return
+        setEstimate(estimateResponse.data.data)
+        setLimits(limitsResponse.data.data)
+        setError(null)
+      } catch (err) {
+        console.error('Error estimating capacity:', err)
+        if (!cancelled) setError('Failed to estimate capacity')
+      }
+    }, 300)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [enableKey, enableAiKey])
+
+  if (error) {
+    return <p className={`text-sm text-red-600 ${className}`}>{error}</p>
+  }
+
+  if (!estimate || !limits) {
+    return null
+  }
+
+  const { current, projected, quota_check: quotaCheck } = estimate
+  const hasChanges = enableIds.length > 0 || enableAiIds.length > 0
+  const quotaLabel = (max) => (max > 0 ? ` / ${max}` : '')
+
+  const rows = [
+    { label: 'Cameras captured', key: 'enabled_cameras', format: formatCount, suffix: quotaLabel(limits.max_enabled) },
+    { label: 'AI-analyzed cameras', key: 'ai_cameras', format: formatCount, suffix: quotaLabel(limits.max_ai_enabled) },
+    { label: 'Images per day', key: 'images_per_day', format: formatCount },
+    { label: 'Disk growth per day', key: 'disk_bytes_per_day', format: (value) => formatFileSize(value, 1) },
+    { label: 'Gemini calls per day', key: 'gemini_calls_per_day', format: formatCount }
+  ]
+
+  return (
+    <div className={`p-4 bg-gray-50 dark:bg-gray-700 rounded-lg border border-gray-200 dark:border-gray-600 ${className}`}>
+      <h4 className="text-sm font-medium text-gray-700 dark:text-gray-200 mb-3 flex items-center space-x-2">
+        <Gauge className="w-4 h-4 text-gray-500" />
+        <span>Capacity Estimate</span>
+      </h4>
+
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-gray-500">
+            <th className="text-left font-medium pb-1"></th>
+            <th className="text-right font-medium pb-1">Now</th>
+            {hasChanges && <th className="text-right font-medium pb-1">{label}</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.key} className="text-gray-700 dark:text-gray-200">
+              <td className="py-0.5">{row.label}</td>
+              <td className="py-0.5 text-right font-mono">{row.format(current[row.key])}{row.suffix}</td>
+              {hasChanges && (
+                <td className={`py-0.5 text-right font-mono ${projected[row.key] > current[row.key] ? 'text-blue-700 dark:text-blue-300' : ''}`}>
+                  {row.format(projected[row.key])}{row.suffix}
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {quotaCheck.violations.length > 0 && (
+        <div className="mt-3 space-y-1">
+          {quotaCheck.violations.map((violation, index) => (
+            <p key={index} className="flex items-center space-x-1 text-xs text-amber-700">
+              <AlertTriangle className="w-3 h-3 flex-shrink-0" />
+              <span>{violation.message}</span>
+            </p>
+          ))}
+        </div>
+      )}
+
+      <p className="mt-2 text-xs text-gray-500">
+        Based on each camera's schedule and its last 7 days of captures.
+      </p>
+    </div>
+  )
+}
+
+export default CapacityEstimator
@@ -0,0 +1,235 @@
+import React, {useCallback, useEffect, useState} from 'react'
+import {CalendarClock, Plus, Save, Trash2} from 'lucide-react'
+import axios from 'axios'
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+// Interval choices in seconds; 0 turns capture off
+const INTERVAL_OPTIONS = [
+  { value: 0, label: 'Off' },
+  { value: 15, label: '15 seconds' },
+  { value: 30, label: '30 seconds' },
+  { value: 60, label: '1 minute' },
+  { value: 120, label: '2 minutes' },
+  { value: 300, label: '5 minutes' },
+  { value: 600, label: '10 minutes' },
+  { value: 900, label: '15 minutes' },
+  { value: 1800, label: '30 minutes' },
+  { value: 3600, label: '1 hour' }
+]
+
+export const formatCaptureInterval = (seconds) => {
+  if (seconds === null || seconds === undefined) return 'Default'
+  if (seconds === 0) return 'Off'
+  if (seconds < 60) return `Every ${seconds}s`
+  if (seconds < 3600) return `Every ${Math.round(seconds / 60)} min`
+  return `Every ${Math.round(seconds / 3600)} h`
+}
+
+const newWindow = () => ({ days: [1, 2, 3, 4, 5], start: '07:00', end: '09:00', interval: 30 })
+
+// Keep a custom interval selectable even if it is not one of the presets
+const intervalOptionsFor = (value) => (
+  value === null || value === undefined || INTERVAL_OPTIONS.some(option => option.value === value)
+    ? INTERVAL_OPTIONS
+    : [...INTERVAL_OPTIONS, { value, label: formatCaptureInterval(value) }].sort((a, b) => a.value - b.value)
+)
+
+const CaptureScheduleEditor = ({ cameraId, onSaved, className = '' }) => {
+  const [captureInterval, setCaptureInterval] = useState(null)
+  const [windows, setWindows] = useState([])
+  const [current, setCurrent] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+  const [saved, setSaved] = useState(false)
+
+  const fetchSchedule = useCallback(async (showLoading = true) => {
+    try {
+      if (showLoading) setLoading(true)
+      const response = await axios.get(`/api/cameras/${cameraId}/schedule`)
+      const schedule = response.data.data
+      setCaptureInterval(schedule.capture_interval)
+      setWindows(schedule.capture_windows || [])
+      setCurrent({ interval: schedule.current_interval, window: schedule.active_window })
+      setError(null)
+    } catch (err) {
+      console.error('Error fetching capture schedule:', err)
+      setError('Failed to load capture schedule')
+    } finally {
+      setLoading(false)
+    }
+  }, [cameraId])
+
+  useEffect(() => {
+    fetchSchedule()
+  }, [fetchSchedule])
+
+  const updateWindow = (index, changes) => {
+    setSaved(false)
+    setWindows(prev => prev.map((window, i) => (i === index ? { ...window, ...changes } : window)))
+  }
+
+  const toggleDay = (index, day) => {
+    const window = windows[index]
+    const days = window.days.includes(day)
+      ? window.days.filter(d => d !== day)
+      : [...window.days, day].sort()
+    updateWindow(index, { days })
+  }
+
+  const saveSchedule = async () => {
+    try {
+      setSaving(true)
+      setError(null)
+      const response = await axios.put(`/api/cameras/${cameraId}/schedule`, {
+        capture_interval: captureInterval,
+        capture_windows: windows
+      })
+      setSaved(true)
+      if (onSaved) onSaved(response.data.data)
+      fetchSchedule(false)
+    } catch (err) {
+      console.error('Error saving capture schedule:', err)
+      const details = err.response?.data?.details
+      setError(details ? details.join('; ') : (err.response?.data?.error || 'Failed to save capture schedule'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className={`bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 overflow-hidden ${className}`}>
+      <div className="bg-gradient-to-r from-green-50 to-emerald-50 dark:from-green-900 dark:to-emerald-900 px-4 py-3 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center space-x-2">
+          <div className="p-1.5 bg-green-100 rounded-lg">
+            <CalendarClock className="w-4 h-4 text-green-600" />
+          </div>
+          <span>Capture Schedule</span>
+        </h3>
+        {current && (
+          <span className="text-xs text-gray-600 dark:text-gray-300">
+            Now: {formatCaptureInterval(current.interval)}
+            {current.window ? ` (${current.window.start}–${current.window.end} window)` : ''}
+          </span>
+        )}
+      </div>
+
+      <div className="p-4 space-y-4">
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading schedule...</p>
+        ) : (
+          <>
+            <div className="flex items-center space-x-3">
+              <label className="text-sm font-medium text-gray-700 dark:text-gray-300">Default interval</label>
+              <select
+                value={captureInterval === null ? '' : captureInterval}
+                onChange={(e) => {
+                  setSaved(false)
+                  setCaptureInterval(e.target.value === '' ? null : Number(e.target.value))
+                }}
+                className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+              >
+                <option value="">System default</option>
+                {intervalOptionsFor(captureInterval).map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Time windows</span>
+                <button
+                  onClick={() => {
+                    setSaved(false)
+                    setWindows(prev => [...prev, newWindow()])
+                  }}
+                  className="flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-800"
+                >
+                  <Plus className="w-4 h-4" />
+                  <span>Add window</span>
+                </button>
+              </div>
+
+              {windows.length === 0 && (
+                <p className="text-xs text-gray-500">
+                  No windows. The default interval applies all day.
+                </p>
+              )}
+
+              {windows.map((window, index) => (
+                <div key={index} className="flex flex-wrap items-center gap-2 p-2 bg-gray-50 dark:bg-gray-700 rounded-lg">
+                  <div className="flex space-x-1">
+                    {DAYS.map((label, day) => (
+                      <button
+                        key={label}
+                        onClick={() => toggleDay(index, day)}
+                        className={`px-1.5 py-0.5 text-xs rounded ${
+                          window.days.includes(day) ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-600'
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  <input
+                    type="time"
+                    value={window.start}
+                    onChange={(e) => updateWindow(index, { start: e.target.value })}
+                    className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  />
+                  <span className="text-sm text-gray-500">to</span>
+                  <input
+                    type="time"
+                    value={window.end}
+                    onChange={(e) => updateWindow(index, { end: e.target.value })}
+                    className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  />
+                  <select
+                    value={window.interval}
+                    onChange={(e) => updateWindow(index, { interval: Number(e.target.value) })}
+                    className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                  >
+                    {intervalOptionsFor(window.interval).map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => {
+                      setSaved(false)
+                      setWindows(prev => prev.filter((_, i) => i !== index))
+                    }}
+                    className="p-1 text-red-500 hover:text-red-700"
+                    title="Remove window"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+              {windows.length > 1 && (
+                <p className="text-xs text-gray-500">The first matching window wins.</p>
+              )}
+            </div>
+
+            {error && <p className="text-sm text-red-600">{error}</p>}
+
+            <div className="flex items-center space-x-3">
+              <button
+                onClick={saveSchedule}
+                disabled={saving}
+                className="flex items-center space-x-1 px-3 py-1.5 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                <Save className="w-4 h-4" />
+                <span>{saving ? 'Saving...' : 'Save Schedule'}</span>
+              </button>
+              {saved && <span className="text-sm text-green-600">Schedule saved</span>}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default CaptureScheduleEditor
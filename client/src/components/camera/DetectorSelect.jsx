@@ -0,0 +1,80 @@
+import React, {useEffect, useState} from 'react'
+import axios from 'axios'
+
+export const DETECTOR_LABELS = {
+  gemini: 'Gemini',
+  onnx: 'Local ONNX model',
+  mock: 'Mock'
+}
+
+export const formatDetector = (detector) => {
+  if (!detector) return 'Default'
+  const label = DETECTOR_LABELS[detector.type] || detector.type
+  return detector.available ? label : `${label} (unavailable)`
+}
+
+/**
+ * Choose which detector analyzes a camera's images. "Default" follows the
+ * global `ai.detector` setting.
+ */
+const DetectorSelect = ({ cameraId, className = '' }) => {
+  const [detector, setDetector] = useState(null)
+  const [defaultDetector, setDefaultDetector] = useState(null)
+  const [detectors, setDetectors] = useState([])
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const fetchDetector = async () => {
+      try {
+        const response = await axios.get(`/api/cameras/${cameraId}/detector`)
+        const data = response.data.data
+        setDetector(data.detector)
+        setDefaultDetector(data.default_detector)
+        setDetectors(data.detectors || [])
+      } catch (err) {
+        console.error('Error fetching camera detector:', err)
+      }
+    }
+    fetchDetector()
+  }, [cameraId])
+
+  const updateDetector = async (value) => {
+    const previous = detector
+    try {
+      setSaving(true)
+      setError(null)
+      setDetector(value)
+      await axios.put(`/api/cameras/${cameraId}/detector`, { detector: value })
+    } catch (err) {
+      console.error('Error updating camera detector:', err)
+      setDetector(previous)
+      setError(err.response?.data?.error || 'Failed to update detector')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const defaultInfo = detectors.find(d => d.type === defaultDetector)
+
+  return (
+    <div className={`flex items-center space-x-2 ${className}`}>
+      <span className="text-sm text-gray-600">Detector:</span>
+      <select
+        value={detector || ''}
+        onChange={(e) => updateDetector(e.target.value || null)}
+        disabled={saving || detectors.length === 0}
+        className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+        title="Which model analyzes this camera's images"
+      >
+        <option value="">Default ({formatDetector(defaultInfo)})</option>
+        {detectors.map(d => (
+          <option key={d.type} value={d.type}>{formatDetector(d)}</option>
+        ))}
+      </select>
+      {error && <span className="text-xs text-red-600">{error}</span>}
+    </div>
+  )
+}
+
+export default DetectorSelect
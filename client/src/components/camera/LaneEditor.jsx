@@ -0,0 +1,247 @@
+import React, {useEffect, useState} from 'react'
+import {ArrowUpDown, RefreshCw, Save, Trash2} from 'lucide-react'
+import axios from 'axios'
+import BoundingBoxCanvas from '../BoundingBoxCanvas'
+import {DIRECTION_COLORS} from '../charts/VehicleCountChart'
+
+const MIN_POINTS = 3
+
+// Lanes as BoundingBoxCanvas overlay polygons, colored by direction
+export const laneRegions = (lanes) => lanes.map(lane => ({
+  name: lane.name,
+  points: lane.points,
+  color: DIRECTION_COLORS[lane.direction]
+}))
+
+/**
+ * Draw a camera's lanes over its latest image and tag each with a direction
+ * of travel. Vehicles are assigned to the lane containing the bottom centre
+ * of their box, and counts are kept per lane so traffic can be split by
+ * direction. Saved lanes apply to new detections; "Recount" reassigns the
+ * ones already stored.
+ */
+const LaneEditor = ({ cameraId, image, onChange, className = '' }) => {
+  const [lanes, setLanes] = useState([])
+  const [savedLanes, setSavedLanes] = useState([])
+  const [directions, setDirections] = useState([])
+  const [draft, setDraft] = useState(null)
+  const [draftDirection, setDraftDirection] = useState('NB')
+  const [draftName, setDraftName] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [recounting, setRecounting] = useState(false)
+  const [message, setMessage] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const fetchLanes = async () => {
+      try {
+        const response = await axios.get(`/api/cameras/${cameraId}/lanes`)
+        const data = response.data.data
+        setLanes(data.lanes || [])
+        setSavedLanes(data.lanes || [])
+        setDirections(data.directions || [])
+        onChange?.(data.lanes || [])
+      } catch (err) {
+        console.error('Error fetching lanes:', err)
+      }
+    }
+    fetchLanes()
+  }, [cameraId])
+
+  const isDirty = JSON.stringify(lanes) !== JSON.stringify(savedLanes)
+
+  const startDrawing = () => {
+    setDraft([])
+    setMessage(null)
+    setError(null)
+  }
+
+  const finishDrawing = () => {
+    const laneNumber = lanes.filter(lane => lane.direction === draftDirection).length + 1
+    const name = draftName.trim() || `${draftDirection} ${laneNumber}`
+    if (lanes.some(lane => lane.name === name)) {
+      setError(`A lane named "${name}" already exists`)
+      return
+    }
+    setLanes(prev => [...prev, { name, direction: draftDirection, points: draft }])
+    setDraft(null)
+    setDraftName('')
+    setError(null)
+  }
+
+  const removeLane = (index) => {
+    setLanes(prev => prev.filter((_, i) => i !== index))
+  }
+
+  const saveLanes = async () => {
+    try {
+      setSaving(true)
+      setError(null)
+      setMessage(null)
+      const response = await axios.put(`/api/cameras/${cameraId}/lanes`, { lanes })
+      const saved = response.data.data.lanes
+      setSavedLanes(saved)
+      onChange?.(saved)
+      setMessage('Lanes saved. They apply to new detections.')
+    } catch (err) {
+      console.error('Error saving lanes:', err)
+      const details = err.response?.data?.details
+      setError(details ? details.join('; ') : (err.response?.data?.error || 'Failed to save lanes'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const recountLanes = async () => {
+    try {
+      setRecounting(true)
+      setError(null)
+      setMessage(null)
+      const response = await axios.post(`/api/cameras/${cameraId}/lanes/reapply`)
+      const summary = response.data.data
+      setMessage(`${summary.detections} detections recounted per lane.`)
+    } catch (err) {
+      console.error('Error recounting lanes:', err)
+      setError(err.response?.data?.error || 'Failed to recount lanes')
+    } finally {
+      setRecounting(false)
+    }
+  }
+
+  return (
+    <div className={`bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 overflow-hidden ${className}`}>
+      <div className="bg-gradient-to-r from-blue-50 to-sky-50 dark:from-blue-900 dark:to-sky-900 px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center space-x-2">
+          <div className="p-1.5 bg-blue-100 rounded-lg">
+            <ArrowUpDown className="w-4 h-4 text-blue-600" />
+          </div>
+          <span>Lanes</span>
+        </h3>
+      </div>
+
+      <div className="p-4 space-y-4">
+        <p className="text-xs text-gray-500">
+          Vehicles are assigned to the lane their box stands in, and counted per lane and direction.
+        </p>
+
+        {image?.local_path ? (
+          <BoundingBoxCanvas
+            imageSrc={`/api/images/file/${image.local_path.split('/').pop()}`}
+            regions={laneRegions(lanes)}
+            draftPoints={draft}
+            onCanvasClick={draft ? (point) => setDraft(prev => [...prev, point]) : null}
+            className="w-full"
+          />
+        ) : (
+          <p className="text-sm text-gray-500">No image yet to draw on.</p>
+        )}
+
+        {draft ? (
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={draftDirection}
+              onChange={(e) => setDraftDirection(e.target.value)}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+            >
+              {directions.map(direction => (
+                <option key={direction} value={direction}>{direction}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={draftName}
+              onChange={(e) => setDraftName(e.target.value)}
+              placeholder={`Name (e.g. ${draftDirection} 1)`}
+              maxLength={50}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+            />
+            <span className="text-xs text-gray-500">
+              Click the image to add points ({draft.length} so far)
+            </span>
+            <button
+              onClick={() => setDraft(prev => prev.slice(0, -1))}
+              disabled={draft.length === 0}
+              className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+            >
+              Undo Point
+            </button>
+            <button
+              onClick={finishDrawing}
+              disabled={draft.length < MIN_POINTS}
+              className="px-3 py-1.5 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              Finish Lane
+            </button>
+            <button
+              onClick={() => setDraft(null)}
+              className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        ) : (
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              onClick={startDrawing}
+              disabled={!image?.local_path}
+              className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+            >
+              Draw Lane
+            </button>
+            <button
+              onClick={saveLanes}
+              disabled={saving || !isDirty}
+              className="flex items-center space-x-1 px-3 py-1.5 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              <Save className="w-4 h-4" />
+              <span>{saving ? 'Saving...' : 'Save'}</span>
+            </button>
+            <button
+              onClick={recountLanes}
+              disabled={recounting || isDirty}
+              className="flex items-center space-x-1 px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+              title={isDirty ? 'Save the lanes first' : 'Reassign stored detections to the saved lanes'}
+            >
+              <RefreshCw className={`w-4 h-4 ${recounting ? 'animate-spin' : ''}`} />
+              <span>Recount Existing Detections</span>
+            </button>
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {message && <p className="text-sm text-green-700">{message}</p>}
+
+        {lanes.length === 0 ? (
+          <p className="text-xs text-gray-500">No lanes; only total counts are kept.</p>
+        ) : (
+          <div className="space-y-1">
+            {lanes.map((lane, index) => (
+              <div key={lane.name} className="flex items-center justify-between p-2 bg-gray-50 dark:bg-gray-700 rounded-lg">
+                <div className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                  <span
+                    className="px-2 py-0.5 rounded text-xs font-medium text-white"
+                    style={{ backgroundColor: DIRECTION_COLORS[lane.direction] }}
+                  >
+                    {lane.direction}
+                  </span>
+                  <span>{lane.name}</span>
+                  <span className="text-xs text-gray-500">{lane.points.length} points</span>
+                </div>
+                <button
+                  onClick={() => removeLane(index)}
+                  disabled={!!draft}
+                  className="p-1 text-red-500 hover:text-red-700 disabled:opacity-50"
+                  title="Remove lane"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default LaneEditor
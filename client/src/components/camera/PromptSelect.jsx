@@ -0,0 +1,67 @@
+import React, {useEffect, useState} from 'react'
+import axios from 'axios'
+
+/**
+ * Choose which detection prompt Gemini uses for a camera's images, e.g. a
+ * night-time or wide-angle prompt. "Default" follows the default prompt set
+ * in System Management; cameras always use the latest version of a prompt.
+ */
+const PromptSelect = ({ cameraId, className = '' }) => {
+  const [promptId, setPromptId] = useState(null)
+  const [prompts, setPrompts] = useState([])
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const fetchPrompt = async () => {
+      try {
+        const response = await axios.get(`/api/cameras/${cameraId}/prompt`)
+        const data = response.data.data
+        setPromptId(data.prompt_id)
+        setPrompts(data.prompts || [])
+      } catch (err) {
+        console.error('Error fetching camera prompt:', err)
+      }
+    }
+    fetchPrompt()
+  }, [cameraId])
+
+  const updatePrompt = async (value) => {
+    const previous = promptId
+    try {
+      setSaving(true)
+      setError(null)
+      setPromptId(value)
+      await axios.put(`/api/cameras/${cameraId}/prompt`, { prompt_id: value })
+    } catch (err) {
+      console.error('Error updating camera prompt:', err)
+      setPromptId(previous)
+      setError(err.response?.data?.error || 'Failed to update prompt')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const defaultPrompt = prompts.find(p => p.is_default)
+
+  return (
+    <div className={`flex items-center space-x-2 ${className}`}>
+      <span className="text-sm text-gray-600">Prompt:</span>
+      <select
+        value={promptId || ''}
+        onChange={(e) => updatePrompt(e.target.value ? Number(e.target.value) : null)}
+        disabled={saving || prompts.length === 0}
+        className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+        title="Which Gemini prompt analyzes this camera's images"
+      >
+        <option value="">Default ({defaultPrompt ? `${defaultPrompt.name} v${defaultPrompt.version}` : 'none'})</option>
+        {prompts.map(p => (
+          <option key={p.id} value={p.id}>{p.name} v{p.version}</option>
+        ))}
+      </select>
+      {error && <span className="text-xs text-red-600">{error}</span>}
+    </div>
+  )
+}
+
+export default PromptSelect
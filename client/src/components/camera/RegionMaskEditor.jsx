@@ -0,0 +1,228 @@
+import React, {useEffect, useState} from 'react'
+import {Crop, RefreshCw, Save, Trash2} from 'lucide-react'
+import axios from 'axios'
+import BoundingBoxCanvas from '../BoundingBoxCanvas'
+
+const MIN_POINTS = 3
+
+/**
+ * Draw include/exclude polygons over a camera's latest image. Vehicles whose
+ * bottom centre lies outside the include areas, or inside an exclude area,
+ * are stored but not counted. Saved masks apply to new detections; "Re-apply"
+ * recounts the ones already stored.
+ */
+const RegionMaskEditor = ({ cameraId, image, onChange, className = '' }) => {
+  const [regions, setRegions] = useState([])
+  const [savedRegions, setSavedRegions] = useState([])
+  const [draft, setDraft] = useState(null)
+  const [draftType, setDraftType] = useState('include')
+  const [draftName, setDraftName] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [reapplying, setReapplying] = useState(false)
+  const [message, setMessage] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const fetchRegions = async () => {
+      try {
+        const response = await axios.get(`/api/cameras/${cameraId}/region-masks`)
+        const masks = response.data.data.region_masks || []
+        setRegions(masks)
+        setSavedRegions(masks)
+        onChange?.(masks)
+      } catch (err) {
+        console.error('Error fetching region masks:', err)
+      }
+    }
+    fetchRegions()
+  }, [cameraId])
+
+  const isDirty = JSON.stringify(regions) !== JSON.stringify(savedRegions)
+
+  const startDrawing = () => {
+    setDraft([])
+    setMessage(null)
+    setError(null)
+  }
+
+  const finishDrawing = () => {
+    const name = draftName.trim() || `${draftType === 'include' ? 'Include' : 'Exclude'} ${regions.length + 1}`
+    setRegions(prev => [...prev, { type: draftType, name, points: draft }])
+    setDraft(null)
+    setDraftName('')
+  }
+
+  const removeRegion = (index) => {
+    setRegions(prev => prev.filter((_, i) => i !== index))
+  }
+
+  const saveRegions = async () => {
+    try {
+      setSaving(true)
+      setError(null)
+      setMessage(null)
+      const response = await axios.put(`/api/cameras/${cameraId}/region-masks`, { region_masks: regions })
+      const masks = response.data.data.region_masks
+      setSavedRegions(masks)
+      onChange?.(masks)
+      setMessage('Region masks saved. They apply to new detections.')
+    } catch (err) {
+      console.error('Error saving region masks:', err)
+      const details = err.response?.data?.details
+      setError(details ? details.join('; ') : (err.response?.data?.error || 'Failed to save region masks'))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const reapplyRegions = async () => {
+    try {
+      setReapplying(true)
+      setError(null)
+      setMessage(null)
+      const response = await axios.post(`/api/cameras/${cameraId}/region-masks/reapply`)
+      const summary = response.data.data
+      setMessage(`${summary.updated} of ${summary.detections} detections recounted; ${summary.masked_vehicles} vehicles are outside the masks.`)
+    } catch (err) {
+      console.error('Error re-applying region masks:', err)
+      setError(err.response?.data?.error || 'Failed to re-apply region masks')
+    } finally {
+      setReapplying(false)
+    }
+  }
+
+  return (
+    <div className={`bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 overflow-hidden ${className}`}>
+      <div className="bg-gradient-to-r from-green-50 to-emerald-50 dark:from-green-900 dark:to-emerald-900 px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center space-x-2">
+          <div className="p-1.5 bg-green-100 rounded-lg">
+            <Crop className="w-4 h-4 text-green-600" />
+          </div>
+          <span>Region Masks</span>
+        </h3>
+      </div>
+
+      <div className="p-4 space-y-4">
+        <p className="text-xs text-gray-500">
+          Only vehicles inside an include area (or anywhere, without one) and outside every exclude area are counted.
+        </p>
+
+        {image?.local_path ? (
+          <BoundingBoxCanvas
+            imageSrc={`/api/images/file/${image.local_path.split('/').pop()}`}
+            regions={regions}
+            draftPoints={draft}
+            onCanvasClick={draft ? (point) => setDraft(prev => [...prev, point]) : null}
+            className="w-full"
+          />
+        ) : (
+          <p className="text-sm text-gray-500">No image yet to draw on.</p>
+        )}
+
+        {draft ? (
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={draftType}
+              onChange={(e) => setDraftType(e.target.value)}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+            >
+              <option value="include">Include</option>
+              <option value="exclude">Exclude</option>
+            </select>
+            <input
+              type="text"
+              value={draftName}
+              onChange={(e) => setDraftName(e.target.value)}
+              placeholder="Name (optional)"
+              maxLength={100}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+            />
+            <span className="text-xs text-gray-500">
+              Click the image to add points ({draft.length} so far)
+            </span>
+            <button
+              onClick={() => setDraft(prev => prev.slice(0, -1))}
+              disabled={draft.length === 0}
+              className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+            >
+              Undo Point
+            </button>
+            <button
+              onClick={finishDrawing}
+              disabled={draft.length < MIN_POINTS}
+              className="px-3 py-1.5 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              Finish Region
+            </button>
+            <button
+              onClick={() => setDraft(null)}
+              className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        ) : (
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              onClick={startDrawing}
+              disabled={!image?.local_path}
+              className="px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+            >
+              Draw Region
+            </button>
+            <button
+              onClick={saveRegions}
+              disabled={saving || !isDirty}
+              className="flex items-center space-x-1 px-3 py-1.5 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              <Save className="w-4 h-4" />
+              <span>{saving ? 'Saving...' : 'Save'}</span>
+            </button>
+            <button
+              onClick={reapplyRegions}
+              disabled={reapplying || isDirty}
+              className="flex items-center space-x-1 px-3 py-1.5 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+              title={isDirty ? 'Save the masks first' : 'Recount stored detections with the saved masks'}
+            >
+              <RefreshCw className={`w-4 h-4 ${reapplying ? 'animate-spin' : ''}`} />
+              <span>Re-apply to Existing Detections</span>
+            </button>
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {message && <p className="text-sm text-green-700">{message}</p>}
+
+        {regions.length === 0 ? (
+          <p className="text-xs text-gray-500">No region masks; every detected vehicle is counted.</p>
+        ) : (
+          <div className="space-y-1">
+            {regions.map((region, index) => (
+              <div key={index} className="flex items-center justify-between p-2 bg-gray-50 dark:bg-gray-700 rounded-lg">
+                <div className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                  <span className={`px-2 py-0.5 rounded text-xs font-medium ${
+                    region.type === 'include' ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'
+                  }`}>
+                    {region.type}
+                  </span>
+                  <span>{region.name || `Region ${index + 1}`}</span>
+                  <span className="text-xs text-gray-500">{region.points.length} points</span>
+                </div>
+                <button
+                  onClick={() => removeRegion(index)}
+                  disabled={!!draft}
+                  className="p-1 text-red-500 hover:text-red-700 disabled:opacity-50"
+                  title="Remove region"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default RegionMaskEditor
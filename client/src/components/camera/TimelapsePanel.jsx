@@ -0,0 +1,249 @@
+import React, {useCallback, useEffect, useState} from 'react'
+import {Download, Film, Play, Trash2} from 'lucide-react'
+import axios from 'axios'
+import {parseSQLiteDate} from '../../utils/dateUtils'
+import {formatFileSize} from '../../utils/formatUtils'
+
+const FPS_OPTIONS = [2, 4, 8, 12, 24]
+const POLL_INTERVAL = 2000
+
+// Value for a datetime-local input, in local time
+const toInputValue = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+  return local.toISOString().slice(0, 16)
+}
+
+const formatJobTime = (value) => {
+  const date = parseSQLiteDate(value)
+  return date ? date.toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) : value
+}
+
+const isPending = (job) => job.status === 'queued' || job.status === 'running'
+
+const TimelapsePanel = ({ cameraId, className = '' }) => {
+  const [form, setForm] = useState(() => ({
+    from: toInputValue(new Date(Date.now() - 2 * 60 * 60 * 1000)),
+    to: toInputValue(new Date()),
+    fps: 8,
+    format: 'webp',
+    boxes: false,
+    timestamp: true
+  }))
+  const [jobs, setJobs] = useState([])
+  const [requesting, setRequesting] = useState(false)
+  const [preview, setPreview] = useState(null)
+  const [error, setError] = useState(null)
+
+  const jobUrl = (job) => `/api/cameras/${cameraId}/timelapses/${job.id}`
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/cameras/${cameraId}/timelapses`)
+      setJobs(response.data.data || [])
+    } catch (err) {
+      console.error('Error fetching timelapses:', err)
+    }
+  }, [cameraId])
+
+  useEffect(() => {
+    fetchJobs()
+  }, [fetchJobs])
+
+  // Follow progress while anything is rendering
+  const hasPending = jobs.some(isPending)
+  useEffect(() => {
+    if (!hasPending) return
+    const interval = setInterval(fetchJobs, POLL_INTERVAL)
+    return () => clearInterval(interval)
+  }, [hasPending, fetchJobs])
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }))
+
+  const requestTimelapse = async () => {
+    try {
+      setRequesting(true)
+      setError(null)
+      await axios.get(`/api/cameras/${cameraId}/timelapse`, {
+        params: {
+          from: new Date(form.from).toISOString(),
+          to: new Date(form.to).toISOString(),
+          fps: form.fps,
+          format: form.format,
+          boxes: form.boxes,
+          timestamp: form.timestamp
+        }
+      })
+      fetchJobs()
+    } catch (err) {
+      console.error('Error requesting timelapse:', err)
+      const details = err.response?.data?.details
+      setError(details ? details.join('; ') : (err.response?.data?.error || 'Failed to request timelapse'))
+    } finally {
+      setRequesting(false)
+    }
+  }
+
+  const deleteJob = async (job) => {
+    try {
+      await axios.delete(jobUrl(job))
+      if (preview === job.id) setPreview(null)
+      fetchJobs()
+    } catch (err) {
+      console.error('Error deleting timelapse:', err)
+      setError(err.response?.data?.error || 'Failed to delete timelapse')
+    }
+  }
+
+  return (
+    <div className={`bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 overflow-hidden ${className}`}>
+      <div className="bg-gradient-to-r from-purple-50 to-indigo-50 dark:from-purple-900 dark:to-indigo-900 px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center space-x-2">
+          <div className="p-1.5 bg-purple-100 rounded-lg">
+            <Film className="w-4 h-4 text-purple-600" />
+          </div>
+          <span>Timelapse</span>
+        </h3>
+      </div>
+
+      <div className="p-4 space-y-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="datetime-local"
+            value={form.from}
+            onChange={(e) => updateForm({ from: e.target.value })}
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+          />
+          <span className="text-sm text-gray-500">to</span>
+          <input
+            type="datetime-local"
+            value={form.to}
+            onChange={(e) => updateForm({ to: e.target.value })}
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+          />
+          <select
+            value={form.fps}
+            onChange={(e) => updateForm({ fps: Number(e.target.value) })}
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+          >
+            {FPS_OPTIONS.map(fps => (
+              <option key={fps} value={fps}>{fps} fps</option>
+            ))}
+          </select>
+          <select
+            value={form.format}
+            onChange={(e) => updateForm({ format: e.target.value })}
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+          >
+            <option value="webp">WebP</option>
+            <option value="gif">GIF</option>
+          </select>
+          <label className="flex items-center space-x-1 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={form.boxes}
+              onChange={(e) => updateForm({ boxes: e.target.checked })}
+            />
+            <span>Bounding boxes</span>
+          </label>
+          <label className="flex items-center space-x-1 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={form.timestamp}
+              onChange={(e) => updateForm({ timestamp: e.target.checked })}
+            />
+            <span>Timestamp</span>
+          </label>
+          <button
+            onClick={requestTimelapse}
+            disabled={requesting || !form.from || !form.to}
+            className="flex items-center space-x-1 px-3 py-1.5 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            <Play className="w-4 h-4" />
+            <span>{requesting ? 'Queuing...' : 'Generate'}</span>
+          </button>
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        {jobs.length === 0 ? (
+          <p className="text-xs text-gray-500">No timelapses yet.</p>
+        ) : (
+          <div className="space-y-2">
+            {jobs.map(job => (
+              <div key={job.id} className="p-2 bg-gray-50 dark:bg-gray-700 rounded-lg space-y-2">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <div className="text-sm text-gray-700 dark:text-gray-300">
+                    {formatJobTime(job.start_time)} – {formatJobTime(job.end_time)}
+                    <span className="text-xs text-gray-500 ml-2">
+                      {job.fps} fps • {job.format.toUpperCase()}
+                      {job.show_boxes ? ' • boxes' : ''}
+                      {job.rendered_frames ? ` • ${job.rendered_frames} frames` : ''}
+                      {job.file_size ? ` • ${formatFileSize(job.file_size, 1)}` : ''}
+                    </span>
+                  </div>
+
+                  <div className="flex items-center space-x-2">
+                    {job.status === 'completed' && (
+                      <>
+                        <button
+                          onClick={() => setPreview(preview === job.id ? null : job.id)}
+                          className="text-sm text-blue-600 hover:text-blue-800"
+                        >
+                          {preview === job.id ? 'Hide' : 'Preview'}
+                        </button>
+                        <a
+                          href={`${jobUrl(job)}/download`}
+                          download={job.file_name}
+                          className="flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-800"
+                        >
+                          <Download className="w-4 h-4" />
+                          <span>Download</span>
+                        </a>
+                      </>
+                    )}
+                    {job.status === 'failed' && (
+                      <span className="text-xs text-red-600">{job.error || 'Failed'}</span>
+                    )}
+                    {!isPending(job) && (
+                      <button
+                        onClick={() => deleteJob(job)}
+                        className="p-1 text-red-500 hover:text-red-700"
+                        title="Delete timelapse"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {isPending(job) && (
+                  <div className="flex items-center space-x-2">
+                    <div className="flex-1 h-2 bg-gray-200 rounded-full overflow-hidden">
+                      <div
+                        className="h-full bg-blue-600 transition-all duration-300"
+                        style={{ width: `${job.progress || 0}%` }}
+                      />
+                    </div>
+                    <span className="text-xs text-gray-500 w-20 text-right">
+                      {job.status === 'queued' ? 'Queued' : `${job.progress || 0}%`}
+                    </span>
+                  </div>
+                )}
+
+                {preview === job.id && (
+                  <img
+                    src={`${jobUrl(job)}/download`}
+                    alt={`Timelapse ${job.id}`}
+                    className="w-full rounded-md"
+                  />
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default TimelapsePanel
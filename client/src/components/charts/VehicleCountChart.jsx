@@ -60,12 +60,21 @@ const getColorByQuintile = (value, quintiles) => {
   return '#EF4444' // Red - highest quintile (problematic/heavy traffic)
 }
 
+// Bar colors for each direction of travel when counts are split by direction
+export const DIRECTION_COLORS = {
+  NB: '#2563EB', // Blue
+  SB: '#F97316', // Orange
+  EB: '#059669', // Green
+  WB: '#9333EA'  // Purple
+}
+
 const VehicleCountChart = ({
   data = [],
   title = 'Vehicle Count Over Time',
   height = 400,
   className = '',
-  aggregationInterval = 600000 // Default to 10 minutes (600000 ms)
+  aggregationInterval = 600000, // Default to 10 minutes (600000 ms)
+  splitByDirection = false // One bar per direction; needs data from counts-by-minute?split=direction
 }) => {
   // Debug: Log the props received
   console.log('VehicleCountChart: Props received:', {
@@ -159,11 +168,15 @@ const VehicleCountChart = ({
           buckets.set(timeKey, {
             time: roundedTime,
             vehicleCount: 0,
-            count: 0
+            count: 0,
+            directions: {}
           })
         }
 
         const bucket = buckets.get(timeKey)
+        Object.entries(item.directions || {}).forEach(([direction, counts]) => {
+          bucket.directions[direction] = (bucket.directions[direction] || 0) + (counts.total_vehicles || 0)
+        })
         const vehicleCount = item.total_vehicles || 0
         
         // Ensure vehicleCount is a valid number
@@ -215,6 +228,23 @@ const VehicleCountChart = ({
       sampleValues: values.slice(0, 3)
     })
 
+    if (splitByDirection) {
+      const directions = [...new Set(sortedKeys.flatMap(key => Object.keys(buckets.get(key).directions)))].sort()
+
+      return {
+        labels,
+        datasets: directions.map(direction => ({
+          label: direction,
+          data: sortedKeys.map(key => buckets.get(key).directions[direction] || 0),
+          backgroundColor: DIRECTION_COLORS[direction] || '#6B7280',
+          borderColor: DIRECTION_COLORS[direction] || '#6B7280',
+          borderWidth: 1,
+          borderRadius: 4,
+          borderSkipped: false
+        }))
+      }
+    }
+
     // Calculate quintiles for color coding
     const quintiles = calculateQuintiles(values)
 
@@ -231,7 +261,7 @@ const VehicleCountChart = ({
       }],
       quintiles
     }
-  }, [data, intervalMinutes])
+  }, [data, intervalMinutes, splitByDirection])
 
   const handleChartClick = (event, elements) => {
     if (elements && elements.length > 0 && chartData && chartData.datasets && chartData.datasets[0]) {
@@ -253,7 +283,7 @@ const VehicleCountChart = ({
     maintainAspectRatio: false,
     plugins: {
       legend: {
-        display: false,
+        display: splitByDirection,
         position: 'top',
       },
       title: {
@@ -274,7 +304,7 @@ const VehicleCountChart = ({
         borderWidth: 1,
         cornerRadius: 8,
         padding: 12,
-        displayColors: false,
+        displayColors: splitByDirection,
         callbacks: {
           title: (context) => {
             try {
@@ -313,6 +343,10 @@ const VehicleCountChart = ({
             }
           },
           label: (context) => {
+            if (splitByDirection) {
+              return `${context.dataset.label}: ${context.parsed.y} vehicles`
+            }
+
             try {
               const value = context.parsed.y
               if (value === 0) {
@@ -407,6 +441,18 @@ const VehicleCountChart = ({
     )
   }
 
+  // Split data without any lane counts has nothing to draw
+  if (splitByDirection && chartData?.labels?.length > 0 && chartData.datasets.length === 0) {
+    return (
+      <div className={`flex items-center justify-center bg-gray-50 rounded-lg border-2 border-dashed border-gray-300 ${className}`} style={{ height }}>
+        <div className="text-center text-gray-500">
+          <div className="text-lg font-medium mb-2">No Lane Counts</div>
+          <div className="text-sm">Define lanes for this camera to split its counts by direction.</div>
+        </div>
+      </div>
+    )
+  }
+
   // If chart data is empty after processing, show error state
   if (!chartData || !chartData.labels || chartData.labels.length === 0 || !chartData.datasets || chartData.datasets.length === 0) {
     return (
@@ -446,33 +492,35 @@ const VehicleCountChart = ({
       </div>
 
       {/* Custom Color Legend */}
-      <div className="mt-4 flex flex-wrap items-center justify-center gap-4 text-sm">
-        <div className="font-medium text-gray-700 dark:text-gray-300">Traffic Level:</div>
-        <div className="flex items-center gap-2">
-          <div className="w-4 h-4 rounded border border-gray-300" style={{ backgroundColor: '#F3F4F6' }}></div>
-          <span className="text-gray-600 dark:text-gray-400">No Traffic</span>
+      {!splitByDirection && (
+        <div className="mt-4 flex flex-wrap items-center justify-center gap-4 text-sm">
+          <div className="font-medium text-gray-700 dark:text-gray-300">Traffic Level:</div>
+          <div className="flex items-center gap-2">
+            <div className="w-4 h-4 rounded border border-gray-300" style={{ backgroundColor: '#F3F4F6' }}></div>
+            <span className="text-gray-600 dark:text-gray-400">No Traffic</span>
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="w-4 h-4 rounded border border-gray-300" style={{ backgroundColor: '#DBEAFE' }}></div>
+            <span className="text-blue-600 dark:text-blue-400">Very Low ✓</span>
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="w-4 h-4 rounded border border-gray-300" style={{ backgroundColor: '#93C5FD' }}></div>
+            <span className="text-blue-600 dark:text-blue-400">Low ✓</span>
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="w-4 h-4 rounded border border-gray-300" style={{ backgroundColor: '#FDE047' }}></div>
+            <span className="text-yellow-600 dark:text-yellow-400">Moderate ⚠️</span>
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="w-4 h-4 rounded border border-gray-300" style={{ backgroundColor: '#FB923C' }}></div>
+            <span className="text-orange-600 dark:text-orange-400">High ⚠️</span>
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="w-4 h-4 rounded border border-gray-300" style={{ backgroundColor: '#EF4444' }}></div>
+            <span className="text-red-600 dark:text-red-400">Very High ⚠️</span>
+          </div>
         </div>
-        <div className="flex items-center gap-2">
-          <div className="w-4 h-4 rounded border border-gray-300" style={{ backgroundColor: '#DBEAFE' }}></div>
-          <span className="text-blue-600 dark:text-blue-400">Very Low ✓</span>
-        </div>
-        <div className="flex items-center gap-2">
-          <div className="w-4 h-4 rounded border border-gray-300" style={{ backgroundColor: '#93C5FD' }}></div>
-          <span className="text-blue-600 dark:text-blue-400">Low ✓</span>
-        </div>
-        <div className="flex items-center gap-2">
-          <div className="w-4 h-4 rounded border border-gray-300" style={{ backgroundColor: '#FDE047' }}></div>
-          <span className="text-yellow-600 dark:text-yellow-400">Moderate ⚠️</span>
-        </div>
-        <div className="flex items-center gap-2">
-          <div className="w-4 h-4 rounded border border-gray-300" style={{ backgroundColor: '#FB923C' }}></div>
-          <span className="text-orange-600 dark:text-orange-400">High ⚠️</span>
-        </div>
-        <div className="flex items-center gap-2">
-          <div className="w-4 h-4 rounded border border-gray-300" style={{ backgroundColor: '#EF4444' }}></div>
-          <span className="text-red-600 dark:text-red-400">Very High ⚠️</span>
-        </div>
-      </div>
+      )}
 
       {/* Debug Info */}
       <div className="mt-2 text-xs text-gray-500 text-center">
@@ -0,0 +1,224 @@
+import React, {useCallback, useEffect, useState} from 'react'
+import {Download, Package, Trash2} from 'lucide-react'
+import axios from 'axios'
+import {dayBoundaryISO, parseSQLiteDate} from '../../utils/dateUtils'
+import {formatFileSize} from '../../utils/formatUtils'
+
+const POLL_INTERVAL = 2000
+
+const isPending = (job) => job.status === 'queued' || job.status === 'running'
+
+const describeFilters = (filters = {}) => [
+  filters.camera_ids?.length ? `${filters.camera_ids.length} camera(s)` : 'all cameras',
+  filters.min_confidence ? `≥ ${Math.round(filters.min_confidence * 100)}% confidence` : null,
+  filters.include_invalid ? 'incl. invalid boxes' : null,
+  `${Math.round((filters.val_split || 0) * 100)}% val`
+].filter(Boolean).join(' • ')
+
+/**
+ * Export labelled frames as a COCO or YOLO training dataset. Camera and date
+ * range come from the Images page filters.
+ */
+const DatasetExportPanel = ({ filters = {}, onSuccess, onError, className = '' }) => {
+  const [options, setOptions] = useState({
+    format: 'yolo',
+    min_confidence: 0.5,
+    include_invalid: false,
+    include_empty: false,
+    val_split: 0.2
+  })
+  const [jobs, setJobs] = useState([])
+  const [starting, setStarting] = useState(false)
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/exports/dataset?limit=5')
+      setJobs(response.data.data || [])
+    } catch (err) {
+      console.error('Error fetching dataset exports:', err)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchJobs()
+  }, [fetchJobs])
+
+  // Follow progress while an export is being built
+  const hasPending = jobs.some(isPending)
+  useEffect(() => {
+    if (!hasPending) return
+    const interval = setInterval(fetchJobs, POLL_INTERVAL)
+    return () => clearInterval(interval)
+  }, [hasPending, fetchJobs])
+
+  const updateOptions = (changes) => setOptions(prev => ({ ...prev, ...changes }))
+
+  const startExport = async () => {
+    try {
+      setStarting(true)
+      await axios.post('/api/exports/dataset', {
+        ...options,
+        camera_ids: filters.camera_id ? [filters.camera_id] : [],
+        from: dayBoundaryISO(filters.date_from, false),
+        to: dayBoundaryISO(filters.date_to, true)
+      })
+      if (onSuccess) onSuccess('Dataset export started')
+      fetchJobs()
+    } catch (err) {
+      console.error('Error starting dataset export:', err)
+      const details = err.response?.data?.details
+      if (onError) onError(details ? details.join('; ') : (err.response?.data?.error || 'Failed to start dataset export'))
+    } finally {
+      setStarting(false)
+    }
+  }
+
+  const deleteJob = async (job) => {
+    try {
+      await axios.delete(`/api/exports/dataset/${job.id}`)
+      fetchJobs()
+    } catch (err) {
+      console.error('Error deleting dataset export:', err)
+      if (onError) onError(err.response?.data?.error || 'Failed to delete dataset export')
+    }
+  }
+
+  return (
+    <div className={`bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-6 ${className}`}>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center space-x-2">
+          <Package className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+          <span>Training Dataset Export</span>
+        </h3>
+        <span className="text-xs text-gray-500 dark:text-gray-400">
+          Uses the camera and date filters above
+        </span>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4 items-end">
+        <div>
+          <label className="form-label">Format</label>
+          <select
+            value={options.format}
+            onChange={(e) => updateOptions({ format: e.target.value })}
+            className="form-select"
+          >
+            <option value="yolo">YOLO (txt labels)</option>
+            <option value="coco">COCO (JSON)</option>
+          </select>
+        </div>
+        <div>
+          <label className="form-label">Min confidence</label>
+          <input
+            type="number"
+            min="0"
+            max="1"
+            step="0.05"
+            value={options.min_confidence}
+            onChange={(e) => updateOptions({ min_confidence: Number(e.target.value) })}
+            className="form-select"
+          />
+        </div>
+        <div>
+          <label className="form-label">Validation split</label>
+          <select
+            value={options.val_split}
+            onChange={(e) => updateOptions({ val_split: Number(e.target.value) })}
+            className="form-select"
+          >
+            {[0, 0.1, 0.2, 0.3].map(split => (
+              <option key={split} value={split}>{Math.round(split * 100)}%</option>
+            ))}
+          </select>
+        </div>
+        <div className="space-y-1">
+          <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={options.include_invalid}
+              onChange={(e) => updateOptions({ include_invalid: e.target.checked })}
+              className="w-4 h-4 border-gray-300 rounded"
+            />
+            <span>Include invalid boxes</span>
+          </label>
+          <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={options.include_empty}
+              onChange={(e) => updateOptions({ include_empty: e.target.checked })}
+              className="w-4 h-4 border-gray-300 rounded"
+            />
+            <span>Include frames without vehicles</span>
+          </label>
+        </div>
+        <button
+          onClick={startExport}
+          disabled={starting}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium flex items-center justify-center disabled:opacity-50"
+        >
+          <Package className="w-4 h-4 mr-2" />
+          {starting ? 'Starting...' : 'Export Dataset'}
+        </button>
+      </div>
+
+      {jobs.length > 0 && (
+        <div className="mt-4 space-y-2">
+          {jobs.map(job => (
+            <div key={job.id} className="p-3 bg-gray-50 dark:bg-gray-700 rounded-lg space-y-2">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <div className="text-sm text-gray-700 dark:text-gray-300">
+                  <span className="font-medium">{job.format.toUpperCase()}</span>
+                  <span className="text-xs text-gray-500 dark:text-gray-400 ml-2">
+                    {describeFilters(job.filters)}
+                    {job.status === 'completed' && ` • ${job.train_images} train / ${job.val_images} val • ${job.annotation_count} boxes • ${formatFileSize(job.file_size, 1)}`}
+                    {' • '}{parseSQLiteDate(job.created_at)?.toLocaleString()}
+                  </span>
+                </div>
+                <div className="flex items-center space-x-2">
+                  {job.status === 'completed' && (
+                    <a
+                      href={`/api/exports/dataset/${job.id}/download`}
+                      download={job.file_name}
+                      className="flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      <Download className="w-4 h-4" />
+                      <span>Download</span>
+                    </a>
+                  )}
+                  {job.status === 'failed' && (
+                    <span className="text-xs text-red-600">{job.error || 'Failed'}</span>
+                  )}
+                  {!isPending(job) && (
+                    <button
+                      onClick={() => deleteJob(job)}
+                      className="p-1 text-red-500 hover:text-red-700"
+                      title="Delete export"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {isPending(job) && (
+                <div className="flex items-center space-x-2">
+                  <div className="flex-1 h-2 bg-gray-200 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-blue-600 transition-all duration-300"
+                      style={{ width: `${job.progress || 0}%` }}
+                    />
+                  </div>
+                  <span className="text-xs text-gray-500 w-20 text-right">
+                    {job.status === 'queued' ? 'Queued' : `${job.progress || 0}%`}
+                  </span>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DatasetExportPanel
@@ -4,6 +4,9 @@ import ImageCard from '../ImageCard'
 import LoadingSpinner from '../ui/LoadingSpinner'
 import ErrorMessage from '../ui/ErrorMessage'
 
+// Card width in the gallery grid below, so cards pick a matching thumbnail
+const CARD_SIZES = '(min-width: 1280px) 25vw, (min-width: 1024px) 33vw, (min-width: 768px) 50vw, 100vw'
+
 const ImageGallery = ({
   images = [],
   loading = false,
@@ -100,6 +103,7 @@ const ImageGallery = ({
             showSelection={onImageAction?.showSelection}
             isSelected={onImageAction?.isSelected?.(image.id)}
             isAnalyzing={onImageAction?.isAnalyzing?.(image.id)}
+            sizes={CARD_SIZES}
           />
         ))}
       </div>
@@ -6,6 +6,10 @@ export { default as FilterControls } from './ui/FilterControls'
 
 // Camera Components
 export { default as CameraInfo } from './camera/CameraInfo'
+export { default as CaptureScheduleEditor } from './camera/CaptureScheduleEditor'
+export { default as CameraLocationEditor } from './camera/CameraLocationEditor'
+export { default as CapacityEstimator } from './camera/CapacityEstimator'
+export { default as CameraGroupsPanel } from './camera/CameraGroupsPanel'
 
 // Image Components
 export { default as ImageGallery } from './images/ImageGallery'
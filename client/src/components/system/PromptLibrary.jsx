@@ -0,0 +1,378 @@
+import React, {useCallback, useEffect, useState} from 'react'
+import {FileText, History, Play, Plus, Save, Star, Trash2} from 'lucide-react'
+import axios from 'axios'
+import BoundingBoxCanvas from '../BoundingBoxCanvas'
+import {parseSQLiteDate} from '../../utils/dateUtils'
+import {getImageUrl} from '../../utils/imageUtils'
+
+const EMPTY_DRAFT = { name: '', description: '', prompt_text: '', notes: '' }
+
+const formatDate = (value) => {
+  const date = parseSQLiteDate(value)
+  return date ? date.toLocaleString() : '-'
+}
+
+/**
+ * Versioned Gemini detection prompts. Saving a changed prompt text adds a
+ * version rather than overwriting it, and every detection records the
+ * version it was made with. A draft can be tried on a stored image before
+ * it is saved.
+ */
+const PromptLibrary = ({ onSuccess, onError, className = '' }) => {
+  const [prompts, setPrompts] = useState([])
+  const [selected, setSelected] = useState(null)
+  const [creating, setCreating] = useState(false)
+  const [draft, setDraft] = useState(EMPTY_DRAFT)
+  const [saving, setSaving] = useState(false)
+  const [testImageId, setTestImageId] = useState('')
+  const [testing, setTesting] = useState(false)
+  const [testResult, setTestResult] = useState(null)
+
+  const fetchPrompts = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/prompts')
+      setPrompts(response.data.data || [])
+    } catch (err) {
+      console.error('Error fetching detection prompts:', err)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchPrompts()
+  }, [fetchPrompts])
+
+  const selectPrompt = async (promptId) => {
+    try {
+      const response = await axios.get(`/api/prompts/${promptId}`)
+      const prompt = response.data.data
+      setSelected(prompt)
+      setCreating(false)
+      setDraft({
+        name: prompt.name,
+        description: prompt.description || '',
+        prompt_text: prompt.prompt_text || '',
+        notes: ''
+      })
+    } catch (err) {
+      console.error('Error fetching detection prompt:', err)
+      onError?.('Failed to load prompt')
+    }
+  }
+
+  const startNewPrompt = () => {
+    setSelected(null)
+    setCreating(true)
+    setDraft({ ...EMPTY_DRAFT, prompt_text: prompts.find(p => p.is_default)?.prompt_text || '' })
+  }
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }))
+
+  const savePrompt = async () => {
+    try {
+      setSaving(true)
+      const body = {
+        name: draft.name,
+        description: draft.description || null,
+        prompt_text: draft.prompt_text,
+        notes: draft.notes || null
+      }
+      const response = selected
+        ? await axios.put(`/api/prompts/${selected.id}`, body)
+        : await axios.post('/api/prompts', body)
+      const prompt = response.data.data
+      const changed = !selected || prompt.versions.length !== selected.versions.length
+      onSuccess?.(changed ? `Saved "${prompt.name}" as version ${prompt.versions[0].version}` : `Saved "${prompt.name}"`)
+      await fetchPrompts()
+      await selectPrompt(prompt.id)
+    } catch (err) {
+      const details = err.response?.data?.details
+      onError?.(`${err.response?.data?.error || 'Failed to save prompt'}${details ? `: ${details.join(', ')}` : ''}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const setDefault = async () => {
+    try {
+      await axios.post(`/api/prompts/${selected.id}/default`)
+      onSuccess?.(`"${selected.name}" is now the default prompt`)
+      await fetchPrompts()
+      await selectPrompt(selected.id)
+    } catch (err) {
+      onError?.(err.response?.data?.error || 'Failed to set default prompt')
+    }
+  }
+
+  const deletePrompt = async () => {
+    if (!confirm(`Delete the prompt "${selected.name}" and all its versions? Cameras using it go back to the default prompt.`)) return
+
+    try {
+      await axios.delete(`/api/prompts/${selected.id}`)
+      onSuccess?.(`Deleted "${selected.name}"`)
+      setSelected(null)
+      setDraft(EMPTY_DRAFT)
+      await fetchPrompts()
+    } catch (err) {
+      onError?.(err.response?.data?.error || 'Failed to delete prompt')
+    }
+  }
+
+  // Try the draft text on a stored image; nothing is saved
+  const testPrompt = async () => {
+    try {
+      setTesting(true)
+      setTestResult(null)
+      const response = await axios.post('/api/prompts/test', {
+        image_id: Number(testImageId),
+        prompt_text: draft.prompt_text
+      })
+      setTestResult(response.data.data)
+    } catch (err) {
+      const data = err.response?.data
+      if (data?.rejection_reason) {
+        setTestResult({ rejection_reason: data.rejection_reason, details: data.details, gemini_response: data.gemini_response })
+      } else {
+        onError?.(`${data?.error || 'Prompt test failed'}${data?.details ? `: ${data.details.join(', ')}` : ''}`)
+      }
+    } finally {
+      setTesting(false)
+    }
+  }
+
+  return (
+    <div className={`space-y-6 ${className}`}>
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center space-x-2">
+          <FileText className="w-5 h-5 text-blue-600" />
+          <span>Detection Prompts</span>
+        </h3>
+        <button
+          onClick={startNewPrompt}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium flex items-center"
+        >
+          <Plus className="w-4 h-4 mr-2" />
+          New Prompt
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Prompt list */}
+        <div className="space-y-2">
+          {prompts.map(prompt => (
+            <button
+              key={prompt.id}
+              onClick={() => selectPrompt(prompt.id)}
+              className={`w-full text-left p-3 rounded-lg border transition-colors ${
+                selected?.id === prompt.id
+                  ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20'
+                  : 'border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700'
+              }`}
+            >
+              <div className="flex items-center justify-between">
+                <span className="font-medium text-gray-900 dark:text-white">{prompt.name}</span>
+                <span className="text-xs text-gray-500 dark:text-gray-400">v{prompt.version}</span>
+              </div>
+              {prompt.description && (
+                <div className="text-sm text-gray-600 dark:text-gray-400 mt-1">{prompt.description}</div>
+              )}
+              <div className="flex items-center space-x-3 text-xs text-gray-500 dark:text-gray-400 mt-1">
+                {prompt.is_default ? (
+                  <span className="flex items-center text-amber-600"><Star className="w-3 h-3 mr-1" />Default</span>
+                ) : null}
+                <span>{prompt.camera_count} camera(s)</span>
+                <span>{prompt.detection_count} detection(s)</span>
+              </div>
+            </button>
+          ))}
+          {prompts.length === 0 && (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No prompts yet</p>
+          )}
+        </div>
+
+        {/* Editor */}
+        <div className="lg:col-span-2 space-y-4">
+          {selected || creating ? (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <label className="block">
+                  <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Name</span>
+                  <input
+                    type="text"
+                    value={draft.name}
+                    onChange={(e) => updateDraft({ name: e.target.value })}
+                    placeholder="e.g. Night-time"
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white"
+                  />
+                </label>
+                <label className="block">
+                  <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Description</span>
+                  <input
+                    type="text"
+                    value={draft.description}
+                    onChange={(e) => updateDraft({ description: e.target.value })}
+                    placeholder="When to use this prompt"
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white"
+                  />
+                </label>
+              </div>
+
+              <label className="block">
+                <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Prompt</span>
+                <textarea
+                  value={draft.prompt_text}
+                  onChange={(e) => updateDraft({ prompt_text: e.target.value })}
+                  rows={10}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg font-mono text-sm dark:bg-gray-700 dark:text-white"
+                />
+                <span className="text-xs text-gray-500 dark:text-gray-400">
+                  The response format is enforced by the detection schema; describe only what to detect.
+                </span>
+              </label>
+
+              <label className="block">
+                <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Version notes</span>
+                <input
+                  type="text"
+                  value={draft.notes}
+                  onChange={(e) => updateDraft({ notes: e.target.value })}
+                  placeholder="What changed in this version"
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white"
+                />
+              </label>
+
+              <div className="flex flex-wrap gap-3">
+                <button
+                  onClick={savePrompt}
+                  disabled={saving}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors font-medium flex items-center"
+                >
+                  <Save className="w-4 h-4 mr-2" />
+                  {selected ? 'Save' : 'Create'}
+                </button>
+                {selected && !selected.is_default && (
+                  <button
+                    onClick={setDefault}
+                    className="px-4 py-2 bg-amber-500 text-white rounded-lg hover:bg-amber-600 transition-colors font-medium flex items-center"
+                  >
+                    <Star className="w-4 h-4 mr-2" />
+                    Make Default
+                  </button>
+                )}
+                {selected && !selected.is_default && (
+                  <button
+                    onClick={deletePrompt}
+                    className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors font-medium flex items-center"
+                  >
+                    <Trash2 className="w-4 h-4 mr-2" />
+                    Delete
+                  </button>
+                )}
+              </div>
+
+              {/* Test preview */}
+              <div className="border-t border-gray-200 dark:border-gray-700 pt-4 space-y-3">
+                <h4 className="font-semibold text-gray-900 dark:text-white">Test on Image</h4>
+                <div className="flex items-center space-x-3">
+                  <input
+                    type="number"
+                    min="1"
+                    value={testImageId}
+                    onChange={(e) => setTestImageId(e.target.value)}
+                    placeholder="Image ID"
+                    className="w-32 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white"
+                  />
+                  <button
+                    onClick={testPrompt}
+                    disabled={testing || !testImageId || !draft.prompt_text.trim()}
+                    className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 transition-colors font-medium flex items-center"
+                  >
+                    <Play className="w-4 h-4 mr-2" />
+                    {testing ? 'Testing...' : 'Run Test'}
+                  </button>
+                  <span className="text-xs text-gray-500 dark:text-gray-400">Uses the text above, saved or not. Nothing is stored.</span>
+                </div>
+
+                {testResult?.rejection_reason && (
+                  <div className="bg-red-50 p-4 rounded-lg">
+                    <div className="text-red-600 font-medium">
+                      Response rejected: {testResult.rejection_reason.replace(/_/g, ' ')}
+                    </div>
+                    {testResult.details && (
+                      <div className="text-sm text-red-700 mt-1">{testResult.details.join(', ')}</div>
+                    )}
+                    {testResult.gemini_response && (
+                      <pre className="mt-2 p-3 bg-red-100 rounded text-xs overflow-x-auto">{testResult.gemini_response}</pre>
+                    )}
+                  </div>
+                )}
+
+                {testResult?.bounding_boxes && (
+                  <div className="space-y-3">
+                    <div className="text-sm text-gray-700 dark:text-gray-300">
+                      {testResult.total_vehicles} vehicles: {testResult.cars} cars, {testResult.trucks} trucks, {testResult.buses} buses
+                      {testResult.total_vehicles > 0 && ` • ${Math.round(testResult.confidence_score * 100)}% avg confidence`}
+                    </div>
+                    <BoundingBoxCanvas
+                      imageSrc={getImageUrl(testResult.local_path)}
+                      boundingBoxes={testResult.bounding_boxes}
+                      className="w-full"
+                    />
+                    <details>
+                      <summary className="cursor-pointer text-sm font-medium text-gray-700 dark:text-gray-300">
+                        View Raw AI Response (schema v{testResult.schema_version})
+                      </summary>
+                      <pre className="mt-2 p-3 bg-gray-100 dark:bg-gray-700 rounded text-xs overflow-x-auto">{testResult.gemini_response}</pre>
+                    </details>
+                  </div>
+                )}
+              </div>
+
+              {/* Version history */}
+              {selected && (
+                <div className="border-t border-gray-200 dark:border-gray-700 pt-4">
+                  <h4 className="font-semibold text-gray-900 dark:text-white mb-3 flex items-center space-x-2">
+                    <History className="w-4 h-4" />
+                    <span>Versions</span>
+                  </h4>
+                  <div className="space-y-2">
+                    {selected.versions.map(version => (
+                      <div key={version.id} className="flex items-center justify-between p-3 bg-gray-50 dark:bg-gray-700 rounded-lg text-sm">
+                        <div>
+                          <span className="font-medium text-gray-900 dark:text-white">v{version.version}</span>
+                          <span className="ml-2 text-gray-500 dark:text-gray-400">{formatDate(version.created_at)}</span>
+                          {version.notes && <span className="ml-2 text-gray-600 dark:text-gray-300">{version.notes}</span>}
+                          <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                            {version.detection_count} detection(s)
+                            {version.failed_count > 0 && `, ${version.failed_count} failed`}
+                            {version.avg_vehicles !== null && ` • ${version.avg_vehicles.toFixed(1)} vehicles per image`}
+                          </div>
+                        </div>
+                        {version.prompt_text !== draft.prompt_text && (
+                          <button
+                            onClick={() => updateDraft({ prompt_text: version.prompt_text, notes: `Restored from v${version.version}` })}
+                            className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+                          >
+                            Load
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                  {selected.cameras.length > 0 && (
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-3">
+                      Used by: {selected.cameras.map(camera => camera.name || camera.camera_id).join(', ')}
+                    </p>
+                  )}
+                </div>
+              )}
+            </>
+          ) : (
+            <p className="text-sm text-gray-500 dark:text-gray-400">Select a prompt to edit it, or create a new one.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PromptLibrary
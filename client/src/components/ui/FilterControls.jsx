@@ -1,5 +1,5 @@
 import React from 'react'
-import {Calendar, Camera, Car, Filter, X} from 'lucide-react'
+import {Calendar, Camera, Car, Filter, Layers, X} from 'lucide-react'
 
 const FilterControls = ({
   filters = {},
@@ -90,6 +90,7 @@ const FilterControls = ({
   const getFilterIcon = (key) => {
     const iconMap = {
       camera_id: Camera,
+      group_id: Layers,
       date_from: Calendar,
       date_to: Calendar,
       vehicle_type: Car,
@@ -1,5 +1,5 @@
 import React from 'react'
-import {Brain, Clock, TrendingUp} from 'lucide-react'
+import {Activity, Brain, Clock, TrendingUp} from 'lucide-react'
 
 const StatusBadge = ({
   type,
@@ -37,6 +37,15 @@ const StatusBadge = ({
       heavy: { bg: 'bg-red-100', text: 'text-red-800', label: 'Heavy' },
       'no-traffic': { bg: 'bg-gray-100', text: 'text-gray-800', label: 'No Traffic' }
     },
+    // Camera health
+    health: {
+      online: { bg: 'bg-green-100', text: 'text-green-800', label: 'Online' },
+      stale: { bg: 'bg-yellow-100', text: 'text-yellow-800', label: 'Stale' },
+      frozen: { bg: 'bg-blue-100', text: 'text-blue-800', label: 'Frozen' },
+      placeholder: { bg: 'bg-orange-100', text: 'text-orange-800', label: 'Placeholder' },
+      erroring: { bg: 'bg-red-100', text: 'text-red-800', label: 'Erroring' },
+      unknown: { bg: 'bg-gray-100', text: 'text-gray-800', label: 'No Data' }
+    },
     // General statuses
     general: {
       latest: { bg: 'bg-blue-500', text: 'text-white', label: 'Latest' },
@@ -68,6 +77,9 @@ const StatusBadge = ({
     if (type === 'general' && statusConfigs.general[status]) {
       return statusConfigs.general[status]
     }
+    if (type === 'health') {
+      return statusConfigs.health[status] || statusConfigs.health.unknown
+    }
 
     // Fallback to analysis status if no type specified
     if (statusConfigs.analysis[status]) {
@@ -87,6 +99,7 @@ const StatusBadge = ({
       {showIcon && !Icon && type === 'ai' && <Brain className="w-3 h-3" />}
       {showIcon && !Icon && type === 'general' && status === 'latest' && <Clock className="w-3 h-3" />}
       {showIcon && !Icon && type === 'general' && status === 'changed' && <TrendingUp className="w-3 h-3" />}
+      {showIcon && !Icon && type === 'health' && <Activity className="w-3 h-3" />}
       <span>{config.label}</span>
     </span>
   )
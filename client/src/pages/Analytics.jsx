@@ -15,6 +15,7 @@ import {
 import {parseSQLiteDate} from '../utils/dateUtils'
 import axios from 'axios'
 import {format} from 'date-fns'
+import FilterControls from '../components/ui/FilterControls'
 
 const Analytics = () => {
   const [loading, setLoading] = useState(true)
@@ -24,29 +25,38 @@ const Analytics = () => {
   const [cameraStats, setCameraStats] = useState([])
   const [timeRange, setTimeRange] = useState('7d')
   const [selectedCamera, setSelectedCamera] = useState('')
+  const [selectedGroup, setSelectedGroup] = useState('')
+  const [cameraGroups, setCameraGroups] = useState([])
   const [trafficInsights, setTrafficInsights] = useState([])
   const [peakHours, setPeakHours] = useState([])
   const [vehicleDistribution, setVehicleDistribution] = useState({})
 
   useEffect(() => {
     fetchAnalyticsData()
-  }, [timeRange, selectedCamera])
+  }, [timeRange, selectedCamera, selectedGroup])
 
   const fetchAnalyticsData = async () => {
     try {
       setLoading(true)
 
-      const [statsRes, vehicleRes, trendsRes, cameraRes] = await Promise.all([
+      // A camera group scopes the figures to a corridor; it takes the place of a single camera
+      const scopeParam = selectedGroup
+        ? `&group_id=${selectedGroup}`
+        : selectedCamera ? `&camera_id=${selectedCamera}` : ''
+
+      const [statsRes, vehicleRes, trendsRes, cameraRes, groupsRes] = await Promise.all([
         axios.get('/api/images/stats/summary'),
-        axios.get(`/api/vehicle-detection/stats?time_range=${timeRange}${selectedCamera ? `&camera_id=${selectedCamera}` : ''}`),
-        axios.get(`/api/vehicle-detection/trends?days=${timeRange === '24h' ? 1 : timeRange === '7d' ? 7 : 30}`),
-        axios.get('/api/cameras')
+        axios.get(`/api/vehicle-detection/stats?time_range=${timeRange}${scopeParam}`),
+        axios.get(`/api/vehicle-detection/trends?days=${timeRange === '24h' ? 1 : timeRange === '7d' ? 7 : 30}${selectedGroup ? `&group_id=${selectedGroup}` : ''}`),
+        axios.get('/api/cameras'),
+        axios.get('/api/camera-groups')
       ])
 
       setStats(statsRes.data.data)
       setVehicleStats(vehicleRes.data.data)
       setTrends(trendsRes.data.data)
       setCameraStats(cameraRes.data.data)
+      setCameraGroups(groupsRes.data.data || [])
 
       // Generate traffic insights
       generateTrafficInsights(vehicleRes.data.data, trendsRes.data.data)
@@ -225,7 +235,10 @@ const Analytics = () => {
             </select>
             <select
               value={selectedCamera}
-              onChange={(e) => setSelectedCamera(e.target.value)}
+              onChange={(e) => {
+                setSelectedCamera(e.target.value)
+                setSelectedGroup('')
+              }}
               className="form-select"
             >
               <option value="">All Cameras</option>
@@ -245,6 +258,26 @@ const Analytics = () => {
           </div>
         </div>
 
+        {cameraGroups.length > 0 && (
+          <FilterControls
+            className="mb-6"
+            filters={{ group_id: selectedGroup }}
+            onFilterChange={(key, value) => {
+              setSelectedGroup(value)
+              setSelectedCamera('')
+            }}
+            onClearFilters={() => setSelectedGroup('')}
+            showClearButton={!!selectedGroup}
+            filterConfigs={[{
+              key: 'group_id',
+              type: 'select',
+              label: 'Camera Group',
+              placeholder: 'All Cameras',
+              options: cameraGroups.map(group => ({ value: group.id, label: `${group.name} (${group.camera_count})` }))
+            }]}
+          />
+        )}
+
         {/* Traffic Insights Banner */}
         {trafficInsights.length > 0 && (
           <div className="bg-gradient-to-r from-blue-50 to-indigo-50 border border-blue-200 rounded-xl p-4">
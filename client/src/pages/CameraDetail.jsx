@@ -18,10 +18,19 @@ import axios from 'axios'
 import ImageCard from '../components/ImageCard'
 import BoundingBoxCanvas from '../components/BoundingBoxCanvas'
 import VehicleCountChart from '../components/charts/VehicleCountChart'
+import CaptureScheduleEditor, {formatCaptureInterval} from '../components/camera/CaptureScheduleEditor'
+import StatusBadge from '../components/ui/StatusBadge'
+import CameraLocationEditor from '../components/camera/CameraLocationEditor'
+import TimelapsePanel from '../components/camera/TimelapsePanel'
+import DetectorSelect from '../components/camera/DetectorSelect'
+import PromptSelect from '../components/camera/PromptSelect'
+import RegionMaskEditor from '../components/camera/RegionMaskEditor'
+import LaneEditor, {laneRegions} from '../components/camera/LaneEditor'
 
 const CameraDetail = () => {
   const { id } = useParams()
   const [camera, setCamera] = useState(null)
+  const [health, setHealth] = useState(null)
   const [images, setImages] = useState([])
   const [loading, setLoading] = useState(true)
   const [imagesLoading, setImagesLoading] = useState(false)
@@ -44,6 +53,9 @@ const CameraDetail = () => {
   const [showImageModal, setShowImageModal] = useState(false)
   const [selectedImage, setSelectedImage] = useState(null)
   const [vehicleDetectionData, setVehicleDetectionData] = useState(null)
+  const [regionMasks, setRegionMasks] = useState([])
+  const [lanes, setLanes] = useState([])
+  const [splitByDirection, setSplitByDirection] = useState(false)
   const [vehicleCountData, setVehicleCountData] = useState([])
   const [vehicleCountLoading, setVehicleCountLoading] = useState(false)
   const [abortController, setAbortController] = useState(null)
@@ -162,7 +174,7 @@ const CameraDetail = () => {
       const newAbortController = new AbortController()
       setAbortController(newAbortController)
 
-      const response = await axios.get(`/api/vehicle-detection/counts-by-minute?camera_id=${id}&hours=24`, {
+      const response = await axios.get(`/api/vehicle-detection/counts-by-minute?camera_id=${id}&hours=24&split=direction`, {
         signal: newAbortController.signal
       })
 
@@ -276,6 +288,17 @@ const CameraDetail = () => {
     }
   }, [id, updateCameraStats])
 
+  const fetchCameraHealth = useCallback(async () => {
+    try {
+      const response = await axios.get(`/api/cameras/${id}/health?events=5`)
+      if (response.data && response.data.success && isMounted) {
+        setHealth(response.data.data)
+      }
+    } catch (error) {
+      console.error('Error fetching camera health:', error)
+    }
+  }, [id, isMounted])
+
   const fetchCameraData = useCallback(async () => {
     try {
       setLoading(true)
@@ -519,6 +542,13 @@ const CameraDetail = () => {
     fetchCameraData()
   }, [id, fetchCameraData])
 
+  // Keep the health badge current
+  useEffect(() => {
+    fetchCameraHealth()
+    const interval = setInterval(fetchCameraHealth, 60000)
+    return () => clearInterval(interval)
+  }, [fetchCameraHealth])
+
   // Initial fetch when component mounts
   useEffect(() => {
     if (camera) {
@@ -1373,6 +1403,16 @@ const CameraDetail = () => {
               <h1 className="text-3xl font-bold text-gray-900">
                 {camera.name || `Camera ${camera.camera_id}`}
               </h1>
+              {health && health.state && (
+                <span
+                  title={[
+                    health.reason,
+                    health.state_changed_at && `Since ${parseSQLiteDate(health.state_changed_at).toLocaleString()}`
+                  ].filter(Boolean).join(' - ')}
+                >
+                  <StatusBadge type="health" status={health.state} showIcon size="md" />
+                </span>
+              )}
             </div>
 
             <div className="flex items-center space-x-6 text-sm text-gray-600">
@@ -1413,7 +1453,11 @@ const CameraDetail = () => {
                   />
                 </button>
                 <span className="text-xs text-gray-500">
-                  {camera.enabled ? 'Every minute' : 'Paused'}
+                  {camera.enabled
+                    ? (camera.capture_interval !== null && camera.capture_interval !== undefined
+                      ? formatCaptureInterval(camera.capture_interval)
+                      : 'Default interval')
+                    : 'Paused'}
                 </span>
                 {isTogglingCamera && (
                   <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white ml-2"></div>
@@ -1445,6 +1489,10 @@ const CameraDetail = () => {
                 )}
               </div>
 
+              {/* Detector Choice */}
+              <DetectorSelect cameraId={id} />
+              <PromptSelect cameraId={id} />
+
               {/* Analysis Status Indicator */}
               {analyzingImages.size > 0 && (
                 <div className="flex items-center space-x-2 px-3 py-1 bg-yellow-100 rounded-lg">
@@ -1586,7 +1634,9 @@ const CameraDetail = () => {
               </div>
               {camera.latitude && camera.longitude && (
                 <div className="bg-gradient-to-br from-green-50 to-emerald-50 rounded-lg p-3 border border-green-200">
-                  <span className="text-xs font-medium text-gray-700 block mb-2">Coordinates</span>
+                  <span className="text-xs font-medium text-gray-700 block mb-2">
+                    Coordinates{camera.location_source === 'manual' ? ' (manual)' : ''}
+                  </span>
                   <div className="space-y-1 text-xs">
                     <div className="flex justify-between">
                       <span className="text-gray-600">Lat:</span>
@@ -1596,6 +1646,18 @@ const CameraDetail = () => {
                       <span className="text-gray-600">Lng:</span>
                       <span className="font-mono text-gray-900">{camera.longitude}</span>
                     </div>
+                    {camera.route && (
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Route:</span>
+                        <span className="text-gray-900">{camera.route}</span>
+                      </div>
+                    )}
+                    {camera.milepost && (
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Milepost:</span>
+                        <span className="font-mono text-gray-900">{camera.milepost}</span>
+                      </div>
+                    )}
                   </div>
                   <a
                     href={getGoogleMapsUrl(camera.latitude, camera.longitude)}
@@ -1608,6 +1670,10 @@ const CameraDetail = () => {
                   </a>
                 </div>
               )}
+              <CameraLocationEditor
+                camera={camera}
+                onUpdated={(location) => setCamera(prev => ({ ...prev, ...location }))}
+              />
 
               {camera.description && camera.description.length > 100 && (
                 <div className="bg-yellow-50 rounded-lg p-3">
@@ -1622,6 +1688,25 @@ const CameraDetail = () => {
         </div>
       </div>
 
+      {/* Capture Schedule */}
+      <CaptureScheduleEditor
+        cameraId={id}
+        onSaved={(schedule) => setCamera(prev => ({
+          ...prev,
+          capture_interval: schedule.capture_interval,
+          capture_windows: JSON.stringify(schedule.capture_windows)
+        }))}
+      />
+
+      {/* Region Masks */}
+      <RegionMaskEditor cameraId={id} image={images[0]} onChange={setRegionMasks} />
+
+      {/* Lanes */}
+      <LaneEditor cameraId={id} image={images[0]} onChange={setLanes} />
+
+      {/* Timelapse */}
+      <TimelapsePanel cameraId={id} />
+
       {/* Vehicle Count Chart */}
       <div className="bg-gradient-to-r from-blue-50 to-indigo-50 rounded-xl p-6 border border-blue-200">
         <div className="flex items-center justify-between mb-4">
@@ -1629,14 +1714,26 @@ const CameraDetail = () => {
             <BarChart3 className="w-5 h-5 text-blue-600" />
             <span>Traffic Analytics (24 Hours)</span>
           </h4>
-          <button
-            onClick={fetchVehicleCountData}
-            disabled={vehicleCountLoading}
-            className="px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 text-sm flex items-center space-x-2"
-          >
-            <RefreshCw className={`w-4 h-4 ${vehicleCountLoading ? 'animate-spin' : ''}`} />
-            <span>Refresh</span>
-          </button>
+          <div className="flex items-center space-x-3">
+            {lanes.length > 0 && (
+              <label className="flex items-center space-x-1 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={splitByDirection}
+                  onChange={(e) => setSplitByDirection(e.target.checked)}
+                />
+                <span>Split by direction</span>
+              </label>
+            )}
+            <button
+              onClick={fetchVehicleCountData}
+              disabled={vehicleCountLoading}
+              className="px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 text-sm flex items-center space-x-2"
+            >
+              <RefreshCw className={`w-4 h-4 ${vehicleCountLoading ? 'animate-spin' : ''}`} />
+              <span>Refresh</span>
+            </button>
+          </div>
         </div>
 
         {vehicleCountLoading ? (
@@ -1654,6 +1751,7 @@ const CameraDetail = () => {
             showLegend={true}
             showGrid={true}
             aggregationInterval={aggregationInterval}
+            splitByDirection={splitByDirection && lanes.length > 0}
           />
         ) : (
           <div className="flex items-center justify-center h-64">
@@ -1930,6 +2028,7 @@ const CameraDetail = () => {
                           {(() => {
                             const validBoxes = vehicleDetectionData.bounding_boxes.filter(box => box.is_valid !== 0);
                             const invalidBoxes = vehicleDetectionData.bounding_boxes.filter(box => box.is_valid === 0);
+                            const stalledBoxes = vehicleDetectionData.bounding_boxes.filter(box => box.is_stalled);
 
                             return (
                               <>
@@ -1938,10 +2037,16 @@ const CameraDetail = () => {
                                   {validBoxes.length > 0 && <span className="ml-2">({validBoxes.length} valid)</span>}
                                   {invalidBoxes.length > 0 && <span className="ml-2 text-yellow-700">({invalidBoxes.length} invalid)</span>}
                                 </div>
+                                {stalledBoxes.length > 0 && (
+                                  <div className="mb-2 p-2 bg-red-50 rounded text-xs border border-red-200 text-red-700">
+                                    ⚠️ {stalledBoxes.length} potential stalled vehicle{stalledBoxes.length > 1 ? 's' : ''}: stationary on the roadway across several frames
+                                  </div>
+                                )}
                                 {validBoxes.length > 0 ? (
                                   <BoundingBoxCanvas
                                     imageSrc={`/api/images/file/${selectedImage.local_path.split('/').pop()}`}
                                     boundingBoxes={validBoxes}
+                                    regions={[...regionMasks, ...laneRegions(lanes)]}
                                     className="w-full"
                                   />
                                 ) : (
@@ -2072,7 +2177,7 @@ const CameraDetail = () => {
                           {vehicleDetectionData.gemini_response && (
                             <details className="mt-4">
                               <summary className="cursor-pointer text-sm font-medium text-gray-700 hover:text-gray-900">
-                                View Raw AI Response
+                                View Raw AI Response{vehicleDetectionData.prompt_name ? ` (prompt: ${vehicleDetectionData.prompt_name} v${vehicleDetectionData.prompt_version})` : ''}
                               </summary>
                               <pre className="mt-2 p-3 bg-gray-100 rounded text-xs overflow-x-auto">
                                 {vehicleDetectionData.gemini_response}
@@ -2084,8 +2189,20 @@ const CameraDetail = () => {
                         <div className="bg-red-50 p-4 rounded-lg">
                           <div className="text-red-600 font-medium">Analysis Failed</div>
                           <div className="text-sm text-red-700 mt-1">
-                            {vehicleDetectionData.gemini_response || 'Unknown error'}
+                            {vehicleDetectionData.rejection_reason
+                              ? `Response rejected: ${vehicleDetectionData.rejection_reason.replace(/_/g, ' ')}`
+                              : 'Unknown error'}
                           </div>
+                          {vehicleDetectionData.gemini_response && (
+                            <details className="mt-2">
+                              <summary className="cursor-pointer text-sm font-medium text-red-700 hover:text-red-900">
+                                View Raw AI Response{vehicleDetectionData.schema_version ? ` (schema v${vehicleDetectionData.schema_version})` : ''}
+                              </summary>
+                              <pre className="mt-2 p-3 bg-red-100 rounded text-xs overflow-x-auto">
+                                {vehicleDetectionData.gemini_response}
+                              </pre>
+                            </details>
+                          )}
                         </div>
                       ) : (
                         <div className="bg-yellow-50 p-4 rounded-lg">
@@ -1,6 +1,10 @@
 import React, {useEffect, useState} from 'react'
-import {Brain, Camera, Car, Filter, ImageIcon, MapPin, Power, PowerOff, RefreshCw, Search} from 'lucide-react'
+import {Brain, Camera, Car, Filter, ImageIcon, MapPin, Power, PowerOff, RefreshCw, Search, X} from 'lucide-react'
 import axios from 'axios'
+import StatusBadge from '../components/ui/StatusBadge'
+import CapacityEstimator from '../components/camera/CapacityEstimator'
+import CameraGroupsPanel from '../components/camera/CameraGroupsPanel'
+import {getImageUrl} from '../utils/imageUtils'
 
 const Cameras = () => {
   const [cameras, setCameras] = useState([])
@@ -20,6 +24,7 @@ const Cameras = () => {
   const [cameraStats, setCameraStats] = useState({})
   const [cameraImages, setCameraImages] = useState({})
   const [imagesLoading, setImagesLoading] = useState(false)
+  const [actionError, setActionError] = useState(null)
 
   useEffect(() => {
     fetchCameras()
@@ -159,6 +164,7 @@ const Cameras = () => {
       }
     } catch (error) {
       console.error('Error toggling camera status:', error)
+      setActionError(error.response?.data?.error || 'Failed to update camera status')
     } finally {
       setTogglingCameras(prev => {
         const newSet = new Set(prev)
@@ -186,6 +192,7 @@ const Cameras = () => {
       }
     } catch (error) {
       console.error('Error toggling AI analysis status:', error)
+      setActionError(error.response?.data?.error || 'Failed to update AI analysis status')
     } finally {
       setTogglingAI(prev => {
         const newSet = new Set(prev)
@@ -220,6 +227,7 @@ const Cameras = () => {
       }
     } catch (error) {
       console.error(`Error bulk ${enable ? 'enabling' : 'disabling'} cameras:`, error)
+      setActionError(error.response?.data?.error || `Failed to ${enable ? 'enable' : 'disable'} cameras`)
     } finally {
       setLoading(false)
     }
@@ -251,6 +259,7 @@ const Cameras = () => {
       }
     } catch (error) {
       console.error(`Error bulk ${enable ? 'enabling' : 'disabling'} filtered cameras:`, error)
+      setActionError(error.response?.data?.error || `Failed to ${enable ? 'enable' : 'disable'} cameras`)
     } finally {
       setLoading(false)
     }
@@ -274,6 +283,7 @@ const Cameras = () => {
       }
     } catch (error) {
       console.error(`Error bulk ${enable ? 'enabling' : 'disabling'} AI analysis:`, error)
+      setActionError(error.response?.data?.error || `Failed to ${enable ? 'enable' : 'disable'} AI analysis`)
     } finally {
       setAiAnalysisLoading(false)
     }
@@ -305,6 +315,7 @@ const Cameras = () => {
       }
     } catch (error) {
       console.error(`Error bulk ${enable ? 'enabling' : 'disabling'} AI analysis for filtered cameras:`, error)
+      setActionError(error.response?.data?.error || `Failed to ${enable ? 'enable' : 'disable'} AI analysis`)
     } finally {
       setAiAnalysisLoading(false)
     }
@@ -441,6 +452,23 @@ const Cameras = () => {
                 </div>
               </div>
             </div>
+            {/* Daily load now and with the filtered cameras switched on */}
+            <CapacityEstimator
+              enableIds={filteredCameras.filter(c => !c.enabled).map(c => c.camera_id)}
+              enableAiIds={filteredCameras.filter(c => !c.ai_analysis_enabled).map(c => c.camera_id)}
+              label="All filtered on"
+              className="mb-6"
+            />
+
+            {actionError && (
+              <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start justify-between">
+                <p className="text-sm text-red-700">{actionError}</p>
+                <button onClick={() => setActionError(null)} className="text-red-500 hover:text-red-700">
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+
             {/* Bulk Operations */}
             <div className="mb-4">
               <h4 className="text-sm font-medium text-gray-700 mb-3">Bulk Operations</h4>
@@ -728,6 +756,13 @@ const Cameras = () => {
                 </div>
               </div>
             )}
+
+            <CameraGroupsPanel
+              selectedCameraIds={filteredCameras.map(c => c.camera_id)}
+              onGroupsChanged={fetchCameras}
+              onError={setActionError}
+              className="mt-4"
+            />
           </div>
         </div>
       )}
@@ -744,10 +779,10 @@ const Cameras = () => {
           {paginatedCameras.map((camera) => (
                             <div key={camera.camera_id} className={`bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 overflow-hidden transition-all duration-200 hover:shadow-md ${!camera.enabled ? 'opacity-75' : ''}`}>
               {/* Image Preview */}
-              {cameraImages[camera.camera_id] && (
+              {getImageUrl(cameraImages[camera.camera_id]?.local_path) && (
                 <div className="relative h-40 bg-gray-100">
                   <img
-                    src={`/api/images/file/${cameraImages[camera.camera_id].local_path.split('/').pop()}`}
+                    src={getImageUrl(cameraImages[camera.camera_id].local_path)}
                     alt={`Camera ${camera.camera_id} preview`}
                     className="w-full h-full object-cover"
                     onError={(e) => {
@@ -784,8 +819,8 @@ const Cameras = () => {
                 </div>
               )}
 
-              {/* No Image Fallback */}
-              {!cameraImages[camera.camera_id] && (
+              {/* No Image Fallback (also for a preview whose file retention pruned) */}
+              {!getImageUrl(cameraImages[camera.camera_id]?.local_path) && (
                 <div className="relative h-32 bg-gray-100 flex items-center justify-center">
                   <div className="text-center">
                     {imagesLoading ? (
@@ -828,9 +863,16 @@ const Cameras = () => {
               {/* Content Area */}
               <div className="p-4">
                 {/* Camera Name - Most Important */}
-                <h3 className="font-bold text-gray-900 mb-3 line-clamp-2">
-                  {camera.name || `Camera ${camera.camera_id}`}
-                </h3>
+                <div className="flex items-start justify-between mb-3 space-x-2">
+                  <h3 className="font-bold text-gray-900 line-clamp-2">
+                    {camera.name || `Camera ${camera.camera_id}`}
+                  </h3>
+                  {camera.enabled && camera.health_state && (
+                    <span title={camera.health_reason || undefined} className="flex-shrink-0">
+                      <StatusBadge type="health" status={camera.health_state} showIcon size="xs" />
+                    </span>
+                  )}
+                </div>
 
               {/* Location & Activity */}
               <div className="space-y-3 mb-4">
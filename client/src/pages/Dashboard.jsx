@@ -10,12 +10,15 @@ import {
     MapPin,
     RefreshCw,
     TrendingUp,
-    Truck
+    Truck,
+    X
 } from 'lucide-react'
 import {parseSQLiteDate} from '../utils/dateUtils'
+import {getImageUrl} from '../utils/imageUtils'
 import {Link} from 'react-router-dom'
 import axios from 'axios'
 import VehicleCountChart from '../components/charts/VehicleCountChart'
+import FilterControls from '../components/ui/FilterControls'
 
 const Dashboard = () => {
   const [stats, setStats] = useState(null)
@@ -26,20 +29,37 @@ const Dashboard = () => {
   const [vehicleCountsLoading, setVehicleCountsLoading] = useState(false)
   const [loading, setLoading] = useState(true)
   const [refreshing, setRefreshing] = useState(false)
+  const [refreshSummary, setRefreshSummary] = useState(null)
   const [aggregationInterval, setAggregationInterval] = useState(600000) // Default to 10 minutes
+  const [cameraGroups, setCameraGroups] = useState([])
+  const [filters, setFilters] = useState({ group_id: '' })
 
   useEffect(() => {
-    fetchDashboardData()
+    fetchCameraGroups()
   }, [])
 
+  useEffect(() => {
+    fetchDashboardData()
+  }, [filters.group_id])
+
+  const fetchCameraGroups = async () => {
+    try {
+      const response = await axios.get('/api/camera-groups')
+      setCameraGroups(response.data.data || [])
+    } catch (error) {
+      console.error('Error fetching camera groups:', error)
+    }
+  }
+
   const fetchDashboardData = async () => {
     try {
       setLoading(true)
+      const groupParam = filters.group_id ? `&group_id=${filters.group_id}` : ''
       const [statsRes, imagesRes, vehicleRes, vehicleCountsRes] = await Promise.all([
         axios.get('/api/cameras/stats/summary'),
         axios.get('/api/images/recent?limit=6'),
-        axios.get('/api/vehicle-detection/stats?time_range=24h'),
-        axios.get('/api/vehicle-detection/counts-by-minute/aggregated?hours=24')
+        axios.get(`/api/vehicle-detection/stats?time_range=24h${groupParam}`),
+        axios.get(`/api/vehicle-detection/counts-by-minute/aggregated?hours=24${groupParam}`)
       ])
 
       setStats(statsRes.data.data)
@@ -125,9 +145,13 @@ const Dashboard = () => {
   const refreshCameras = async () => {
     try {
       setRefreshing(true)
-      await axios.post('/api/cameras/refresh')
+      const response = await axios.post('/api/cameras/refresh')
+      setRefreshSummary({
+        total: response.data.total,
+        errors: response.data.errors,
+        changes: response.data.changes || { added: [], modified: [], restored: [], removed: [] }
+      })
       await fetchDashboardData()
-      alert('Cameras refreshed successfully!')
     } catch (error) {
       console.error('Error refreshing cameras:', error)
       alert('Failed to refresh cameras. Check the console for details.')
@@ -162,6 +186,8 @@ const Dashboard = () => {
     return 'Heavy Traffic'
   }
 
+  const selectedGroup = cameraGroups.find(group => String(group.id) === String(filters.group_id))
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -200,6 +226,74 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Corridor scope for the traffic figures below */}
+      {cameraGroups.length > 0 && (
+        <FilterControls
+          filters={filters}
+          onFilterChange={(key, value) => setFilters(prev => ({ ...prev, [key]: value }))}
+          onClearFilters={() => setFilters({ group_id: '' })}
+          showClearButton={!!filters.group_id}
+          filterConfigs={[{
+            key: 'group_id',
+            type: 'select',
+            label: 'Camera Group',
+            placeholder: 'All Cameras',
+            options: cameraGroups.map(group => ({ value: group.id, label: `${group.name} (${group.camera_count})` }))
+          }]}
+        />
+      )}
+
+      {/* Camera Refresh Summary */}
+      {refreshSummary && (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <div className="flex items-start justify-between mb-4">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Camera Catalog Updated</h3>
+              <p className="text-sm text-gray-600">
+                {refreshSummary.total} cameras synced{refreshSummary.errors > 0 ? `, ${refreshSummary.errors} failed` : ''}
+              </p>
+            </div>
+            <button
+              onClick={() => setRefreshSummary(null)}
+              className="text-gray-400 hover:text-gray-600"
+              title="Dismiss"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {[
+              { key: 'added', label: 'Added', color: 'text-green-700 bg-green-50' },
+              { key: 'modified', label: 'Modified', color: 'text-blue-700 bg-blue-50' },
+              { key: 'restored', label: 'Restored', color: 'text-purple-700 bg-purple-50' },
+              { key: 'removed', label: 'Retired', color: 'text-red-700 bg-red-50' }
+            ].map(({ key, label, color }) => {
+              const cameras = refreshSummary.changes[key] || []
+              return (
+                <div key={key} className={`rounded-lg p-3 ${color}`}>
+                  <div className="text-2xl font-bold">{cameras.length}</div>
+                  <div className="text-sm font-medium">{label}</div>
+                  {cameras.length > 0 && (
+                    <ul className="mt-2 space-y-0.5 text-xs">
+                      {cameras.slice(0, 5).map(camera => (
+                        <li key={camera.camera_id} className="truncate" title={
+                          camera.changes ? Object.keys(camera.changes).join(', ') + ' changed' : undefined
+                        }>
+                          <Link to={`/cameras/${camera.camera_id}`} className="hover:underline">
+                            {camera.name || camera.camera_id}
+                          </Link>
+                        </li>
+                      ))}
+                      {cameras.length > 5 && <li>and {cameras.length - 5} more</li>}
+                    </ul>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Traffic Overview Grid - Primary Focus */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6">
         {/* Total Vehicles Detected - PRIMARY METRIC */}
@@ -332,7 +426,7 @@ const Dashboard = () => {
             ) : (
               <div className="space-y-4">
                 {recentImages.slice(0, 5).map((image, index) => {
-                  const imageUrl = image.local_path ? `/api/images/file/${image.local_path.split('/').pop()}` : null
+                  const imageUrl = getImageUrl(image.local_path, { width: 160, format: 'webp' })
                   // Determine if this is the latest image (most recent overall)
                   const isLatest = index === 0
                   return (
@@ -492,7 +586,7 @@ const Dashboard = () => {
             <div className="p-2 bg-emerald-100 rounded-lg">
               <BarChart3 className="w-5 h-5 text-emerald-600" />
             </div>
-            <span>Network-Wide Vehicle Count (24 Hours)</span>
+            <span>{selectedGroup ? `${selectedGroup.name} Vehicle Count (24 Hours)` : 'Network-Wide Vehicle Count (24 Hours)'}</span>
           </h3>
         </div>
 
@@ -505,7 +599,7 @@ const Dashboard = () => {
           ) : (
             <VehicleCountChart
               data={aggregatedVehicleCounts}
-              title="Total Vehicles Across All Cameras"
+              title={selectedGroup ? `Total Vehicles Across ${selectedGroup.name}` : 'Total Vehicles Across All Cameras'}
               height={400}
               className="w-full"
               backgroundColor="rgba(16, 185, 129, 0.1)"
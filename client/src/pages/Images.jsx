@@ -2,12 +2,21 @@ import React, {useEffect, useState} from 'react'
 import {BarChart3, Car, Filter, GitCompare, Image as ImageIcon, Trash2, TrendingUp} from 'lucide-react'
 import axios from 'axios'
 import {format} from 'date-fns'
-import {parseSQLiteDate} from '../utils/dateUtils'
+import {dayBoundaryISO, parseSQLiteDate} from '../utils/dateUtils'
 import {useToast} from '../contexts/ToastContext'
 import ImageCard from '../components/ImageCard'
 import BoundingBoxCanvas from '../components/BoundingBoxCanvas'
 import AutoRefreshIndicator from '../components/ui/AutoRefreshIndicator'
 import InlineConfirm from '../components/ui/InlineConfirm'
+import DatasetExportPanel from '../components/images/DatasetExportPanel'
+
+const QUALITY_ISSUES = [
+  { value: 'dark', label: 'Too dark' },
+  { value: 'bright', label: 'Overexposed' },
+  { value: 'low_contrast', label: 'Low contrast' },
+  { value: 'blurry', label: 'Blurry' },
+  { value: 'uniform', label: 'Near-uniform' }
+]
 
 const Images = () => {
   const { showSuccess, showError, showWarning } = useToast()
@@ -32,7 +41,9 @@ const Images = () => {
     camera_id: '',
     showLatestOnly: false,
     date_from: '',
-    date_to: ''
+    date_to: '',
+    min_quality: '',
+    quality_issue: ''
   })
 
   const [pagination, setPagination] = useState({
@@ -50,7 +61,17 @@ const Images = () => {
       setLoading(true)
       const [statsRes, imagesRes, camerasRes] = await Promise.all([
         axios.get('/api/images/stats/summary'),
-        axios.get(`/api/images/recent?limit=${pagination.limit}&offset=${(pagination.page - 1) * pagination.limit}`),
+        axios.get('/api/images/recent', {
+          params: {
+            limit: pagination.limit,
+            offset: (pagination.page - 1) * pagination.limit,
+            camera_id: filters.camera_id || undefined,
+            date_from: dayBoundaryISO(filters.date_from, false),
+            date_to: dayBoundaryISO(filters.date_to, true),
+            min_quality: filters.min_quality || undefined,
+            quality_issue: filters.quality_issue || undefined
+          }
+        }),
         axios.get('/api/cameras')
       ])
 
@@ -75,7 +96,9 @@ const Images = () => {
       camera_id: '',
       showLatestOnly: false,
       date_from: '',
-      date_to: ''
+      date_to: '',
+      min_quality: '',
+      quality_issue: ''
     })
     setPagination(prev => ({ ...prev, page: 1 }))
   }
@@ -477,11 +500,36 @@ const Images = () => {
             />
           </div>
 
+          {/* Image Quality Filters */}
+          <div>
+            <label className="form-label">Quality</label>
+            <select
+              value={filters.quality_issue}
+              onChange={(e) => handleFilterChange('quality_issue', e.target.value)}
+              className="form-select"
+            >
+              <option value="">Any Quality</option>
+              <option value="none">No Issues</option>
+              <option value="any">Any Issue</option>
+              {QUALITY_ISSUES.map(issue => (
+                <option key={issue.value} value={issue.value}>{issue.label}</option>
+              ))}
+            </select>
+          </div>
 
-
-
-
-
+          <div>
+            <label className="form-label">Min Quality Score</label>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              step="5"
+              placeholder="0-100"
+              value={filters.min_quality}
+              onChange={(e) => handleFilterChange('min_quality', e.target.value)}
+              className="form-select"
+            />
+          </div>
 
                   {/* Latest Images Filter */}
         <div className="flex items-center space-x-2">
@@ -497,6 +545,9 @@ const Images = () => {
         </div>
       </div>
 
+      {/* Training Dataset Export */}
+      <DatasetExportPanel filters={filters} onSuccess={showSuccess} onError={showError} />
+
       {/* Traffic Comparison Analysis Modal */}
       {showComparison && trafficAnalysis && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -760,7 +811,7 @@ const Images = () => {
                         {vehicleDetectionData.gemini_response && (
                           <details className="mt-4">
                             <summary className="cursor-pointer text-sm font-medium text-gray-700 hover:text-gray-900">
-                              View Raw AI Response
+                              View Raw AI Response{vehicleDetectionData.prompt_name ? ` (prompt: ${vehicleDetectionData.prompt_name} v${vehicleDetectionData.prompt_version})` : ''}
                             </summary>
                             <pre className="mt-2 p-3 bg-gray-100 rounded text-xs overflow-x-auto">
                               {vehicleDetectionData.gemini_response}
@@ -772,8 +823,20 @@ const Images = () => {
                       <div className="bg-red-50 p-4 rounded-lg">
                         <div className="text-red-600 font-medium">Analysis Failed</div>
                         <div className="text-sm text-red-700 mt-1">
-                          {vehicleDetectionData.gemini_response || 'Unknown error'}
+                          {vehicleDetectionData.rejection_reason
+                            ? `Response rejected: ${vehicleDetectionData.rejection_reason.replace(/_/g, ' ')}`
+                            : 'Unknown error'}
                         </div>
+                        {vehicleDetectionData.gemini_response && (
+                          <details className="mt-2">
+                            <summary className="cursor-pointer text-sm font-medium text-red-700 hover:text-red-900">
+                              View Raw AI Response{vehicleDetectionData.schema_version ? ` (schema v${vehicleDetectionData.schema_version})` : ''}
+                            </summary>
+                            <pre className="mt-2 p-3 bg-red-100 rounded text-xs overflow-x-auto">
+                              {vehicleDetectionData.gemini_response}
+                            </pre>
+                          </details>
+                        )}
                       </div>
                     ) : vehicleDetectionData === null ? (
                       <div className="bg-yellow-50 p-4 rounded-lg">
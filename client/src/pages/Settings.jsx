@@ -2,6 +2,7 @@ import React, {useEffect, useState} from 'react'
 import {Camera, Clock, Info, Power, PowerOff, RefreshCw, Settings as SettingsIcon, Trash2} from 'lucide-react'
 import axios from 'axios'
 import {useToast} from '../contexts/ToastContext'
+import {formatDetector} from '../components/camera/DetectorSelect'
 
 const Settings = () => {
   const { showSuccess, showError, showInfo } = useToast()
@@ -18,10 +19,14 @@ const Settings = () => {
   const [updateMessage, setUpdateMessage] = useState('')
   const [aggregationInterval, setAggregationInterval] = useState(600000) // Default to 10 minutes
   const [configLoading, setConfigLoading] = useState(false)
+  const [detector, setDetector] = useState('gemini')
+  const [detectors, setDetectors] = useState([])
+  const [detectorLoading, setDetectorLoading] = useState(false)
 
   useEffect(() => {
     fetchSystemStatus()
     fetchAggregationInterval()
+    fetchDetectors()
   }, [])
 
   const fetchSystemStatus = async () => {
@@ -84,6 +89,43 @@ const Settings = () => {
     }
   }
 
+  const fetchDetectors = async () => {
+    try {
+      const response = await axios.get('/api/vehicle-detection/status')
+      if (response.data.success) {
+        setDetector(response.data.data.default_detector)
+        setDetectors(response.data.data.detectors || [])
+      }
+    } catch (error) {
+      console.error('Error fetching detectors:', error)
+    }
+  }
+
+  const updateDetector = async () => {
+    try {
+      setDetectorLoading(true)
+      const response = await axios.put('/api/system/config/ai.detector', {
+        value: detector
+      })
+
+      if (response.data.success) {
+        showSuccess('Default detector updated successfully')
+        fetchDetectors()
+      } else {
+        showError('Failed to update default detector')
+      }
+    } catch (error) {
+      console.error('Error updating default detector:', error)
+      if (error.response?.data?.error) {
+        showError(`Failed to update default detector: ${error.response.data.error}`)
+      } else {
+        showError('Failed to update default detector')
+      }
+    } finally {
+      setDetectorLoading(false)
+    }
+  }
+
   const refreshCameras = async () => {
     try {
       setLoading(true)
@@ -92,7 +134,11 @@ const Settings = () => {
       const response = await axios.post('/api/cameras/refresh')
 
       if (response.data.success) {
-        setUpdateMessage(`Successfully refreshed ${response.data.count} cameras`)
+        const changes = response.data.changes
+        const changeSummary = changes
+          ? ` (${changes.added.length} added, ${changes.modified.length} modified, ${changes.restored.length} restored, ${changes.removed.length} retired)`
+          : ''
+        setUpdateMessage(`Successfully refreshed ${response.data.count} cameras${changeSummary}`)
         await fetchSystemStatus() // Refresh the status
       } else {
         setUpdateMessage('Failed to refresh cameras')
@@ -354,6 +400,50 @@ const Settings = () => {
               Changes will take effect immediately for new chart data. Existing charts may need to be refreshed.
             </p>
           </div>
+
+          {/* Default Vehicle Detector */}
+          <div className="p-4 bg-blue-50 rounded-lg border border-blue-200">
+            <div className="mb-3">
+              <h4 className="font-medium text-gray-900">Vehicle Detector</h4>
+              <p className="text-sm text-gray-600">
+                Model used to analyze images from cameras that do not choose their own detector
+              </p>
+            </div>
+
+            <div className="flex items-center space-x-3">
+              <select
+                value={detector}
+                onChange={(e) => setDetector(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                disabled={detectorLoading}
+              >
+                {detectors.map(d => (
+                  <option key={d.type} value={d.type}>
+                    {formatDetector(d)}{d.model ? ` - ${d.model}` : ''}
+                  </option>
+                ))}
+              </select>
+
+              <button
+                onClick={updateDetector}
+                disabled={detectorLoading}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors flex items-center space-x-2"
+              >
+                {detectorLoading ? (
+                  <>
+                    <RefreshCw className="w-4 h-4 animate-spin" />
+                    <span>Updating...</span>
+                  </>
+                ) : (
+                  <span>Update Detector</span>
+                )}
+              </button>
+            </div>
+
+            <p className="text-xs text-gray-500 mt-2">
+              Images whose detector is unavailable stay queued until it becomes available. Individual cameras can override this on their detail page.
+            </p>
+          </div>
         </div>
       </div>
 
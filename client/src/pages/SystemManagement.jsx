@@ -6,18 +6,22 @@ import {
     CheckCircle,
     Clock,
     Cpu,
+    FileText,
     Gauge,
     HardDrive,
     RefreshCw,
     RotateCcw,
     Server,
     Shield,
+    Trash2,
     Wrench,
     XCircle
 } from 'lucide-react';
 import {useToast} from '../contexts/ToastContext';
 import {parseSQLiteDate} from '../utils/dateUtils';
+import {formatFileSize} from '../utils/formatUtils';
 import axios from 'axios';
+import PromptLibrary from '../components/system/PromptLibrary';
 
 const SystemManagement = () => {
   const { showSuccess, showError, showWarning, showInfo } = useToast();
@@ -31,6 +35,8 @@ const SystemManagement = () => {
   const [maintenanceMessage, setMaintenanceMessage] = useState('');
   const [editingConfig, setEditingConfig] = useState({});
   const [showConfigEditor, setShowConfigEditor] = useState(false);
+  const [retention, setRetention] = useState(null);
+  const [retentionRunning, setRetentionRunning] = useState(false);
 
   // Fetch data on component mount
   useEffect(() => {
@@ -38,6 +44,7 @@ const SystemManagement = () => {
     fetchMetrics();
     fetchConfig();
     fetchMaintenanceStatus();
+    fetchRetention();
   }, []);
 
   // Fetch health status
@@ -92,6 +99,34 @@ const SystemManagement = () => {
     }
   };
 
+  // Fetch image retention settings and the last cleanup report
+  const fetchRetention = async () => {
+    try {
+      const response = await axios.get('/api/system/retention');
+      setRetention(response.data.data);
+    } catch (error) {
+      console.error('Error fetching image retention status:', error);
+    }
+  };
+
+  // Run the image cleanup now, or only report what it would delete
+  const runRetention = async (dryRun) => {
+    if (!dryRun && !confirm('Delete image files past the retention period now? Detections are kept.')) return;
+
+    try {
+      setRetentionRunning(true);
+      const response = await axios.post('/api/system/retention/run', { dry_run: dryRun });
+      const report = response.data.data;
+      showSuccess(`${dryRun ? 'Dry run: would reclaim' : 'Reclaimed'} ${formatFileSize(report.bytesReclaimed)} from ${report.filesDeleted} files`);
+      fetchRetention();
+    } catch (error) {
+      showError(error.response?.data?.error || 'Image cleanup failed');
+      console.error('Error running image cleanup:', error);
+    } finally {
+      setRetentionRunning(false);
+    }
+  };
+
   // Enable maintenance mode
   const enableMaintenanceMode = async () => {
     try {
@@ -499,6 +534,75 @@ const SystemManagement = () => {
           )}
         </div>
       </div>
+
+      {/* Image Retention */}
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center space-x-2">
+            <HardDrive className="w-5 h-5 text-blue-600" />
+            <span>Image Retention</span>
+          </h3>
+          {retention?.settings.dryRun && (
+            <div className="px-3 py-1 rounded-full text-sm font-medium bg-amber-100 text-amber-800 dark:bg-amber-900/20 dark:text-amber-400">
+              SCHEDULED RUNS ARE DRY RUNS
+            </div>
+          )}
+        </div>
+
+        {retention && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              {retention.settings.maxImageAge > 0
+                ? `Full-resolution images are deleted after ${retention.settings.maxImageAge} days, keeping one keyframe per camera per hour ${
+                    retention.settings.keyframeMaxAge > 0 ? `for ${retention.settings.keyframeMaxAge} days` : 'indefinitely'
+                  }. Vehicle detections and bounding boxes are always kept.`
+                : 'Image retention is disabled (storage.maxImageAge is 0).'}
+            </p>
+
+            {retention.lastReport && (
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                {[
+                  { label: 'Images pruned', value: retention.lastReport.imagesPruned + retention.lastReport.keyframesPruned },
+                  { label: 'Kept as keyframes', value: retention.lastReport.imagesKeptAsKeyframes },
+                  { label: 'Files deleted', value: retention.lastReport.filesDeleted },
+                  { label: 'Space reclaimed', value: formatFileSize(retention.lastReport.bytesReclaimed) }
+                ].map(({ label, value }) => (
+                  <div key={label} className="p-3 bg-gray-50 dark:bg-gray-700 rounded-lg">
+                    <div className="text-xl font-bold text-gray-900 dark:text-white">{value}</div>
+                    <div className="text-xs text-gray-600 dark:text-gray-400">{label}</div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {retention.lastReport && (
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Last {retention.lastReport.dryRun ? 'dry run' : 'cleanup'} finished {new Date(retention.lastReport.finishedAt).toLocaleString()}
+                {retention.lastReport.errors > 0 && `, ${retention.lastReport.errors} files could not be deleted`}
+              </p>
+            )}
+
+            <div className="flex space-x-3">
+              <button
+                onClick={() => runRetention(true)}
+                disabled={retentionRunning || retention.isRunning}
+                className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors font-medium flex items-center disabled:opacity-50"
+              >
+                <Clock className="w-4 h-4 mr-2" />
+                Dry Run
+              </button>
+              <button
+                onClick={() => runRetention(false)}
+                disabled={retentionRunning || retention.isRunning || retention.settings.maxImageAge <= 0}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors font-medium flex items-center disabled:opacity-50"
+              >
+                <Trash2 className="w-4 h-4 mr-2" />
+                {retentionRunning ? 'Cleaning Up...' : 'Run Cleanup Now'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
     </div>
   );
 
@@ -510,7 +614,7 @@ const SystemManagement = () => {
           <div>
             <h1 className="text-3xl font-bold text-gray-900 dark:text-white">System Management</h1>
             <p className="text-gray-600 dark:text-gray-400 mt-2">
-              Monitor system health, configure settings, and manage maintenance mode
+              Monitor system health, configure settings, manage maintenance mode and detection prompts
             </p>
           </div>
         </div>
@@ -523,7 +627,8 @@ const SystemManagement = () => {
             {[
               { id: 'health', label: 'Health Monitoring', icon: Activity },
               { id: 'metrics', label: 'Performance Metrics', icon: Gauge },
-              { id: 'maintenance', label: 'Maintenance', icon: Wrench }
+              { id: 'maintenance', label: 'Maintenance', icon: Wrench },
+              { id: 'prompts', label: 'Detection Prompts', icon: FileText }
             ].map((tab) => (
               <button
                 key={tab.id}
@@ -545,6 +650,7 @@ const SystemManagement = () => {
           {activeTab === 'health' && renderHealthStatus()}
           {activeTab === 'metrics' && renderMetrics()}
           {activeTab === 'maintenance' && renderMaintenance()}
+          {activeTab === 'prompts' && <PromptLibrary onSuccess={showSuccess} onError={showError} />}
         </div>
       </div>
     </div>
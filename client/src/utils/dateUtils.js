@@ -526,3 +526,13 @@ export const getCurrentTimestamp = () => {
 export const getCurrentDateISO = () => {
   return new Date().toISOString()
 }
+
+/**
+ * Convert a date input value ("2026-10-19") to the ISO start or end of that local day
+ * @param {string} value - Date input value
+ * @param {boolean} endOfDay - Use 23:59:59 instead of midnight
+ * @returns {string|undefined} ISO timestamp, or undefined for an empty value
+ */
+export const dayBoundaryISO = (value, endOfDay = false) => {
+  return value ? new Date(`${value}T${endOfDay ? '23:59:59' : '00:00:00'}`).toISOString() : undefined
+}
@@ -0,0 +1,40 @@
+/**
+ * Image URL Utility Functions
+ * Builds URLs for stored camera images and their resized variants
+ */
+
+// Widths the server keeps variants for (storage.variantWidths)
+export const IMAGE_VARIANT_WIDTHS = [160, 320, 640, 1280]
+
+/**
+ * URL of a stored image, optionally resized and re-encoded by the server
+ * @param {string} localPath - Image local_path (filename or path)
+ * @param {Object} options - { width, format: 'jpeg' | 'webp' }
+ * @returns {string|null} Image URL, or null if the image has no file
+ */
+export const getImageUrl = (localPath, { width, format } = {}) => {
+  if (!localPath) return null
+
+  const url = `/api/images/file/${localPath.split('/').pop()}`
+  const params = new URLSearchParams()
+  if (width) params.set('w', width)
+  if (format) params.set('format', format)
+
+  const query = params.toString()
+  return query ? `${url}?${query}` : url
+}
+
+/**
+ * `srcset` listing resized variants of a stored image
+ * @param {string} localPath - Image local_path
+ * @param {Array<number>} widths - Variant widths to offer
+ * @param {string} format - Variant format
+ * @returns {string|undefined} srcset value, or undefined if the image has no file
+ */
+export const getImageSrcSet = (localPath, widths = IMAGE_VARIANT_WIDTHS, format = 'webp') => {
+  if (!localPath) return undefined
+
+  return widths
+    .map(width => `${getImageUrl(localPath, { width, format })} ${width}w`)
+    .join(', ')
+}
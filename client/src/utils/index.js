@@ -4,6 +4,9 @@ export * from './dateUtils'
 // Data Formatting and Validation Utilities
 export * from './formatUtils'
 
+// Image URL Utilities
+export * from './imageUtils'
+
 // Array and Object Utilities
 export * from './arrayUtils'
 
@@ -1,4 +1,5 @@
 const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs-extra');
 const path = require('path');
 
 const dbPath = path.join(__dirname, '..', 'storage', 'midot_traffic.db');
@@ -6,6 +7,9 @@ let db;
 
 async function initializeDatabase() {
   try {
+    // The storage folder does not exist yet on a fresh checkout
+    fs.ensureDirSync(path.dirname(dbPath));
+
     // Create database connection
     db = new sqlite3.Database(dbPath);
     
@@ -30,13 +34,21 @@ async function createTables() {
         description TEXT,
         latitude REAL,
         longitude REAL,
+        milepost TEXT,
+        route TEXT,
+        location_source TEXT,
+        location_fetched_at DATETIME,
         direction TEXT,
         road_name TEXT,
         intersection TEXT,
         county TEXT,
         image_url TEXT,
+        source TEXT DEFAULT 'midot',
+        capture_interval INTEGER,
+        capture_windows TEXT,
         enabled BOOLEAN DEFAULT 0,
         ai_analysis_enabled BOOLEAN DEFAULT 0,
+        retired_at DATETIME,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       );
@@ -51,6 +63,9 @@ async function createTables() {
         image_hash TEXT,
         previous_hash TEXT,
         has_changed BOOLEAN DEFAULT 0,
+        perceptual_hash TEXT,
+        perceptual_hash_algorithm TEXT,
+        hash_distance INTEGER,
         captured_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (camera_id) REFERENCES cameras(camera_id)
@@ -101,77 +116,342 @@ async function createTables() {
       );
     `;
 
-    db.serialize(() => {
-      db.run(createCamerasTable, (err) => {
+    const createVehicleLaneCountsTable = `
+      CREATE TABLE IF NOT EXISTS vehicle_lane_counts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        vehicle_detection_id INTEGER NOT NULL,
+        camera_id TEXT NOT NULL,
+        lane TEXT NOT NULL,
+        direction TEXT NOT NULL,
+        vehicle_count INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (vehicle_detection_id) REFERENCES vehicle_detections(id),
+        FOREIGN KEY (camera_id) REFERENCES cameras(camera_id)
+      );
+    `;
+
+    const createVehicleTracksTable = `
+      CREATE TABLE IF NOT EXISTS vehicle_tracks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        camera_id TEXT NOT NULL,
+        vehicle_type TEXT NOT NULL,
+        first_seen_at DATETIME NOT NULL,
+        last_seen_at DATETIME NOT NULL,
+        frame_count INTEGER DEFAULT 1,
+        dwell_seconds INTEGER DEFAULT 0,
+        stationary_frames INTEGER DEFAULT 0,
+        is_stalled BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (camera_id) REFERENCES cameras(camera_id)
+      );
+    `;
+
+    const createCaptureAttemptsTable = `
+      CREATE TABLE IF NOT EXISTS capture_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        camera_id TEXT NOT NULL,
+        attempt INTEGER DEFAULT 1,
+        status TEXT NOT NULL,
+        http_status INTEGER,
+        latency_ms INTEGER,
+        bytes INTEGER,
+        image_id INTEGER,
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (camera_id) REFERENCES cameras(camera_id),
+        FOREIGN KEY (image_id) REFERENCES images(id)
+      );
+    `;
+
+    const createCameraHealthTable = `
+      CREATE TABLE IF NOT EXISTS camera_health (
+        camera_id TEXT PRIMARY KEY,
+        state TEXT NOT NULL DEFAULT 'online',
+        reason TEXT,
+        state_changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_success_at DATETIME,
+        last_changed_at DATETIME,
+        last_error TEXT,
+        consecutive_failures INTEGER DEFAULT 0,
+        unchanged_frames INTEGER DEFAULT 0,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (camera_id) REFERENCES cameras(camera_id)
+      );
+    `;
+
+    const createCameraHealthEventsTable = `
+      CREATE TABLE IF NOT EXISTS camera_health_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        camera_id TEXT NOT NULL,
+        previous_state TEXT,
+        state TEXT NOT NULL,
+        reason TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (camera_id) REFERENCES cameras(camera_id)
+      );
+    `;
+
+    const createCameraChangesTable = `
+      CREATE TABLE IF NOT EXISTS camera_changes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        camera_id TEXT NOT NULL,
+        source TEXT,
+        change_type TEXT NOT NULL,
+        changes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (camera_id) REFERENCES cameras(camera_id)
+      );
+    `;
+
+    const createCameraGroupsTable = `
+      CREATE TABLE IF NOT EXISTS camera_groups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `;
+
+    const createCameraGroupMembersTable = `
+      CREATE TABLE IF NOT EXISTS camera_group_members (
+        group_id INTEGER NOT NULL,
+        camera_id TEXT NOT NULL,
+        position INTEGER DEFAULT 0,
+        PRIMARY KEY (group_id, camera_id),
+        FOREIGN KEY (group_id) REFERENCES camera_groups(id),
+        FOREIGN KEY (camera_id) REFERENCES cameras(camera_id)
+      );
+    `;
+
+    const createTimelapseJobsTable = `
+      CREATE TABLE IF NOT EXISTS timelapse_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        camera_id TEXT NOT NULL,
+        start_time DATETIME NOT NULL,
+        end_time DATETIME NOT NULL,
+        fps INTEGER NOT NULL,
+        format TEXT NOT NULL,
+        show_boxes BOOLEAN DEFAULT 0,
+        show_timestamp BOOLEAN DEFAULT 1,
+        status TEXT NOT NULL DEFAULT 'queued',
+        progress INTEGER DEFAULT 0,
+        total_frames INTEGER,
+        rendered_frames INTEGER DEFAULT 0,
+        file_name TEXT,
+        file_size INTEGER,
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME,
+        completed_at DATETIME,
+        FOREIGN KEY (camera_id) REFERENCES cameras(camera_id)
+      );
+    `;
+
+    const createDatasetExportsTable = `
+      CREATE TABLE IF NOT EXISTS dataset_exports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        format TEXT NOT NULL,
+        filters TEXT,
+        status TEXT NOT NULL DEFAULT 'queued',
+        progress INTEGER DEFAULT 0,
+        total_images INTEGER,
+        exported_images INTEGER DEFAULT 0,
+        train_images INTEGER DEFAULT 0,
+        val_images INTEGER DEFAULT 0,
+        annotation_count INTEGER DEFAULT 0,
+        file_name TEXT,
+        file_size INTEGER,
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME,
+        completed_at DATETIME
+      );
+    `;
+
+    const createBatchJobsTable = `
+      CREATE TABLE IF NOT EXISTS batch_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_name TEXT UNIQUE NOT NULL,
+        model TEXT NOT NULL,
+        input_mode TEXT NOT NULL,
+        input_file TEXT,
+        state TEXT NOT NULL DEFAULT 'pending',
+        image_count INTEGER DEFAULT 0,
+        succeeded_count INTEGER DEFAULT 0,
+        failed_count INTEGER DEFAULT 0,
+        poll_count INTEGER DEFAULT 0,
+        error TEXT,
+        submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_polled_at DATETIME,
+        completed_at DATETIME
+      );
+    `;
+
+    const createBatchJobImagesTable = `
+      CREATE TABLE IF NOT EXISTS batch_job_images (
+        batch_job_id INTEGER NOT NULL,
+        image_id INTEGER NOT NULL,
+        request_key TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        error TEXT,
+        PRIMARY KEY (batch_job_id, image_id),
+        FOREIGN KEY (batch_job_id) REFERENCES batch_jobs(id) ON DELETE CASCADE,
+        FOREIGN KEY (image_id) REFERENCES images(id)
+      );
+    `;
+
+    const createDetectionPromptsTable = `
+      CREATE TABLE IF NOT EXISTS detection_prompts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        description TEXT,
+        is_default BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `;
+
+    const createDetectionPromptVersionsTable = `
+      CREATE TABLE IF NOT EXISTS detection_prompt_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        prompt_id INTEGER NOT NULL,
+        version INTEGER NOT NULL,
+        prompt_text TEXT NOT NULL,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (prompt_id, version),
+        FOREIGN KEY (prompt_id) REFERENCES detection_prompts(id)
+      );
+    `;
+
+    // Tables are created in order so foreign keys always reference existing tables
+    const tables = [
+      ['cameras', createCamerasTable],
+      ['images', createImagesTable],
+      ['vehicle_detections', createVehicleDetectionsTable],
+      ['vehicle_bounding_boxes', createVehicleBoundingBoxesTable],
+      ['vehicle_lane_counts', createVehicleLaneCountsTable],
+      ['vehicle_tracks', createVehicleTracksTable],
+      ['capture_attempts', createCaptureAttemptsTable],
+      ['camera_health', createCameraHealthTable],
+      ['camera_health_events', createCameraHealthEventsTable],
+      ['camera_changes', createCameraChangesTable],
+      ['camera_groups', createCameraGroupsTable],
+      ['camera_group_members', createCameraGroupMembersTable],
+      ['timelapse_jobs', createTimelapseJobsTable],
+      ['dataset_exports', createDatasetExportsTable],
+      ['batch_jobs', createBatchJobsTable],
+      ['batch_job_images', createBatchJobImagesTable],
+      ['detection_prompts', createDetectionPromptsTable],
+      ['detection_prompt_versions', createDetectionPromptVersionsTable]
+    ];
+
+    const createNextTable = (index) => {
+      if (index === tables.length) {
+        // Run migrations for existing databases
+        runMigrations().then(() => {
+          // Fix existing image paths
+          return fixImagePaths();
+        }).then(() => {
+          console.log('Database tables created successfully');
+          resolve();
+        }).catch(reject);
+        return;
+      }
+
+      const [name, sql] = tables[index];
+      db.run(sql, (err) => {
         if (err) {
-          console.error('Error creating cameras table:', err);
+          console.error(`Error creating ${name} table:`, err);
           reject(err);
           return;
         }
-        
-        db.run(createImagesTable, (err) => {
-          if (err) {
-            console.error('Error creating images table:', err);
-            reject(err);
-            return;
-          }
 
-          db.run(createVehicleDetectionsTable, (err) => {
-            if (err) {
-              console.error('Error creating vehicle_detections table:', err);
-              reject(err);
-              return;
-            }
-            
-            db.run(createVehicleBoundingBoxesTable, (err) => {
-              if (err) {
-                console.error('Error creating vehicle_bounding_boxes table:', err);
-                reject(err);
-                return;
-              }
-              
-                          // Run migrations for existing databases
-            runMigrations().then(() => {
-              // Fix existing image paths
-              return fixImagePaths();
-            }).then(() => {
-              console.log('Database tables created successfully');
-              resolve();
-            }).catch(reject);
-            });
-          });
-        });
+        createNextTable(index + 1);
       });
+    };
+
+    db.serialize(() => {
+      createNextTable(0);
     });
   });
 }
 
+// Migrations run one after another, so an index can follow the migration
+// that adds its column
 async function runMigrations() {
-  return new Promise((resolve, reject) => {
-    const migrations = [
-      'ALTER TABLE cameras ADD COLUMN intersection TEXT',
-      'ALTER TABLE cameras ADD COLUMN image_url TEXT',
-      'ALTER TABLE cameras ADD COLUMN ai_analysis_enabled BOOLEAN DEFAULT 0',
-      'ALTER TABLE vehicle_bounding_boxes ADD COLUMN is_valid BOOLEAN DEFAULT 1'
-    ];
-    
-    let completed = 0;
-    
-    migrations.forEach((migration, index) => {
+  const migrations = [
+    'ALTER TABLE cameras ADD COLUMN intersection TEXT',
+    'ALTER TABLE cameras ADD COLUMN image_url TEXT',
+    'ALTER TABLE cameras ADD COLUMN ai_analysis_enabled BOOLEAN DEFAULT 0',
+    'ALTER TABLE vehicle_bounding_boxes ADD COLUMN is_valid BOOLEAN DEFAULT 1',
+    "ALTER TABLE cameras ADD COLUMN source TEXT DEFAULT 'midot'",
+    'CREATE INDEX IF NOT EXISTS idx_capture_attempts_camera ON capture_attempts(camera_id, created_at)',
+    'ALTER TABLE cameras ADD COLUMN capture_interval INTEGER',
+    'ALTER TABLE cameras ADD COLUMN capture_windows TEXT',
+    'ALTER TABLE images ADD COLUMN perceptual_hash TEXT',
+    'ALTER TABLE images ADD COLUMN perceptual_hash_algorithm TEXT',
+    'ALTER TABLE images ADD COLUMN hash_distance INTEGER',
+    'CREATE INDEX IF NOT EXISTS idx_camera_health_events_camera ON camera_health_events(camera_id, created_at)',
+    'ALTER TABLE cameras ADD COLUMN milepost TEXT',
+    'ALTER TABLE cameras ADD COLUMN route TEXT',
+    'ALTER TABLE cameras ADD COLUMN location_source TEXT',
+    'ALTER TABLE cameras ADD COLUMN location_fetched_at DATETIME',
+    'ALTER TABLE cameras ADD COLUMN retired_at DATETIME',
+    'CREATE INDEX IF NOT EXISTS idx_camera_changes_created ON camera_changes(created_at)',
+    'ALTER TABLE cameras ADD COLUMN snapshot_etag TEXT',
+    'ALTER TABLE cameras ADD COLUMN snapshot_last_modified TEXT',
+    'ALTER TABLE cameras ADD COLUMN snapshot_size INTEGER',
+    'ALTER TABLE cameras ADD COLUMN snapshot_hash TEXT',
+    'ALTER TABLE capture_attempts ADD COLUMN result TEXT',
+    'CREATE INDEX IF NOT EXISTS idx_camera_group_members_camera ON camera_group_members(camera_id)',
+    'ALTER TABLE images ADD COLUMN retention_tier TEXT',
+    'ALTER TABLE images ADD COLUMN pruned_at DATETIME',
+    'CREATE INDEX IF NOT EXISTS idx_images_captured ON images(captured_at)',
+    'CREATE INDEX IF NOT EXISTS idx_timelapse_jobs_camera ON timelapse_jobs(camera_id, created_at)',
+    'ALTER TABLE images ADD COLUMN quality_score INTEGER',
+    'ALTER TABLE images ADD COLUMN quality_brightness REAL',
+    'ALTER TABLE images ADD COLUMN quality_contrast REAL',
+    'ALTER TABLE images ADD COLUMN quality_sharpness REAL',
+    'ALTER TABLE images ADD COLUMN quality_uniformity REAL',
+    'ALTER TABLE images ADD COLUMN quality_flags TEXT',
+    'ALTER TABLE cameras ADD COLUMN detector TEXT',
+    'ALTER TABLE vehicle_detections ADD COLUMN detector TEXT',
+    'ALTER TABLE vehicle_detections ADD COLUMN detector_model TEXT',
+    'CREATE INDEX IF NOT EXISTS idx_batch_jobs_state ON batch_jobs(state)',
+    'CREATE INDEX IF NOT EXISTS idx_batch_job_images_image ON batch_job_images(image_id)',
+    'ALTER TABLE vehicle_detections ADD COLUMN schema_version INTEGER',
+    'ALTER TABLE vehicle_detections ADD COLUMN rejection_reason TEXT',
+    'ALTER TABLE cameras ADD COLUMN prompt_id INTEGER',
+    'ALTER TABLE vehicle_detections ADD COLUMN prompt_version_id INTEGER',
+    'ALTER TABLE batch_job_images ADD COLUMN prompt_version_id INTEGER',
+    'CREATE INDEX IF NOT EXISTS idx_vehicle_detections_prompt_version ON vehicle_detections(prompt_version_id)',
+    'ALTER TABLE cameras ADD COLUMN region_masks TEXT',
+    'ALTER TABLE vehicle_bounding_boxes ADD COLUMN in_roi BOOLEAN DEFAULT 1',
+    'ALTER TABLE vehicle_detections ADD COLUMN masked_vehicles INTEGER DEFAULT 0',
+    'ALTER TABLE cameras ADD COLUMN lanes TEXT',
+    'ALTER TABLE vehicle_bounding_boxes ADD COLUMN lane TEXT',
+    'ALTER TABLE vehicle_bounding_boxes ADD COLUMN direction TEXT',
+    'CREATE INDEX IF NOT EXISTS idx_vehicle_lane_counts_detection ON vehicle_lane_counts(vehicle_detection_id)',
+    'ALTER TABLE vehicle_bounding_boxes ADD COLUMN track_id INTEGER',
+    'ALTER TABLE vehicle_bounding_boxes ADD COLUMN is_stalled BOOLEAN DEFAULT 0',
+    'CREATE INDEX IF NOT EXISTS idx_vehicle_tracks_camera_last_seen ON vehicle_tracks(camera_id, last_seen_at)'
+  ];
+
+  for (const [index, migration] of migrations.entries()) {
+    await new Promise((resolve) => {
       db.run(migration, (err) => {
         if (err && !err.message.includes('duplicate column name')) {
           console.error(`Migration ${index + 1} failed:`, err);
         } else if (!err) {
           console.log(`Migration ${index + 1} completed successfully`);
         }
-        
-        completed++;
-        if (completed === migrations.length) {
-          resolve();
-        }
+        resolve();
       });
     });
-  });
+  }
 }
 
 // Fix existing image paths to use only filenames
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+
+/**
+ * Run the local Gemini stand-in as its own server
+ * Run with: npm run gemini:standin -- --mode replay --port 8089
+ *
+ * Point the app at it with GEMINI_API_BASE_URL=http://127.0.0.1:8089.
+ * Options default to the GEMINI_STANDIN* environment variables; failure
+ * rates are given as --failures rate_limit=0.1,safety=0.05.
+ */
+
+require('dotenv').config();
+const { GeminiStandIn, parseFailureRates, standInOptionsFromEnv } = require('./services/geminiStandIn');
+
+const argValue = (name, defaultValue) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : defaultValue;
+};
+
+async function startStandIn() {
+  const defaults = standInOptionsFromEnv();
+  const options = {
+    ...defaults,
+    mode: argValue('mode', defaults.mode),
+    fixturesDir: argValue('fixtures', defaults.fixturesDir),
+    failures: process.argv.includes('--failures') ? parseFailureRates(argValue('failures', '')) : defaults.failures
+  };
+
+  const standIn = new GeminiStandIn(options);
+  const url = await standIn.start(parseInt(argValue('port', defaults.port || 8089)));
+
+  console.log(`🤖 Gemini stand-in (${standIn.mode}) listening at ${url}`);
+  console.log(`   Fixtures: ${standIn.fixturesDir}`);
+  if (Object.keys(standIn.failures).length > 0) {
+    console.log(`   Injected failures: ${JSON.stringify(standIn.failures)}`);
+  }
+  console.log(`   Set GEMINI_API_BASE_URL=${url} to use it`);
+
+  process.on('SIGINT', async () => {
+    await standIn.stop();
+    process.exit(0);
+  });
+}
+
+if (require.main === module) {
+  startStandIn().catch(error => {
+    console.error('❌ Failed to start the Gemini stand-in:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { startStandIn };
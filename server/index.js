@@ -13,13 +13,21 @@ const { logger } = require('./services/loggerService');
 const healthService = require('./services/healthService');
 const configService = require('./services/configService');
 const metricsService = require('./services/metricsService');
+const captureScheduleService = require('./services/captureScheduleService');
+const replayService = require('./services/replayService');
+const retentionService = require('./services/retentionService');
+const timelapseService = require('./services/timelapseService');
+const datasetExportService = require('./services/datasetExportService');
+const cameraHealthService = require('./services/cameraHealthService');
 
 const cameraRoutes = require('./routes/cameras');
+const cameraGroupRoutes = require('./routes/cameraGroups');
 const imageRoutes = require('./routes/images');
 const vehicleDetectionRoutes = require('./routes/vehicleDetection');
+const exportRoutes = require('./routes/exports');
 const systemRoutes = require('./routes/system');
+const promptRoutes = require('./routes/prompts');
 const { initializeDatabase } = require('./database/connection');
-const { updateCameraImages } = require('./services/cameraService');
 
 // Initialize Gemini AI service
 const { initializeGemini, reanalyzeMissingBoundingBoxes, initializeBatchProcessing } = require('./services/geminiService');
@@ -71,9 +79,12 @@ app.use(express.static(path.join(__dirname, '../client/dist')));
 
 // API Routes
 app.use('/api/cameras', cameraRoutes);
+app.use('/api/camera-groups', cameraGroupRoutes);
 app.use('/api/images', imageRoutes);
 app.use('/api/vehicle-detection', vehicleDetectionRoutes);
+app.use('/api/exports', exportRoutes);
 app.use('/api/system', systemRoutes);
+app.use('/api/prompts', promptRoutes);
 
 // Serve React app for all other routes
 app.get('*', (req, res) => {
@@ -143,13 +154,33 @@ initializeDatabase()
       console.log(`API available at http://localhost:${PORT}/api`)
       console.log(`System management API available at http://localhost:${PORT}/api/system`)
       
-      // Schedule camera image updates every minute (to capture all changes)
+      if (configService.get('replay.enabled', false)) {
+        // Ingest the recorded archive instead of capturing live feeds
+        replayService.start().catch(error => {
+          console.error('Replay failed to start:', error.message)
+        })
+      } else {
+        // Capture camera images on each camera's own schedule
+        captureScheduleService.start()
+      }
+      
+      // Delete old image files on the storage retention schedule
+      retentionService.start()
+      
+      // Pick up timelapses that were still rendering when the server stopped
+      timelapseService.start().catch(error => {
+        console.error('Failed to resume timelapse jobs:', error.message)
+      })
+      datasetExportService.start().catch(error => {
+        console.error('Failed to resume dataset exports:', error.message)
+      })
+      
+      // Flag cameras that have stopped delivering frames
       cron.schedule('* * * * *', async () => {
         try {
-          console.log('Running scheduled camera update...')
-          await updateCameraImages()
+          await cameraHealthService.checkStaleCameras()
         } catch (error) {
-          console.error('Scheduled update failed:', error.message)
+          console.error('Camera health check failed:', error.message)
         }
       })
       
@@ -170,7 +201,7 @@ initializeDatabase()
         }
       })
       
-      console.log('Scheduled camera updates enabled (every minute)')
+      console.log('Scheduled camera updates enabled (per-camera schedules)')
       console.log('Scheduled AI analytics batch processing enabled (every 5 minutes)')
     })
   })
@@ -186,6 +217,11 @@ process.on('SIGTERM', async () => {
   try {
     // Cleanup services
     healthService.cleanup();
+    captureScheduleService.cleanup();
+    replayService.cleanup();
+    retentionService.cleanup();
+    timelapseService.cleanup();
+    datasetExportService.cleanup();
     configService.cleanup();
     metricsService.cleanup();
     
@@ -203,6 +239,11 @@ process.on('SIGINT', async () => {
   try {
     // Cleanup services
     healthService.cleanup();
+    captureScheduleService.cleanup();
+    replayService.cleanup();
+    retentionService.cleanup();
+    timelapseService.cleanup();
+    datasetExportService.cleanup();
     configService.cleanup();
     metricsService.cleanup();
     
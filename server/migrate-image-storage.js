@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * Copy stored images from one storage backend to another
+ * Run with: npm run storage:migrate -- --from local --to s3
+ *
+ * Backend settings come from `storage.<backend>` in the runtime config.
+ * Objects already present in the target are skipped, so the script can be
+ * re-run after an interruption.
+ */
+
+require('dotenv').config();
+const configService = require('./services/configService');
+const { createImageStorage } = require('./services/imageStorage');
+
+const argValue = (name, defaultValue) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : defaultValue;
+};
+
+async function migrateImageStorage() {
+  const from = argValue('from', 'local');
+  const to = argValue('to', configService.get('storage.backend', 'local'));
+
+  if (from === to) {
+    throw new Error(`Source and target backend are both "${from}"`);
+  }
+
+  const source = createImageStorage(from, configService.get(`storage.${from}`, {}));
+  const target = createImageStorage(to, configService.get(`storage.${to}`, {}));
+  await target.checkHealth();
+
+  console.log(`📦 Copying images from ${from} to ${to}...`);
+
+  const totals = { copied: 0, skipped: 0, failed: 0 };
+  let cursor = null;
+
+  do {
+    const page = await source.list({ cursor, limit: 500 });
+
+    for (const item of page.items) {
+      try {
+        const existing = await target.stat(item.key);
+        if (existing && existing.size === item.size) {
+          totals.skipped++;
+          continue;
+        }
+
+        await target.put(item.key, await source.get(item.key));
+        totals.copied++;
+      } catch (error) {
+        totals.failed++;
+        console.error(`❌ ${item.key}: ${error.message}`);
+      }
+    }
+
+    cursor = page.cursor;
+    console.log(`   ${totals.copied} copied, ${totals.skipped} skipped, ${totals.failed} failed`);
+  } while (cursor);
+
+  console.log(`\n✅ Done. Set storage.backend to "${to}" to start using it.`);
+  return totals;
+}
+
+// Run the migration
+if (require.main === module) {
+  migrateImageStorage()
+    .then(totals => {
+      configService.cleanup();
+      process.exit(totals.failed > 0 ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('❌ Migration failed:', error.message);
+      configService.cleanup();
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateImageStorage };
@@ -0,0 +1,286 @@
+const express = require('express');
+const cameraGroupService = require('../services/cameraGroupService');
+const captureQuotaService = require('../services/captureQuotaService');
+const configService = require('../services/configService');
+const { toggleCameraStatus, toggleAIAnalysisStatus } = require('../services/cameraService');
+const { validateCameraGroup } = cameraGroupService;
+
+const router = express.Router();
+
+// List camera groups
+router.get('/', async (req, res) => {
+  try {
+    const groups = await cameraGroupService.listGroups();
+
+    res.json({
+      success: true,
+      data: groups,
+      count: groups.length
+    });
+  } catch (error) {
+    console.error('Error fetching camera groups:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch camera groups'
+    });
+  }
+});
+
+// Create a camera group
+router.post('/', async (req, res) => {
+  try {
+    const errors = validateCameraGroup(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid camera group',
+        details: errors
+      });
+    }
+
+    const group = await cameraGroupService.createGroup(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Camera group created',
+      data: group
+    });
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(409).json({
+        success: false,
+        error: 'A camera group with this name already exists'
+      });
+    }
+    console.error('Error creating camera group:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create camera group'
+    });
+  }
+});
+
+// Get a camera group with its cameras
+router.get('/:id', async (req, res) => {
+  try {
+    const group = await cameraGroupService.getGroup(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: 'Camera group not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    console.error('Error fetching camera group:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch camera group'
+    });
+  }
+});
+
+// Update a camera group's name, description or cameras
+router.put('/:id', async (req, res) => {
+  try {
+    const errors = validateCameraGroup(req.body, true);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid camera group',
+        details: errors
+      });
+    }
+
+    const group = await cameraGroupService.updateGroup(req.params.id, req.body);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: 'Camera group not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Camera group updated',
+      data: group
+    });
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(409).json({
+        success: false,
+        error: 'A camera group with this name already exists'
+      });
+    }
+    console.error('Error updating camera group:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update camera group'
+    });
+  }
+});
+
+// Delete a camera group; its cameras are not affected
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await cameraGroupService.deleteGroup(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Camera group not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Camera group deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting camera group:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete camera group'
+    });
+  }
+});
+
+// Enable or disable capture, or AI analysis, for every camera in a group
+const toggleGroup = (field, toggle) => async (req, res) => {
+  try {
+    const value = req.body[field];
+
+    if (typeof value !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: `${field} must be a boolean`
+      });
+    }
+
+    const group = await cameraGroupService.getGroup(req.params.id);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: 'Camera group not found'
+      });
+    }
+
+    const cameraIds = group.cameras
+      .filter(camera => !camera.retired_at)
+      .map(camera => camera.camera_id);
+
+    // Check the whole group against the quotas before switching anything on
+    if (value) {
+      const quotaCheck = await captureQuotaService.checkEnable(cameraIds, field);
+
+      if (!quotaCheck.allowed) {
+        return res.status(400).json({
+          success: false,
+          error: `Cannot enable ${group.name}. ${quotaCheck.reason}`,
+          violations: quotaCheck.violations
+        });
+      }
+    }
+
+    const results = [];
+    let successCount = 0;
+
+    for (const cameraId of cameraIds) {
+      try {
+        const result = await toggle(cameraId, value);
+        results.push({ cameraId, success: true, message: result.message });
+        successCount++;
+      } catch (error) {
+        results.push({ cameraId, success: false, error: error.message });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `Updated ${successCount} of ${cameraIds.length} cameras in ${group.name}`,
+      data: {
+        group_id: group.id,
+        [field]: value,
+        total_requested: cameraIds.length,
+        successful_updates: successCount,
+        failed_updates: cameraIds.length - successCount,
+        results
+      }
+    });
+  } catch (error) {
+    console.error(`Error toggling ${field} for camera group:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
+
+router.patch('/:id/toggle', toggleGroup('enabled', toggleCameraStatus));
+router.patch('/:id/toggle-ai-analysis', toggleGroup('ai_analysis_enabled', toggleAIAnalysisStatus));
+
+// Vehicle detection totals for a group, overall and per camera
+router.get('/:id/stats', async (req, res) => {
+  try {
+    const { time_range = '24h' } = req.query;
+    const group = await cameraGroupService.getGroup(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: 'Camera group not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await cameraGroupService.getGroupStats(group.id, time_range)
+    });
+  } catch (error) {
+    console.error('Error fetching camera group stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch camera group statistics'
+    });
+  }
+});
+
+// Vehicle counts over time across a group's cameras
+router.get('/:id/counts-by-minute', async (req, res) => {
+  try {
+    const { hours = 24 } = req.query;
+    const group = await cameraGroupService.getGroup(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: 'Camera group not found'
+      });
+    }
+
+    const aggregationInterval = configService.get('analytics.vehicleCountAggregationInterval', 600000);
+    const result = await cameraGroupService.getGroupCountsByMinute(group.id, hours);
+
+    res.json({
+      success: true,
+      data: result,
+      count: result.length,
+      aggregationInterval: aggregationInterval,
+      intervalMinutes: Math.floor(aggregationInterval / 60000)
+    });
+  } catch (error) {
+    console.error('Error fetching camera group vehicle counts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch camera group vehicle counts'
+    });
+  }
+});
+
+module.exports = router;
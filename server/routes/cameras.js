@@ -1,6 +1,19 @@
 const express = require('express');
-const { runQuery, run } = require('../database/connection');
-const { fetchAllCameras, refreshCameras, toggleCameraStatus, toggleAIAnalysisStatus, getCameraStatus } = require('../services/cameraService');
+const { runQuery, runSingle, run } = require('../database/connection');
+const { fetchAllCameras, refreshCameras, toggleCameraStatus, toggleAIAnalysisStatus, getCameraStatus, setCameraLocation } = require('../services/cameraService');
+const downloadSchedulerService = require('../services/downloadSchedulerService');
+const captureScheduleService = require('../services/captureScheduleService');
+const cameraHealthService = require('../services/cameraHealthService');
+const captureQuotaService = require('../services/captureQuotaService');
+const timelapseService = require('../services/timelapseService');
+const { DETECTOR_TYPES, getDefaultDetectorType, describeDetectors } = require('../services/detectors');
+const promptService = require('../services/promptService');
+const { parseRegionMasks, validateRegionMasks } = require('../services/regionMaskService');
+const { parseLanes, validateLanes, DIRECTIONS } = require('../services/laneService');
+const { recountDetections } = require('../services/geminiService');
+const trackingService = require('../services/trackingService');
+const { validateCaptureSchedule, resolveCaptureInterval, parseCaptureWindows } = captureScheduleService;
+const { validateTimelapseRequest } = timelapseService;
 const axios = require('axios'); // Added axios for the new endpoint
 
 const router = express.Router();
@@ -8,9 +21,15 @@ const router = express.Router();
 // Get all cameras from database
 router.get('/', async (req, res) => {
   try {
+    // Retired cameras are hidden unless explicitly requested
+    const includeRetired = req.query.include_retired === 'true';
+    
     const result = await runQuery(`
-      SELECT * FROM cameras 
-      ORDER BY name ASC
+      SELECT c.*, h.state as health_state, h.reason as health_reason, h.state_changed_at as health_changed_at
+      FROM cameras c
+      LEFT JOIN camera_health h ON h.camera_id = c.camera_id
+      ${includeRetired ? '' : 'WHERE c.retired_at IS NULL'}
+      ORDER BY c.name ASC
     `);
     
     res.json({
@@ -27,26 +46,12 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get camera limits and status
+// Get capture and AI quotas with current usage
 router.get('/limits/status', async (req, res) => {
   try {
-    const enabledCount = await runQuery('SELECT COUNT(*) as count FROM cameras WHERE enabled = 1');
-    const totalCount = await runQuery('SELECT COUNT(*) as count FROM cameras');
-    
-    const currentEnabled = enabledCount[0]?.count || 0;
-    const totalCameras = totalCount[0]?.count || 0;
-    const maxEnabled = 5;
-    const remainingSlots = Math.max(0, maxEnabled - currentEnabled);
-    
     res.json({
       success: true,
-      data: {
-        current_enabled: currentEnabled,
-        total_cameras: totalCameras,
-        max_enabled: maxEnabled,
-        remaining_slots: remainingSlots,
-        can_enable_more: remainingSlots > 0
-      }
+      data: await captureQuotaService.getStatus()
     });
   } catch (error) {
     console.error('Error getting camera limits:', error);
@@ -57,6 +62,152 @@ router.get('/limits/status', async (req, res) => {
   }
 });
 
+// Estimate daily images, disk growth and Gemini calls before enabling more cameras
+router.post('/capacity/estimate', async (req, res) => {
+  try {
+    const { enable = [], enable_ai = [] } = req.body;
+    
+    if (!Array.isArray(enable) || !Array.isArray(enable_ai)) {
+      return res.status(400).json({
+        success: false,
+        error: 'enable and enable_ai must be arrays of camera IDs'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: await captureQuotaService.estimateCapacity({ enable, enableAi: enable_ai })
+    });
+  } catch (error) {
+    console.error('Error estimating capacity:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to estimate capacity'
+    });
+  }
+});
+
+// Get recent image download attempts
+router.get('/downloads/attempts', async (req, res) => {
+  try {
+    const { camera_id, status, limit = 100 } = req.query;
+    
+    const attempts = await downloadSchedulerService.getRecentAttempts({
+      cameraId: camera_id,
+      status,
+      limit: parseInt(limit)
+    });
+    
+    res.json({
+      success: true,
+      data: attempts,
+      count: attempts.length
+    });
+  } catch (error) {
+    console.error('Error fetching download attempts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch download attempts'
+    });
+  }
+});
+
+// Get per-camera download statistics and the last scheduler run
+router.get('/downloads/summary', async (req, res) => {
+  try {
+    const { hours = 24 } = req.query;
+    const summary = await downloadSchedulerService.getSummary(parseInt(hours));
+    
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error fetching download summary:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch download summary'
+    });
+  }
+});
+
+// Get the capture schedule state of every enabled camera
+router.get('/schedules/status', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: captureScheduleService.getState()
+    });
+  } catch (error) {
+    console.error('Error fetching capture schedules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch capture schedules'
+    });
+  }
+});
+
+// Get the catalog change history (added, modified, restored, removed cameras)
+router.get('/changes', async (req, res) => {
+  try {
+    const { camera_id, change_type, limit = 100 } = req.query;
+    const conditions = [];
+    const params = [];
+    
+    if (camera_id) {
+      conditions.push('cc.camera_id = ?');
+      params.push(camera_id);
+    }
+    if (change_type) {
+      conditions.push('cc.change_type = ?');
+      params.push(change_type);
+    }
+    params.push(parseInt(limit));
+    
+    const changes = await runQuery(`
+      SELECT cc.*, c.name
+      FROM camera_changes cc
+      LEFT JOIN cameras c ON c.camera_id = cc.camera_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY cc.id DESC
+      LIMIT ?
+    `, params);
+    
+    res.json({
+      success: true,
+      data: changes.map(change => ({
+        ...change,
+        changes: change.changes ? JSON.parse(change.changes) : null
+      })),
+      count: changes.length
+    });
+  } catch (error) {
+    console.error('Error fetching camera changes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch camera changes'
+    });
+  }
+});
+
+// Get the health state of every tracked camera
+router.get('/health', async (req, res) => {
+  try {
+    const health = await cameraHealthService.getAllHealth();
+    
+    res.json({
+      success: true,
+      data: health
+    });
+  } catch (error) {
+    console.error('Error fetching camera health:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch camera health'
+    });
+  }
+});
+
 // Get a specific camera by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -87,7 +238,7 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Refresh cameras from MIDOT API
+// Refresh cameras from the configured camera sources
 router.post('/refresh', async (req, res) => {
   try {
     console.log('Camera refresh endpoint called');
@@ -98,7 +249,10 @@ router.post('/refresh', async (req, res) => {
       message: `Successfully refreshed ${result.processed} cameras`,
       count: result.processed,
       total: result.total,
-      errors: result.errors
+      errors: result.errors,
+      sources: result.sources,
+      changes: result.changes,
+      location_lookup: result.location_lookup
     });
   } catch (error) {
     console.error('Error refreshing cameras:', error);
@@ -213,15 +367,15 @@ router.patch('/bulk-toggle', async (req, res) => {
     
     console.log(`Bulk ${enabled ? 'enabling' : 'disabling'} ${cameraIds.length} cameras...`);
     
-    // If enabling, check if we would exceed the 5 camera limit
+    // If enabling, check the whole batch against the capture quotas first
     if (enabled) {
-      const currentEnabled = await runQuery('SELECT COUNT(*) as count FROM cameras WHERE enabled = 1');
-      const currentCount = currentEnabled[0]?.count || 0;
+      const quotaCheck = await captureQuotaService.checkEnable(cameraIds, 'enabled');
       
-      if (currentCount + cameraIds.length > 5) {
+      if (!quotaCheck.allowed) {
         return res.status(400).json({
           success: false,
-          error: `Cannot enable ${cameraIds.length} cameras. Currently ${currentCount} are enabled, and maximum is 5.`
+          error: `Cannot enable ${cameraIds.length} cameras. ${quotaCheck.reason}`,
+          violations: quotaCheck.violations
         });
       }
     }
@@ -261,104 +415,853 @@ router.patch('/bulk-toggle', async (req, res) => {
   }
 });
 
-// Get camera status
-router.get('/:id/status', async (req, res) => {
+// Get a camera's capture schedule
+router.get('/:id/schedule', async (req, res) => {
   try {
     const { id } = req.params;
-    const enabled = await getCameraStatus(id);
+    const camera = await runSingle(
+      'SELECT camera_id, enabled, capture_interval, capture_windows FROM cameras WHERE camera_id = ?',
+      [id]
+    );
+    
+    if (!camera) {
+      return res.status(404).json({
+        success: false,
+        error: 'Camera not found'
+      });
+    }
+    
+    const { interval, window } = resolveCaptureInterval(camera);
     
     res.json({
       success: true,
-      data: { camera_id: id, enabled }
+      data: {
+        camera_id: camera.camera_id,
+        capture_interval: camera.capture_interval,
+        capture_windows: parseCaptureWindows(camera.capture_windows),
+        current_interval: camera.enabled ? interval : 0,
+        active_window: window,
+        state: captureScheduleService.getState(id)
+      }
     });
   } catch (error) {
-    console.error('Error getting camera status:', error);
+    console.error('Error fetching camera schedule:', error);
     res.status(500).json({
       success: false,
-      error: 'Internal server error'
+      error: 'Failed to fetch camera schedule'
     });
   }
 });
 
-// Get camera statistics
-router.get('/stats/summary', async (req, res) => {
+// Update a camera's capture schedule
+router.put('/:id/schedule', async (req, res) => {
   try {
-    const statsResult = await runQuery(`
-      SELECT 
-        COUNT(*) as total_cameras,
-        COUNT(DISTINCT county) as total_counties,
-        COUNT(DISTINCT road_name) as total_roads
-      FROM cameras
-    `);
+    const { id } = req.params;
+    const { capture_interval = null, capture_windows = [] } = req.body;
     
-    const recentImagesResult = await runQuery(`
-      SELECT 
-        COUNT(*) as total_images,
-        COUNT(CASE WHEN has_changed = 1 THEN 1 END) as changed_images,
-        MAX(created_at) as last_update
-      FROM images
-      WHERE created_at >= datetime('now', '-24 hours')
-    `);
+    const errors = validateCaptureSchedule({ capture_interval, capture_windows });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid capture schedule',
+        details: errors
+      });
+    }
+    
+    const result = await run(`
+      UPDATE cameras SET capture_interval = ?, capture_windows = ?, updated_at = datetime('now')
+      WHERE camera_id = ?
+    `, [capture_interval, JSON.stringify(capture_windows || []), id]);
+    
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Camera not found'
+      });
+    }
+    
+    captureScheduleService.reschedule(id);
+    
+    res.json({
+      success: true,
+      message: 'Capture schedule updated',
+      data: { camera_id: id, capture_interval, capture_windows: capture_windows || [] }
+    });
+  } catch (error) {
+    console.error('Error updating camera schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update camera schedule'
+    });
+  }
+});
+
+// Get the detector a camera's images are analyzed with
+router.get('/:id/detector', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const camera = await runSingle('SELECT camera_id, detector FROM cameras WHERE camera_id = ?', [id]);
+    
+    if (!camera) {
+      return res.status(404).json({
+        success: false,
+        error: 'Camera not found'
+      });
+    }
     
     res.json({
       success: true,
       data: {
-        cameras: statsResult[0],
-        images: recentImagesResult[0]
+        camera_id: camera.camera_id,
+        detector: camera.detector,
+        default_detector: getDefaultDetectorType(),
+        detectors: describeDetectors()
       }
     });
   } catch (error) {
-    console.error('Error fetching camera stats:', error);
+    console.error('Error fetching camera detector:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch camera statistics'
+      error: 'Failed to fetch camera detector'
     });
   }
 });
 
-// Manual trigger for camera image updates
-router.post('/update-images', async (req, res) => {
+// Choose a camera's detector; null uses the global `ai.detector`
+router.put('/:id/detector', async (req, res) => {
   try {
-    console.log('Manual camera image update triggered...');
+    const { id } = req.params;
+    const { detector = null } = req.body;
     
-    // Import the updateCameraImages function
-    const { updateCameraImages } = require('../services/cameraService');
+    if (detector !== null && !DETECTOR_TYPES[detector]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid detector',
+        details: [`detector must be null or one of: ${Object.keys(DETECTOR_TYPES).join(', ')}`]
+      });
+    }
+    
+    const result = await run(`
+      UPDATE cameras SET detector = ?, updated_at = datetime('now')
+      WHERE camera_id = ?
+    `, [detector, id]);
     
-    await updateCameraImages();
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Camera not found'
+      });
+    }
     
     res.json({
       success: true,
-      message: 'Camera image update completed successfully'
+      message: 'Camera detector updated',
+      data: { camera_id: id, detector, default_detector: getDefaultDetectorType() }
     });
   } catch (error) {
-    console.error('Manual camera update failed:', error);
+    console.error('Error updating camera detector:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update camera images'
+      error: 'Failed to update camera detector'
     });
   }
 });
 
-// Bulk toggle AI analysis status for multiple cameras
-router.patch('/bulk-toggle-ai-analysis', async (req, res) => {
+// Get a camera's region masks
+router.get('/:id/region-masks', async (req, res) => {
   try {
-    const { cameraIds, ai_analysis_enabled } = req.body;
+    const { id } = req.params;
+    const camera = await runSingle('SELECT camera_id, region_masks FROM cameras WHERE camera_id = ?', [id]);
     
-    if (!Array.isArray(cameraIds) || typeof ai_analysis_enabled !== 'boolean') {
-      return res.status(400).json({
+    if (!camera) {
+      return res.status(404).json({
         success: false,
-        error: 'cameraIds must be an array and ai_analysis_enabled must be a boolean'
+        error: 'Camera not found'
       });
     }
     
-    if (cameraIds.length === 0) {
+    res.json({
+      success: true,
+      data: {
+        camera_id: camera.camera_id,
+        region_masks: parseRegionMasks(camera.region_masks)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching camera region masks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch camera region masks'
+    });
+  }
+});
+
+// Replace a camera's region masks; they apply to detections stored from now on
+router.put('/:id/region-masks', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { region_masks = [] } = req.body;
+    
+    const errors = validateRegionMasks(region_masks);
+    if (errors.length > 0) {
       return res.status(400).json({
         success: false,
-        error: 'cameraIds array cannot be empty'
+        error: 'Invalid region masks',
+        details: errors
       });
     }
     
-    console.log(`Bulk ${ai_analysis_enabled ? 'enabling' : 'disabling'} AI analysis for ${cameraIds.length} cameras...`);
+    const result = await run(`
+      UPDATE cameras SET region_masks = ?, updated_at = datetime('now')
+      WHERE camera_id = ?
+    `, [JSON.stringify(region_masks), id]);
+    
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Camera not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Camera region masks updated',
+      data: { camera_id: id, region_masks }
+    });
+  } catch (error) {
+    console.error('Error updating camera region masks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update camera region masks'
+    });
+  }
+});
+
+// Recount a camera's stored detections with its current region masks and lanes
+const recountCameraDetections = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const camera = await runSingle('SELECT camera_id FROM cameras WHERE camera_id = ?', [id]);
+    
+    if (!camera) {
+      return res.status(404).json({
+        success: false,
+        error: 'Camera not found'
+      });
+    }
+    
+    // Optional capture time range, stored as SQLite UTC datetimes
+    const range = {};
+    for (const field of ['from', 'to']) {
+      const value = req.body[field];
+      if (value === undefined || value === null || value === '') continue;
+      
+      const date = new Date(value);
+      if (isNaN(date)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid time range',
+          details: [`${field} must be a date`]
+        });
+      }
+      range[field] = date.toISOString().replace('T', ' ').slice(0, 19);
+    }
+    
+    const summary = await recountDetections(id, range);
+    
+    res.json({
+      success: true,
+      message: `Recounted ${summary.detections} detections`,
+      data: { camera_id: id, ...summary }
+    });
+  } catch (error) {
+    console.error('Error recounting camera detections:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to recount camera detections'
+    });
+  }
+};
+
+router.post('/:id/region-masks/reapply', recountCameraDetections);
+
+// Get a camera's lanes
+router.get('/:id/lanes', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const camera = await runSingle('SELECT camera_id, lanes FROM cameras WHERE camera_id = ?', [id]);
+    
+    if (!camera) {
+      return res.status(404).json({
+        success: false,
+        error: 'Camera not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        camera_id: camera.camera_id,
+        lanes: parseLanes(camera.lanes),
+        directions: DIRECTIONS
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching camera lanes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch camera lanes'
+    });
+  }
+});
+
+// Replace a camera's lanes; they apply to detections stored from now on
+router.put('/:id/lanes', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { lanes = [] } = req.body;
+    
+    const errors = validateLanes(lanes);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid lanes',
+        details: errors
+      });
+    }
+    
+    const result = await run(`
+      UPDATE cameras SET lanes = ?, updated_at = datetime('now')
+      WHERE camera_id = ?
+    `, [JSON.stringify(lanes), id]);
+    
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Camera not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Camera lanes updated',
+      data: { camera_id: id, lanes }
+    });
+  } catch (error) {
+    console.error('Error updating camera lanes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update camera lanes'
+    });
+  }
+});
+
+router.post('/:id/lanes/reapply', recountCameraDetections);
+
+// List a camera's vehicle tracks, most recently seen first
+router.get('/:id/tracks', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const camera = await runSingle('SELECT camera_id FROM cameras WHERE camera_id = ?', [id]);
+    
+    if (!camera) {
+      return res.status(404).json({
+        success: false,
+        error: 'Camera not found'
+      });
+    }
+    
+    const tracks = await trackingService.getTracks(id, {
+      hours: Math.min(parseFloat(req.query.hours) || 24, 720),
+      stalled: req.query.stalled === 'true',
+      minFrames: parseInt(req.query.min_frames) || 1,
+      limit: Math.min(parseInt(req.query.limit) || 100, 500)
+    });
+    
+    res.json({
+      success: true,
+      data: tracks,
+      count: tracks.length
+    });
+  } catch (error) {
+    console.error('Error fetching vehicle tracks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch vehicle tracks'
+    });
+  }
+});
+
+// Track all of a camera's detections again in capture order
+router.post('/:id/tracks/rebuild', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const camera = await runSingle('SELECT camera_id FROM cameras WHERE camera_id = ?', [id]);
+    
+    if (!camera) {
+      return res.status(404).json({
+        success: false,
+        error: 'Camera not found'
+      });
+    }
+    
+    const summary = await trackingService.rebuildTracks(id);
+    
+    res.json({
+      success: true,
+      message: `Tracked ${summary.detections} detections`,
+      data: { camera_id: id, ...summary }
+    });
+  } catch (error) {
+    console.error('Error rebuilding vehicle tracks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rebuild vehicle tracks'
+    });
+  }
+});
+
+// Get a track with its box in each frame
+router.get('/:id/tracks/:trackId', async (req, res) => {
+  try {
+    const track = await trackingService.getTrack(req.params.trackId);
+    
+    if (!track || track.camera_id !== req.params.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Track not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: track
+    });
+  } catch (error) {
+    console.error('Error fetching vehicle track:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch vehicle track'
+    });
+  }
+});
+
+// Get the detection prompt a camera's images are analyzed with
+router.get('/:id/prompt', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const camera = await runSingle('SELECT camera_id, prompt_id FROM cameras WHERE camera_id = ?', [id]);
+    
+    if (!camera) {
+      return res.status(404).json({
+        success: false,
+        error: 'Camera not found'
+      });
+    }
+    
+    const [prompts, current] = await Promise.all([
+      promptService.listPrompts(),
+      promptService.resolvePrompt(id)
+    ]);
+    
+    res.json({
+      success: true,
+      data: {
+        camera_id: camera.camera_id,
+        prompt_id: camera.prompt_id,
+        current,
+        prompts
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching camera prompt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch camera prompt'
+    });
+  }
+});
+
+// Choose a camera's detection prompt; null uses the default prompt
+router.put('/:id/prompt', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { prompt_id = null } = req.body;
+    
+    if (prompt_id !== null && !(await promptService.getPrompt(prompt_id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid prompt',
+        details: ['prompt_id must be null or the ID of an existing prompt']
+      });
+    }
+    
+    const result = await run(`
+      UPDATE cameras SET prompt_id = ?, updated_at = datetime('now')
+      WHERE camera_id = ?
+    `, [prompt_id, id]);
+    
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Camera not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Camera prompt updated',
+      data: { camera_id: id, prompt_id, current: await promptService.resolvePrompt(id) }
+    });
+  } catch (error) {
+    console.error('Error updating camera prompt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update camera prompt'
+    });
+  }
+});
+
+// Get a camera's health state and recent state changes
+router.get('/:id/health', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { events = 20 } = req.query;
+    
+    const camera = await runSingle('SELECT camera_id FROM cameras WHERE camera_id = ?', [id]);
+    if (!camera) {
+      return res.status(404).json({
+        success: false,
+        error: 'Camera not found'
+      });
+    }
+    
+    const health = await cameraHealthService.getHealth(id, parseInt(events));
+    
+    res.json({
+      success: true,
+      // Cameras that have never been captured have no health record yet
+      data: health || { camera_id: id, state: null, reason: 'No captures yet', events: [] }
+    });
+  } catch (error) {
+    console.error('Error fetching camera health:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch camera health'
+    });
+  }
+});
+
+// Start rendering a timelapse of a camera's stored frames (or return the matching job)
+router.get('/:id/timelapse', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const camera = await runSingle('SELECT camera_id FROM cameras WHERE camera_id = ?', [id]);
+    if (!camera) {
+      return res.status(404).json({
+        success: false,
+        error: 'Camera not found'
+      });
+    }
+    
+    const { errors, params } = validateTimelapseRequest(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid timelapse request',
+        details: errors
+      });
+    }
+    
+    const { job, created } = await timelapseService.requestTimelapse(id, params);
+    
+    // 202 until the file is ready to download
+    res.status(job.status === 'completed' ? 200 : 202).json({
+      success: true,
+      message: created ? 'Timelapse queued' : `Timelapse already ${job.status}`,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error requesting timelapse:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to request timelapse'
+    });
+  }
+});
+
+// List a camera's timelapses, newest first
+router.get('/:id/timelapses', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { limit = 20 } = req.query;
+    
+    const jobs = await timelapseService.listJobs(id, parseInt(limit));
+    
+    res.json({
+      success: true,
+      data: jobs,
+      count: jobs.length
+    });
+  } catch (error) {
+    console.error('Error fetching timelapses:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch timelapses'
+    });
+  }
+});
+
+// Find a timelapse job belonging to the camera in the URL
+const findTimelapse = async (req, res) => {
+  const job = await timelapseService.getJob(parseInt(req.params.jobId));
+  
+  if (!job || job.camera_id !== req.params.id) {
+    res.status(404).json({
+      success: false,
+      error: 'Timelapse not found'
+    });
+    return null;
+  }
+  
+  return job;
+};
+
+// Get a timelapse job's status and progress
+router.get('/:id/timelapses/:jobId', async (req, res) => {
+  try {
+    const job = await findTimelapse(req, res);
+    if (!job) return;
+    
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error fetching timelapse:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch timelapse'
+    });
+  }
+});
+
+// Download a finished timelapse
+router.get('/:id/timelapses/:jobId/download', async (req, res) => {
+  try {
+    const job = await findTimelapse(req, res);
+    if (!job) return;
+    
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        error: `Timelapse is ${job.status}`,
+        data: job
+      });
+    }
+    
+    res.type(timelapseService.getContentType(job));
+    res.download(timelapseService.getFilePath(job), job.file_name, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          error: 'Timelapse file not found'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Error downloading timelapse:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download timelapse'
+    });
+  }
+});
+
+// Delete a timelapse and its file
+router.delete('/:id/timelapses/:jobId', async (req, res) => {
+  try {
+    const job = await findTimelapse(req, res);
+    if (!job) return;
+    
+    if (!(await timelapseService.deleteJob(job))) {
+      return res.status(409).json({
+        success: false,
+        error: 'Timelapse is still rendering'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Timelapse deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting timelapse:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete timelapse'
+    });
+  }
+});
+
+// Manually set a camera's coordinates, or clear the override with null values
+router.put('/:id/location', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { latitude = null, longitude = null } = req.body;
+    const clearing = latitude === null && longitude === null;
+    
+    if (!clearing && (
+      typeof latitude !== 'number' || typeof longitude !== 'number' ||
+      Math.abs(latitude) > 90 || Math.abs(longitude) > 180
+    )) {
+      return res.status(400).json({
+        success: false,
+        error: 'latitude (-90 to 90) and longitude (-180 to 180) must both be numbers, or both null to clear the override'
+      });
+    }
+    
+    const updated = await setCameraLocation(id, clearing ? null : { latitude, longitude });
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Camera not found'
+      });
+    }
+    
+    const camera = await runSingle(
+      'SELECT camera_id, latitude, longitude, milepost, route, location_source, location_fetched_at FROM cameras WHERE camera_id = ?',
+      [id]
+    );
+    
+    res.json({
+      success: true,
+      message: clearing ? 'Location override cleared' : 'Location updated',
+      data: camera
+    });
+  } catch (error) {
+    console.error('Error updating camera location:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update camera location'
+    });
+  }
+});
+
+// Get camera status
+router.get('/:id/status', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const enabled = await getCameraStatus(id);
+    
+    res.json({
+      success: true,
+      data: { camera_id: id, enabled }
+    });
+  } catch (error) {
+    console.error('Error getting camera status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Get camera statistics
+router.get('/stats/summary', async (req, res) => {
+  try {
+    const statsResult = await runQuery(`
+      SELECT 
+        COUNT(CASE WHEN retired_at IS NULL THEN 1 END) as total_cameras,
+        COUNT(CASE WHEN retired_at IS NOT NULL THEN 1 END) as retired_cameras,
+        COUNT(DISTINCT county) as total_counties,
+        COUNT(DISTINCT road_name) as total_roads
+      FROM cameras
+    `);
+    
+    const recentImagesResult = await runQuery(`
+      SELECT 
+        COUNT(*) as total_images,
+        COUNT(CASE WHEN has_changed = 1 THEN 1 END) as changed_images,
+        MAX(created_at) as last_update
+      FROM images
+      WHERE created_at >= datetime('now', '-24 hours')
+    `);
+    
+    res.json({
+      success: true,
+      data: {
+        cameras: statsResult[0],
+        images: recentImagesResult[0]
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching camera stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch camera statistics'
+    });
+  }
+});
+
+// Manual trigger for camera image updates
+router.post('/update-images', async (req, res) => {
+  try {
+    console.log('Manual camera image update triggered...');
+    
+    // Import the updateCameraImages function
+    const { updateCameraImages } = require('../services/cameraService');
+    
+    const summary = await updateCameraImages();
+    
+    res.json({
+      success: true,
+      message: summary ? 'Camera image update completed successfully' : 'No cameras were captured',
+      data: summary
+    });
+  } catch (error) {
+    console.error('Manual camera update failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update camera images'
+    });
+  }
+});
+
+// Bulk toggle AI analysis status for multiple cameras
+router.patch('/bulk-toggle-ai-analysis', async (req, res) => {
+  try {
+    const { cameraIds, ai_analysis_enabled } = req.body;
+    
+    if (!Array.isArray(cameraIds) || typeof ai_analysis_enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'cameraIds must be an array and ai_analysis_enabled must be a boolean'
+      });
+    }
+    
+    if (cameraIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'cameraIds array cannot be empty'
+      });
+    }
+    
+    console.log(`Bulk ${ai_analysis_enabled ? 'enabling' : 'disabling'} AI analysis for ${cameraIds.length} cameras...`);
+    
+    // If enabling, check the whole batch against the AI quotas first
+    if (ai_analysis_enabled) {
+      const quotaCheck = await captureQuotaService.checkEnable(cameraIds, 'ai_analysis_enabled');
+      
+      if (!quotaCheck.allowed) {
+        return res.status(400).json({
+          success: false,
+          error: `Cannot enable AI analysis for ${cameraIds.length} cameras. ${quotaCheck.reason}`,
+          violations: quotaCheck.violations
+        });
+      }
+    }
     
     // Update cameras one by one to handle individual failures
     const results = [];
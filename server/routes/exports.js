@@ -0,0 +1,146 @@
+const express = require('express');
+const datasetExportService = require('../services/datasetExportService');
+const { validateDatasetExport, DATASET_CLASSES } = datasetExportService;
+
+const router = express.Router();
+
+// Start a training dataset export (COCO or YOLO zip)
+router.post('/dataset', async (req, res) => {
+  try {
+    const { errors, filters } = validateDatasetExport(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid dataset export',
+        details: errors
+      });
+    }
+
+    const job = await datasetExportService.createExport(req.body.format, filters);
+
+    res.status(202).json({
+      success: true,
+      message: 'Dataset export queued',
+      data: job
+    });
+  } catch (error) {
+    console.error('Error starting dataset export:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start dataset export'
+    });
+  }
+});
+
+// List dataset exports, newest first
+router.get('/dataset', async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+    const jobs = await datasetExportService.listExports(parseInt(limit));
+
+    res.json({
+      success: true,
+      data: jobs,
+      count: jobs.length,
+      classes: DATASET_CLASSES
+    });
+  } catch (error) {
+    console.error('Error fetching dataset exports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch dataset exports'
+    });
+  }
+});
+
+const findExport = async (req, res) => {
+  const job = await datasetExportService.getExport(parseInt(req.params.id));
+
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      error: 'Dataset export not found'
+    });
+    return null;
+  }
+
+  return job;
+};
+
+// Get a dataset export's status and progress
+router.get('/dataset/:id', async (req, res) => {
+  try {
+    const job = await findExport(req, res);
+    if (!job) return;
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error fetching dataset export:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch dataset export'
+    });
+  }
+});
+
+// Download a finished dataset export
+router.get('/dataset/:id/download', async (req, res) => {
+  try {
+    const job = await findExport(req, res);
+    if (!job) return;
+
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        error: `Dataset export is ${job.status}`,
+        data: job
+      });
+    }
+
+    res.download(datasetExportService.getFilePath(job), job.file_name, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          error: 'Dataset export file not found'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Error downloading dataset export:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download dataset export'
+    });
+  }
+});
+
+// Delete a dataset export and its file
+router.delete('/dataset/:id', async (req, res) => {
+  try {
+    const job = await findExport(req, res);
+    if (!job) return;
+
+    if (!(await datasetExportService.deleteExport(job))) {
+      return res.status(409).json({
+        success: false,
+        error: 'Dataset export is still running'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Dataset export deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting dataset export:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete dataset export'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
-const path = require('path');
-const fs = require('fs-extra');
 const { runQuery } = require('../database/connection');
+const imageCompressionService = require('../services/imageCompressionService');
+const { getImageStorage } = require('../services/imageStorage');
+const { QUALITY_FLAGS } = require('../services/imageQualityService');
 
 const router = express.Router();
 
@@ -43,10 +44,28 @@ router.get('/camera/:cameraId', async (req, res) => {
   }
 });
 
-// Get recent images across all cameras
+// Get recent images across all cameras. Optional filters: camera_id,
+// date_from/date_to, min_quality (0-100) and quality_issue ('none', 'any' or a flag)
 router.get('/recent', async (req, res) => {
   try {
-    const { limit = 20, changed_only = false } = req.query;
+    const {
+      limit = 20,
+      offset = 0,
+      changed_only = false,
+      camera_id,
+      date_from,
+      date_to,
+      min_quality,
+      quality_issue
+    } = req.query;
+    
+    if (quality_issue && !['none', 'any', ...QUALITY_FLAGS].includes(quality_issue)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid quality filter',
+        details: [`quality_issue must be none, any or one of: ${QUALITY_FLAGS.join(', ')}`]
+      });
+    }
     
     let query = `
       SELECT 
@@ -63,13 +82,43 @@ router.get('/recent', async (req, res) => {
       LEFT JOIN vehicle_detections vd ON i.id = vd.image_id
     `;
     
+    const conditions = [];
+    const params = [];
+    
     if (changed_only === 'true') {
-      query += ' WHERE i.has_changed = 1';
+      conditions.push('i.has_changed = 1');
+    }
+    if (camera_id) {
+      conditions.push('i.camera_id = ?');
+      params.push(camera_id);
+    }
+    for (const [value, operator] of [[date_from, '>='], [date_to, '<=']]) {
+      const date = value ? new Date(value) : null;
+      if (date && !isNaN(date)) {
+        conditions.push(`i.created_at ${operator} ?`);
+        params.push(date.toISOString().replace('T', ' ').slice(0, 19));
+      }
+    }
+    if (min_quality !== undefined && min_quality !== '' && !isNaN(Number(min_quality))) {
+      conditions.push('i.quality_score >= ?');
+      params.push(Number(min_quality));
+    }
+    if (quality_issue === 'none') {
+      conditions.push("i.quality_flags = ''");
+    } else if (quality_issue === 'any') {
+      conditions.push("i.quality_flags <> ''");
+    } else if (quality_issue) {
+      conditions.push("(',' || i.quality_flags || ',') LIKE ?");
+      params.push(`%,${quality_issue},%`);
     }
     
-    query += ' ORDER BY i.created_at DESC LIMIT ?';
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(' AND ')}`;
+    }
     
-    const result = await runQuery(query, [parseInt(limit)]);
+    query += ' ORDER BY i.created_at DESC LIMIT ? OFFSET ?';
+    
+    const result = await runQuery(query, [...params, parseInt(limit), parseInt(offset)]);
     
     res.json({
       success: true,
@@ -129,11 +178,14 @@ router.get('/comparison/:cameraId', async (req, res) => {
   }
 });
 
-// Serve local image files
-router.get('/file/:filename', (req, res) => {
+// Stored images never change once written, so browsers may cache them for good
+const IMAGE_CACHE_OPTIONS = { maxAge: '1y', immutable: true };
+const IMAGE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// Serve a stored image, optionally resized or re-encoded (?w=320&format=webp)
+router.get('/file/:filename', async (req, res) => {
   try {
     const { filename } = req.params;
-    const imagePath = path.join(__dirname, '../storage/images', filename);
     
     // Basic security check - ensure filename doesn't contain path traversal
     if (filename.includes('..') || filename.includes('/')) {
@@ -143,15 +195,55 @@ router.get('/file/:filename', (req, res) => {
       });
     }
     
-    res.sendFile(imagePath, (err) => {
-      if (err) {
-        console.error('Error serving image file:', err);
-        res.status(404).json({
+    if (req.query.w !== undefined || req.query.format !== undefined) {
+      const variant = imageCompressionService.resolveVariant(req.query);
+      if (variant.error) {
+        return res.status(400).json({
+          success: false,
+          error: variant.error
+        });
+      }
+      
+      const cached = await imageCompressionService.getVariant(filename, variant);
+      if (!cached) {
+        return res.status(404).json({
           success: false,
           error: 'Image file not found'
         });
       }
+      
+      // Variants live on local disk; sendFile adds ETag/Last-Modified and answers 304s
+      return res.sendFile(cached.path, IMAGE_CACHE_OPTIONS);
+    }
+    
+    // Originals come from the storage backend, which may not be local disk
+    const storage = getImageStorage();
+    const stats = await storage.stat(filename);
+    if (!stats) {
+      return res.status(404).json({
+        success: false,
+        error: 'Image file not found'
+      });
+    }
+    
+    res.set({
+      'Content-Type': 'image/jpeg',
+      'Cache-Control': IMAGE_CACHE_CONTROL,
+      'ETag': stats.etag,
+      'Last-Modified': stats.lastModified.toUTCString()
     });
+    
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    
+    res.set('Content-Length', stats.size);
+    const stream = await storage.stream(filename);
+    stream.on('error', (error) => {
+      console.error('Error streaming image file:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
   } catch (error) {
     console.error('Error serving image file:', error);
     res.status(500).json({
@@ -220,19 +312,27 @@ router.delete('/all', async (req, res) => {
     // Delete from database first
     await runQuery('DELETE FROM images');
     
-    // Delete all image files from storage
-    const storageDir = path.join(__dirname, '../storage/images');
+    // Delete each image, its uncompressed original and cached variants from storage
+    const storage = getImageStorage();
     let deletedFiles = 0;
     
     for (const image of images) {
-      if (image.local_path && fs.existsSync(image.local_path)) {
+      const keys = [image.local_path];
+      if (image.local_path.endsWith('_compressed.jpg')) {
+        keys.push(image.local_path.replace(/_compressed\.jpg$/, '.jpg'));
+      }
+      
+      for (const key of keys) {
         try {
-          await fs.remove(image.local_path);
-          deletedFiles++;
+          if (await storage.exists(key)) {
+            await storage.delete(key);
+            deletedFiles++;
+          }
         } catch (fileError) {
-          console.error(`Failed to delete file: ${image.local_path}`, fileError);
+          console.error(`Failed to delete file: ${key}`, fileError);
         }
       }
+      await imageCompressionService.removeVariants(image.local_path);
     }
     
     console.log(`Deleted ${images.length} image records and ${deletedFiles} image files`);
@@ -282,9 +382,12 @@ router.get('/:id/vehicle-detection', async (req, res) => {
     
     // Get vehicle detection data
     const detectionResult = await runQuery(`
-      SELECT * FROM vehicle_detections 
-      WHERE image_id = ?
-      ORDER BY created_at DESC
+      SELECT vd.*, p.name as prompt_name, pv.version as prompt_version
+      FROM vehicle_detections vd
+      LEFT JOIN detection_prompt_versions pv ON pv.id = vd.prompt_version_id
+      LEFT JOIN detection_prompts p ON p.id = pv.prompt_id
+      WHERE vd.image_id = ?
+      ORDER BY vd.created_at DESC
       LIMIT 1
     `, [id])
     
@@ -297,10 +400,23 @@ router.get('/:id/vehicle-detection', async (req, res) => {
     
     const detection = detectionResult[0]
     
-    // Get bounding boxes for this detection (including invalid ones for debugging)
+    // Get bounding boxes for this detection (including invalid ones for debugging),
+    // with how long each box's track had been seen by this frame
     const boundingBoxes = await runQuery(`
-      SELECT vehicle_type, x_min, y_min, x_max, y_max, confidence_score, is_valid
-      FROM vehicle_bounding_boxes 
+      SELECT b.vehicle_type, b.x_min, b.y_min, b.x_max, b.y_max, b.confidence_score, b.is_valid, b.in_roi,
+        b.lane, b.direction, b.track_id, b.is_stalled,
+        CAST(ROUND((julianday(i.captured_at) - julianday(t.first_seen_at)) * 86400) AS INTEGER) as dwell_seconds
+      FROM vehicle_bounding_boxes b
+      JOIN images i ON i.id = b.image_id
+      LEFT JOIN vehicle_tracks t ON t.id = b.track_id
+      WHERE b.vehicle_detection_id = ?
+      ORDER BY b.id
+    `, [detection.id])
+    
+    // Counted vehicles per lane, for cameras with lanes
+    const laneCounts = await runQuery(`
+      SELECT lane, direction, vehicle_count
+      FROM vehicle_lane_counts
       WHERE vehicle_detection_id = ?
       ORDER BY id
     `, [detection.id])
@@ -316,7 +432,8 @@ router.get('/:id/vehicle-detection', async (req, res) => {
     // Combine the data
     const responseData = {
       ...detection,
-      bounding_boxes: boundingBoxes
+      bounding_boxes: boundingBoxes,
+      lane_counts: laneCounts
     }
     
     console.log('Final response data:', {
@@ -414,7 +531,7 @@ router.post('/:id/analyze', async (req, res) => {
         local_path: image.local_path
       }
       
-      const queueResult = await queueImageForAnalysis(imageRecord)
+      const queueResult = await queueImageForAnalysis(imageRecord, { skipQualityCheck: true })
       console.log(`Queue result for image ${id}:`, queueResult)
       
       if (!queueResult) {
@@ -0,0 +1,287 @@
+const express = require('express');
+const { runSingle } = require('../database/connection');
+const promptService = require('../services/promptService');
+const geminiService = require('../services/geminiService');
+const { getImageStorage } = require('../services/imageStorage');
+const { isRejection } = require('../services/detectionSchema');
+const { validatePrompt } = promptService;
+
+const router = express.Router();
+
+// List detection prompts with their latest version
+router.get('/', async (req, res) => {
+  try {
+    const prompts = await promptService.listPrompts();
+
+    res.json({
+      success: true,
+      data: prompts,
+      count: prompts.length
+    });
+  } catch (error) {
+    console.error('Error fetching detection prompts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch detection prompts'
+    });
+  }
+});
+
+// Create a detection prompt
+router.post('/', async (req, res) => {
+  try {
+    const errors = validatePrompt(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid prompt',
+        details: errors
+      });
+    }
+
+    const prompt = await promptService.createPrompt(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Prompt created',
+      data: prompt
+    });
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(409).json({
+        success: false,
+        error: 'A prompt with this name already exists'
+      });
+    }
+    console.error('Error creating detection prompt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create prompt'
+    });
+  }
+});
+
+/**
+ * Try a prompt on a stored image without saving anything. Uses `prompt_text`
+ * when given (unsaved edits), otherwise the latest version of `prompt_id`.
+ */
+router.post('/test', async (req, res) => {
+  try {
+    const { image_id, prompt_id = null, prompt_text } = req.body;
+
+    const errors = [];
+    if (!Number.isInteger(Number(image_id)) || Number(image_id) <= 0) {
+      errors.push('image_id must be an image ID');
+    }
+    if (prompt_text !== undefined) {
+      errors.push(...validatePrompt({ prompt_text }, true));
+    } else if (prompt_id === null) {
+      errors.push('prompt_text or prompt_id is required');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid prompt test',
+        details: errors
+      });
+    }
+
+    if (!geminiService.isGeminiAvailable()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Gemini is not configured'
+      });
+    }
+
+    const image = await runSingle('SELECT id, camera_id, local_path FROM images WHERE id = ?', [image_id]);
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        error: 'Image not found'
+      });
+    }
+
+    let prompt = { id: null, prompt_text };
+    if (prompt_text === undefined) {
+      const stored = await promptService.getPrompt(prompt_id);
+      if (!stored) {
+        return res.status(404).json({
+          success: false,
+          error: 'Prompt not found'
+        });
+      }
+      prompt = { id: stored.versions[0].id, prompt_text: stored.prompt_text };
+    }
+
+    let imageBuffer;
+    try {
+      imageBuffer = await getImageStorage().get(image.local_path);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return res.status(404).json({
+        success: false,
+        error: 'Image file not found'
+      });
+    }
+
+    try {
+      const analysis = await geminiService.analyzeImageWithGemini(imageBuffer, prompt);
+
+      res.json({
+        success: true,
+        data: {
+          image_id: image.id,
+          camera_id: image.camera_id,
+          local_path: image.local_path,
+          total_vehicles: analysis.bounding_boxes.length,
+          ...geminiService.deriveVehicleCounts(analysis.bounding_boxes),
+          confidence_score: geminiService.calculateAverageConfidence(analysis.bounding_boxes),
+          bounding_boxes: analysis.bounding_boxes,
+          gemini_response: analysis.gemini_response,
+          schema_version: analysis.schema_version
+        }
+      });
+    } catch (error) {
+      if (!isRejection(error)) throw error;
+      res.status(422).json({
+        success: false,
+        error: 'Gemini response rejected',
+        details: [error.message],
+        rejection_reason: error.code,
+        gemini_response: error.response || null
+      });
+    }
+  } catch (error) {
+    console.error('Error testing detection prompt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to test prompt',
+      details: [error.message]
+    });
+  }
+});
+
+// Get a prompt with its version history
+router.get('/:id', async (req, res) => {
+  try {
+    const prompt = await promptService.getPrompt(req.params.id);
+
+    if (!prompt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: prompt
+    });
+  } catch (error) {
+    console.error('Error fetching detection prompt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch prompt'
+    });
+  }
+});
+
+// Update a prompt; a changed prompt_text is saved as a new version
+router.put('/:id', async (req, res) => {
+  try {
+    const errors = validatePrompt(req.body, true);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid prompt',
+        details: errors
+      });
+    }
+
+    const prompt = await promptService.updatePrompt(req.params.id, req.body);
+
+    if (!prompt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Prompt updated',
+      data: prompt
+    });
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(409).json({
+        success: false,
+        error: 'A prompt with this name already exists'
+      });
+    }
+    console.error('Error updating detection prompt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update prompt'
+    });
+  }
+});
+
+// Make a prompt the default for cameras without their own
+router.post('/:id/default', async (req, res) => {
+  try {
+    const updated = await promptService.setDefaultPrompt(req.params.id);
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Default prompt updated',
+      data: await promptService.getPrompt(req.params.id)
+    });
+  } catch (error) {
+    console.error('Error setting default detection prompt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set default prompt'
+    });
+  }
+});
+
+// Delete a prompt no detection was made with
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await promptService.deletePrompt(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Prompt deleted'
+    });
+  } catch (error) {
+    if (error.code === 'PROMPT_IN_USE') {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error deleting detection prompt:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete prompt'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const healthService = require('../services/healthService');
 const configService = require('../services/configService');
 const metricsService = require('../services/metricsService');
+const replayService = require('../services/replayService');
+const retentionService = require('../services/retentionService');
 const { log } = require('../services/loggerService');
 
 const router = express.Router();
@@ -477,4 +479,102 @@ router.post('/health/check', async (req, res) => {
   }
 });
 
+// Archive replay status
+router.get('/replay', (req, res) => {
+  res.json({
+    success: true,
+    data: replayService.getStatus()
+  });
+});
+
+// Start replaying a snapshot archive
+router.post('/replay/start', async (req, res) => {
+  if (replayService.isRunning) {
+    return res.status(409).json({
+      success: false,
+      error: 'A replay is already running'
+    });
+  }
+
+  try {
+    const { directory, speed, camera_ids: cameraIds, from, to } = req.body;
+    const status = await replayService.start({ directory, speed, cameraIds, from, to });
+
+    res.json({
+      success: true,
+      message: 'Replay started',
+      data: status
+    });
+  } catch (error) {
+    log.error('Replay start failed', { error: error.message });
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Stop the running replay
+router.post('/replay/stop', (req, res) => {
+  const stopped = replayService.stop();
+
+  res.json({
+    success: true,
+    message: stopped ? 'Replay stopping' : 'No replay is running',
+    data: replayService.getStatus()
+  });
+});
+
+// Image retention settings, the running cleanup and the last report
+router.get('/retention', (req, res) => {
+  res.json({
+    success: true,
+    data: retentionService.getStatus()
+  });
+});
+
+// Run the image cleanup now. Without { dry_run: false } it only reports what
+// would be deleted, so a mistyped request never deletes files
+router.post('/retention/run', async (req, res) => {
+  const body = req.body || {};
+  const details = Object.keys(body)
+    .filter(key => key !== 'dry_run')
+    .map(key => `Unknown field: ${key}`);
+  if (body.dry_run !== undefined && typeof body.dry_run !== 'boolean') {
+    details.push('dry_run must be true or false');
+  }
+  if (details.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid cleanup request',
+      details
+    });
+  }
+
+  if (retentionService.isRunning) {
+    return res.status(409).json({
+      success: false,
+      error: 'Image cleanup is already running'
+    });
+  }
+
+  try {
+    const dryRun = body.dry_run !== false;
+    const report = await retentionService.runCleanup({ dryRun });
+
+    res.json({
+      success: true,
+      message: dryRun ? 'Image cleanup dry run finished' : 'Image cleanup finished',
+      data: report
+    });
+  } catch (error) {
+    log.error('Image cleanup failed', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Image cleanup failed',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express')
 const { runQuery, run, runSingle } = require('../database/connection')
-const { getVehicleDetectionStats, isGeminiAvailable } = require('../services/geminiService')
+const { getVehicleDetectionStats, isGeminiAvailable, getConfiguration, pollBatchJobs } = require('../services/geminiService')
 const configService = require('../services/configService')
+const cameraGroupService = require('../services/cameraGroupService')
+const { getDefaultDetectorType, describeDetectors } = require('../services/detectors')
 
 const router = express.Router()
 
@@ -29,8 +31,12 @@ router.post('/reanalyze-missing-boxes', async (req, res) => {
 // Get overall vehicle detection statistics
 router.get('/stats', async (req, res) => {
   try {
-    const { time_range = '24h' } = req.query
-    const stats = await getVehicleDetectionStats(null, time_range)
+    const { time_range = '24h', camera_id, group_id } = req.query
+    
+    // Scope to a camera group (corridor) when one is given
+    const stats = group_id
+      ? await cameraGroupService.getGroupStats(group_id, time_range)
+      : await getVehicleDetectionStats(camera_id || null, time_range)
     
     res.json({
       success: true,
@@ -62,7 +68,8 @@ router.get('/queue-status', async (req, res) => {
       processing_images: 0,
       completed_images: 0,
       failed_images: 0,
-      pending_images: 0
+      pending_images: 0,
+      batched_images: 0
     }
     
     result.forEach(row => {
@@ -85,6 +92,9 @@ router.get('/queue-status', async (req, res) => {
         case 'pending':
           queueStatus.pending_images = count
           break
+        case 'batched':
+          queueStatus.batched_images = count
+          break
       }
     })
     
@@ -480,7 +490,12 @@ router.get('/recent', async (req, res) => {
 // Get vehicle detection trends over time
 router.get('/trends', async (req, res) => {
   try {
-    const { days = 7 } = req.query
+    const { days = 7, group_id } = req.query
+    
+    // Scope to a camera group (corridor) when one is given
+    const groupFilter = group_id
+      ? 'AND camera_id IN (SELECT camera_id FROM camera_group_members WHERE group_id = ?)'
+      : ''
     
     const result = await runQuery(`
       SELECT 
@@ -495,9 +510,10 @@ router.get('/trends', async (req, res) => {
       FROM vehicle_detections
       WHERE processing_status = 'completed'
         AND processed_at >= datetime('now', '-${days} days')
+        ${groupFilter}
       GROUP BY DATE(processed_at)
       ORDER BY date DESC
-    `)
+    `, group_id ? [group_id] : [])
     
     res.json({
       success: true,
@@ -515,7 +531,15 @@ router.get('/trends', async (req, res) => {
 // Get vehicle counts by minute for the past 24 hours
 router.get('/counts-by-minute', async (req, res) => {
   try {
-    const { camera_id, hours = 24 } = req.query
+    const { camera_id, hours = 24, split } = req.query
+    
+    if (split !== undefined && split !== 'direction') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid split',
+        details: ['split must be direction']
+      })
+    }
     
     // Get the configurable aggregation interval (default to 10 minutes)
     const aggregationInterval = configService.get('analytics.vehicleCountAggregationInterval', 600000) // 10 minutes default
@@ -546,10 +570,39 @@ router.get('/counts-by-minute', async (req, res) => {
     
     const result = await runQuery(query, params)
     
+    // Split each bucket by direction of travel using the cameras' lane counts
+    let directions
+    if (split === 'direction') {
+      const directionRows = await runQuery(`
+        SELECT 
+          strftime('%Y-%m-%d %H:%M:00', i.captured_at) as minute_bucket,
+          lc.direction,
+          SUM(lc.vehicle_count) as total_vehicles
+        FROM vehicle_lane_counts lc
+        JOIN vehicle_detections vd ON vd.id = lc.vehicle_detection_id AND vd.processing_status = 'completed'
+        JOIN images i ON i.id = vd.image_id
+        WHERE i.captured_at >= datetime('now', '-${hours} hours')
+        ${camera_id ? 'AND i.camera_id = ?' : ''}
+        GROUP BY minute_bucket, lc.direction
+      `, params)
+      
+      directions = [...new Set(directionRows.map(row => row.direction))].sort()
+      const buckets = new Map(result.map(row => [row.minute_bucket, Object.assign(row, { directions: {} })]))
+      for (const row of directionRows) {
+        const bucket = buckets.get(row.minute_bucket)
+        if (!bucket) continue
+        bucket.directions[row.direction] = {
+          total_vehicles: row.total_vehicles,
+          avg_vehicles_per_image: row.total_vehicles / bucket.image_count
+        }
+      }
+    }
+    
     res.json({
       success: true,
       data: result,
       count: result.length,
+      ...(directions && { directions }),
       aggregationInterval: aggregationInterval,
       intervalMinutes: intervalMinutes
     })
@@ -565,13 +618,14 @@ router.get('/counts-by-minute', async (req, res) => {
 // Get aggregated vehicle counts by minute across all cameras
 router.get('/counts-by-minute/aggregated', async (req, res) => {
   try {
-    const { hours = 24 } = req.query
+    const { hours = 24, group_id } = req.query
     
     // Get the configurable aggregation interval (default to 10 minutes)
     const aggregationInterval = configService.get('analytics.vehicleCountAggregationInterval', 600000) // 10 minutes default
     const intervalMinutes = Math.floor(aggregationInterval / 60000) // Convert ms to minutes
     
-    const result = await runQuery(`
+    // Scope to a camera group (corridor) when one is given
+    const result = group_id ? await cameraGroupService.getGroupCountsByMinute(group_id, hours) : await runQuery(`
       SELECT 
         strftime('%Y-%m-%d %H:%M:00', i.captured_at) as minute_bucket,
         COUNT(DISTINCT i.camera_id) as active_cameras,
@@ -601,10 +655,13 @@ router.get('/counts-by-minute/aggregated', async (req, res) => {
   }
 })
 
-// Get Gemini AI service status
+// Get AI detection service status
 router.get('/status', async (req, res) => {
   try {
     const geminiAvailable = isGeminiAvailable()
+    const defaultDetector = getDefaultDetectorType()
+    const detectors = describeDetectors()
+    const defaultAvailable = detectors.some(detector => detector.type === defaultDetector && detector.available)
     
     // Get queue status
     const pendingCount = await runQuery(`
@@ -617,13 +674,22 @@ router.get('/status', async (req, res) => {
       WHERE processing_status = 'failed'
     `)
     
+    const activeBatchJobs = await runSingle(`
+      SELECT COUNT(*) as count FROM batch_jobs
+      WHERE state NOT IN ('succeeded', 'failed', 'cancelled', 'expired')
+    `)
+    
     res.json({
       success: true,
       data: {
         gemini_available: geminiAvailable,
+        default_detector: defaultDetector,
+        detectors,
         pending_analyses: pendingCount[0]?.count || 0,
         failed_analyses: failedCount[0]?.count || 0,
-        service_status: geminiAvailable ? 'operational' : 'unavailable'
+        batch_mode: getConfiguration().USE_BATCH_MODE,
+        active_batch_jobs: activeBatchJobs?.count || 0,
+        service_status: defaultAvailable ? 'operational' : 'unavailable'
       }
     })
   } catch (error) {
@@ -635,6 +701,84 @@ router.get('/status', async (req, res) => {
   }
 })
 
+// List Gemini batch jobs, newest first
+router.get('/batch-jobs', async (req, res) => {
+  try {
+    const { state } = req.query
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200)
+    
+    const jobs = await runQuery(`
+      SELECT * FROM batch_jobs
+      ${state ? 'WHERE state = ?' : ''}
+      ORDER BY id DESC
+      LIMIT ?
+    `, state ? [state, limit] : [limit])
+    
+    res.json({
+      success: true,
+      data: jobs,
+      count: jobs.length
+    })
+  } catch (error) {
+    console.error('Error fetching batch jobs:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch batch jobs'
+    })
+  }
+})
+
+// Poll unfinished batch jobs now instead of waiting for the timer
+router.post('/batch-jobs/poll', async (req, res) => {
+  try {
+    await pollBatchJobs()
+    
+    res.json({
+      success: true,
+      message: 'Batch jobs polled'
+    })
+  } catch (error) {
+    console.error('Error polling batch jobs:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to poll batch jobs'
+    })
+  }
+})
+
+// Get a batch job with the images it contains
+router.get('/batch-jobs/:id', async (req, res) => {
+  try {
+    const job = await runSingle('SELECT * FROM batch_jobs WHERE id = ?', [req.params.id])
+    
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch job not found'
+      })
+    }
+    
+    const images = await runQuery(`
+      SELECT bji.image_id, bji.request_key, bji.status, bji.error, i.camera_id, i.captured_at
+      FROM batch_job_images bji
+      JOIN images i ON i.id = bji.image_id
+      WHERE bji.batch_job_id = ?
+      ORDER BY bji.rowid
+    `, [job.id])
+    
+    res.json({
+      success: true,
+      data: { ...job, images }
+    })
+  } catch (error) {
+    console.error('Error fetching batch job:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch batch job'
+    })
+  }
+})
+
 // Retry failed vehicle detection analysis
 router.post('/:id/retry', async (req, res) => {
   try {
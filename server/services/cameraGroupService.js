@@ -0,0 +1,267 @@
+const { run, runQuery, runSingle } = require('../database/connection');
+const { log } = require('./loggerService');
+
+const TIME_RANGES = {
+  '24h': '-24 hours',
+  '7d': '-7 days',
+  '30d': '-30 days'
+};
+
+/**
+ * Validate a camera group before it is stored
+ * @param {Object} group - { name, description, camera_ids }
+ * @param {boolean} partial - Only check the fields that are present (updates)
+ * @returns {Array<string>} - Validation errors (empty when valid)
+ */
+const validateCameraGroup = (group, partial = false) => {
+  const errors = [];
+
+  if (!partial || group.name !== undefined) {
+    if (typeof group.name !== 'string' || group.name.trim() === '') {
+      errors.push('name is required');
+    } else if (group.name.length > 200) {
+      errors.push('name must be at most 200 characters');
+    }
+  }
+
+  if (group.description !== undefined && group.description !== null && typeof group.description !== 'string') {
+    errors.push('description must be a string');
+  }
+
+  if (group.camera_ids !== undefined &&
+      (!Array.isArray(group.camera_ids) || !group.camera_ids.every(id => typeof id === 'string' && id !== ''))) {
+    errors.push('camera_ids must be an array of camera IDs');
+  }
+
+  return errors;
+};
+
+// "?, ?, ?" for an IN clause
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+/**
+ * User-defined camera groups, such as the cameras along a highway corridor.
+ *
+ * Members keep the order they were given in (`position`), so a corridor can
+ * be listed in driving order. Group analytics cover every member camera,
+ * retired ones included, since their history still belongs to the corridor.
+ */
+class CameraGroupService {
+  // All groups with member and enabled counts
+  async listGroups() {
+    return runQuery(`
+      SELECT
+        g.*,
+        COUNT(m.camera_id) as camera_count,
+        COUNT(CASE WHEN c.enabled = 1 AND c.retired_at IS NULL THEN 1 END) as enabled_count,
+        COUNT(CASE WHEN c.ai_analysis_enabled = 1 AND c.retired_at IS NULL THEN 1 END) as ai_enabled_count
+      FROM camera_groups g
+      LEFT JOIN camera_group_members m ON m.group_id = g.id
+      LEFT JOIN cameras c ON c.camera_id = m.camera_id
+      GROUP BY g.id
+      ORDER BY g.name ASC
+    `);
+  }
+
+  /**
+   * One group with its member cameras in order
+   * @returns {Promise<Object|null>} - Null if the group does not exist
+   */
+  async getGroup(groupId) {
+    const group = await runSingle('SELECT * FROM camera_groups WHERE id = ?', [groupId]);
+    if (!group) {
+      return null;
+    }
+
+    const cameras = await runQuery(`
+      SELECT c.camera_id, c.name, c.road_name, c.county, c.direction, c.enabled, c.ai_analysis_enabled, c.retired_at
+      FROM camera_group_members m
+      JOIN cameras c ON c.camera_id = m.camera_id
+      WHERE m.group_id = ?
+      ORDER BY m.position ASC
+    `, [groupId]);
+
+    return { ...group, camera_ids: cameras.map(camera => camera.camera_id), cameras };
+  }
+
+  async getGroupCameraIds(groupId) {
+    const rows = await runQuery(
+      'SELECT camera_id FROM camera_group_members WHERE group_id = ? ORDER BY position ASC',
+      [groupId]
+    );
+    return rows.map(row => row.camera_id);
+  }
+
+  // Names of the groups each camera belongs to, for quota checks
+  async getGroupsForCameras(cameraIds) {
+    if (cameraIds.length === 0) {
+      return [];
+    }
+
+    return runQuery(`
+      SELECT m.camera_id, g.id as group_id, g.name as group_name
+      FROM camera_group_members m
+      JOIN camera_groups g ON g.id = m.group_id
+      WHERE m.camera_id IN (${placeholders(cameraIds)})
+    `, cameraIds);
+  }
+
+  /**
+   * Create a group
+   * @param {Object} group - { name, description, camera_ids }
+   * @returns {Promise<Object>} - The stored group
+   */
+  async createGroup({ name, description = null, camera_ids = [] }) {
+    const result = await run(`
+      INSERT INTO camera_groups (name, description, created_at, updated_at)
+      VALUES (?, ?, datetime('now'), datetime('now'))
+    `, [name.trim(), description]);
+
+    await this.setMembers(result.id, camera_ids);
+    log.info(`Camera group "${name}" created with ${camera_ids.length} camera(s)`);
+
+    return this.getGroup(result.id);
+  }
+
+  /**
+   * Update a group's name, description or members; omitted fields are kept
+   * @returns {Promise<Object|null>} - The stored group, or null if it does not exist
+   */
+  async updateGroup(groupId, { name, description, camera_ids }) {
+    const existing = await runSingle('SELECT * FROM camera_groups WHERE id = ?', [groupId]);
+    if (!existing) {
+      return null;
+    }
+
+    await run(`
+      UPDATE camera_groups SET name = ?, description = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `, [
+      name !== undefined ? name.trim() : existing.name,
+      description !== undefined ? description : existing.description,
+      groupId
+    ]);
+
+    if (camera_ids !== undefined) {
+      await this.setMembers(groupId, camera_ids);
+    }
+
+    return this.getGroup(groupId);
+  }
+
+  async deleteGroup(groupId) {
+    await run('DELETE FROM camera_group_members WHERE group_id = ?', [groupId]);
+    const result = await run('DELETE FROM camera_groups WHERE id = ?', [groupId]);
+    return result.changes > 0;
+  }
+
+  // Replace a group's members, keeping the given order and skipping unknown cameras
+  async setMembers(groupId, cameraIds) {
+    const uniqueIds = [...new Set(cameraIds)];
+    const known = uniqueIds.length === 0 ? [] : await runQuery(
+      `SELECT camera_id FROM cameras WHERE camera_id IN (${placeholders(uniqueIds)})`,
+      uniqueIds
+    );
+    const knownIds = new Set(known.map(camera => camera.camera_id));
+
+    await run('DELETE FROM camera_group_members WHERE group_id = ?', [groupId]);
+
+    let position = 0;
+    for (const cameraId of uniqueIds) {
+      if (!knownIds.has(cameraId)) {
+        log.warn(`Skipping unknown camera ${cameraId} for camera group ${groupId}`);
+        continue;
+      }
+      await run(
+        'INSERT INTO camera_group_members (group_id, camera_id, position) VALUES (?, ?, ?)',
+        [groupId, cameraId, position++]
+      );
+    }
+  }
+
+  /**
+   * Vehicle detection totals for a group, overall and per member camera
+   * @param {number} groupId - Group ID
+   * @param {string} timeRange - '24h', '7d' or '30d'
+   * @returns {Promise<Object>} - Totals plus a `cameras` breakdown
+   */
+  async getGroupStats(groupId, timeRange = '24h') {
+    const since = TIME_RANGES[timeRange] || TIME_RANGES['24h'];
+    const params = [groupId, since];
+
+    const [totals] = await runQuery(`
+      SELECT
+        COUNT(*) as total_images,
+        COUNT(DISTINCT vd.camera_id) as active_cameras,
+        COALESCE(SUM(vd.total_vehicles), 0) as total_vehicles,
+        AVG(vd.confidence_score) as avg_confidence,
+        COUNT(CASE WHEN vd.processing_status = 'completed' THEN 1 END) as completed_images,
+        COUNT(CASE WHEN vd.processing_status = 'failed' THEN 1 END) as failed_images,
+        COUNT(CASE WHEN vd.processing_status = 'queued' THEN 1 END) as queued_images,
+        AVG(CASE WHEN vd.processing_status = 'completed' THEN vd.total_vehicles END) as avg_vehicles_per_image,
+        COALESCE(SUM(vd.cars), 0) as total_cars,
+        COALESCE(SUM(vd.trucks), 0) as total_trucks,
+        COALESCE(SUM(vd.motorcycles), 0) as total_motorcycles,
+        COALESCE(SUM(vd.buses), 0) as total_buses,
+        COALESCE(SUM(vd.rvs), 0) as total_rvs,
+        COALESCE(SUM(vd.emergency_vehicles), 0) as total_emergency,
+        COALESCE(SUM(vd.construction_vehicles), 0) as total_construction,
+        COALESCE(SUM(vd.other_vehicles), 0) as total_other
+      FROM vehicle_detections vd
+      WHERE vd.camera_id IN (SELECT camera_id FROM camera_group_members WHERE group_id = ?)
+        AND vd.processed_at >= datetime('now', ?)
+    `, params);
+
+    const cameras = await runQuery(`
+      SELECT
+        m.camera_id,
+        c.name,
+        COUNT(vd.id) as total_images,
+        COALESCE(SUM(vd.total_vehicles), 0) as total_vehicles,
+        AVG(CASE WHEN vd.processing_status = 'completed' THEN vd.total_vehicles END) as avg_vehicles_per_image
+      FROM camera_group_members m
+      JOIN cameras c ON c.camera_id = m.camera_id
+      LEFT JOIN vehicle_detections vd ON vd.camera_id = m.camera_id AND vd.processed_at >= datetime('now', ?)
+      WHERE m.group_id = ?
+      GROUP BY m.camera_id
+      ORDER BY m.position ASC
+    `, [since, groupId]);
+
+    return {
+      ...totals,
+      // Field names used by the Dashboard and Analytics pages
+      total_vehicles_detected: totals.total_vehicles,
+      total_images_analyzed: totals.completed_images,
+      time_range: TIME_RANGES[timeRange] ? timeRange : '24h',
+      cameras
+    };
+  }
+
+  /**
+   * Vehicle counts across a group's cameras, bucketed like
+   * `/vehicle-detection/counts-by-minute/aggregated`
+   * @returns {Promise<Array>} - One row per bucket
+   */
+  async getGroupCountsByMinute(groupId, hours = 24) {
+    return runQuery(`
+      SELECT
+        strftime('%Y-%m-%d %H:%M:00', i.captured_at) as minute_bucket,
+        COUNT(DISTINCT i.camera_id) as active_cameras,
+        COUNT(*) as total_images,
+        SUM(COALESCE(vd.total_vehicles, 0)) as total_vehicles,
+        AVG(COALESCE(vd.total_vehicles, 0)) as avg_vehicles_per_image
+      FROM images i
+      LEFT JOIN vehicle_detections vd ON i.id = vd.image_id AND vd.processing_status = 'completed'
+      WHERE i.camera_id IN (SELECT camera_id FROM camera_group_members WHERE group_id = ?)
+        AND i.captured_at >= datetime('now', ?)
+      GROUP BY strftime('%Y-%m-%d %H:%M:00', i.captured_at)
+      ORDER BY minute_bucket ASC
+    `, [groupId, `-${parseInt(hours) || 24} hours`]);
+  }
+}
+
+// Create singleton instance
+const cameraGroupService = new CameraGroupService();
+
+module.exports = cameraGroupService;
+module.exports.validateCameraGroup = validateCameraGroup;
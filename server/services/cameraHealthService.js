@@ -0,0 +1,244 @@
+const sharp = require('sharp');
+const { run, runQuery, runSingle } = require('../database/connection');
+const configService = require('./configService');
+const perceptualHashService = require('./perceptualHashService');
+const { log } = require('./loggerService');
+
+const HEALTH_STATES = ['online', 'stale', 'frozen', 'placeholder', 'erroring'];
+
+// SQLite DATETIME text ("YYYY-MM-DD HH:MM:SS", UTC) to and from Date
+const toSqliteDate = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+const fromSqliteDate = (value) => (value ? new Date(`${value.replace(' ', 'T')}Z`) : null);
+
+/**
+ * Tracks whether each camera is actually delivering useful frames.
+ *
+ * States, derived from capture results, hash history and image content:
+ * - online: recent frames that change over time
+ * - stale: no successful capture for `camera.health.staleAfter` ms
+ * - frozen: frames keep arriving but have not changed for `frozenAfter` ms
+ * - placeholder: the feed is serving a "camera unavailable" style image
+ * - erroring: `errorThreshold` or more consecutive failed captures
+ *
+ * The current state lives in `camera_health`; every transition is appended
+ * to `camera_health_events`.
+ */
+class CameraHealthService {
+  getSettings() {
+    return {
+      staleAfter: configService.get('camera.health.staleAfter', 900000),
+      frozenAfter: configService.get('camera.health.frozenAfter', 1800000),
+      errorThreshold: Math.max(1, configService.get('camera.health.errorThreshold', 3)),
+      placeholderStdDev: configService.get('camera.health.placeholderStdDev', 6),
+      placeholderHashes: configService.get('camera.health.placeholderHashes', []),
+      hashThreshold: configService.get('camera.changeDetection.threshold', 5)
+    };
+  }
+
+  /**
+   * Check whether a frame looks like a placeholder rather than a live view:
+   * either a near-uniform image or a match for a known placeholder hash.
+   * @param {Buffer} buffer - Image data
+   * @param {string|null} perceptualHash - Hash of the frame, if computed
+   * @returns {Promise<Object>} - { placeholder: boolean, reason }
+   */
+  async detectPlaceholder(buffer, perceptualHash = null) {
+    const settings = this.getSettings();
+
+    if (perceptualHash) {
+      const match = settings.placeholderHashes.find(hash => {
+        const distance = perceptualHashService.hammingDistance(hash, perceptualHash);
+        return distance !== null && distance <= settings.hashThreshold;
+      });
+      if (match) {
+        return { placeholder: true, reason: `Matches known placeholder image ${match}` };
+      }
+    }
+
+    try {
+      const stats = await sharp(buffer).stats();
+      const maxStdDev = Math.max(...stats.channels.map(channel => channel.stdev));
+      if (maxStdDev < settings.placeholderStdDev) {
+        return { placeholder: true, reason: `Near-uniform image (std dev ${maxStdDev.toFixed(1)})` };
+      }
+    } catch (error) {
+      log.warn('Placeholder check failed', { error: error.message });
+    }
+
+    return { placeholder: false, reason: null };
+  }
+
+  /**
+   * Update a camera's health from the outcome of one capture
+   * @param {string} cameraId - Camera ID
+   * @param {Object} result - { success, error, hasChanged, unchanged, placeholder, placeholderReason };
+   *   `unchanged` marks a capture skipped because the feed served the same frame again
+   * @param {Date} now - Time of the capture
+   * @returns {Promise<Object>} - Updated health record
+   */
+  async recordCaptureResult(cameraId, result, now = new Date()) {
+    const settings = this.getSettings();
+    const current = await this.getOrCreate(cameraId, now);
+
+    const health = { ...current };
+    let state = current.state;
+    let reason = current.reason;
+
+    if (!result.success) {
+      health.consecutive_failures = current.consecutive_failures + 1;
+      health.last_error = result.error || 'Unknown error';
+
+      if (health.consecutive_failures >= settings.errorThreshold) {
+        state = 'erroring';
+        reason = `${health.consecutive_failures} consecutive failed captures: ${health.last_error}`;
+      }
+    } else {
+      health.consecutive_failures = 0;
+      health.last_error = null;
+      health.last_success_at = toSqliteDate(now);
+
+      if (result.hasChanged) {
+        health.unchanged_frames = 0;
+        health.last_changed_at = toSqliteDate(now);
+      } else {
+        health.unchanged_frames = current.unchanged_frames + 1;
+      }
+
+      const lastChanged = fromSqliteDate(health.last_changed_at) || fromSqliteDate(current.state_changed_at);
+      const unchangedFor = now - lastChanged;
+
+      if (result.placeholder) {
+        state = 'placeholder';
+        reason = result.placeholderReason || 'Feed is serving a placeholder image';
+      } else if (result.unchanged && current.state === 'placeholder') {
+        // The feed resent the same placeholder frame, which was not re-examined
+        state = 'placeholder';
+        reason = current.reason;
+      } else if (!result.hasChanged && unchangedFor >= settings.frozenAfter) {
+        state = 'frozen';
+        reason = `No visual change in ${health.unchanged_frames} frames over ${Math.round(unchangedFor / 60000)} minutes`;
+      } else {
+        state = 'online';
+        reason = null;
+      }
+    }
+
+    return this.saveHealth(health, state, reason, now);
+  }
+
+  /**
+   * Mark enabled cameras without a recent successful capture as stale.
+   * Runs on a timer because a camera that stops being captured produces no
+   * results to react to.
+   * @returns {Promise<number>} - Number of cameras that became stale
+   */
+  async checkStaleCameras(now = new Date()) {
+    const { staleAfter } = this.getSettings();
+    const cutoff = toSqliteDate(new Date(now.getTime() - staleAfter));
+
+    const cameras = await runQuery(`
+      SELECT h.* FROM camera_health h
+      JOIN cameras c ON c.camera_id = h.camera_id
+      WHERE c.enabled = 1 AND c.retired_at IS NULL
+        AND h.state NOT IN ('stale', 'erroring')
+        AND COALESCE(h.last_success_at, h.state_changed_at) < ?
+    `, [cutoff]);
+
+    for (const health of cameras) {
+      const lastSuccess = health.last_success_at ? `since ${health.last_success_at} UTC` : 'yet';
+      await this.saveHealth(health, 'stale', `No successful capture ${lastSuccess}`, now);
+    }
+
+    return cameras.length;
+  }
+
+  async getOrCreate(cameraId, now = new Date()) {
+    const existing = await runSingle('SELECT * FROM camera_health WHERE camera_id = ?', [cameraId]);
+    if (existing) {
+      return existing;
+    }
+
+    const timestamp = toSqliteDate(now);
+    await run(`
+      INSERT INTO camera_health (camera_id, state, state_changed_at, updated_at)
+      VALUES (?, 'online', ?, ?)
+    `, [cameraId, timestamp, timestamp]);
+
+    return runSingle('SELECT * FROM camera_health WHERE camera_id = ?', [cameraId]);
+  }
+
+  // Persist a health record, logging an event when the state changes
+  async saveHealth(health, state, reason, now = new Date()) {
+    const timestamp = toSqliteDate(now);
+    const stateChanged = state !== health.state;
+
+    await run(`
+      UPDATE camera_health SET
+        state = ?, reason = ?, state_changed_at = ?, last_success_at = ?, last_changed_at = ?,
+        last_error = ?, consecutive_failures = ?, unchanged_frames = ?, updated_at = ?
+      WHERE camera_id = ?
+    `, [
+      state,
+      reason,
+      stateChanged ? timestamp : health.state_changed_at,
+      health.last_success_at,
+      health.last_changed_at,
+      health.last_error,
+      health.consecutive_failures,
+      health.unchanged_frames,
+      timestamp,
+      health.camera_id
+    ]);
+
+    if (stateChanged) {
+      await run(`
+        INSERT INTO camera_health_events (camera_id, previous_state, state, reason, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `, [health.camera_id, health.state, state, reason, timestamp]);
+
+      const level = state === 'online' ? 'info' : 'warn';
+      log[level](`Camera ${health.camera_id} health changed from ${health.state} to ${state}`, { reason });
+    }
+
+    return runSingle('SELECT * FROM camera_health WHERE camera_id = ?', [health.camera_id]);
+  }
+
+  /**
+   * Health of one camera with its recent state changes
+   * @param {string} cameraId - Camera ID
+   * @param {number} eventLimit - Number of state changes to include
+   * @returns {Promise<Object|null>} - Null if the camera has never been captured
+   */
+  async getHealth(cameraId, eventLimit = 20) {
+    const health = await runSingle('SELECT * FROM camera_health WHERE camera_id = ?', [cameraId]);
+    if (!health) {
+      return null;
+    }
+
+    const events = await runQuery(`
+      SELECT previous_state, state, reason, created_at FROM camera_health_events
+      WHERE camera_id = ?
+      ORDER BY id DESC
+      LIMIT ?
+    `, [cameraId, eventLimit]);
+
+    return { ...health, events };
+  }
+
+  // Health of every tracked camera plus a count per state
+  async getAllHealth() {
+    const cameras = await runQuery('SELECT * FROM camera_health ORDER BY camera_id ASC');
+    const counts = Object.fromEntries(HEALTH_STATES.map(state => [state, 0]));
+    cameras.forEach(health => {
+      counts[health.state] = (counts[health.state] || 0) + 1;
+    });
+
+    return { counts, cameras };
+  }
+}
+
+// Create singleton instance
+const cameraHealthService = new CameraHealthService();
+
+module.exports = cameraHealthService;
+module.exports.HEALTH_STATES = HEALTH_STATES;
@@ -1,7 +1,4 @@
-const axios = require('axios');
 const crypto = require('crypto');
-const fs = require('fs-extra');
-const path = require('path');
 const { run, runSingle, runQuery } = require('../database/connection');
 
 // Local log function to replace loggerService
@@ -33,143 +30,150 @@ const { queueImageForAnalysis } = require('./geminiService');
 // Import image compression service
 const imageCompressionService = require('./imageCompressionService');
 
-// MIDOT API endpoints
-const MIDOT_CAMERAS_URL = 'https://mdotjboss.state.mi.us/MiDrive/camera/list';
-const MIDOT_CAMERA_INFO_URL = 'https://mdotjboss.state.mi.us/MiDrive/camera/getCameraInformation';
+// Import camera source adapters
+const { getCameraSources, getCameraSource, BaseCameraSource } = require('./cameraSources');
 
-const MIDOT_BASE_URL = 'https://mdotjboss.state.mi.us/MiDrive/camera';
-const IMAGE_STORAGE_PATH = path.join(__dirname, '../storage/images');
+// Import download scheduler
+const downloadSchedulerService = require('./downloadSchedulerService');
 
-// Ensure image storage directory exists
-fs.ensureDirSync(IMAGE_STORAGE_PATH);
+// Import perceptual hashing and config
+const perceptualHashService = require('./perceptualHashService');
+const configService = require('./configService');
 
-const fetchAllCameras = async () => {
+// Import camera health tracking
+const cameraHealthService = require('./cameraHealthService');
+
+// Import capture and AI quotas
+const captureQuotaService = require('./captureQuotaService');
+
+// Import image storage backend
+const { getImageStorage } = require('./imageStorage');
+
+// Import frame quality scoring
+const imageQualityService = require('./imageQualityService');
+
+const fetchAllCameras = async (source = getCameraSource()) => {
   try {
-    log('info', 'Fetching cameras from MIDOT API...');
-    const response = await axios.get(MIDOT_CAMERAS_URL, {
-      timeout: 30000,
-      headers: {
-        'User-Agent': 'MIDOT-Traffic-Monitor/1.0'
-      }
-    });
+    log('info', `Fetching cameras from source ${source.id}...`);
+    const cameras = await source.listCameras();
     
-    if (!response.data || !Array.isArray(response.data)) {
-      throw new Error('Invalid response format from MIDOT API');
-    }
-    
-    log('info', `Successfully fetched ${response.data.length} cameras from MIDOT API`);
-    return response.data;
+    log('info', `Successfully fetched ${cameras.length} cameras from source ${source.id}`);
+    return cameras;
   } catch (error) {
-    log('error', `Error fetching cameras from MIDOT API: ${error.message}`);
+    log('error', `Error fetching cameras from source ${source.id}: ${error.message}`);
     throw error;
   }
 };
 
-const parseCameraData = (cameraData) => {
+// Catalog fields compared on every refresh to detect modified cameras
+const CATALOG_FIELDS = ['name', 'description', 'road_name', 'intersection', 'county', 'direction', 'image_url'];
+
+// Append an entry to the camera_changes history
+const recordCameraChange = async (cameraId, sourceId, changeType, changes = null) => {
+  await run(`
+    INSERT INTO camera_changes (camera_id, source, change_type, changes, created_at)
+    VALUES (?, ?, ?, ?, datetime('now'))
+  `, [cameraId, sourceId, changeType, changes ? JSON.stringify(changes) : null]);
+};
+
+/**
+ * Insert or update one camera from a source record. Only catalog fields are
+ * updated; user-set flags (enabled, AI analysis, schedules, manual
+ * coordinates) are left alone. A retired camera that reappears is restored.
+ * @returns {Promise<Object|null>} - { id, camera_id, name, changeType, changes }
+ *   where changeType is 'added', 'modified', 'restored' or null (unchanged)
+ */
+const storeCamera = async (cameraData, source = getCameraSource()) => {
   try {
-    // Extract county name from HTML-formatted county field
-    let county = null
-    if (cameraData.county && typeof cameraData.county === 'string') {
-      // Extract county name before the HTML link
-      const countyMatch = cameraData.county.match(/^([^<]+)/)
-      if (countyMatch) {
-        county = countyMatch[1].trim()
-      }
-    }
-    
-    // Extract camera ID from the image HTML if available
-    let cameraId = null
-    if (cameraData.image && typeof cameraData.image === 'string') {
-      const idMatch = cameraData.image.match(/id="(\d+)Img"/)
-      if (idMatch) {
-        cameraId = idMatch[1]
-      }
-    }
-    
-    // Extract image URL from the image HTML if available
-    let imageUrl = null
-    if (cameraData.image && typeof cameraData.image === 'string') {
-      const srcMatch = cameraData.image.match(/src="([^"]+)"/)
-      if (srcMatch) {
-        imageUrl = srcMatch[1]
-      }
-    }
-    
-    // Create a unique identifier if no camera ID found
-    if (!cameraId) {
-      const routeLocation = `${cameraData.route}${cameraData.location}`.replace(/[^a-zA-Z0-9]/g, '')
-      cameraId = `auto_${routeLocation}_${Date.now()}`
+    let parsedCamera = null;
+    try {
+      parsedCamera = source.parseCamera(cameraData);
+    } catch (parseError) {
+      log('error', `Error parsing camera data: ${parseError}`);
     }
     
-    // Build camera name from route and location
-    const name = `${cameraData.route}${cameraData.location}`.trim()
-    
-    // Extract road name from route
-    const roadName = cameraData.route || 'Unknown'
-    
-    // Extract intersection from location
-    const intersection = cameraData.location ? cameraData.location.replace(/^@\s*/, '').trim() : 'Unknown'
-    
-    return {
-      camera_id: cameraId,
-      name: name,
-      description: cameraData.direction || 'No description available',
-      road_name: roadName,
-      intersection: intersection,
-      county: county,
-      direction: cameraData.direction || null,
-      image_url: imageUrl,
-      enabled: 0 // Default to DISABLED - cameras must be manually enabled
-    }
-  } catch (error) {
-    log('error', `Error parsing camera data: ${error}`);
-    return null
-  }
-}
-
-const storeCamera = async (cameraData) => {
-  try {
-    const parsedCamera = parseCameraData(cameraData);
     if (!parsedCamera) {
       log('error', 'Failed to parse camera data:', cameraData);
       return null;
     }
     
-    log('info', 'Storing camera:', parsedCamera);
+    log('debug', 'Storing camera:', parsedCamera);
     
     // Check if camera already exists
     const existingCamera = await runSingle(
-      'SELECT id FROM cameras WHERE camera_id = ?',
+      'SELECT * FROM cameras WHERE camera_id = ?',
       [parsedCamera.camera_id]
     );
     
     if (existingCamera) {
-      // Update existing camera
-      await run(`
-        UPDATE cameras SET
-          name = ?, description = ?, road_name = ?, intersection = ?, county = ?, 
-          direction = ?, image_url = ?, enabled = ?, updated_at = datetime('now')
-        WHERE camera_id = ?
-      `, [
-        parsedCamera.name,
-        parsedCamera.description,
-        parsedCamera.road_name,
-        parsedCamera.intersection,
-        parsedCamera.county,
-        parsedCamera.direction,
-        parsedCamera.image_url,
-        parsedCamera.enabled
-      ]
-      );
-      log('info', `Updated camera: ${parsedCamera.camera_id}`);
-      return existingCamera.id;
+      const changes = {};
+      for (const field of CATALOG_FIELDS) {
+        const from = existingCamera[field] ?? null;
+        const to = parsedCamera[field] ?? null;
+        if (from !== to) {
+          changes[field] = { from, to };
+        }
+      }
+      
+      // Feed coordinates only replace coordinates that were not set by hand
+      const hasFeedCoordinates = parsedCamera.latitude != null && parsedCamera.longitude != null &&
+        existingCamera.location_source !== 'manual';
+      if (hasFeedCoordinates) {
+        for (const field of ['latitude', 'longitude']) {
+          if ((existingCamera[field] ?? null) !== parsedCamera[field]) {
+            changes[field] = { from: existingCamera[field] ?? null, to: parsedCamera[field] };
+          }
+        }
+      }
+      
+      const restored = Boolean(existingCamera.retired_at);
+      const modified = Object.keys(changes).length > 0;
+      
+      if (modified || restored) {
+        await run(`
+          UPDATE cameras SET
+            name = ?, description = ?, road_name = ?, intersection = ?, county = ?,
+            direction = ?, image_url = ?,
+            latitude = CASE WHEN ? THEN ? ELSE latitude END,
+            longitude = CASE WHEN ? THEN ? ELSE longitude END,
+            location_source = CASE WHEN ? THEN 'feed' ELSE location_source END,
+            retired_at = NULL, updated_at = datetime('now')
+          WHERE camera_id = ?
+        `, [
+          parsedCamera.name,
+          parsedCamera.description,
+          parsedCamera.road_name,
+          parsedCamera.intersection,
+          parsedCamera.county,
+          parsedCamera.direction,
+          parsedCamera.image_url,
+          hasFeedCoordinates ? 1 : 0, hasFeedCoordinates ? parsedCamera.latitude : null,
+          hasFeedCoordinates ? 1 : 0, hasFeedCoordinates ? parsedCamera.longitude : null,
+          hasFeedCoordinates ? 1 : 0,
+          parsedCamera.camera_id
+        ]);
+      }
+      
+      const changeType = restored ? 'restored' : (modified ? 'modified' : null);
+      if (changeType) {
+        await recordCameraChange(parsedCamera.camera_id, source.id, changeType, modified ? changes : null);
+        log('info', `Camera ${parsedCamera.camera_id} ${changeType}`, modified ? JSON.stringify(changes) : '');
+      }
+      
+      return {
+        id: existingCamera.id,
+        camera_id: parsedCamera.camera_id,
+        name: parsedCamera.name,
+        changeType,
+        changes: modified ? changes : null
+      };
     } else {
       // Insert new camera
       const result = await run(`
         INSERT INTO cameras (
           camera_id, name, description, road_name, intersection, county, 
-          direction, image_url, enabled, created_at, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+          direction, latitude, longitude, location_source, image_url, source, enabled, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, datetime('now'), datetime('now'))
       `, [
         parsedCamera.camera_id,
         parsedCamera.name,
@@ -178,12 +182,23 @@ const storeCamera = async (cameraData) => {
         parsedCamera.intersection,
         parsedCamera.county,
         parsedCamera.direction,
+        parsedCamera.latitude ?? null,
+        parsedCamera.longitude ?? null,
+        parsedCamera.latitude != null && parsedCamera.longitude != null ? 'feed' : null,
         parsedCamera.image_url,
-        parsedCamera.enabled
+        source.id
       ]
       );
+      await recordCameraChange(parsedCamera.camera_id, source.id, 'added');
       log('info', `Inserted new camera: ${parsedCamera.camera_id}`);
-      return result.lastID;
+      
+      return {
+        id: result.id,
+        camera_id: parsedCamera.camera_id,
+        name: parsedCamera.name,
+        changeType: 'added',
+        changes: null
+      };
     }
   } catch (error) {
     log('error', `Error storing camera: ${error}`);
@@ -191,50 +206,106 @@ const storeCamera = async (cameraData) => {
   }
 };
 
-const downloadAndStoreImage = async (cameraId, imageUrl) => {
+const downloadAndStoreImage = async (cameraId, imageUrl, source = getCameraSource()) => {
   try {
     if (!imageUrl) {
       log('warn', `No image URL available for camera ${cameraId}`);
       return null;
     }
     
-    log('info', `Downloading image for camera ${cameraId} from: ${imageUrl}`);
+    log('info', `Downloading image for camera ${cameraId} from source ${source.id}: ${imageUrl}`);
     
-    // Download image
-    const response = await axios.get(imageUrl, {
-      responseType: 'arraybuffer',
-      timeout: 30000,
-      headers: {
-        'User-Agent': 'MIDOT-Traffic-Monitor/1.0'
-      }
-    });
+    // Validators and raw-byte fingerprint of the last frame fetched for this camera
+    const previous = await runSingle(
+      'SELECT snapshot_etag, snapshot_last_modified, snapshot_size, snapshot_hash FROM cameras WHERE camera_id = ?',
+      [cameraId]
+    ) || {};
+    
+    // Download image through the camera's source adapter, conditionally when we have validators
+    const snapshot = await source.fetchSnapshot(
+      { camera_id: cameraId, image_url: imageUrl },
+      { etag: previous.snapshot_etag, lastModified: previous.snapshot_last_modified }
+    );
+    
+    if (snapshot.notModified) {
+      log('info', `Snapshot for camera ${cameraId} not modified (HTTP ${snapshot.status})`);
+      return unchangedCapture('not_modified', snapshot, 0);
+    }
     
-    if (response.status !== 200) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    // Identical bytes: skip writing, compressing and hashing the frame
+    const rawHash = crypto.createHash('md5').update(snapshot.data).digest('hex');
+    if (previous.snapshot_size === snapshot.contentLength && previous.snapshot_hash === rawHash) {
+      log('info', `Snapshot for camera ${cameraId} is byte-identical to the previous one`);
+      await saveSnapshotValidators(cameraId, snapshot, rawHash);
+      return unchangedCapture('unchanged', snapshot, snapshot.data.length);
     }
     
+    const stored = await storeSnapshot(cameraId, snapshot.data, { httpStatus: snapshot.status });
+    await saveSnapshotValidators(cameraId, snapshot, rawHash);
+    
+    return { ...stored, result: 'stored' };
+  } catch (error) {
+    log('error', `Error downloading/storing image for camera ${cameraId}: ${error.message}`);
+    throw error;
+  }
+};
+
+// Remember what the camera served so the next capture can be conditional
+const saveSnapshotValidators = async (cameraId, snapshot, rawHash) => {
+  await run(`
+    UPDATE cameras SET snapshot_etag = ?, snapshot_last_modified = ?, snapshot_size = ?, snapshot_hash = ?
+    WHERE camera_id = ?
+  `, [snapshot.etag || null, snapshot.lastModified || null, snapshot.contentLength, rawHash, cameraId]);
+};
+
+// A capture that found nothing new: no image is stored, but it still counts as a successful tick
+const unchangedCapture = (result, snapshot, bytes) => ({
+  id: null,
+  filename: null,
+  hasChanged: false,
+  unchanged: true,
+  placeholder: false,
+  placeholderReason: null,
+  result,
+  bytes,
+  httpStatus: snapshot.status
+});
+
+/**
+ * Store a snapshot and run it through compression, hashing, change
+ * detection and AI queueing. Used for live downloads and archive replay.
+ * @param {string} cameraId - Camera ID
+ * @param {Buffer} data - JPEG data
+ * @param {Object} options - { capturedAt: Date of the capture (defaults to now), httpStatus }
+ * @returns {Promise<Object>} - { id, filename, hasChanged, imageHash, ..., bytes, httpStatus }
+ */
+const storeSnapshot = async (cameraId, data, { capturedAt = new Date(), httpStatus = null } = {}) => {
+  try {
+    // SQLite DATETIME text in UTC, matching datetime('now')
+    const capturedAtSql = capturedAt.toISOString().replace('T', ' ').slice(0, 19);
+    
     // Generate filename with timestamp
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const timestamp = capturedAt.toISOString().replace(/[:.]/g, '-');
     const filename = `${cameraId}_${timestamp}.jpg`;
     const compressedFilename = `${cameraId}_${timestamp}_compressed.jpg`;
-    const filePath = path.join(IMAGE_STORAGE_PATH, filename);
-    const compressedPath = path.join(IMAGE_STORAGE_PATH, compressedFilename);
+    const storage = getImageStorage();
     
     // Write original image
-    await fs.writeFile(filePath, response.data);
+    await storage.put(filename, data);
     
     // Try to compress the image
     let finalFilename = filename;
-    let finalPath = filePath;
+    let imageBuffer = data;
     
     try {
-      const compressionResult = await imageCompressionService.compressImage(filePath, compressedPath);
+      const compressionResult = await imageCompressionService.compressBuffer(data);
       
       if (compressionResult.success) {
+        await storage.put(compressedFilename, compressionResult.buffer);
         log('info', `Image compressed successfully: ${compressionResult.compressionRatio}% size reduction`);
         // Use compressed image for storage, keep original for backup
         finalFilename = compressedFilename;
-        finalPath = compressedPath;
+        imageBuffer = compressionResult.buffer;
       } else {
         log('warn', 'Image compression failed, using original image');
       }
@@ -242,35 +313,74 @@ const downloadAndStoreImage = async (cameraId, imageUrl) => {
       log('warn', `Image compression error, using original image: ${compressionError.message}`);
     }
     
-    // Calculate image hash
-    const imageBuffer = await fs.readFile(finalPath);
+    // Calculate image hashes
     const imageHash = crypto.createHash('md5').update(imageBuffer).digest('hex');
     
-    // Check if image has changed
+    const algorithm = configService.get('camera.changeDetection.algorithm', 'dhash');
+    const threshold = configService.get('camera.changeDetection.threshold', 5);
+    let perceptualHash = null;
+    
+    try {
+      perceptualHash = await perceptualHashService.computeHash(imageBuffer, algorithm);
+    } catch (hashError) {
+      log('warn', `Perceptual hash failed for camera ${cameraId}, falling back to MD5: ${hashError.message}`);
+    }
+    
+    // Recognise "camera unavailable" style frames
+    const { placeholder, reason: placeholderReason } = await cameraHealthService.detectPlaceholder(imageBuffer, perceptualHash);
+    
+    // Score brightness, contrast, sharpness and uniformity for the AI quality gate
+    const quality = await imageQualityService.analyze(imageBuffer);
+    
+    // Compare against the previous frame
     const existingImage = await runSingle(
-      'SELECT image_hash FROM images WHERE camera_id = ? ORDER BY created_at DESC LIMIT 1',
-      [cameraId]
+      'SELECT image_hash, perceptual_hash, perceptual_hash_algorithm FROM images WHERE camera_id = ? AND created_at <= ? ORDER BY created_at DESC LIMIT 1',
+      [cameraId, capturedAtSql]
     );
     
-    const hasChanged = !existingImage || existingImage.image_hash !== imageHash;
+    // Only hashes from the same algorithm are comparable; otherwise fall back to MD5
+    const hashDistance = existingImage && perceptualHash && existingImage.perceptual_hash_algorithm === algorithm
+      ? perceptualHashService.hammingDistance(existingImage.perceptual_hash, perceptualHash)
+      : null;
+    
+    const hasChanged = !existingImage || (hashDistance !== null
+      ? hashDistance > threshold
+      : existingImage.image_hash !== imageHash);
     
     // Store image record in database
     const result = await run(`
-      INSERT INTO images (camera_id, local_path, image_hash, previous_hash, has_changed, created_at)
-      VALUES (?, ?, ?, ?, ?, datetime('now'))
+      INSERT INTO images (
+        camera_id, local_path, image_hash, previous_hash, has_changed,
+        perceptual_hash, perceptual_hash_algorithm, hash_distance, captured_at, created_at,
+        quality_score, quality_brightness, quality_contrast, quality_sharpness, quality_uniformity, quality_flags
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `, [
       cameraId,
       finalFilename,
       imageHash,
       existingImage ? existingImage.image_hash : null,
-      hasChanged ? 1 : 0
+      hasChanged ? 1 : 0,
+      perceptualHash,
+      perceptualHash ? algorithm : null,
+      hashDistance,
+      capturedAtSql,
+      capturedAtSql,
+      quality ? quality.score : null,
+      quality ? quality.brightness : null,
+      quality ? quality.contrast : null,
+      quality ? quality.sharpness : null,
+      quality ? quality.uniformity : null,
+      quality ? quality.flags.join(',') : null
     ]);
     
-    log('info', `Image stored for camera ${cameraId}: ${filename} (changed: ${hasChanged})`);
+    log('info', `Image stored for camera ${cameraId}: ${filename} (changed: ${hasChanged}, distance: ${hashDistance !== null ? hashDistance : 'n/a'})`);
     log('info', `Database result:`, JSON.stringify(result));
     
     // Queue image for vehicle detection analysis only if AI analysis is enabled for this camera
-    if (hasChanged && result.id) {
+    if (placeholder) {
+      log('warn', `Skipping vehicle detection analysis for image ${result.id} (placeholder frame: ${placeholderReason})`);
+    } else if (hasChanged && result.id) {
       const camera = await runSingle(
         'SELECT ai_analysis_enabled FROM cameras WHERE camera_id = ?',
         [cameraId]
@@ -297,57 +407,265 @@ const downloadAndStoreImage = async (cameraId, imageUrl) => {
       id: result.id,
       filename: finalFilename,
       hasChanged,
-      imageHash
+      imageHash,
+      perceptualHash,
+      hashDistance,
+      placeholder,
+      placeholderReason,
+      quality,
+      bytes: data.length,
+      httpStatus
     };
   } catch (error) {
-    log('error', `Error downloading/storing image for camera ${cameraId}: ${error.message}`);
+    log('error', `Error storing image for camera ${cameraId}: ${error.message}`);
     throw error;
   }
 };
 
+/**
+ * Retire cameras of a source that were missing from its latest list. Retired
+ * cameras keep their images and detections but are no longer captured.
+ * @param {BaseCameraSource} source - Source that was just synced
+ * @param {Set<string>} seenIds - Camera IDs present in the latest list
+ * @returns {Promise<Array>} - Retired cameras ({ camera_id, name })
+ */
+const retireMissingCameras = async (source, seenIds) => {
+  const active = await runQuery(
+    'SELECT camera_id, name FROM cameras WHERE source = ? AND retired_at IS NULL',
+    [source.id]
+  );
+  const missing = active.filter(camera => !seenIds.has(camera.camera_id));
+  
+  for (const camera of missing) {
+    await run(
+      "UPDATE cameras SET retired_at = datetime('now'), updated_at = datetime('now') WHERE camera_id = ?",
+      [camera.camera_id]
+    );
+    await recordCameraChange(camera.camera_id, source.id, 'removed');
+    log('warn', `Camera ${camera.camera_id} is no longer listed by source ${source.id}; retired`);
+  }
+  
+  return missing;
+};
+
+// Run an async worker over items with at most `limit` in flight
+const runWithConcurrency = async (items, limit, worker) => {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
+    }
+  });
+  await Promise.all(runners);
+};
+
+/**
+ * Fill in coordinates, milepost and route from a source's per-camera info
+ * endpoint. Results are cached for `camera.locationLookup.cacheTtl` ms, and
+ * cameras with manually set coordinates are never overwritten.
+ * @param {BaseCameraSource} source - Source whose cameras to enrich
+ * @returns {Promise<Object|null>} - { checked, updated, errors }, or null when skipped
+ */
+const enrichCameraLocations = async (source) => {
+  if (!configService.get('camera.locationLookup.enabled', true) ||
+      source.fetchCameraInfo === BaseCameraSource.prototype.fetchCameraInfo) {
+    return null;
+  }
+  
+  const cacheTtl = configService.get('camera.locationLookup.cacheTtl', 604800000);
+  const cameras = await runQuery(`
+    SELECT camera_id FROM cameras
+    WHERE source = ? AND retired_at IS NULL
+      AND COALESCE(location_source, '') != 'manual'
+      AND (location_fetched_at IS NULL OR location_fetched_at < datetime('now', ?))
+  `, [source.id, `-${Math.round(cacheTtl / 1000)} seconds`]);
+  
+  if (cameras.length === 0) {
+    return { checked: 0, updated: 0, errors: 0 };
+  }
+  
+  log('info', `Looking up location details for ${cameras.length} cameras from source ${source.id}...`);
+  
+  let updated = 0;
+  let errors = 0;
+  
+  await runWithConcurrency(cameras, downloadSchedulerService.getSettings().maxConcurrentDownloads, async (camera) => {
+    try {
+      const info = await source.fetchCameraInfo(camera);
+      const hasCoordinates = Boolean(info && info.latitude !== null && info.longitude !== null);
+      
+      // Stamp the lookup time even when nothing was found, so it is not repeated every refresh
+      const result = await run(`
+        UPDATE cameras SET
+          latitude = CASE WHEN ? THEN ? ELSE latitude END,
+          longitude = CASE WHEN ? THEN ? ELSE longitude END,
+          milepost = COALESCE(?, milepost),
+          route = COALESCE(?, route),
+          location_source = CASE WHEN ? THEN 'feed' ELSE location_source END,
+          location_fetched_at = datetime('now')
+        WHERE camera_id = ? AND COALESCE(location_source, '') != 'manual'
+      `, [
+        hasCoordinates ? 1 : 0, hasCoordinates ? info.latitude : null,
+        hasCoordinates ? 1 : 0, hasCoordinates ? info.longitude : null,
+        info ? info.milepost : null,
+        info ? info.route : null,
+        hasCoordinates ? 1 : 0,
+        camera.camera_id
+      ]);
+      
+      if (info && result.changes > 0) {
+        updated++;
+      }
+    } catch (error) {
+      errors++;
+      log('warn', `Location lookup failed for camera ${camera.camera_id}: ${error.message}`);
+    }
+  });
+  
+  log('info', `Location lookup for source ${source.id} completed. Updated: ${updated}, Errors: ${errors}`);
+  return { checked: cameras.length, updated, errors };
+};
+
+// The running background location lookup, so overlapping refreshes share it
+let locationLookup = null;
+
+/**
+ * Run enrichCameraLocations for the given sources without waiting for it,
+ * one source after another
+ * @returns {boolean} - False when a lookup was already running
+ */
+const enrichCameraLocationsInBackground = (sources) => {
+  if (locationLookup) {
+    log('info', 'Location lookup is already running; not starting another');
+    return false;
+  }
+  
+  locationLookup = (async () => {
+    for (const source of sources) {
+      try {
+        await enrichCameraLocations(source);
+      } catch (error) {
+        log('error', `Location lookup failed for source ${source.id}: ${error.message}`);
+      }
+    }
+  })().finally(() => {
+    locationLookup = null;
+  });
+  return true;
+};
+
 const refreshCameras = async () => {
   try {
     log('info', 'Starting camera refresh...');
     
-    // Fetch all cameras from MIDOT API
-    const cameras = await fetchAllCameras();
+    const sources = getCameraSources();
     
-    if (!cameras || cameras.length === 0) {
-      log('error', 'No cameras received from MIDOT API');
-      throw new Error('No cameras received from MIDOT API');
+    if (sources.length === 0) {
+      log('error', 'No camera sources configured');
+      throw new Error('No camera sources configured');
     }
     
-    log('info', `Processing ${cameras.length} cameras...`);
-    log('info', 'Sample camera data:', JSON.stringify(cameras[0], null, 2));
-    
     // Store/update each camera in the database
     let processedCount = 0;
     let errorCount = 0;
+    let totalCount = 0;
+    const sourceResults = [];
+    const changes = { added: [], modified: [], restored: [], removed: [] };
+    const syncedSources = [];
     
-    for (const camera of cameras) {
+    for (const source of sources) {
+      let cameras;
       try {
-        log('info', `Processing camera: ${camera.route}${camera.location}`);
-        const result = await storeCamera(camera);
-        if (result) {
-          processedCount++;
-          log('info', `Successfully processed camera ${processedCount}/${cameras.length}`);
-        } else {
-          errorCount++;
-          log('error', `Failed to store camera: ${camera.route}${camera.location}`);
-        }
+        cameras = await fetchAllCameras(source);
       } catch (error) {
-        log('error', `Error processing camera: ${error.message}`);
-        errorCount++;
+        sourceResults.push({ source: source.id, success: false, error: error.message });
+        continue;
+      }
+      
+      if (!cameras || cameras.length === 0) {
+        log('error', `No cameras received from source ${source.id}`);
+        sourceResults.push({ source: source.id, success: false, error: 'No cameras received' });
+        continue;
+      }
+      
+      log('info', `Processing ${cameras.length} cameras from source ${source.id}...`);
+      log('info', 'Sample camera data:', JSON.stringify(cameras[0], null, 2));
+      
+      let sourceProcessed = 0;
+      let sourceErrors = 0;
+      const seenIds = new Set();
+      const sourceChanges = { added: 0, modified: 0, restored: 0, removed: 0 };
+      
+      for (const camera of cameras) {
+        try {
+          const result = await storeCamera(camera, source);
+          if (result) {
+            sourceProcessed++;
+            seenIds.add(result.camera_id);
+            if (result.changeType) {
+              sourceChanges[result.changeType]++;
+              changes[result.changeType].push({
+                camera_id: result.camera_id,
+                name: result.name,
+                source: source.id,
+                changes: result.changes
+              });
+            }
+          } else {
+            sourceErrors++;
+            log('error', `Failed to store camera from source ${source.id}`);
+          }
+        } catch (error) {
+          log('error', `Error processing camera: ${error.message}`);
+          sourceErrors++;
+        }
+      }
+      
+      // A partial sync cannot tell a missing camera from a failed record
+      if (sourceErrors === 0) {
+        const retired = await retireMissingCameras(source, seenIds);
+        sourceChanges.removed = retired.length;
+        retired.forEach(camera => {
+          changes.removed.push({ camera_id: camera.camera_id, name: camera.name, source: source.id, changes: null });
+        });
+      } else {
+        log('warn', `Skipping retirement check for source ${source.id}: ${sourceErrors} camera(s) failed to store`);
       }
+      
+      syncedSources.push(source);
+      processedCount += sourceProcessed;
+      errorCount += sourceErrors;
+      totalCount += cameras.length;
+      sourceResults.push({
+        source: source.id,
+        success: true,
+        processed: sourceProcessed,
+        errors: sourceErrors,
+        total: cameras.length,
+        changes: sourceChanges
+      });
+    }
+    
+    if (totalCount === 0) {
+      log('error', 'No cameras received from any camera source');
+      throw new Error('No cameras received from any camera source');
     }
     
-    log('info', `Camera refresh completed. Processed: ${processedCount}, Errors: ${errorCount}`);
+    log('info', `Camera refresh completed. Processed: ${processedCount}, Errors: ${errorCount}, ` +
+      `Added: ${changes.added.length}, Modified: ${changes.modified.length}, ` +
+      `Restored: ${changes.restored.length}, Removed: ${changes.removed.length}`);
+    
+    // Location lookups call the feed once per camera, so they finish after the refresh returns
+    const locationLookupStarted = enrichCameraLocationsInBackground(syncedSources);
     
     return {
       success: true,
       processed: processedCount,
       errors: errorCount,
-      total: cameras.length
+      total: totalCount,
+      sources: sourceResults,
+      changes,
+      location_lookup: locationLookupStarted ? 'started' : 'already_running'
     };
   } catch (error) {
     log('error', `Camera refresh failed: ${error.message}`);
@@ -355,56 +673,63 @@ const refreshCameras = async () => {
   }
 };
 
+// Capture the given cameras through the download scheduler
+const captureCameras = async (cameras) => {
+  // Download in parallel with per-camera retries; one slow camera no longer delays the rest
+  const summary = await downloadSchedulerService.runCaptures(cameras, (camera) => (
+    downloadAndStoreImage(camera.camera_id, camera.image_url, getCameraSource(camera.source))
+  ));
+  
+  log('info', `Image update completed. Updated: ${summary.succeeded}, Errors: ${summary.failed} (${summary.duration}ms)`);
+  
+  // Feed every capture result into the camera health model
+  for (const result of summary.results) {
+    if (result.success && !result.outcome) continue;
+    
+    try {
+      await cameraHealthService.recordCaptureResult(result.camera_id, {
+        success: result.success,
+        error: result.error,
+        hasChanged: result.outcome ? result.outcome.hasChanged : false,
+        unchanged: result.outcome ? Boolean(result.outcome.unchanged) : false,
+        placeholder: result.outcome ? result.outcome.placeholder : false,
+        placeholderReason: result.outcome ? result.outcome.placeholderReason : null
+      });
+    } catch (error) {
+      log('error', `Failed to update health for camera ${result.camera_id}: ${error.message}`);
+    }
+  }
+  
+  return summary;
+};
+
+// Capture every enabled camera now, regardless of its schedule
 const updateCameraImages = async () => {
   try {
-    // log('info', 'Starting camera image update...');
-    
     // Get all enabled cameras
     const enabledCameras = await runQuery(
-      'SELECT camera_id, image_url FROM cameras WHERE enabled = 1 AND image_url IS NOT NULL'
+      'SELECT camera_id, image_url, source FROM cameras WHERE enabled = 1 AND retired_at IS NULL AND image_url IS NOT NULL'
     );
     
     if (!enabledCameras || enabledCameras.length === 0) {
-      // log('info', 'No enabled cameras found for image update');
-      return;
-    }
-    
-    // log('info', `Updating images for ${enabledCameras.length} enabled cameras...`);
-    
-    let updatedCount = 0;
-    let errorCount = 0;
-    
-    for (const camera of enabledCameras) {
-      try {
-        await downloadAndStoreImage(camera.camera_id, camera.image_url);
-        updatedCount++;
-      } catch (error) {
-        // log('error', `Error updating image for camera ${camera.camera_id}: ${error.message}`);
-        errorCount++;
-      }
+      return null;
     }
     
-    // log('info', `Image update completed. Updated: ${updatedCount}, Errors: ${errorCount}`);
+    return await captureCameras(enabledCameras);
   } catch (error) {
-    // log('error', `Camera image update failed: ${error.message}`);
+    log('error', `Camera image update failed: ${error.message}`);
     throw error;
   }
 };
 
+// Check the capture quota before enabling a camera
 const validateCameraLimit = async (cameraId, newEnabledStatus) => {
   try {
-    // Get current count of enabled cameras
-    const currentEnabled = await runSingle(
-      'SELECT COUNT(*) as count FROM cameras WHERE enabled = 1'
-    );
-    
-    const currentCount = currentEnabled ? currentEnabled.count : 0;
-    
-    if (newEnabledStatus && currentCount >= 5) {
-      return { allowed: false, reason: 'Maximum of 5 cameras can be enabled simultaneously' };
+    if (!newEnabledStatus) {
+      return { allowed: true, reason: 'Disabling camera' };
     }
     
-    return { allowed: true, reason: `Enabling camera will result in ${currentCount + 1} enabled cameras` };
+    return await captureQuotaService.checkEnable([cameraId], 'enabled');
   } catch (error) {
     log('error', `Error validating camera limit: ${error.message}`);
     return { allowed: false, reason: 'Error validating camera limit' };
@@ -432,6 +757,13 @@ const toggleCameraStatus = async (cameraId, enabled) => {
 
 const toggleAIAnalysisStatus = async (cameraId, aiAnalysisEnabled) => {
   try {
+    if (aiAnalysisEnabled) {
+      const validation = await captureQuotaService.checkEnable([cameraId], 'ai_analysis_enabled');
+      if (!validation.allowed) {
+        throw new Error(validation.reason);
+      }
+    }
+    
     const query = 'UPDATE cameras SET ai_analysis_enabled = ?, updated_at = datetime("now") WHERE camera_id = ?';
     await run(query, [aiAnalysisEnabled ? 1 : 0, cameraId]);
     
@@ -456,13 +788,44 @@ const getCameraStatus = async (cameraId) => {
   }
 };
 
+/**
+ * Set or clear manual coordinates for a camera. Manual coordinates are kept
+ * across refreshes; clearing them lets the next refresh look the camera up again.
+ * @param {string} cameraId - Camera ID
+ * @param {Object|null} location - { latitude, longitude }, or null to clear the override
+ * @returns {Promise<boolean>} - False if the camera does not exist
+ */
+const setCameraLocation = async (cameraId, location) => {
+  try {
+    const result = location
+      ? await run(`
+          UPDATE cameras SET latitude = ?, longitude = ?, location_source = 'manual', updated_at = datetime('now')
+          WHERE camera_id = ?
+        `, [location.latitude, location.longitude, cameraId])
+      : await run(`
+          UPDATE cameras SET location_source = NULL, location_fetched_at = NULL, updated_at = datetime('now')
+          WHERE camera_id = ?
+        `, [cameraId]);
+    
+    log('info', `Camera ${cameraId} location ${location ? `set to ${location.latitude}, ${location.longitude}` : 'override cleared'}`);
+    return result.changes > 0;
+  } catch (error) {
+    log('error', `Error setting location for camera ${cameraId}: ${error.message}`);
+    throw error;
+  }
+};
+
 module.exports = {
   fetchAllCameras,
   storeCamera,
   refreshCameras,
+  enrichCameraLocations,
+  captureCameras,
   updateCameraImages,
   downloadAndStoreImage,
+  storeSnapshot,
   toggleCameraStatus,
   toggleAIAnalysisStatus,
-  getCameraStatus
+  getCameraStatus,
+  setCameraLocation
 };
\ No newline at end of file
@@ -0,0 +1,130 @@
+const axios = require('axios')
+
+const USER_AGENT = 'MIDOT-Traffic-Monitor/1.0'
+
+/**
+ * Base class for camera source adapters.
+ *
+ * An adapter knows how to list the cameras a feed publishes, how to turn one
+ * raw feed record into a row for the `cameras` table, and how to fetch the
+ * current snapshot for a stored camera. Subclasses must implement
+ * `listCameras` and `parseCamera`; the snapshot helpers default to an HTTP GET
+ * of the camera's `image_url`.
+ */
+class BaseCameraSource {
+  /**
+   * @param {Object} options - Source configuration from `camera.sources`
+   * @param {string} options.id - Unique source identifier stored on each camera
+   */
+  constructor(options = {}) {
+    if (!options.id) {
+      throw new Error('Camera source configuration requires an id')
+    }
+
+    this.id = options.id
+    this.type = options.type
+    this.options = options
+    this.timeout = options.timeout || 30000
+  }
+
+  /**
+   * Fetch the raw camera records published by this source
+   * @returns {Promise<Array>} - Raw records, passed one by one to parseCamera
+   */
+  async listCameras() {
+    throw new Error(`${this.constructor.name} does not implement listCameras`)
+  }
+
+  /**
+   * Normalize a raw record into the shape stored in the `cameras` table
+   * @param {Object} rawCamera - One record returned by listCameras
+   * @returns {Object|null} - Parsed camera, or null when the record is unusable
+   */
+  parseCamera(rawCamera) {
+    throw new Error(`${this.constructor.name} does not implement parseCamera`)
+  }
+
+  /**
+   * Fetch extra location details for a stored camera. Sources whose list
+   * already carries coordinates, or that have no per-camera endpoint, keep
+   * this default and skip enrichment.
+   * @param {Object} camera - Camera row with at least camera_id
+   * @returns {Promise<Object|null>} - { latitude, longitude, milepost, route } or null
+   */
+  async fetchCameraInfo(camera) {
+    return null
+  }
+
+  /**
+   * Resolve the URL of the current snapshot for a stored camera
+   * @param {Object} camera - Camera row with at least camera_id and image_url
+   * @returns {string|null} - Snapshot URL
+   */
+  resolveSnapshotUrl(camera) {
+    return camera.image_url || null
+  }
+
+  /**
+   * Fetch the current snapshot for a stored camera. Validators from the
+   * previous fetch are sent as If-None-Match / If-Modified-Since, and a 304
+   * comes back as `notModified` with no data.
+   * @param {Object} camera - Camera row with at least camera_id and image_url
+   * @param {Object} validators - { etag, lastModified } from the previous fetch
+   * @returns {Promise<Object>} - { data: Buffer|null, status, url, notModified, etag, lastModified, contentLength }
+   */
+  async fetchSnapshot(camera, validators = {}) {
+    const url = this.resolveSnapshotUrl(camera)
+    if (!url) {
+      throw new Error(`No snapshot URL available for camera ${camera.camera_id}`)
+    }
+
+    const headers = {
+      'User-Agent': USER_AGENT
+    }
+    if (validators.etag) {
+      headers['If-None-Match'] = validators.etag
+    }
+    if (validators.lastModified) {
+      headers['If-Modified-Since'] = validators.lastModified
+    }
+
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: this.timeout,
+      headers,
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    })
+
+    if (response.status === 304) {
+      return {
+        data: null,
+        status: response.status,
+        url,
+        notModified: true,
+        etag: response.headers.etag || validators.etag || null,
+        lastModified: response.headers['last-modified'] || validators.lastModified || null,
+        contentLength: null
+      }
+    }
+
+    if (response.status !== 200) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+    }
+
+    const data = Buffer.from(response.data)
+    const contentLength = parseInt(response.headers['content-length'], 10)
+
+    return {
+      data,
+      status: response.status,
+      url,
+      notModified: false,
+      etag: response.headers.etag || null,
+      lastModified: response.headers['last-modified'] || null,
+      contentLength: Number.isFinite(contentLength) ? contentLength : data.length
+    }
+  }
+}
+
+module.exports = BaseCameraSource
+module.exports.USER_AGENT = USER_AGENT
@@ -0,0 +1,83 @@
+const configService = require('../configService')
+const BaseCameraSource = require('./baseCameraSource')
+const MidotCameraSource = require('./midotCameraSource')
+const JsonListCameraSource = require('./jsonListCameraSource')
+const LocalDirectoryCameraSource = require('./localDirectoryCameraSource')
+
+// Adapter classes by the `type` used in `camera.sources`
+const SOURCE_TYPES = {
+  midot: MidotCameraSource,
+  'json-list': JsonListCameraSource,
+  'local-directory': LocalDirectoryCameraSource
+}
+
+const DEFAULT_SOURCE_ID = 'midot'
+
+let cachedSources = null
+
+// Rebuild adapters whenever the camera configuration changes
+configService.onChange((key) => {
+  if (key === '*' || key.startsWith('camera')) {
+    cachedSources = null
+  }
+})
+
+/**
+ * Create a camera source adapter from its configuration
+ * @param {Object} sourceConfig - Entry from `camera.sources`
+ * @returns {BaseCameraSource}
+ */
+const createCameraSource = (sourceConfig) => {
+  const SourceClass = SOURCE_TYPES[sourceConfig.type]
+  if (!SourceClass) {
+    throw new Error(`Unknown camera source type: ${sourceConfig.type}`)
+  }
+  return new SourceClass(sourceConfig)
+}
+
+/**
+ * Get adapters for every enabled source in `camera.sources`
+ * @returns {Array<BaseCameraSource>}
+ */
+const getCameraSources = () => {
+  if (cachedSources) {
+    return cachedSources
+  }
+
+  const configured = configService.get('camera.sources', [{ id: DEFAULT_SOURCE_ID, type: 'midot', enabled: true }])
+  const sources = []
+
+  for (const sourceConfig of configured) {
+    if (sourceConfig.enabled === false) continue
+
+    try {
+      sources.push(createCameraSource(sourceConfig))
+    } catch (error) {
+      console.error(`Skipping camera source ${sourceConfig.id || sourceConfig.type}: ${error.message}`)
+    }
+  }
+
+  cachedSources = sources
+  return sources
+}
+
+/**
+ * Get the adapter a stored camera belongs to. Cameras whose source is no
+ * longer configured fall back to a plain MIDOT adapter, which fetches the
+ * stored image_url over HTTP.
+ * @param {string} sourceId - Value of cameras.source
+ * @returns {BaseCameraSource}
+ */
+const getCameraSource = (sourceId = DEFAULT_SOURCE_ID) => {
+  const source = getCameraSources().find(candidate => candidate.id === (sourceId || DEFAULT_SOURCE_ID))
+  return source || new MidotCameraSource()
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  DEFAULT_SOURCE_ID,
+  BaseCameraSource,
+  createCameraSource,
+  getCameraSources,
+  getCameraSource
+}
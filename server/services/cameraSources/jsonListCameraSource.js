@@ -0,0 +1,109 @@
+const axios = require('axios')
+const BaseCameraSource = require('./baseCameraSource')
+
+// Default mapping from camera columns to fields in each list record
+const DEFAULT_FIELDS = {
+  id: 'id',
+  name: 'name',
+  description: 'description',
+  road_name: 'road',
+  intersection: 'location',
+  county: 'county',
+  direction: 'direction',
+  latitude: 'latitude',
+  longitude: 'longitude',
+  image_url: 'imageUrl'
+}
+
+// Read a dotted path ("data.cameras") out of a nested object
+const getPath = (object, dottedPath) => {
+  if (!dottedPath) return object
+  return dottedPath.split('.').reduce((value, key) => (
+    value !== null && value !== undefined ? value[key] : undefined
+  ), object)
+}
+
+/**
+ * Generic camera source for feeds that publish a JSON list of cameras.
+ *
+ * Options:
+ * - listUrl: URL returning the camera list
+ * - itemsPath: dotted path to the array inside the response (optional)
+ * - fields: overrides for DEFAULT_FIELDS
+ * - snapshotUrlTemplate: e.g. "https://example.org/cams/{id}.jpg"; any
+ *   `{field}` is filled from the raw record. Used when records carry no
+ *   image URL of their own.
+ * - idPrefix: prefix for stored camera IDs (defaults to "<source id>_")
+ */
+class JsonListCameraSource extends BaseCameraSource {
+  constructor(options = {}) {
+    super({ type: 'json-list', ...options })
+
+    if (!options.listUrl) {
+      throw new Error(`Camera source ${this.id} requires a listUrl`)
+    }
+
+    this.listUrl = options.listUrl
+    this.itemsPath = options.itemsPath || null
+    this.fields = { ...DEFAULT_FIELDS, ...(options.fields || {}) }
+    this.snapshotUrlTemplate = options.snapshotUrlTemplate || null
+    this.idPrefix = options.idPrefix !== undefined ? options.idPrefix : `${this.id}_`
+  }
+
+  async listCameras() {
+    const response = await axios.get(this.listUrl, {
+      timeout: this.timeout,
+      headers: {
+        'User-Agent': BaseCameraSource.USER_AGENT
+      }
+    })
+
+    const items = getPath(response.data, this.itemsPath)
+    if (!Array.isArray(items)) {
+      throw new Error(`Invalid response format from camera source ${this.id}`)
+    }
+
+    return items
+  }
+
+  parseCamera(rawCamera) {
+    const field = (name) => {
+      const value = getPath(rawCamera, this.fields[name])
+      return value === undefined || value === '' ? null : value
+    }
+
+    const sourceId = field('id')
+    if (sourceId === null) {
+      return null
+    }
+
+    const latitude = parseFloat(field('latitude'))
+    const longitude = parseFloat(field('longitude'))
+
+    return {
+      camera_id: `${this.idPrefix}${sourceId}`,
+      name: field('name') || String(sourceId),
+      description: field('description') || field('direction') || 'No description available',
+      road_name: field('road_name') || 'Unknown',
+      intersection: field('intersection') || 'Unknown',
+      county: field('county'),
+      direction: field('direction'),
+      latitude: Number.isFinite(latitude) ? latitude : null,
+      longitude: Number.isFinite(longitude) ? longitude : null,
+      image_url: field('image_url') || this.fillTemplate(rawCamera, sourceId)
+    }
+  }
+
+  fillTemplate(rawCamera, sourceId) {
+    if (!this.snapshotUrlTemplate) {
+      return null
+    }
+
+    return this.snapshotUrlTemplate.replace(/\{([\w.]+)\}/g, (match, key) => {
+      const value = key === 'id' ? sourceId : getPath(rawCamera, key)
+      return value === undefined || value === null ? '' : encodeURIComponent(value)
+    })
+  }
+}
+
+module.exports = JsonListCameraSource
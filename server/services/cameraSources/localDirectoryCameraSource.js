@@ -0,0 +1,102 @@
+const fs = require('fs-extra')
+const path = require('path')
+const { fileURLToPath, pathToFileURL } = require('url')
+const BaseCameraSource = require('./baseCameraSource')
+
+const JPEG_PATTERN = /\.(jpe?g)$/i
+
+/**
+ * Camera source backed by a local directory, for test rigs and offline work.
+ *
+ * Every JPEG directly inside `path` is one camera whose snapshot is that file.
+ * Every subdirectory is also one camera whose snapshot is the newest JPEG in
+ * it (by filename), so a rig can keep dropping frames into the folder.
+ *
+ * Options:
+ * - path: directory to scan; relative paths resolve against the server folder
+ * - idPrefix: prefix for stored camera IDs (defaults to "<source id>_")
+ */
+class LocalDirectoryCameraSource extends BaseCameraSource {
+  constructor(options = {}) {
+    super({ type: 'local-directory', ...options })
+
+    if (!options.path) {
+      throw new Error(`Camera source ${this.id} requires a path`)
+    }
+
+    this.directory = path.resolve(__dirname, '../..', options.path)
+    this.idPrefix = options.idPrefix !== undefined ? options.idPrefix : `${this.id}_`
+  }
+
+  async listCameras() {
+    if (!(await fs.pathExists(this.directory))) {
+      throw new Error(`Camera directory not found: ${this.directory}`)
+    }
+
+    const entries = await fs.readdir(this.directory, { withFileTypes: true })
+
+    return entries
+      .filter(entry => entry.isDirectory() || (entry.isFile() && JPEG_PATTERN.test(entry.name)))
+      .map(entry => ({
+        name: entry.isDirectory() ? entry.name : entry.name.replace(JPEG_PATTERN, ''),
+        path: path.join(this.directory, entry.name)
+      }))
+  }
+
+  parseCamera(rawCamera) {
+    if (!rawCamera || !rawCamera.name) {
+      return null
+    }
+
+    return {
+      camera_id: `${this.idPrefix}${rawCamera.name}`,
+      name: rawCamera.name,
+      description: `Local snapshots from ${rawCamera.path}`,
+      road_name: 'Unknown',
+      intersection: 'Unknown',
+      county: null,
+      direction: null,
+      image_url: pathToFileURL(rawCamera.path).href
+    }
+  }
+
+  // The newest file's path and modification time stand in for Last-Modified
+  async fetchSnapshot(camera, validators = {}) {
+    const url = this.resolveSnapshotUrl(camera)
+    if (!url || !url.startsWith('file:')) {
+      throw new Error(`No local snapshot path for camera ${camera.camera_id}`)
+    }
+
+    let snapshotPath = fileURLToPath(url)
+    let stats = await fs.stat(snapshotPath)
+
+    if (stats.isDirectory()) {
+      const frames = (await fs.readdir(snapshotPath)).filter(name => JPEG_PATTERN.test(name)).sort()
+      if (frames.length === 0) {
+        throw new Error(`No JPEG snapshots in ${snapshotPath}`)
+      }
+      snapshotPath = path.join(snapshotPath, frames[frames.length - 1])
+      stats = await fs.stat(snapshotPath)
+    }
+
+    const snapshotUrl = pathToFileURL(snapshotPath).href
+    const lastModified = `${snapshotUrl}@${stats.mtimeMs}`
+
+    if (validators.lastModified === lastModified) {
+      return { data: null, status: 304, url: snapshotUrl, notModified: true, etag: null, lastModified, contentLength: null }
+    }
+
+    const data = await fs.readFile(snapshotPath)
+    return {
+      data,
+      status: 200,
+      url: snapshotUrl,
+      notModified: false,
+      etag: null,
+      lastModified,
+      contentLength: data.length
+    }
+  }
+}
+
+module.exports = LocalDirectoryCameraSource
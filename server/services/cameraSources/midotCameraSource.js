@@ -0,0 +1,146 @@
+const axios = require('axios')
+const BaseCameraSource = require('./baseCameraSource')
+
+// MIDOT API endpoints
+const MIDOT_CAMERAS_URL = 'https://mdotjboss.state.mi.us/MiDrive/camera/list'
+const MIDOT_CAMERA_INFO_URL = 'https://mdotjboss.state.mi.us/MiDrive/camera/getCameraInformation'
+
+// Read the first present field, matching names case-insensitively
+const pickField = (record, names) => {
+  const keys = Object.keys(record)
+  for (const name of names) {
+    const key = keys.find(candidate => candidate.toLowerCase() === name)
+    if (key && record[key] !== null && record[key] !== '') {
+      return record[key]
+    }
+  }
+  return null
+}
+
+const toCoordinate = (value, limit) => {
+  const number = parseFloat(value)
+  return Number.isFinite(number) && Math.abs(number) <= limit && number !== 0 ? number : null
+}
+
+/**
+ * Camera source for the Michigan DOT MiDrive feed.
+ *
+ * The list endpoint returns JSON whose `county` and `image` fields carry HTML
+ * fragments, so the camera ID and snapshot URL are scraped out of the markup.
+ */
+class MidotCameraSource extends BaseCameraSource {
+  constructor(options = {}) {
+    super({ id: 'midot', type: 'midot', ...options })
+    this.listUrl = options.listUrl || MIDOT_CAMERAS_URL
+    this.infoUrl = options.infoUrl || MIDOT_CAMERA_INFO_URL
+  }
+
+  async listCameras() {
+    const response = await axios.get(this.listUrl, {
+      timeout: this.timeout,
+      headers: {
+        'User-Agent': BaseCameraSource.USER_AGENT
+      }
+    })
+
+    if (!response.data || !Array.isArray(response.data)) {
+      throw new Error('Invalid response format from MIDOT API')
+    }
+
+    return response.data
+  }
+
+  async fetchCameraInfo(camera) {
+    // Cameras without a numeric MiDrive ID were given generated IDs
+    if (!/^\d+$/.test(camera.camera_id)) {
+      return null
+    }
+
+    const response = await axios.get(`${this.infoUrl}/${camera.camera_id}`, {
+      timeout: this.timeout,
+      headers: {
+        'User-Agent': BaseCameraSource.USER_AGENT
+      }
+    })
+
+    return this.parseCameraInfo(response.data)
+  }
+
+  parseCameraInfo(info) {
+    const record = Array.isArray(info) ? info[0] : info
+    if (!record || typeof record !== 'object') {
+      return null
+    }
+
+    const milepost = pickField(record, ['milepost', 'mile_post', 'milemarker', 'mile_marker', 'mile'])
+    const route = pickField(record, ['route', 'routename', 'roadway', 'road'])
+
+    return {
+      latitude: toCoordinate(pickField(record, ['latitude', 'lat', 'y']), 90),
+      longitude: toCoordinate(pickField(record, ['longitude', 'lon', 'lng', 'long', 'x']), 180),
+      milepost: milepost !== null ? String(milepost).trim() : null,
+      route: route !== null ? String(route).trim() : null
+    }
+  }
+
+  parseCamera(cameraData) {
+    // Extract county name from HTML-formatted county field
+    let county = null
+    if (cameraData.county && typeof cameraData.county === 'string') {
+      // Extract county name before the HTML link
+      const countyMatch = cameraData.county.match(/^([^<]+)/)
+      if (countyMatch) {
+        county = countyMatch[1].trim()
+      }
+    }
+
+    // Extract camera ID from the image HTML if available
+    let cameraId = null
+    if (cameraData.image && typeof cameraData.image === 'string') {
+      const idMatch = cameraData.image.match(/id="(\d+)Img"/)
+      if (idMatch) {
+        cameraId = idMatch[1]
+      }
+    }
+
+    // Extract image URL from the image HTML if available
+    let imageUrl = null
+    if (cameraData.image && typeof cameraData.image === 'string') {
+      const srcMatch = cameraData.image.match(/src="([^"]+)"/)
+      if (srcMatch) {
+        imageUrl = srcMatch[1]
+      }
+    }
+
+    // Derive a stable identifier if no camera ID found, so the camera keeps
+    // the same ID across refreshes
+    if (!cameraId) {
+      const routeLocation = `${cameraData.route}${cameraData.location}${cameraData.direction || ''}`.replace(/[^a-zA-Z0-9]/g, '')
+      cameraId = `auto_${routeLocation}`
+    }
+
+    // Build camera name from route and location
+    const name = `${cameraData.route}${cameraData.location}`.trim()
+
+    // Extract road name from route
+    const roadName = cameraData.route || 'Unknown'
+
+    // Extract intersection from location
+    const intersection = cameraData.location ? cameraData.location.replace(/^@\s*/, '').trim() : 'Unknown'
+
+    return {
+      camera_id: cameraId,
+      name: name,
+      description: cameraData.direction || 'No description available',
+      road_name: roadName,
+      intersection: intersection,
+      county: county,
+      direction: cameraData.direction || null,
+      image_url: imageUrl
+    }
+  }
+}
+
+module.exports = MidotCameraSource
+module.exports.MIDOT_CAMERAS_URL = MIDOT_CAMERAS_URL
+module.exports.MIDOT_CAMERA_INFO_URL = MIDOT_CAMERA_INFO_URL
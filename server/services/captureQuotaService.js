@@ -0,0 +1,343 @@
+const { runQuery } = require('../database/connection');
+const configService = require('./configService');
+const cameraGroupService = require('./cameraGroupService');
+
+// Quotas by camera flag: config key and wording
+const QUOTA_FIELDS = {
+  enabled: { key: 'maxEnabled', label: 'enabled' },
+  ai_analysis_enabled: { key: 'maxAiEnabled', label: 'AI-enabled' }
+};
+
+// Fallbacks for the capacity estimate when there is no capture history yet
+const DEFAULT_IMAGE_BYTES = 50000;
+// Each stored frame keeps its original next to the compressed copy
+const STORED_COPIES = 2;
+const HISTORY_DAYS = 7;
+
+/**
+ * Quotas on how many cameras may be captured and analyzed at once, read from
+ * `camera.quotas`:
+ *   { maxEnabled: 5, maxAiEnabled: 5, perCounty: { Wayne: { maxEnabled: 3, maxAiEnabled: 1 } } }
+ * `perGroup` takes the same limits keyed by camera group name. A quota of 0
+ * means no limit. Retired cameras never count.
+ *
+ * Also estimates what a set of enabled cameras costs per day in images,
+ * disk and Gemini calls, from each camera's schedule and recent history.
+ */
+class CaptureQuotaService {
+  getQuotas() {
+    return {
+      maxEnabled: configService.get('camera.quotas.maxEnabled', 5),
+      maxAiEnabled: configService.get('camera.quotas.maxAiEnabled', 5),
+      perCounty: configService.get('camera.quotas.perCounty', {}),
+      perGroup: configService.get('camera.quotas.perGroup', {})
+    };
+  }
+
+  // Number of enabled and AI-enabled cameras, overall and per county
+  async getUsage() {
+    const rows = await runQuery(`
+      SELECT
+        county,
+        COUNT(CASE WHEN enabled = 1 THEN 1 END) as enabled,
+        COUNT(CASE WHEN ai_analysis_enabled = 1 THEN 1 END) as ai_analysis_enabled,
+        COUNT(*) as total
+      FROM cameras
+      WHERE retired_at IS NULL
+      GROUP BY county
+    `);
+
+    const usage = { enabled: 0, ai_analysis_enabled: 0, total: 0, byCounty: {} };
+    rows.forEach(row => {
+      usage.enabled += row.enabled;
+      usage.ai_analysis_enabled += row.ai_analysis_enabled;
+      usage.total += row.total;
+      if (row.county) {
+        usage.byCounty[row.county] = { enabled: row.enabled, ai_analysis_enabled: row.ai_analysis_enabled };
+      }
+    });
+
+    return usage;
+  }
+
+  /**
+   * Check whether switching a flag on for some cameras stays within quota.
+   * Cameras that already have the flag on, or are retired, are ignored.
+   * @param {Array<string>} cameraIds - Cameras to switch on
+   * @param {string} field - 'enabled' or 'ai_analysis_enabled'
+   * @returns {Promise<Object>} - { allowed, reason, violations, total }
+   */
+  async checkEnable(cameraIds, field = 'enabled') {
+    const { key, label } = QUOTA_FIELDS[field];
+    const quotas = this.getQuotas();
+    const usage = await this.getUsage();
+
+    const candidates = cameraIds.length === 0 ? [] : await runQuery(`
+      SELECT camera_id, county FROM cameras
+      WHERE camera_id IN (${cameraIds.map(() => '?').join(', ')})
+        AND retired_at IS NULL AND COALESCE(${field}, 0) = 0
+    `, cameraIds);
+
+    const total = usage[field] + candidates.length;
+    const violations = [];
+
+    if (quotas[key] > 0 && total > quotas[key]) {
+      violations.push({
+        scope: 'global',
+        limit: quotas[key],
+        current: usage[field],
+        requested: candidates.length,
+        message: `Maximum of ${quotas[key]} cameras can be ${label} simultaneously (currently ${usage[field]})`
+      });
+    }
+
+    const requestedByCounty = {};
+    candidates.forEach(camera => {
+      if (camera.county) {
+        requestedByCounty[camera.county] = (requestedByCounty[camera.county] || 0) + 1;
+      }
+    });
+
+    for (const [county, requested] of Object.entries(requestedByCounty)) {
+      const limit = quotas.perCounty[county] ? quotas.perCounty[county][key] : 0;
+      const current = usage.byCounty[county] ? usage.byCounty[county][field] : 0;
+
+      if (limit > 0 && current + requested > limit) {
+        violations.push({
+          scope: 'county',
+          county,
+          limit,
+          current,
+          requested,
+          message: `Maximum of ${limit} cameras can be ${label} in ${county} (currently ${current})`
+        });
+      }
+    }
+
+    violations.push(...await this.checkGroupQuotas(candidates, field, quotas.perGroup));
+
+    return {
+      allowed: violations.length === 0,
+      reason: violations.length > 0
+        ? violations.map(violation => violation.message).join('; ')
+        : `Enabling will result in ${total} ${label} cameras`,
+      violations,
+      total
+    };
+  }
+
+  // Per-group quotas for the cameras about to be switched on
+  async checkGroupQuotas(candidates, field, perGroup) {
+    const { key, label } = QUOTA_FIELDS[field];
+    const limitedGroups = Object.keys(perGroup).filter(name => perGroup[name] && perGroup[name][key] > 0);
+    if (limitedGroups.length === 0 || candidates.length === 0) {
+      return [];
+    }
+
+    const requestedByGroup = {};
+    const memberships = await cameraGroupService.getGroupsForCameras(candidates.map(camera => camera.camera_id));
+    memberships.forEach(({ group_name: groupName }) => {
+      requestedByGroup[groupName] = (requestedByGroup[groupName] || 0) + 1;
+    });
+
+    const violations = [];
+    for (const groupName of limitedGroups) {
+      const requested = requestedByGroup[groupName];
+      if (!requested) continue;
+
+      const limit = perGroup[groupName][key];
+      const usage = await runQuery(`
+        SELECT COUNT(*) as count
+        FROM camera_group_members m
+        JOIN camera_groups g ON g.id = m.group_id
+        JOIN cameras c ON c.camera_id = m.camera_id
+        WHERE g.name = ? AND c.retired_at IS NULL AND c.${field} = 1
+      `, [groupName]);
+      const current = usage[0] ? usage[0].count : 0;
+
+      if (current + requested > limit) {
+        violations.push({
+          scope: 'group',
+          group: groupName,
+          limit,
+          current,
+          requested,
+          message: `Maximum of ${limit} cameras can be ${label} in group ${groupName} (currently ${current})`
+        });
+      }
+    }
+
+    return violations;
+  }
+
+  // Quotas with current usage and remaining room, for the limits endpoint
+  async getStatus() {
+    const quotas = this.getQuotas();
+    const usage = await this.getUsage();
+    const remaining = (limit, used) => (limit > 0 ? Math.max(0, limit - used) : null);
+
+    const perCounty = Object.entries(quotas.perCounty).map(([county, limits]) => {
+      const used = usage.byCounty[county] || { enabled: 0, ai_analysis_enabled: 0 };
+      return {
+        county,
+        max_enabled: limits.maxEnabled || 0,
+        max_ai_enabled: limits.maxAiEnabled || 0,
+        current_enabled: used.enabled,
+        current_ai_enabled: used.ai_analysis_enabled,
+        remaining_slots: remaining(limits.maxEnabled, used.enabled),
+        remaining_ai_slots: remaining(limits.maxAiEnabled, used.ai_analysis_enabled)
+      };
+    });
+
+    const remainingSlots = remaining(quotas.maxEnabled, usage.enabled);
+    const remainingAiSlots = remaining(quotas.maxAiEnabled, usage.ai_analysis_enabled);
+
+    return {
+      current_enabled: usage.enabled,
+      current_ai_enabled: usage.ai_analysis_enabled,
+      total_cameras: usage.total,
+      max_enabled: quotas.maxEnabled,
+      max_ai_enabled: quotas.maxAiEnabled,
+      remaining_slots: remainingSlots,
+      remaining_ai_slots: remainingAiSlots,
+      can_enable_more: remainingSlots === null || remainingSlots > 0,
+      can_enable_more_ai: remainingAiSlots === null || remainingAiSlots > 0,
+      per_county: perCounty
+    };
+  }
+
+  /**
+   * Estimate the daily load of the currently enabled cameras and of the same
+   * set with more cameras switched on
+   * @param {Object} changes - { enable: [camera_id], enableAi: [camera_id] }
+   * @returns {Promise<Object>} - { current, projected, quota_check }
+   */
+  async estimateCapacity({ enable = [], enableAi = [] } = {}) {
+    // Loaded lazily: captureScheduleService depends on cameraService, which depends on this module
+    const { estimateDailyCaptures } = require('./captureScheduleService');
+
+    const cameras = await runQuery(`
+      SELECT camera_id, enabled, ai_analysis_enabled, capture_interval, capture_windows
+      FROM cameras
+      WHERE retired_at IS NULL
+    `);
+    const history = await this.getCaptureHistory();
+
+    const enableSet = new Set(enable);
+    const enableAiSet = new Set(enableAi);
+    const projectedCameras = cameras.map(camera => ({
+      ...camera,
+      enabled: camera.enabled || enableSet.has(camera.camera_id),
+      ai_analysis_enabled: camera.ai_analysis_enabled || enableAiSet.has(camera.camera_id)
+    }));
+
+    const summarize = (list) => {
+      const totals = { enabled_cameras: 0, ai_cameras: 0, captures_per_day: 0, images_per_day: 0, disk_bytes_per_day: 0, gemini_calls_per_day: 0 };
+
+      list.forEach(camera => {
+        if (!camera.enabled) return;
+
+        const stats = history.cameras[camera.camera_id] || history.overall;
+        const captures = estimateDailyCaptures(camera);
+        const images = captures * stats.storedRatio;
+
+        totals.enabled_cameras++;
+        totals.captures_per_day += captures;
+        totals.images_per_day += images;
+        totals.disk_bytes_per_day += images * stats.averageBytes * STORED_COPIES;
+
+        // Only frames that changed are sent for analysis
+        if (camera.ai_analysis_enabled) {
+          totals.ai_cameras++;
+          totals.gemini_calls_per_day += images * stats.changedRatio;
+        }
+      });
+
+      return Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, Math.round(value)]));
+    };
+
+    const [captureCheck, aiCheck] = await Promise.all([
+      this.checkEnable(enable, 'enabled'),
+      this.checkEnable(enableAi, 'ai_analysis_enabled')
+    ]);
+
+    return {
+      current: summarize(cameras),
+      projected: summarize(projectedCameras),
+      quota_check: {
+        allowed: captureCheck.allowed && aiCheck.allowed,
+        violations: [...captureCheck.violations, ...aiCheck.violations]
+      },
+      assumptions: {
+        history_days: HISTORY_DAYS,
+        default_image_bytes: DEFAULT_IMAGE_BYTES,
+        stored_copies: STORED_COPIES
+      }
+    };
+  }
+
+  /**
+   * Recent per-camera capture behaviour: the share of captures that stored a
+   * new image, the share of stored images that changed, and the snapshot size
+   */
+  async getCaptureHistory() {
+    const since = `-${HISTORY_DAYS} days`;
+
+    const attempts = await runQuery(`
+      SELECT
+        camera_id,
+        COUNT(*) as successes,
+        COUNT(image_id) as stored,
+        AVG(CASE WHEN image_id IS NOT NULL THEN bytes END) as average_bytes
+      FROM capture_attempts
+      WHERE status = 'success' AND created_at >= datetime('now', ?)
+      GROUP BY camera_id
+    `, [since]);
+
+    const images = await runQuery(`
+      SELECT camera_id, COUNT(*) as images, COUNT(CASE WHEN has_changed = 1 THEN 1 END) as changed
+      FROM images
+      WHERE created_at >= datetime('now', ?)
+      GROUP BY camera_id
+    `, [since]);
+
+    const changedByCamera = Object.fromEntries(images.map(row => [row.camera_id, row]));
+    const ratio = (part, whole) => (whole > 0 ? part / whole : 1);
+
+    const totals = { successes: 0, stored: 0, bytes: 0, images: 0, changed: 0 };
+    const cameras = {};
+
+    attempts.forEach(row => {
+      const changed = changedByCamera[row.camera_id] || { images: 0, changed: 0 };
+      cameras[row.camera_id] = {
+        storedRatio: ratio(row.stored, row.successes),
+        changedRatio: ratio(changed.changed, changed.images),
+        averageBytes: row.average_bytes || DEFAULT_IMAGE_BYTES
+      };
+
+      totals.successes += row.successes;
+      totals.stored += row.stored;
+      totals.bytes += (row.average_bytes || 0) * row.stored;
+    });
+    images.forEach(row => {
+      totals.images += row.images;
+      totals.changed += row.changed;
+    });
+
+    return {
+      cameras,
+      // Cameras without history are assumed to behave like the average camera
+      overall: {
+        storedRatio: ratio(totals.stored, totals.successes),
+        changedRatio: ratio(totals.changed, totals.images),
+        averageBytes: totals.stored > 0 ? totals.bytes / totals.stored : DEFAULT_IMAGE_BYTES
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const captureQuotaService = new CaptureQuotaService();
+
+module.exports = captureQuotaService;
+module.exports.QUOTA_FIELDS = QUOTA_FIELDS;
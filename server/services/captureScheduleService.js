@@ -0,0 +1,264 @@
+const cron = require('node-cron');
+const { runQuery } = require('../database/connection');
+const configService = require('./configService');
+const { log } = require('./loggerService');
+const { captureCameras } = require('./cameraService');
+
+const MIN_CAPTURE_INTERVAL = 10; // seconds
+const MAX_CAPTURE_INTERVAL = 86400; // seconds
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+// Convert "HH:MM" into minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Parse the capture_windows column, tolerating empty or malformed values
+const parseWindows = (captureWindows) => {
+  if (!captureWindows) return [];
+  if (Array.isArray(captureWindows)) return captureWindows;
+
+  try {
+    const parsed = JSON.parse(captureWindows);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Validate a capture schedule before it is stored.
+ *
+ * A schedule is a default `capture_interval` in seconds (null falls back to
+ * `camera.updateInterval`) plus optional `capture_windows`:
+ *   [{ days: [1, 2, 3, 4, 5], start: '07:00', end: '09:30', interval: 30 }]
+ * Days are 0 (Sunday) to 6, times are server-local, a window whose end is
+ * before its start runs past midnight into the next day, and an interval of 0
+ * turns capture off.
+ * @returns {Array<string>} - Validation errors (empty when valid)
+ */
+const validateCaptureSchedule = ({ capture_interval, capture_windows }) => {
+  const errors = [];
+  const isValidInterval = (value, allowOff) => (
+    Number.isInteger(value) &&
+    ((allowOff && value === 0) || (value >= MIN_CAPTURE_INTERVAL && value <= MAX_CAPTURE_INTERVAL))
+  );
+
+  if (capture_interval !== null && capture_interval !== undefined && !isValidInterval(capture_interval, true)) {
+    errors.push(`capture_interval must be 0 (off) or between ${MIN_CAPTURE_INTERVAL} and ${MAX_CAPTURE_INTERVAL} seconds`);
+  }
+
+  if (capture_windows !== null && capture_windows !== undefined) {
+    if (!Array.isArray(capture_windows)) {
+      errors.push('capture_windows must be an array');
+      return errors;
+    }
+
+    capture_windows.forEach((window, index) => {
+      const label = `capture_windows[${index}]`;
+      if (!window || typeof window !== 'object') {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+      if (!Array.isArray(window.days) || window.days.length === 0 ||
+          !window.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+        errors.push(`${label}.days must list weekdays from 0 (Sunday) to 6 (Saturday)`);
+      }
+      if (!TIME_PATTERN.test(window.start || '') || !TIME_PATTERN.test(window.end || '')) {
+        errors.push(`${label}.start and end must be HH:MM times`);
+      } else if (window.start === window.end) {
+        errors.push(`${label}.start and end must differ`);
+      }
+      if (!isValidInterval(window.interval, true)) {
+        errors.push(`${label}.interval must be 0 (off) or between ${MIN_CAPTURE_INTERVAL} and ${MAX_CAPTURE_INTERVAL} seconds`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+// Find the first window covering the given time
+const findActiveWindow = (windows, now) => {
+  const day = now.getDay();
+  const minutes = now.getHours() * 60 + now.getMinutes();
+
+  return windows.find(window => {
+    if (!Array.isArray(window.days)) return false;
+
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    if (start < end) {
+      return window.days.includes(day) && minutes >= start && minutes < end;
+    }
+
+    // Overnight window: the part after midnight belongs to the previous day
+    return (window.days.includes(day) && minutes >= start) ||
+      (window.days.includes((day + 6) % 7) && minutes < end);
+  }) || null;
+};
+
+/**
+ * Resolve the capture interval that applies to a camera right now
+ * @param {Object} camera - Camera row with capture_interval and capture_windows
+ * @param {Date} now - Time to evaluate
+ * @returns {Object} - { interval: seconds (0 = off), window: matching window or null }
+ */
+const resolveCaptureInterval = (camera, now = new Date()) => {
+  const window = findActiveWindow(parseWindows(camera.capture_windows), now);
+  if (window) {
+    return { interval: window.interval, window };
+  }
+
+  const defaultInterval = camera.capture_interval !== null && camera.capture_interval !== undefined
+    ? camera.capture_interval
+    : Math.round(configService.get('camera.updateInterval', 60000) / 1000);
+
+  return { interval: defaultInterval, window: null };
+};
+
+/**
+ * Average number of captures per day a camera's schedule produces, taking
+ * its time windows into account over a whole week
+ * @param {Object} camera - Camera row with capture_interval and capture_windows
+ * @returns {number} - Captures per day
+ */
+const estimateDailyCaptures = (camera) => {
+  const windows = parseWindows(camera.capture_windows);
+  const perSecond = (interval) => (interval > 0 ? 1 / interval : 0);
+
+  if (windows.length === 0) {
+    return 86400 * perSecond(resolveCaptureInterval(camera).interval);
+  }
+
+  // Windows have minute resolution, so walk a week minute by minute
+  const schedule = { ...camera, capture_windows: windows };
+  const weekStart = new Date(2024, 0, 7); // a Sunday, server-local midnight
+  let captures = 0;
+
+  for (let minute = 0; minute < 7 * 1440; minute++) {
+    const time = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate(), 0, minute);
+    captures += 60 * perSecond(resolveCaptureInterval(schedule, time).interval);
+  }
+
+  return captures / 7;
+};
+
+/**
+ * Triggers captures for each enabled camera according to its own schedule.
+ * A tick runs every few seconds, works out which cameras are due and hands
+ * them to the download scheduler.
+ */
+class CaptureScheduleService {
+  constructor() {
+    this.lastCaptureAt = new Map(); // camera_id -> Date of the last dispatched capture
+    this.cameraStates = new Map(); // camera_id -> latest schedule evaluation
+    this.task = null;
+  }
+
+  // Start the scheduler tick
+  start(tickExpression = '*/5 * * * * *') {
+    if (this.task) return;
+
+    this.task = cron.schedule(tickExpression, () => {
+      this.tick().catch(error => {
+        log.error('Capture schedule tick failed', { error: error.message });
+      });
+    });
+
+    log.system('Capture scheduler started');
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  /**
+   * Dispatch captures for every camera that is due
+   * @param {Date} now - Time to evaluate (defaults to the current time)
+   * @returns {Promise<Array>} - Cameras dispatched on this tick
+   */
+  async tick(now = new Date()) {
+    const cameras = await runQuery(`
+      SELECT camera_id, image_url, source, capture_interval, capture_windows
+      FROM cameras
+      WHERE enabled = 1 AND retired_at IS NULL AND image_url IS NOT NULL
+    `);
+
+    const enabledIds = new Set(cameras.map(camera => camera.camera_id));
+    for (const cameraId of this.cameraStates.keys()) {
+      if (!enabledIds.has(cameraId)) {
+        this.cameraStates.delete(cameraId);
+        this.lastCaptureAt.delete(cameraId);
+      }
+    }
+
+    const due = [];
+
+    for (const camera of cameras) {
+      const { interval, window } = resolveCaptureInterval(camera, now);
+      const lastCapture = this.lastCaptureAt.get(camera.camera_id) || null;
+      let nextCaptureAt = null;
+
+      if (interval > 0) {
+        if (!lastCapture || now - lastCapture >= interval * 1000) {
+          due.push(camera);
+          this.lastCaptureAt.set(camera.camera_id, now);
+          nextCaptureAt = new Date(now.getTime() + interval * 1000);
+        } else {
+          nextCaptureAt = new Date(lastCapture.getTime() + interval * 1000);
+        }
+      }
+
+      this.cameraStates.set(camera.camera_id, {
+        camera_id: camera.camera_id,
+        interval,
+        active_window: window,
+        last_capture_at: (this.lastCaptureAt.get(camera.camera_id) || null),
+        next_capture_at: nextCaptureAt
+      });
+    }
+
+    if (due.length > 0) {
+      log.debug(`Capturing ${due.length} due camera(s)`);
+      // Not awaited: slow downloads must not hold up the next tick
+      captureCameras(due).catch(error => {
+        log.error('Scheduled capture failed', { error: error.message });
+      });
+    }
+
+    return due;
+  }
+
+  // Forget the last capture so a schedule change applies on the next tick
+  reschedule(cameraId) {
+    this.lastCaptureAt.delete(cameraId);
+    this.cameraStates.delete(cameraId);
+  }
+
+  // Schedule state for one camera, or all cameras when no ID is given
+  getState(cameraId = null) {
+    if (cameraId) {
+      return this.cameraStates.get(cameraId) || null;
+    }
+    return Array.from(this.cameraStates.values());
+  }
+
+  cleanup() {
+    this.stop();
+    log.system('Capture scheduler cleaned up');
+  }
+}
+
+// Create singleton instance
+const captureScheduleService = new CaptureScheduleService();
+
+module.exports = captureScheduleService;
+module.exports.validateCaptureSchedule = validateCaptureSchedule;
+module.exports.resolveCaptureInterval = resolveCaptureInterval;
+module.exports.parseCaptureWindows = parseWindows;
+module.exports.estimateDailyCaptures = estimateDailyCaptures;
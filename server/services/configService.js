@@ -54,19 +54,111 @@ class ConfigService {
         updateInterval: 60000, // 1 minute
         maxConcurrentDownloads: 3,
         retryAttempts: 3,
-        retryDelay: 5000
+        retryDelay: 5000,
+        // Camera feeds to sync; see services/cameraSources for adapter options
+        sources: [
+          { id: 'midot', type: 'midot', enabled: true }
+        ],
+        // Perceptual hash ('dhash' or 'phash') and the Hamming distance above
+        // which a frame counts as changed and is queued for AI analysis
+        changeDetection: {
+          algorithm: 'dhash',
+          threshold: 5
+        },
+        // Per-camera location lookup (coordinates, milepost, route) during refresh
+        locationLookup: {
+          enabled: true,
+          cacheTtl: 604800000 // 7 days before a camera's details are fetched again
+        },
+        // Capture and AI quotas; see services/captureQuotaService
+        quotas: {
+          maxEnabled: 5, // cameras captured at once; 0 = no limit
+          maxAiEnabled: 5, // cameras with AI analysis at once; 0 = no limit
+          perCounty: {}, // e.g. { Wayne: { maxEnabled: 3, maxAiEnabled: 1 } }
+          perGroup: {} // same limits keyed by camera group name
+        },
+        // Camera health model; see services/cameraHealthService
+        health: {
+          staleAfter: 900000, // 15 minutes without a successful capture
+          frozenAfter: 1800000, // 30 minutes without a visual change
+          errorThreshold: 3, // consecutive failed captures
+          placeholderStdDev: 6, // frames flatter than this are placeholders
+          placeholderHashes: [] // perceptual hashes of known placeholder images
+        }
       },
       ai: {
         batchSize: 10,
         processingInterval: 300000, // 5 minutes
         maxConcurrentAnalysis: 2,
-        confidenceThreshold: 0.7
+        confidenceThreshold: 0.7,
+        quality: {
+          enabled: true, // skip frames that fail the checks below before AI analysis
+          minBrightness: 30, // mean luma 0-255; darker frames are night or no signal
+          maxBrightness: 235, // brighter frames are glare or snow
+          minContrast: 10, // luma standard deviation
+          minSharpness: 20, // Laplacian variance at 320 px wide; lower is blur or fog
+          maxUniformity: 0.95, // share of pixels in the most common of 16 brightness bands
+          minScore: 0, // overall 0-100 quality score required (0 = off)
+          skipFlags: ['dark', 'bright', 'low_contrast', 'blurry', 'uniform'] // issues that block analysis
+        },
+        detector: 'gemini', // 'gemini', 'onnx' or 'mock'; cameras can override it
+        detectors: {
+          onnx: {
+            modelPath: 'models/yolov8n.onnx', // relative to the server folder
+            inputSize: 640,
+            confidenceThreshold: 0.25,
+            iouThreshold: 0.45,
+            classes: { 2: 'car', 3: 'motorcycle', 5: 'bus', 7: 'truck' } // model class index to vehicle type
+          },
+          mock: {
+            maxVehicles: 8
+          }
+        },
+        // Cross-frame vehicle tracking; see services/trackingService
+        tracking: {
+          enabled: true,
+          matchIou: 0.3, // least overlap for a box to continue a track from the previous frame
+          stationaryIou: 0.7, // overlap at which a vehicle counts as not having moved
+          stallFrames: 3, // frames a vehicle must stand still on the roadway to be flagged
+          maxFrameGap: 900000 // 15 minutes between frames before tracks are ended
+        }
       },
       storage: {
-        maxImageAge: 30, // days
+        maxImageAge: 30, // days before full-resolution files are deleted
+        keyframeMaxAge: 365, // days to keep one keyframe per camera-hour (0 = forever)
         compressionQuality: 80,
         maxImageSize: '10MB',
-        cleanupInterval: 86400000 // 24 hours
+        cleanupInterval: 86400000, // 24 hours
+        cleanupDryRun: false, // scheduled cleanups only report what they would delete
+        variantWidths: [160, 320, 640, 1280], // widths served for ?w= (requests snap up to one)
+        variantQuality: 75,
+        backend: 'local', // 'local' or 's3'
+        local: {
+          directory: 'storage/images' // relative to the server folder
+        },
+        s3: {
+          endpoint: 'http://localhost:9000', // MinIO default; any S3-compatible endpoint works
+          region: 'us-east-1',
+          bucket: 'midot-images',
+          prefix: 'images/',
+          forcePathStyle: true // endpoint/bucket addressing, required by MinIO
+        }
+      },
+      replay: {
+        enabled: false, // replay the archive on startup instead of capturing live
+        directory: 'storage/replay', // relative to the server folder
+        speed: 1 // 1 = real time, 60 = an hour per minute, 0 = as fast as possible
+      },
+      timelapse: {
+        directory: 'storage/timelapses', // relative to the server folder
+        width: 640, // frame width in pixels
+        maxFrames: 300, // longer ranges are sampled evenly down to this many frames
+        defaultFps: 8,
+        quality: 70
+      },
+      exports: {
+        directory: 'storage/exports', // relative to the server folder
+        maxImages: 20000 // per dataset export; ZIP files hold at most 65535 files
       },
       analytics: {
         vehicleCountAggregationInterval: 600000 // 10 minutes in milliseconds
@@ -279,10 +371,11 @@ class ConfigService {
     const keys = key.split('.');
     let currentSchema = schema;
     
-    // Navigate to the schema for this key
+    // Navigate to the schema for this key; nested sections keep their keys in `properties`
     for (const k of keys) {
-      if (currentSchema && currentSchema[k]) {
-        currentSchema = currentSchema[k];
+      const level = currentSchema && (currentSchema.properties || currentSchema);
+      if (level && level[k]) {
+        currentSchema = level[k];
       } else {
         return { valid: false, error: `Unknown configuration key: ${key}` };
       }
@@ -316,6 +409,14 @@ class ConfigService {
       }
     }
     
+    if (key === 'ai.detector') {
+      // Loaded here because the detector registry itself depends on this service
+      const { DETECTOR_TYPES } = require('./detectors');
+      if (!DETECTOR_TYPES[value]) {
+        return { valid: false, error: `ai.detector must be one of: ${Object.keys(DETECTOR_TYPES).join(', ')}` };
+      }
+    }
+    
     return { valid: true };
   }
 
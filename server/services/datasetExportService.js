@@ -0,0 +1,429 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const fs = require('fs-extra');
+const path = require('path');
+const { run, runQuery, runSingle } = require('../database/connection');
+const configService = require('./configService');
+const { getImageStorage } = require('./imageStorage');
+const ZipWriter = require('./zipWriter');
+const { log } = require('./loggerService');
+
+const DATASET_FORMATS = ['coco', 'yolo'];
+
+// One analysis stores its boxes within seconds; boxes stored longer before
+// others of the same detection came from an earlier analysis
+const SUPERSEDED_AFTER_SECONDS = 10;
+
+// Fixed class list, so class ids mean the same thing in every export
+const DATASET_CLASSES = [
+  'car',
+  'truck',
+  'motorcycle',
+  'bus',
+  'rv',
+  'emergency_vehicle',
+  'construction_vehicle',
+  'other_vehicle'
+];
+
+// Map a free-text vehicle_type from the detector onto DATASET_CLASSES
+const classForVehicleType = (type) => {
+  const normalized = String(type || '').toLowerCase().trim();
+  if (/emergency|police|ambulance|fire/.test(normalized)) return 'emergency_vehicle';
+  if (/construction|excavator|bulldozer/.test(normalized)) return 'construction_vehicle';
+  if (/motorcycle|motorbike|bike/.test(normalized)) return 'motorcycle';
+  if (normalized.includes('bus')) return 'bus';
+  if (/truck|pickup|semi|tractor/.test(normalized)) return 'truck';
+  if (/\brv\b|recreational|camper|motorhome/.test(normalized)) return 'rv';
+  if (/car|sedan|suv|van/.test(normalized)) return 'car';
+  return 'other_vehicle';
+};
+
+const toSqlTime = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().replace('T', ' ').slice(0, 19);
+};
+
+// Stable train/val assignment: the same image always lands in the same split
+const isValidationImage = (imageId, valSplit) => (
+  crypto.createHash('md5').update(String(imageId)).digest().readUInt32BE(0) / 0x100000000 < valSplit
+);
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Validate dataset export options
+ * @param {Object} body - { format, camera_ids, from, to, min_confidence, include_invalid, include_empty, val_split }
+ * @returns {Object} - { errors, filters }
+ */
+const validateDatasetExport = (body = {}) => {
+  const errors = [];
+  const filters = {
+    camera_ids: body.camera_ids || [],
+    from: body.from ? toSqlTime(body.from) : null,
+    to: body.to ? toSqlTime(body.to) : null,
+    min_confidence: body.min_confidence === undefined ? 0 : Number(body.min_confidence),
+    include_invalid: body.include_invalid === true,
+    include_empty: body.include_empty === true,
+    val_split: body.val_split === undefined ? 0.2 : Number(body.val_split)
+  };
+
+  if (!DATASET_FORMATS.includes(body.format)) {
+    errors.push(`format must be one of: ${DATASET_FORMATS.join(', ')}`);
+  }
+  if (!Array.isArray(filters.camera_ids) || !filters.camera_ids.every(id => typeof id === 'string')) {
+    errors.push('camera_ids must be an array of camera IDs');
+  }
+  if ((body.from && !filters.from) || (body.to && !filters.to)) {
+    errors.push('from and to must be valid dates');
+  } else if (filters.from && filters.to && filters.from >= filters.to) {
+    errors.push('from must be before to');
+  }
+  if (isNaN(filters.min_confidence) || filters.min_confidence < 0 || filters.min_confidence > 1) {
+    errors.push('min_confidence must be between 0 and 1');
+  }
+  if (isNaN(filters.val_split) || filters.val_split < 0 || filters.val_split > 0.5) {
+    errors.push('val_split must be between 0 and 0.5');
+  }
+
+  return { errors, filters };
+};
+
+/**
+ * Exports labelled frames as a training dataset, driven by `exports` config:
+ *   directory  - where finished exports are kept, relative to the server folder
+ *   maxImages  - cap on images per export (ZIP files hold at most 65535 files)
+ *
+ * Each image contributes the boxes of its latest completed detection that
+ * pass the confidence and validity filters. Exports are recorded in
+ * `dataset_exports` and built one at a time in the background.
+ */
+class DatasetExportService {
+  constructor() {
+    this.queue = [];
+    this.current = null;
+    this.stopping = false;
+  }
+
+  getSettings() {
+    return {
+      directory: path.resolve(__dirname, '..', configService.get('exports.directory', 'storage/exports')),
+      maxImages: configService.get('exports.maxImages', 20000)
+    };
+  }
+
+  // Resume exports that were queued or building when the server stopped
+  async start() {
+    const pending = await runQuery(
+      "SELECT id FROM dataset_exports WHERE status IN ('queued', 'running') ORDER BY id"
+    );
+    if (pending.length === 0) return;
+
+    await run("UPDATE dataset_exports SET status = 'queued', progress = 0 WHERE status = 'running'");
+    pending.forEach(job => this.queue.push(job.id));
+    log.info('Resuming dataset exports', { count: pending.length });
+    this.processQueue();
+  }
+
+  async createExport(format, filters) {
+    const result = await run(
+      'INSERT INTO dataset_exports (format, filters) VALUES (?, ?)',
+      [format, JSON.stringify(filters)]
+    );
+
+    this.queue.push(result.id);
+    this.processQueue();
+
+    return this.getExport(result.id);
+  }
+
+  async getExport(id) {
+    const job = await runSingle('SELECT * FROM dataset_exports WHERE id = ?', [id]);
+    return job ? { ...job, filters: JSON.parse(job.filters || '{}') } : null;
+  }
+
+  async listExports(limit = 20) {
+    const jobs = await runQuery('SELECT * FROM dataset_exports ORDER BY id DESC LIMIT ?', [limit]);
+    return jobs.map(job => ({ ...job, filters: JSON.parse(job.filters || '{}') }));
+  }
+
+  getFilePath(job) {
+    return job.file_name ? path.join(this.getSettings().directory, job.file_name) : null;
+  }
+
+  /**
+   * Delete an export and its file
+   * @returns {Promise<boolean>} - False if the export is still being built
+   */
+  async deleteExport(job) {
+    if (this.current === job.id) {
+      return false;
+    }
+
+    this.queue = this.queue.filter(id => id !== job.id);
+    if (job.file_name) {
+      await fs.remove(this.getFilePath(job));
+    }
+    await run('DELETE FROM dataset_exports WHERE id = ?', [job.id]);
+    return true;
+  }
+
+  async processQueue() {
+    if (this.current !== null || this.stopping) return;
+
+    const id = this.queue.shift();
+    if (id === undefined) return;
+
+    this.current = id;
+    try {
+      const job = await this.getExport(id);
+      if (job) {
+        await this.buildExport(job);
+      }
+    } catch (error) {
+      if (this.stopping) return; // left as running, so start() picks it up again
+      log.error('Dataset export failed', { exportId: id, error: error.message });
+      await run(
+        "UPDATE dataset_exports SET status = 'failed', error = ?, completed_at = datetime('now') WHERE id = ?",
+        [error.message, id]
+      ).catch(() => {});
+    } finally {
+      this.current = null;
+      setImmediate(() => this.processQueue());
+    }
+  }
+
+  /**
+   * Images matching the filters, each with the boxes that will be exported
+   * @returns {Promise<Array>} - [{ id, camera_id, local_path, captured_at, boxes }]
+   */
+  async selectImages(filters, limit) {
+    const conditions = ['i.local_path IS NOT NULL'];
+    const params = [];
+
+    if (filters.camera_ids.length > 0) {
+      conditions.push(`i.camera_id IN (${filters.camera_ids.map(() => '?').join(', ')})`);
+      params.push(...filters.camera_ids);
+    }
+    if (filters.from) {
+      conditions.push('i.captured_at >= ?');
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      conditions.push('i.captured_at <= ?');
+      params.push(filters.to);
+    }
+
+    const images = await runQuery(`
+      SELECT i.id, i.camera_id, i.local_path, i.captured_at, vd.id AS detection_id
+      FROM images i
+      JOIN vehicle_detections vd ON vd.id = (
+        SELECT id FROM vehicle_detections
+        WHERE image_id = i.id AND processing_status = 'completed'
+        ORDER BY created_at DESC, id DESC
+        LIMIT 1
+      )
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY i.captured_at, i.id
+    `, params);
+
+    const boxesByDetection = new Map();
+    for (let start = 0; start < images.length; start += 500) {
+      const detectionIds = images.slice(start, start + 500).map(image => image.detection_id);
+      // Only the boxes of the latest analysis: older databases can still hold
+      // boxes an earlier analysis of the image left behind
+      const boxes = await runQuery(`
+        SELECT b.vehicle_detection_id, b.vehicle_type, b.x_min, b.y_min, b.x_max, b.y_max, b.confidence_score
+        FROM vehicle_bounding_boxes b
+        WHERE b.vehicle_detection_id IN (${detectionIds.map(() => '?').join(', ')})
+          AND COALESCE(b.confidence_score, 0) >= ?
+          ${filters.include_invalid ? '' : 'AND b.is_valid = 1'}
+          AND NOT EXISTS (
+            SELECT 1 FROM vehicle_bounding_boxes later
+            WHERE later.vehicle_detection_id = b.vehicle_detection_id
+              AND later.created_at > datetime(b.created_at, '+${SUPERSEDED_AFTER_SECONDS} seconds')
+          )
+        ORDER BY b.id
+      `, [...detectionIds, filters.min_confidence]);
+
+      boxes.forEach(box => {
+        if (!boxesByDetection.has(box.vehicle_detection_id)) {
+          boxesByDetection.set(box.vehicle_detection_id, []);
+        }
+        boxesByDetection.get(box.vehicle_detection_id).push(box);
+      });
+    }
+
+    return images
+      .map(image => ({ ...image, boxes: boxesByDetection.get(image.detection_id) || [] }))
+      .filter(image => filters.include_empty || image.boxes.length > 0)
+      .slice(0, limit);
+  }
+
+  async buildExport(job) {
+    const settings = this.getSettings();
+    const storage = getImageStorage();
+    const { filters } = job;
+
+    const images = await this.selectImages(filters, settings.maxImages);
+    if (images.length === 0) {
+      throw new Error('No labelled images match these filters');
+    }
+
+    await run(
+      "UPDATE dataset_exports SET status = 'running', total_images = ?, started_at = datetime('now') WHERE id = ?",
+      [images.length, job.id]
+    );
+    log.info('Building dataset export', { exportId: job.id, format: job.format, images: images.length });
+
+    const fileName = `dataset_${job.id}_${job.format}.zip`;
+    const filePath = path.join(settings.directory, fileName);
+    await fs.ensureDir(settings.directory);
+
+    const zip = new ZipWriter(`${filePath}.tmp`);
+    const coco = { train: { images: [], annotations: [] }, val: { images: [], annotations: [] } };
+    const counts = { train: 0, val: 0, annotations: 0, missing: 0, classes: {} };
+    let lastProgress = 0;
+
+    try {
+      for (let index = 0; index < images.length; index++) {
+        if (this.stopping) {
+          throw new Error('Server stopped while exporting');
+        }
+
+        const image = images[index];
+        let data;
+        try {
+          data = await storage.get(image.local_path);
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+          counts.missing++; // pruned by retention, leave it out
+          continue;
+        }
+
+        const split = isValidationImage(image.id, filters.val_split) ? 'val' : 'train';
+        const fileBase = path.parse(image.local_path).name;
+        await zip.addFile(`images/${split}/${image.local_path}`, data, { compress: false });
+        counts[split]++;
+
+        const labelled = image.boxes.map(box => ({ ...box, className: classForVehicleType(box.vehicle_type) }));
+        labelled.forEach(box => {
+          counts.classes[box.className] = (counts.classes[box.className] || 0) + 1;
+        });
+        counts.annotations += labelled.length;
+
+        if (job.format === 'yolo') {
+          // class x_center y_center width height, all normalized to 0-1
+          const lines = labelled.map(box => [
+            DATASET_CLASSES.indexOf(box.className),
+            round((box.x_min + box.x_max) / 2000),
+            round((box.y_min + box.y_max) / 2000),
+            round((box.x_max - box.x_min) / 1000),
+            round((box.y_max - box.y_min) / 1000)
+          ].join(' '));
+          await zip.addFile(`labels/${split}/${fileBase}.txt`, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+        } else {
+          const { width, height } = await sharp(data).metadata();
+          coco[split].images.push({
+            id: image.id,
+            file_name: image.local_path,
+            width,
+            height,
+            camera_id: image.camera_id,
+            date_captured: image.captured_at
+          });
+          labelled.forEach(box => {
+            const x = round(box.x_min / 1000 * width);
+            const y = round(box.y_min / 1000 * height);
+            const boxWidth = round((box.x_max - box.x_min) / 1000 * width);
+            const boxHeight = round((box.y_max - box.y_min) / 1000 * height);
+            coco[split].annotations.push({
+              id: coco.train.annotations.length + coco.val.annotations.length + 1,
+              image_id: image.id,
+              category_id: DATASET_CLASSES.indexOf(box.className) + 1,
+              bbox: [x, y, boxWidth, boxHeight],
+              area: round(boxWidth * boxHeight),
+              iscrowd: 0,
+              score: box.confidence_score
+            });
+          });
+        }
+
+        const progress = Math.floor((index + 1) / images.length * 100);
+        if (progress > lastProgress) {
+          lastProgress = progress;
+          await run(
+            'UPDATE dataset_exports SET progress = ?, exported_images = ? WHERE id = ?',
+            [progress, counts.train + counts.val, job.id]
+          );
+        }
+      }
+
+      if (counts.train + counts.val === 0) {
+        throw new Error('None of the matching images have stored files');
+      }
+
+      await this.writeMetadata(zip, job, coco, counts);
+      const fileSize = await zip.finish();
+      await fs.move(`${filePath}.tmp`, filePath, { overwrite: true });
+
+      await run(`
+        UPDATE dataset_exports
+        SET status = 'completed', progress = 100, exported_images = ?, train_images = ?, val_images = ?,
+            annotation_count = ?, file_name = ?, file_size = ?, error = NULL, completed_at = datetime('now')
+        WHERE id = ?
+      `, [counts.train + counts.val, counts.train, counts.val, counts.annotations, fileName, fileSize, job.id]);
+      log.info('Dataset export finished', { exportId: job.id, images: counts.train + counts.val, annotations: counts.annotations });
+    } catch (error) {
+      await zip.abort();
+      await fs.remove(`${filePath}.tmp`);
+      throw error;
+    }
+  }
+
+  // Class map, split annotations and a manifest describing the export
+  async writeMetadata(zip, job, coco, counts) {
+    const manifest = {
+      format: job.format,
+      created_at: new Date().toISOString(),
+      filters: job.filters,
+      classes: DATASET_CLASSES,
+      images: { train: counts.train, val: counts.val, skipped_missing_files: counts.missing },
+      annotations: counts.annotations,
+      annotations_per_class: counts.classes,
+      coordinates: 'Boxes come from the 0-1000 normalized detector output'
+    };
+    await zip.addFile('dataset.json', JSON.stringify(manifest, null, 2));
+
+    if (job.format === 'yolo') {
+      const names = DATASET_CLASSES.map((name, index) => `  ${index}: ${name}`).join('\n');
+      await zip.addFile('data.yaml', `path: .\ntrain: images/train\nval: images/val\nnc: ${DATASET_CLASSES.length}\nnames:\n${names}\n`);
+      await zip.addFile('classes.txt', `${DATASET_CLASSES.join('\n')}\n`);
+      return;
+    }
+
+    const categories = DATASET_CLASSES.map((name, index) => ({ id: index + 1, name, supercategory: 'vehicle' }));
+    for (const split of ['train', 'val']) {
+      await zip.addFile(`annotations/instances_${split}.json`, JSON.stringify({
+        info: { description: `MIDOT traffic dataset export ${job.id} (${split})`, date_created: manifest.created_at },
+        images: coco[split].images,
+        annotations: coco[split].annotations,
+        categories
+      }));
+    }
+  }
+
+  // Stop after the current image; unfinished exports resume on the next start
+  cleanup() {
+    this.stopping = true;
+    this.queue = [];
+  }
+}
+
+const datasetExportService = new DatasetExportService();
+
+module.exports = datasetExportService;
+module.exports.validateDatasetExport = validateDatasetExport;
+module.exports.classForVehicleType = classForVehicleType;
+module.exports.DATASET_CLASSES = DATASET_CLASSES;
+module.exports.DATASET_FORMATS = DATASET_FORMATS;
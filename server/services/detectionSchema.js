@@ -0,0 +1,156 @@
+/**
+ * Versioned shape of the detection payload Gemini returns. The response
+ * schema is sent with every request (JSON mode), and responses are checked
+ * against the same rules before anything is stored. Bump
+ * DETECTION_SCHEMA_VERSION whenever the schema changes; it is stored with
+ * each gemini_response so old payloads can be told apart.
+ */
+
+const DETECTION_SCHEMA_VERSION = 1;
+
+const VEHICLE_TYPES = ['car', 'truck', 'bus', 'motorcycle', 'rv', 'emergency_vehicle', 'construction_vehicle', 'other'];
+
+const BOX_FIELDS = ['vehicle_type', 'x_min', 'y_min', 'x_max', 'y_max', 'confidence_score'];
+const COORDINATE_FIELDS = ['x_min', 'y_min', 'x_max', 'y_max'];
+
+const coordinate = (description) => ({
+  type: 'integer',
+  description: `${description}, from 0 to 1000 of the image size regardless of its resolution`
+});
+
+// Gemini response schema (OpenAPI subset) for the bounding box payload
+const DETECTION_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    bounding_boxes: {
+      type: 'array',
+      description: 'One entry per motor vehicle in the image',
+      items: {
+        type: 'object',
+        properties: {
+          vehicle_type: { type: 'string', format: 'enum', enum: VEHICLE_TYPES },
+          x_min: coordinate('Left edge'),
+          y_min: coordinate('Top edge'),
+          x_max: coordinate('Right edge'),
+          y_max: coordinate('Bottom edge'),
+          confidence_score: { type: 'number', description: 'Detection confidence from 0.0 to 1.0' }
+        },
+        required: BOX_FIELDS
+      }
+    }
+  },
+  required: ['bounding_boxes']
+};
+
+// Why a response was rejected, stored in vehicle_detections.rejection_reason
+const REJECTION_REASONS = {
+  EMPTY_RESPONSE: 'empty_response',
+  BLOCKED: 'blocked',
+  INVALID_JSON: 'invalid_json',
+  SCHEMA_MISMATCH: 'schema_mismatch',
+  INVALID_BOX: 'invalid_box',
+  INVALID_VEHICLE_TYPE: 'invalid_vehicle_type',
+  COORDINATES_OUT_OF_RANGE: 'coordinates_out_of_range',
+  INVERTED_BOX: 'inverted_box',
+  CONFIDENCE_OUT_OF_RANGE: 'confidence_out_of_range'
+};
+
+// Error for a rejected payload; `code` is one of REJECTION_REASONS
+const rejectionError = (reason, message) => {
+  const error = new Error(message);
+  error.code = reason;
+  return error;
+};
+
+const isRejection = (error) => Object.values(REJECTION_REASONS).includes(error?.code);
+
+/**
+ * Check one bounding box against the schema
+ * @param {Object} box - Box from the payload
+ * @param {number} index - Position, for error messages
+ * @throws {Error} - Rejection with a REJECTION_REASONS code
+ */
+const validateBox = (box, index) => {
+  if (!box || typeof box !== 'object' || Array.isArray(box)) {
+    throw rejectionError(REJECTION_REASONS.INVALID_BOX, `Box ${index} is not an object`);
+  }
+
+  const extra = Object.keys(box).filter(key => !BOX_FIELDS.includes(key));
+  if (extra.length > 0) {
+    throw rejectionError(REJECTION_REASONS.INVALID_BOX, `Box ${index} has unexpected fields: ${extra.join(', ')}`);
+  }
+
+  if (typeof box.vehicle_type !== 'string') {
+    throw rejectionError(REJECTION_REASONS.INVALID_BOX, `Box ${index} is missing vehicle_type`);
+  }
+  if (!VEHICLE_TYPES.includes(box.vehicle_type)) {
+    throw rejectionError(REJECTION_REASONS.INVALID_VEHICLE_TYPE, `Box ${index} has unknown vehicle_type "${box.vehicle_type}"`);
+  }
+
+  for (const field of [...COORDINATE_FIELDS, 'confidence_score']) {
+    if (typeof box[field] !== 'number' || !Number.isFinite(box[field])) {
+      throw rejectionError(REJECTION_REASONS.INVALID_BOX, `Box ${index} has a missing or non-numeric ${field}`);
+    }
+  }
+
+  // Pixel coordinates land here rather than being rescaled by guesswork
+  const outOfRange = COORDINATE_FIELDS.filter(field => box[field] < 0 || box[field] > 1000);
+  if (outOfRange.length > 0) {
+    throw rejectionError(
+      REJECTION_REASONS.COORDINATES_OUT_OF_RANGE,
+      `Box ${index} has ${outOfRange.join(', ')} outside 0-1000 (${COORDINATE_FIELDS.map(field => box[field]).join(', ')})`
+    );
+  }
+
+  if (box.x_min >= box.x_max || box.y_min >= box.y_max) {
+    throw rejectionError(REJECTION_REASONS.INVERTED_BOX, `Box ${index} has a minimum not below its maximum`);
+  }
+
+  if (box.confidence_score < 0 || box.confidence_score > 1) {
+    throw rejectionError(REJECTION_REASONS.CONFIDENCE_OUT_OF_RANGE, `Box ${index} has confidence_score ${box.confidence_score} outside 0-1`);
+  }
+};
+
+/**
+ * Parse and validate a detection payload
+ * @param {string} responseText - Model output (JSON)
+ * @returns {Object} - { bounding_boxes }
+ * @throws {Error} - Rejection with a REJECTION_REASONS code
+ */
+const parseDetectionPayload = (responseText) => {
+  if (!responseText || !responseText.trim()) {
+    throw rejectionError(REJECTION_REASONS.EMPTY_RESPONSE, 'Response is empty');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(responseText);
+  } catch (error) {
+    throw rejectionError(REJECTION_REASONS.INVALID_JSON, `Response is not valid JSON: ${error.message}`);
+  }
+
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw rejectionError(REJECTION_REASONS.SCHEMA_MISMATCH, 'Response is not a JSON object');
+  }
+  if (!Array.isArray(payload.bounding_boxes)) {
+    throw rejectionError(REJECTION_REASONS.SCHEMA_MISMATCH, 'Response is missing the bounding_boxes array');
+  }
+
+  const extra = Object.keys(payload).filter(key => key !== 'bounding_boxes');
+  if (extra.length > 0) {
+    throw rejectionError(REJECTION_REASONS.SCHEMA_MISMATCH, `Response has unexpected fields: ${extra.join(', ')}`);
+  }
+
+  payload.bounding_boxes.forEach(validateBox);
+  return { bounding_boxes: payload.bounding_boxes };
+};
+
+module.exports = {
+  DETECTION_SCHEMA_VERSION,
+  DETECTION_RESPONSE_SCHEMA,
+  VEHICLE_TYPES,
+  REJECTION_REASONS,
+  rejectionError,
+  isRejection,
+  parseDetectionPayload
+};
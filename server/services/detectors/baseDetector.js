@@ -0,0 +1,76 @@
+/**
+ * Base class for vehicle detectors.
+ *
+ * A detector looks at one image and returns bounding boxes in the shape the
+ * analysis pipeline stores: { vehicle_type, x_min, y_min, x_max, y_max,
+ * confidence_score }, with coordinates normalized to 0-1000 so they do not
+ * depend on the image resolution.
+ */
+class BaseDetector {
+  /**
+   * @param {Object} options - Detector settings from `ai.detectors.<type>`
+   */
+  constructor(options = {}) {
+    this.options = options
+  }
+
+  // Detector type, stored in vehicle_detections.detector
+  get type() {
+    throw new Error(`${this.constructor.name} does not implement type`)
+  }
+
+  // Model name, stored in vehicle_detections.detector_model
+  get model() {
+    return null
+  }
+
+  // Images analyzed at once; local models run one at a time on the CPU
+  get concurrency() {
+    return 1
+  }
+
+  // Pause between groups of images, for rate-limited APIs (ms)
+  get rateLimitDelay() {
+    return 0
+  }
+
+  /**
+   * Whether the detector can run right now (API key set, model file present)
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return true
+  }
+
+  /**
+   * Detect vehicles in an image
+   * @param {Buffer} imageBuffer - JPEG data
+   * @param {Object} image - Image row ({ id, camera_id, local_path })
+   * @returns {Promise<Array>} - Bounding boxes
+   */
+  async detect(imageBuffer, image) {
+    throw new Error(`${this.constructor.name} does not implement detect`)
+  }
+
+  /**
+   * Detect vehicles and return everything to store with the detection.
+   * Detectors with a raw response worth keeping (Gemini) override this.
+   * @param {Buffer} imageBuffer - JPEG data
+   * @param {Object} image - Image row ({ id, camera_id, local_path })
+   * @returns {Promise<Object>} - { bounding_boxes, gemini_response?, schema_version? }
+   */
+  async analyze(imageBuffer, image) {
+    return { bounding_boxes: await this.detect(imageBuffer, image) }
+  }
+
+  // Details for the status API
+  describe() {
+    return {
+      type: this.type,
+      model: this.model,
+      available: this.isAvailable()
+    }
+  }
+}
+
+module.exports = BaseDetector
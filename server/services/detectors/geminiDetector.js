@@ -0,0 +1,44 @@
+const BaseDetector = require('./baseDetector')
+const promptService = require('../promptService')
+
+// geminiService uses the detector registry, so it is loaded on first use
+const geminiService = () => require('../geminiService')
+
+/**
+ * Vehicle detection with a Gemini vision model. The model and API limits
+ * come from geminiService, the prompt from the image's camera (promptService).
+ */
+class GeminiDetector extends BaseDetector {
+  get type() {
+    return 'gemini'
+  }
+
+  get model() {
+    return geminiService().getConfiguration().GEMINI_MODEL
+  }
+
+  get concurrency() {
+    return geminiService().getConfiguration().MAX_CONCURRENT_REQUESTS
+  }
+
+  get rateLimitDelay() {
+    return geminiService().getConfiguration().RATE_LIMIT_DELAY
+  }
+
+  isAvailable() {
+    return geminiService().isGeminiAvailable()
+  }
+
+  async detect(imageBuffer, image) {
+    const analysis = await this.analyze(imageBuffer, image)
+    return analysis.bounding_boxes
+  }
+
+  // Keeps the raw JSON, its schema version and the prompt version alongside the boxes
+  async analyze(imageBuffer, image) {
+    const prompt = await promptService.resolvePrompt(image?.camera_id ?? null)
+    return geminiService().analyzeImageWithGemini(imageBuffer, prompt)
+  }
+}
+
+module.exports = GeminiDetector
@@ -0,0 +1,84 @@
+const configService = require('../configService')
+const BaseDetector = require('./baseDetector')
+const GeminiDetector = require('./geminiDetector')
+const OnnxDetector = require('./onnxDetector')
+const MockDetector = require('./mockDetector')
+
+// Detector classes by the type used in `ai.detector` and cameras.detector
+const DETECTOR_TYPES = {
+  gemini: GeminiDetector,
+  onnx: OnnxDetector,
+  mock: MockDetector
+}
+
+const DEFAULT_DETECTOR_TYPE = 'gemini'
+
+let cachedDetectors = {}
+
+// Rebuild detectors whenever the AI configuration changes
+configService.onChange((key) => {
+  if (key === '*' || key.startsWith('ai')) {
+    cachedDetectors = {}
+  }
+})
+
+/**
+ * Create a detector
+ * @param {string} type - 'gemini', 'onnx' or 'mock'
+ * @param {Object} options - Detector settings (`ai.detectors.<type>`)
+ * @returns {BaseDetector}
+ */
+const createDetector = (type, options = {}) => {
+  const DetectorClass = DETECTOR_TYPES[type]
+  if (!DetectorClass) {
+    throw new Error(`Unknown detector type: ${type}`)
+  }
+  return new DetectorClass(options)
+}
+
+/**
+ * The detector used for cameras without their own choice, from `ai.detector`
+ * @returns {string}
+ */
+const getDefaultDetectorType = () => {
+  const type = configService.get('ai.detector', DEFAULT_DETECTOR_TYPE)
+  return DETECTOR_TYPES[type] ? type : DEFAULT_DETECTOR_TYPE
+}
+
+/**
+ * The detector type for a camera: its own cameras.detector if set, else the default
+ * @param {string|null} cameraDetector - Value of cameras.detector
+ * @returns {string}
+ */
+const resolveDetectorType = (cameraDetector) => (
+  cameraDetector && DETECTOR_TYPES[cameraDetector] ? cameraDetector : getDefaultDetectorType()
+)
+
+/**
+ * Get a configured detector, reused between calls so models load once
+ * @param {string} type - Detector type (defaults to `ai.detector`)
+ * @returns {BaseDetector}
+ */
+const getDetector = (type = getDefaultDetectorType()) => {
+  if (!cachedDetectors[type]) {
+    cachedDetectors[type] = createDetector(type, configService.get(`ai.detectors.${type}`, {}))
+  }
+  return cachedDetectors[type]
+}
+
+/**
+ * Type, model and availability of every detector
+ * @returns {Array<Object>}
+ */
+const describeDetectors = () => Object.keys(DETECTOR_TYPES).map(type => getDetector(type).describe())
+
+module.exports = {
+  DETECTOR_TYPES,
+  DEFAULT_DETECTOR_TYPE,
+  BaseDetector,
+  createDetector,
+  getDefaultDetectorType,
+  resolveDetectorType,
+  getDetector,
+  describeDetectors
+}
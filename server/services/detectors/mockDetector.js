@@ -0,0 +1,66 @@
+const crypto = require('crypto')
+const BaseDetector = require('./baseDetector')
+
+// Weighted towards cars, roughly like highway traffic
+const DEFAULT_VEHICLE_TYPES = ['car', 'car', 'car', 'car', 'truck', 'truck', 'bus', 'motorcycle']
+
+// Small seeded PRNG (mulberry32) so the same image always gets the same boxes
+const createRandom = (seed) => {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Deterministic stand-in detector for development and load testing. Boxes
+ * are generated from a hash of the image bytes, so re-analyzing a frame
+ * gives identical results and nothing leaves the machine.
+ *
+ * Options (`ai.detectors.mock`):
+ *   maxVehicles - Most boxes returned for one image (default 8)
+ *   vehicleTypes - Types to pick from; repeat a type to make it more common
+ */
+class MockDetector extends BaseDetector {
+  get type() {
+    return 'mock'
+  }
+
+  get model() {
+    return 'mock'
+  }
+
+  async detect(imageBuffer) {
+    const maxVehicles = Math.max(0, this.options.maxVehicles ?? 8)
+    const vehicleTypes = this.options.vehicleTypes?.length ? this.options.vehicleTypes : DEFAULT_VEHICLE_TYPES
+    const digest = crypto.createHash('md5').update(imageBuffer).digest()
+    const random = createRandom(digest.readUInt32LE(0))
+
+    const count = Math.floor(random() * (maxVehicles + 1))
+    const boxes = []
+
+    for (let i = 0; i < count; i++) {
+      const width = 40 + Math.floor(random() * 120)
+      const height = 30 + Math.floor(random() * 90)
+      const x = Math.floor(random() * (1000 - width))
+      const y = Math.floor(random() * (1000 - height))
+
+      boxes.push({
+        vehicle_type: vehicleTypes[Math.floor(random() * vehicleTypes.length)],
+        x_min: x,
+        y_min: y,
+        x_max: x + width,
+        y_max: y + height,
+        confidence_score: Math.round((0.5 + random() * 0.49) * 100) / 100
+      })
+    }
+
+    return boxes
+  }
+}
+
+module.exports = MockDetector
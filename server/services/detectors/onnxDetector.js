@@ -0,0 +1,207 @@
+const fs = require('fs-extra')
+const path = require('path')
+const sharp = require('sharp')
+const BaseDetector = require('./baseDetector')
+
+// COCO class indices of the vehicle classes in stock YOLO models
+const DEFAULT_CLASSES = { 2: 'car', 3: 'motorcycle', 5: 'bus', 7: 'truck' }
+
+// Grey padding YOLO models are trained with
+const LETTERBOX_COLOR = { r: 114, g: 114, b: 114 }
+
+// onnxruntime-node is an optional dependency; without it the detector reports itself unavailable
+const loadRuntime = () => {
+  try {
+    return require('onnxruntime-node')
+  } catch (error) {
+    return null
+  }
+}
+
+// Intersection over union of two [x1, y1, x2, y2] boxes
+const iou = (a, b) => {
+  const width = Math.max(0, Math.min(a[2], b[2]) - Math.max(a[0], b[0]))
+  const height = Math.max(0, Math.min(a[3], b[3]) - Math.max(a[1], b[1]))
+  const intersection = width * height
+  const union = (a[2] - a[0]) * (a[3] - a[1]) + (b[2] - b[0]) * (b[3] - b[1]) - intersection
+  return union > 0 ? intersection / union : 0
+}
+
+/**
+ * Local object detection with a YOLO model in ONNX format, run on the CPU
+ * through onnxruntime-node. Costs nothing per image, which suits cameras
+ * captured at a high frequency.
+ *
+ * Both common export layouts are understood: YOLOv8 and later
+ * ([1, 4 + classes, anchors]) and YOLOv5 ([1, anchors, 5 + classes], with
+ * an objectness score).
+ *
+ * Options (`ai.detectors.onnx`):
+ *   modelPath - ONNX file, relative to the server folder (default models/yolov8n.onnx)
+ *   inputSize - Square input size the model was exported with (default 640)
+ *   confidenceThreshold - Minimum class score kept (default 0.25)
+ *   iouThreshold - Overlap above which weaker boxes of a class are dropped (default 0.45)
+ *   classes - Model class index to vehicle type; other classes are ignored (default COCO vehicles)
+ */
+class OnnxDetector extends BaseDetector {
+  constructor(options = {}) {
+    super(options)
+    this.modelPath = path.resolve(__dirname, '../..', options.modelPath || 'models/yolov8n.onnx')
+    this.inputSize = options.inputSize || 640
+    this.confidenceThreshold = options.confidenceThreshold ?? 0.25
+    this.iouThreshold = options.iouThreshold ?? 0.45
+    this.classes = options.classes || DEFAULT_CLASSES
+    this.session = null
+  }
+
+  get type() {
+    return 'onnx'
+  }
+
+  get model() {
+    return path.basename(this.modelPath)
+  }
+
+  isAvailable() {
+    return fs.existsSync(this.modelPath) && loadRuntime() !== null
+  }
+
+  async getSession() {
+    if (!this.session) {
+      const ort = loadRuntime()
+      if (!ort) {
+        throw new Error('onnxruntime-node is not installed')
+      }
+      if (!(await fs.pathExists(this.modelPath))) {
+        throw new Error(`ONNX model not found: ${this.modelPath}`)
+      }
+      this.session = await ort.InferenceSession.create(this.modelPath, { executionProviders: ['cpu'] })
+    }
+    return this.session
+  }
+
+  async detect(imageBuffer) {
+    const session = await this.getSession()
+    const ort = loadRuntime()
+    const { input, letterbox } = await this.preprocess(imageBuffer)
+
+    const tensor = new ort.Tensor('float32', input, [1, 3, this.inputSize, this.inputSize])
+    const outputs = await session.run({ [session.inputNames[0]]: tensor })
+    const output = outputs[session.outputNames[0]]
+
+    const candidates = this.decode(output.data, output.dims)
+    return this.suppress(candidates).map(candidate => this.toBoundingBox(candidate, letterbox))
+  }
+
+  // Letterbox the image into the model's square input as a planar RGB float tensor
+  async preprocess(imageBuffer) {
+    const size = this.inputSize
+    const { width, height } = await sharp(imageBuffer).metadata()
+    const scale = Math.min(size / width, size / height)
+    const resizedWidth = Math.round(width * scale)
+    const resizedHeight = Math.round(height * scale)
+    const left = Math.floor((size - resizedWidth) / 2)
+    const top = Math.floor((size - resizedHeight) / 2)
+
+    const { data } = await sharp(imageBuffer)
+      .removeAlpha()
+      .resize(resizedWidth, resizedHeight, { fit: 'fill' })
+      .extend({
+        top,
+        bottom: size - resizedHeight - top,
+        left,
+        right: size - resizedWidth - left,
+        background: LETTERBOX_COLOR
+      })
+      .raw()
+      .toBuffer({ resolveWithObject: true })
+
+    const pixels = size * size
+    const input = new Float32Array(3 * pixels)
+    for (let i = 0; i < pixels; i++) {
+      input[i] = data[i * 3] / 255
+      input[pixels + i] = data[i * 3 + 1] / 255
+      input[2 * pixels + i] = data[i * 3 + 2] / 255
+    }
+
+    return { input, letterbox: { scale, left, top, width, height } }
+  }
+
+  /**
+   * Candidate boxes above the confidence threshold, in model input pixels
+   * @param {Float32Array} data - Raw model output
+   * @param {number[]} dims - Output shape
+   * @returns {Array} - [{ box: [x1, y1, x2, y2], score, classId }]
+   */
+  decode(data, dims) {
+    const [, rows, columns] = dims
+    // YOLOv8 puts the per-anchor values in rows; YOLOv5 in columns
+    const channelsFirst = rows < columns
+    const anchors = channelsFirst ? columns : rows
+    const values = channelsFirst ? rows : columns
+    const hasObjectness = !channelsFirst
+    const classOffset = hasObjectness ? 5 : 4
+    const value = channelsFirst
+      ? (anchor, index) => data[index * anchors + anchor]
+      : (anchor, index) => data[anchor * values + index]
+
+    const candidates = []
+    for (let anchor = 0; anchor < anchors; anchor++) {
+      const objectness = hasObjectness ? value(anchor, 4) : 1
+      let classId = -1
+      let score = 0
+
+      for (let c = 0; c < values - classOffset; c++) {
+        const classScore = value(anchor, classOffset + c) * objectness
+        if (classScore > score) {
+          score = classScore
+          classId = c
+        }
+      }
+
+      if (score < this.confidenceThreshold || !this.classes[classId]) continue
+
+      const cx = value(anchor, 0)
+      const cy = value(anchor, 1)
+      const w = value(anchor, 2)
+      const h = value(anchor, 3)
+      candidates.push({ box: [cx - w / 2, cy - h / 2, cx + w / 2, cy + h / 2], score, classId })
+    }
+
+    return candidates
+  }
+
+  // Greedy per-class non-maximum suppression
+  suppress(candidates) {
+    const kept = []
+    candidates.sort((a, b) => b.score - a.score)
+
+    for (const candidate of candidates) {
+      const overlaps = kept.some(other => (
+        other.classId === candidate.classId && iou(other.box, candidate.box) > this.iouThreshold
+      ))
+      if (!overlaps) kept.push(candidate)
+    }
+
+    return kept
+  }
+
+  // Undo the letterbox and normalize to 0-1000
+  toBoundingBox({ box, score, classId }, { scale, left, top, width, height }) {
+    const normalize = (value, offset, extent) => {
+      const original = (value - offset) / scale
+      return Math.round(Math.min(1000, Math.max(0, original / extent * 1000)))
+    }
+
+    return {
+      vehicle_type: this.classes[classId],
+      x_min: normalize(box[0], left, width),
+      y_min: normalize(box[1], top, height),
+      x_max: normalize(box[2], left, width),
+      y_max: normalize(box[3], top, height),
+      confidence_score: Math.round(score * 1000) / 1000
+    }
+  }
+}
+
+module.exports = OnnxDetector
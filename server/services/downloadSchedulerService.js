@@ -0,0 +1,237 @@
+const { run, runQuery } = require('../database/connection');
+const configService = require('./configService');
+const { log } = require('./loggerService');
+
+/**
+ * Runs camera snapshot downloads with bounded concurrency and per-camera
+ * retries, recording every attempt in the `capture_attempts` table.
+ * Successful attempts carry a `result`: 'stored' for a new image,
+ * 'not_modified' for an HTTP 304 and 'unchanged' for byte-identical frames.
+ *
+ * Reads `camera.maxConcurrentDownloads`, `camera.retryAttempts` and
+ * `camera.retryDelay` at the start of each run, so config changes apply to
+ * the next capture cycle without a restart.
+ */
+class DownloadSchedulerService {
+  constructor() {
+    this.queue = [];
+    this.activeCount = 0;
+    this.pending = new Map(); // camera_id -> promise of the queued or running capture
+    this.lastRun = null;
+  }
+
+  get isRunning() {
+    return this.activeCount > 0 || this.queue.length > 0;
+  }
+
+  // Current scheduler settings from the camera config section
+  getSettings() {
+    return {
+      maxConcurrentDownloads: Math.max(1, configService.get('camera.maxConcurrentDownloads', 3)),
+      retryAttempts: Math.max(1, configService.get('camera.retryAttempts', 3)),
+      retryDelay: Math.max(0, configService.get('camera.retryDelay', 5000))
+    };
+  }
+
+  /**
+   * Run a capture task for every camera. Cameras that are already queued or
+   * downloading are skipped, and at most `camera.maxConcurrentDownloads`
+   * captures run at once across all callers.
+   * @param {Array} cameras - Camera rows (must include camera_id)
+   * @param {Function} task - async (camera) => { id, bytes, httpStatus, ... }
+   * @returns {Promise<Object>} - Run summary with one result per captured camera
+   */
+  async runCaptures(cameras, task) {
+    const startedAt = new Date();
+    const queued = cameras.filter(camera => !this.pending.has(camera.camera_id));
+    const skipped = cameras.length - queued.length;
+
+    if (skipped > 0) {
+      log.warn(`Skipping ${skipped} camera(s) with a capture already in progress`);
+    }
+
+    const results = await Promise.all(queued.map(camera => this.enqueue(camera, task)));
+
+    const succeeded = results.filter(result => result.success).length;
+    this.lastRun = {
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      duration: Date.now() - startedAt.getTime(),
+      cameras: queued.length,
+      skipped,
+      succeeded,
+      failed: results.length - succeeded,
+      settings: this.getSettings()
+    };
+
+    return { ...this.lastRun, results };
+  }
+
+  // Add a camera to the shared queue and resolve when its capture finishes
+  enqueue(camera, task) {
+    const promise = new Promise(resolve => {
+      this.queue.push({ camera, task, resolve });
+    });
+
+    this.pending.set(camera.camera_id, promise);
+    this.drain();
+    return promise;
+  }
+
+  // Start queued captures until the concurrency limit is reached
+  drain() {
+    const settings = this.getSettings();
+
+    while (this.activeCount < settings.maxConcurrentDownloads && this.queue.length > 0) {
+      const { camera, task, resolve } = this.queue.shift();
+      this.activeCount++;
+
+      this.captureWithRetry(camera, task, settings)
+        .catch(error => ({ camera_id: camera.camera_id, success: false, error: error.message }))
+        .then(result => {
+          this.activeCount--;
+          this.pending.delete(camera.camera_id);
+          resolve(result);
+          this.drain();
+        });
+    }
+  }
+
+  // Capture one camera, retrying with exponential backoff
+  async captureWithRetry(camera, task, settings) {
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= settings.retryAttempts; attempt++) {
+      const start = Date.now();
+
+      try {
+        const outcome = await task(camera);
+        await this.recordAttempt(camera.camera_id, attempt, {
+          status: 'success',
+          httpStatus: outcome ? outcome.httpStatus : null,
+          latency: Date.now() - start,
+          bytes: outcome ? outcome.bytes : null,
+          imageId: outcome ? outcome.id : null,
+          result: outcome ? outcome.result : null
+        });
+
+        return { camera_id: camera.camera_id, success: true, attempts: attempt, outcome };
+      } catch (error) {
+        lastError = error;
+        const httpStatus = error.response ? error.response.status : null;
+
+        await this.recordAttempt(camera.camera_id, attempt, {
+          status: 'error',
+          httpStatus,
+          latency: Date.now() - start,
+          bytes: null,
+          error: error.message
+        });
+
+        if (!this.isRetryable(error) || attempt === settings.retryAttempts) {
+          break;
+        }
+
+        const delay = settings.retryDelay * Math.pow(2, attempt - 1);
+        log.warn(`Capture for camera ${camera.camera_id} failed, retrying in ${delay}ms (attempt ${attempt}/${settings.retryAttempts})`, { error: error.message });
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    log.error(`Capture for camera ${camera.camera_id} failed`, { error: lastError.message });
+    return { camera_id: camera.camera_id, success: false, error: lastError.message };
+  }
+
+  // Client errors other than throttling will not fix themselves on retry
+  isRetryable(error) {
+    const httpStatus = error.response ? error.response.status : null;
+    if (httpStatus && httpStatus >= 400 && httpStatus < 500 && httpStatus !== 429) {
+      return false;
+    }
+    return true;
+  }
+
+  async recordAttempt(cameraId, attempt, outcome) {
+    try {
+      await run(`
+        INSERT INTO capture_attempts (
+          camera_id, attempt, status, result, http_status, latency_ms, bytes, image_id, error, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+      `, [
+        cameraId,
+        attempt,
+        outcome.status,
+        outcome.result || null,
+        outcome.httpStatus || null,
+        outcome.latency,
+        outcome.bytes || null,
+        outcome.imageId || null,
+        outcome.error || null
+      ]);
+    } catch (error) {
+      log.error('Failed to record capture attempt', { cameraId, error: error.message });
+    }
+  }
+
+  // Recent attempts, newest first
+  async getRecentAttempts({ cameraId = null, status = null, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (cameraId) {
+      conditions.push('camera_id = ?');
+      params.push(cameraId);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+
+    params.push(limit);
+
+    return runQuery(`
+      SELECT * FROM capture_attempts
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY id DESC
+      LIMIT ?
+    `, params);
+  }
+
+  // Per-camera success rate, latency and volume over the last N hours
+  async getSummary(hours = 24) {
+    const cameras = await runQuery(`
+      SELECT
+        camera_id,
+        COUNT(*) as attempts,
+        COUNT(CASE WHEN status = 'success' THEN 1 END) as successes,
+        COUNT(CASE WHEN status = 'error' THEN 1 END) as failures,
+        COUNT(CASE WHEN attempt > 1 THEN 1 END) as retries,
+        COUNT(CASE WHEN result = 'not_modified' THEN 1 END) as not_modified,
+        COUNT(CASE WHEN result = 'unchanged' THEN 1 END) as unchanged,
+        AVG(latency_ms) as avg_latency_ms,
+        MAX(latency_ms) as max_latency_ms,
+        COALESCE(SUM(bytes), 0) as total_bytes,
+        MAX(CASE WHEN status = 'success' THEN created_at END) as last_success_at,
+        MAX(CASE WHEN status = 'error' THEN created_at END) as last_error_at
+      FROM capture_attempts
+      WHERE created_at >= datetime('now', ?)
+      GROUP BY camera_id
+      ORDER BY camera_id ASC
+    `, [`-${hours} hours`]);
+
+    return {
+      isRunning: this.isRunning,
+      activeDownloads: this.activeCount,
+      queuedDownloads: this.queue.length,
+      lastRun: this.lastRun,
+      settings: this.getSettings(),
+      timePeriodHours: hours,
+      cameras
+    };
+  }
+}
+
+// Create singleton instance
+const downloadSchedulerService = new DownloadSchedulerService();
+
+module.exports = downloadSchedulerService;
@@ -0,0 +1,170 @@
+const axios = require('axios');
+
+const API_BASE_URL = 'https://generativelanguage.googleapis.com';
+
+// Batch states are reported as BATCH_STATE_* by the REST API and JOB_STATE_* by the SDKs
+const normalizeBatchState = (state) => (
+  String(state || 'unspecified').replace(/^(BATCH|JOB)_STATE_/, '').toLowerCase()
+);
+
+// States after which a batch job produces no further changes
+const TERMINAL_BATCH_STATES = ['succeeded', 'failed', 'cancelled', 'expired'];
+
+// Text of the first candidate of a GenerateContentResponse
+const getResponseText = (response) => {
+  const parts = response?.candidates?.[0]?.content?.parts || [];
+  return parts.map(part => part.text || '').join('');
+};
+
+// Why a response has no usable output (e.g. SAFETY), or null when it has
+const BLOCKING_FINISH_REASONS = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'];
+
+const getBlockReason = (response) => {
+  const finishReason = response?.candidates?.[0]?.finishReason;
+  return response?.promptFeedback?.blockReason
+    || (BLOCKING_FINISH_REASONS.includes(finishReason) ? finishReason : null);
+};
+
+/**
+ * Minimal REST client for the Gemini Batch API. Requests are submitted
+ * inline for small jobs or as an uploaded JSONL file for large ones; the
+ * job is then polled until it reaches a terminal state and its responses
+ * are read back from the job (inline) or a results file.
+ */
+class GeminiBatchClient {
+  constructor(apiKey, { baseUrl = API_BASE_URL } = {}) {
+    this.http = axios.create({
+      baseURL: baseUrl,
+      headers: { 'x-goog-api-key': apiKey },
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity
+    });
+  }
+
+  /**
+   * Submit a batch job
+   * @param {string} model - Model name, e.g. gemini-2.0-flash
+   * @param {Object} input - { requests: [{ key, request }] } or { fileName }
+   * @param {string} displayName - Label shown in the Gemini console
+   * @returns {Promise<Object>} - { name, state }
+   */
+  async createBatch(model, input, displayName) {
+    const inputConfig = input.fileName
+      ? { file_name: input.fileName }
+      : {
+          requests: {
+            requests: input.requests.map(({ key, request }) => ({ request, metadata: { key } }))
+          }
+        };
+
+    const response = await this.http.post(`/v1beta/models/${model}:batchGenerateContent`, {
+      batch: { display_name: displayName, input_config: inputConfig }
+    }, { timeout: 300000 });
+
+    return this.describeBatch(response.data);
+  }
+
+  /**
+   * Current state of a batch job, with its responses once it has succeeded
+   * @param {string} name - Job name (batches/...)
+   * @returns {Promise<Object>} - { name, state, done, error, responses, responsesFile }
+   */
+  async getBatch(name) {
+    const response = await this.http.get(`/v1beta/${name}`, { timeout: 60000 });
+    return this.describeBatch(response.data);
+  }
+
+  // Jobs come back wrapped in a long-running operation; flatten the parts we use
+  describeBatch(operation) {
+    const batch = operation.metadata || operation;
+    const output = operation.response || batch.output || {};
+    const inlined = output.inlinedResponses?.inlinedResponses || output.inlinedResponses;
+
+    return {
+      name: operation.name || batch.name,
+      state: normalizeBatchState(batch.state),
+      done: !!operation.done,
+      error: operation.error?.message || null,
+      responses: Array.isArray(inlined)
+        ? inlined.map((entry, index) => ({
+            key: entry.metadata?.key ?? null,
+            index,
+            response: entry.response || null,
+            error: entry.error?.message || null
+          }))
+        : null,
+      responsesFile: output.responsesFile || null
+    };
+  }
+
+  /**
+   * Upload JSONL requests for a file-based batch job
+   * @param {Array} requests - [{ key, request }]
+   * @param {string} displayName - Label for the uploaded file
+   * @returns {Promise<string>} - File name (files/...)
+   */
+  async uploadRequests(requests, displayName) {
+    const body = Buffer.from(requests.map(entry => JSON.stringify(entry)).join('\n'));
+
+    // Resumable upload: the first call returns the URL the bytes go to
+    const start = await this.http.post('/upload/v1beta/files', { file: { display_name: displayName } }, {
+      timeout: 60000,
+      headers: {
+        'X-Goog-Upload-Protocol': 'resumable',
+        'X-Goog-Upload-Command': 'start',
+        'X-Goog-Upload-Header-Content-Length': body.length,
+        'X-Goog-Upload-Header-Content-Type': 'application/jsonl'
+      }
+    });
+
+    const uploadUrl = start.headers['x-goog-upload-url'];
+    if (!uploadUrl) {
+      throw new Error('Gemini Files API did not return an upload URL');
+    }
+
+    const upload = await this.http.post(uploadUrl, body, {
+      timeout: 300000,
+      headers: {
+        'Content-Type': 'application/jsonl',
+        'X-Goog-Upload-Offset': 0,
+        'X-Goog-Upload-Command': 'upload, finalize'
+      }
+    });
+
+    return upload.data.file.name;
+  }
+
+  /**
+   * Read the responses of a file-based batch job
+   * @param {string} fileName - Results file (files/...)
+   * @returns {Promise<Array>} - [{ key, response, error }]
+   */
+  async downloadResponses(fileName) {
+    const response = await this.http.get(`/download/v1beta/${fileName}:download`, {
+      params: { alt: 'media' },
+      responseType: 'text',
+      timeout: 300000
+    });
+
+    return String(response.data)
+      .split('\n')
+      .filter(line => line.trim())
+      .map((line, index) => {
+        const entry = JSON.parse(line);
+        return {
+          key: entry.key ?? entry.metadata?.key ?? null,
+          index,
+          response: entry.response || null,
+          error: entry.error?.message || null
+        };
+      });
+  }
+}
+
+module.exports = {
+  GeminiBatchClient,
+  TERMINAL_BATCH_STATES,
+  normalizeBatchState,
+  getResponseText,
+  getBlockReason
+};
@@ -12,8 +12,23 @@
  */
 
 const { GoogleGenerativeAI } = require('@google/generative-ai');
-const fs = require('fs-extra');
-const path = require('path');
+const { getImageStorage } = require('./imageStorage');
+const imageQualityService = require('./imageQualityService');
+const { getDetector, resolveDetectorType } = require('./detectors');
+const { GeminiBatchClient, TERMINAL_BATCH_STATES, getResponseText, getBlockReason } = require('./geminiBatchClient');
+const { GeminiStandIn, standInOptionsFromEnv } = require('./geminiStandIn');
+const {
+  DETECTION_SCHEMA_VERSION,
+  DETECTION_RESPONSE_SCHEMA,
+  REJECTION_REASONS,
+  rejectionError,
+  isRejection,
+  parseDetectionPayload
+} = require('./detectionSchema');
+const promptService = require('./promptService');
+const { getCameraRegionMasks, isInRegion } = require('./regionMaskService');
+const { getCameraLanes, assignLane, countByLane } = require('./laneService');
+const trackingService = require('./trackingService');
 
 // Local log function to replace loggerService
 const log = (level, message, ...args) => {
@@ -45,12 +60,15 @@ let dbConnection = null;
 let genAI = null;
 let model = null;
 let client = null;
+let standIn = null;
 
 // Enhanced Configuration with Safety Settings
 const CONFIG = {
   // API Configuration
   GEMINI_API_KEY: process.env.GEMINI_API_KEY,
   GEMINI_MODEL: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+  API_BASE_URL: process.env.GEMINI_API_BASE_URL || null, // Another Gemini-compatible endpoint, e.g. a running stand-in
+  STANDIN_MODE: process.env.GEMINI_STANDIN || null, // replay, synthetic or record: start the local stand-in
   
   // Batch Processing Configuration
   USE_BATCH_MODE: process.env.GEMINI_USE_BATCH_MODE !== 'false', // Default to true
@@ -61,6 +79,7 @@ const CONFIG = {
   MAX_RETRIES: Math.min(parseInt(process.env.GEMINI_MAX_RETRIES) || 3, 5), // Cap at 5
   CONFIDENCE_THRESHOLD: Math.max(Math.min(parseFloat(process.env.GEMINI_CONFIDENCE_THRESHOLD) || 0.7, 1.0), 0.1), // 0.1-1.0
   MAX_IMAGES_PER_BATCH: Math.min(parseInt(process.env.GEMINI_MAX_IMAGES_PER_BATCH) || 20, 100), // Cap at 100
+  BATCH_INLINE_MAX_BYTES: Math.min(parseInt(process.env.GEMINI_BATCH_INLINE_MAX_BYTES) || 15 * 1024 * 1024, 20 * 1024 * 1024), // Larger jobs are uploaded as a file
   
   // Rate Limiting Configuration
   RATE_LIMIT_DELAY: Math.max(parseInt(process.env.GEMINI_RATE_LIMIT_DELAY) || 2000, 1000), // Min 1s
@@ -246,67 +265,56 @@ const calculateAverageConfidence = (boundingBoxes) => {
   return sum / validConfidences.length;
 };
 
-// Vehicle detection prompt
-const VEHICLE_DETECTION_PROMPT = `Analyze this highway traffic camera image and detect ALL vehicles with their bounding boxes. 
-
-CRITICAL: You MUST return ONLY a JSON response in this EXACT format - no other text, no explanations, no additional fields:
-
-{
-  "bounding_boxes": [
-    {
-      "vehicle_type": "<type>",
-      "x_min": <0-1000>,
-      "y_min": <0-1000>,
-      "x_max": <0-1000>,
-      "y_max": <0-1000>,
-      "confidence_score": <0.0-1.0>
-    }
-  ]
-}
-
-Focus on motor vehicles on the highway only. Do not count pedestrians, bicycles, or stationary objects. Be accurate and conservative in your counts. 
-
-IMPORTANT: The bounding box coordinates MUST be normalized to 0-1000 range where:
-- x_min, y_min, x_max, y_max are all values between 0 and 1000
-- (0,0) is the top-left corner of the image
-- (1000,1000) is the bottom-right corner of the image
-- This ensures coordinates work correctly regardless of the actual image resolution
-- Coordinates will be validated and must be within this exact range
-
-DO NOT return total_vehicles, vehicles object, notes, or any other fields. ONLY return the bounding_boxes array with the exact structure shown above.
-
-Do NOT return raw pixel coordinates or coordinates outside the 0-1000 range.`;
+// Structured output settings shared by direct and batch requests
+const getGenerationConfig = () => ({
+  responseMimeType: 'application/json',
+  responseSchema: DETECTION_RESPONSE_SCHEMA
+});
 
 // Initialize Gemini AI
 const initializeGemini = async () => {
   try {
     console.log('=== GEMINI SERVICE: Starting initialization ===')
     
-    // Load configuration
-    console.log('=== GEMINI SERVICE: Validating configuration ===')
-    if (!validateConfig()) {
-      console.log('=== GEMINI SERVICE: Configuration validation failed ===')
-      throw new Error('Invalid Gemini configuration')
+    // Offline development: serve the Gemini API from the local stand-in
+    if (CONFIG.STANDIN_MODE && !standIn) {
+      const options = standInOptionsFromEnv()
+      standIn = new GeminiStandIn(options)
+      CONFIG.API_BASE_URL = await standIn.start(options.port)
+      
+      // Only record mode talks to the real API and needs a real key
+      if (CONFIG.STANDIN_MODE !== 'record' && !CONFIG.GEMINI_API_KEY) {
+        CONFIG.GEMINI_API_KEY = 'stand-in'
+      }
+      log('info', `Using the Gemini stand-in in ${CONFIG.STANDIN_MODE} mode at ${CONFIG.API_BASE_URL}`)
     }
-
-    console.log('=== GEMINI SERVICE: Configuration validation passed, creating GoogleGenerativeAI instance ===')
-    
-    // Create GoogleGenerativeAI instance
-    const { GoogleGenerativeAI } = require('@google/generative-ai')
-    console.log('=== GEMINI SERVICE: GoogleGenerativeAI imported successfully ===')
     
-    genAI = new GoogleGenerativeAI(CONFIG.GEMINI_API_KEY)
-    console.log('=== GEMINI SERVICE: GoogleGenerativeAI instance created ===')
-
-    console.log('=== GEMINI SERVICE: Configuring model ===')
-    
-    // Configure model with safety settings
-    model = genAI.getGenerativeModel({
-      model: CONFIG.GEMINI_MODEL,
-      safetySettings: getSafetySettings()
-    })
+    // Load configuration. Without Gemini the pipeline still runs for cameras
+    // on a local detector; images assigned to Gemini wait in the queue.
+    console.log('=== GEMINI SERVICE: Validating configuration ===')
+    if (validateConfig()) {
+      console.log('=== GEMINI SERVICE: Configuration validation passed, creating GoogleGenerativeAI instance ===')
+      
+      genAI = new GoogleGenerativeAI(CONFIG.GEMINI_API_KEY)
+      console.log('=== GEMINI SERVICE: GoogleGenerativeAI instance created ===')
+      
+      // Configure model with safety settings and the response schema
+      const requestOptions = CONFIG.API_BASE_URL ? { baseUrl: CONFIG.API_BASE_URL } : undefined
+      model = genAI.getGenerativeModel({
+        model: CONFIG.GEMINI_MODEL,
+        safetySettings: getSafetySettings(),
+        generationConfig: getGenerationConfig()
+      }, requestOptions)
+      
+      console.log('=== GEMINI SERVICE: Model configured ===')
+      
+      // The SDK has no batch support, so batch jobs use the REST API directly
+      client = new GeminiBatchClient(CONFIG.GEMINI_API_KEY, requestOptions)
+    } else {
+      log('warn', 'Gemini is not configured; only local detectors (onnx, mock) will analyze images')
+    }
 
-    console.log('=== GEMINI SERVICE: Model configured, initializing database connection ===')
+    console.log('=== GEMINI SERVICE: Initializing database connection ===')
     
     // Initialize database connection
     const dbModule = require('../database/connection')
@@ -315,6 +323,8 @@ const initializeGemini = async () => {
     await dbModule.initializeDatabase()
     console.log('=== GEMINI SERVICE: Database initialized ===')
     
+    await promptService.ensureDefaultPrompt()
+    
     dbConnection = {
       run: dbModule.run,
       runQuery: dbModule.runQuery,
@@ -334,8 +344,8 @@ const initializeGemini = async () => {
     // Initialize batch processing
     await initializeBatchProcessing()
 
-    log('info', 'Gemini AI initialized successfully with enhanced safety settings')
-    log('info', `Model: ${CONFIG.GEMINI_MODEL}`)
+    log('info', `AI analysis initialized (default detector: ${resolveDetectorType(null)})`)
+    log('info', `Gemini Model: ${model ? CONFIG.GEMINI_MODEL : 'not configured'}`)
     log('info', `Safety Level: ${CONFIG.SAFETY_SETTINGS.HARM_CATEGORY_HARASSMENT}`)
     log('info', `Batch Processing: ${CONFIG.USE_BATCH_MODE ? 'Enabled' : 'Disabled'}`)
 
@@ -351,131 +361,277 @@ const initializeGemini = async () => {
   }
 }
 
-// Get base64 image data
-const getBase64Image = async (imagePath) => {
-  const imageBuffer = await fs.readFile(imagePath);
-  return imageBuffer.toString('base64');
-};
-
-const createInlineBatchJob = async (images) => {
-  if (!client) {
-    log('error', 'Gemini AI not initialized, skipping inline batch job')
-    return []
+// Request body for one image, in the REST format the Batch API expects
+const buildDetectionRequest = (imageBuffer, promptText) => ({
+  contents: [{
+    role: 'user',
+    parts: [
+      { text: promptText },
+      { inline_data: { mime_type: 'image/jpeg', data: imageBuffer.toString('base64') } }
+    ]
+  }],
+  safety_settings: getSafetySettings(),
+  generation_config: {
+    response_mime_type: 'application/json',
+    response_schema: DETECTION_RESPONSE_SCHEMA
   }
+})
+
+// Read each image into a keyed batch request with its camera's prompt;
+// unreadable images are marked failed
+const buildBatchRequests = async (images) => {
+  const entries = []
+  const prompts = new Map()
   
-  try {
-    log('info', `Creating inline batch job for ${images.length} images...`)
-    
-    // For now, fall back to individual processing since batch API isn't available
-    // TODO: Implement proper batch API when available
-    log('info', 'Batch API not yet available, falling back to individual processing')
-    return await processImagesIndividually(images)
-    
-  } catch (error) {
-    log('error', `Error creating inline batch job: ${error.message}`)
-    throw error
+  for (const image of images) {
+    try {
+      if (!prompts.has(image.camera_id)) {
+        prompts.set(image.camera_id, await promptService.resolvePrompt(image.camera_id))
+      }
+      const prompt = prompts.get(image.camera_id)
+      const imageBuffer = await getImageStorage().get(image.local_path)
+      entries.push({
+        image,
+        key: `image-${image.id}`,
+        prompt_version_id: prompt.id,
+        request: buildDetectionRequest(imageBuffer, prompt.prompt_text)
+      })
+    } catch (error) {
+      log('error', `Cannot add image ${image.id} to a batch job: ${error.message}`)
+      await updateProcessingStatus(image.id, 'failed')
+    }
   }
+  
+  return entries
 }
 
-const createFileBasedBatchJob = async (images) => {
-  if (!client) {
-    log('error', 'Gemini AI not initialized, skipping file-based batch job')
+const createInlineBatchJob = async (entries) => {
+  log('info', `Creating inline batch job for ${entries.length} images...`)
+  const requests = entries.map(({ key, request }) => ({ key, request }))
+  return client.createBatch(CONFIG.GEMINI_MODEL, { requests }, `vehicle-detection-${Date.now()}`)
+}
+
+const createFileBasedBatchJob = async (entries) => {
+  log('info', `Creating file-based batch job for ${entries.length} images...`)
+  const displayName = `vehicle-detection-${Date.now()}`
+  const fileName = await client.uploadRequests(entries.map(({ key, request }) => ({ key, request })), displayName)
+  const batch = await client.createBatch(CONFIG.GEMINI_MODEL, { fileName }, displayName)
+  return { ...batch, inputFile: fileName }
+}
+
+// Submit images as one batch job. The job and its images are stored in
+// batch_jobs so polling picks it up again after a restart.
+const submitBatchJob = async (images) => {
+  const entries = await buildBatchRequests(images)
+  if (entries.length === 0) {
     return []
   }
   
-  try {
-    log('info', `Creating file-based batch job for ${images.length} images...`)
-    
-    // For now, fall back to individual processing since batch API isn't available
-    // TODO: Implement proper batch API when available
-    log('info', 'Batch API not yet available, falling back to individual processing')
-    return await processImagesIndividually(images)
-    
-  } catch (error) {
-    log('error', `Error creating file-based batch job: ${error.message}`)
-    throw error
+  const inputSize = entries.reduce((total, { request }) => total + request.contents[0].parts[1].inline_data.data.length, 0)
+  const inline = inputSize <= CONFIG.BATCH_INLINE_MAX_BYTES
+  const batch = inline ? await createInlineBatchJob(entries) : await createFileBasedBatchJob(entries)
+  
+  const job = await dbConnection.run(`
+    INSERT INTO batch_jobs (job_name, model, input_mode, input_file, image_count)
+    VALUES (?, ?, ?, ?, ?)
+  `, [batch.name, CONFIG.GEMINI_MODEL, inline ? 'inline' : 'file', batch.inputFile || null, entries.length])
+  
+  for (const { image, key, prompt_version_id } of entries) {
+    await dbConnection.run(`
+      INSERT INTO batch_job_images (batch_job_id, image_id, request_key, prompt_version_id)
+      VALUES (?, ?, ?, ?)
+    `, [job.id, image.id, key, prompt_version_id])
+    await updateProcessingStatus(image.id, 'batched')
   }
+  
+  log('info', `Submitted batch job ${batch.name} with ${entries.length} images`)
+  return entries.map(({ image }) => ({
+    image_id: image.id,
+    success: true,
+    batched: true,
+    batch_job: batch.name
+  }))
 }
 
-const monitorBatchJob = async (jobName, images) => {
-  // TODO: Implement when batch API is available
-  log('info', 'Batch monitoring not yet implemented')
-  return []
-}
-
-const processBatchResults = async (batchJob, images) => {
-  // TODO: Implement when batch API is available
-  log('info', 'Batch result processing not yet implemented')
-  return []
+// Poll one batch job; results are ingested once it reaches a terminal state
+const monitorBatchJob = async (job) => {
+  let batch
+  try {
+    batch = await client.getBatch(job.job_name)
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      log('error', `Error polling batch job ${job.job_name}: ${error.message}`)
+      await dbConnection.run(`
+        UPDATE batch_jobs SET error = ?, last_polled_at = datetime('now'), poll_count = poll_count + 1
+        WHERE id = ?
+      `, [error.message, job.id])
+      return
+    }
+    batch = { name: job.job_name, state: 'failed', error: 'Batch job no longer exists' }
+  }
+  
+  if (!TERMINAL_BATCH_STATES.includes(batch.state)) {
+    await dbConnection.run(`
+      UPDATE batch_jobs SET state = ?, last_polled_at = datetime('now'), poll_count = poll_count + 1
+      WHERE id = ?
+    `, [batch.state, job.id])
+    return
+  }
+  
+  log('info', `Batch job ${job.job_name} finished with state '${batch.state}'`)
+  await processBatchResults(job, batch)
 }
 
-const parseGeminiResponse = (responseText) => {
-  try {
-    // Clean the response text
-    const cleanedText = responseText.replace(/```json\s*|\s*```/g, '').trim()
-    
-    // Parse JSON
-    const parsedResponse = JSON.parse(cleanedText)
+// Store the result for each image of a finished batch job. The job is only
+// marked finished afterwards, so an interrupted ingestion is retried.
+const processBatchResults = async (job, batch) => {
+  const members = await dbConnection.runQuery(`
+    SELECT bji.image_id, bji.request_key, bji.prompt_version_id, vd.processing_status
+    FROM batch_job_images bji
+    LEFT JOIN vehicle_detections vd ON vd.image_id = bji.image_id
+    WHERE bji.batch_job_id = ?
+    ORDER BY bji.rowid
+  `, [job.id])
+  
+  let responses = []
+  if (batch.state === 'succeeded') {
+    responses = batch.responsesFile
+      ? await client.downloadResponses(batch.responsesFile)
+      : batch.responses || []
+  }
+  
+  // Responses are matched by key; inline responses without keys keep request order
+  const byKey = new Map(responses.filter(entry => entry.key).map(entry => [entry.key, entry]))
+  
+  let succeeded = 0
+  let failed = 0
+  
+  for (const [index, member] of members.entries()) {
+    // Skip images re-queued or re-analyzed since the job was submitted
+    if (member.processing_status !== 'batched') continue
     
-    // Validate response structure
-    if (!parsedResponse.bounding_boxes || !Array.isArray(parsedResponse.bounding_boxes)) {
-      throw new Error('Response missing or invalid bounding_boxes array')
+    // Expired jobs never ran, so their images go back in the queue
+    if (batch.state === 'expired') {
+      await updateProcessingStatus(member.image_id, 'queued')
+      await dbConnection.run(`
+        UPDATE batch_job_images SET status = 'requeued' WHERE batch_job_id = ? AND image_id = ?
+      `, [job.id, member.image_id])
+      continue
     }
     
-    // Validate each bounding box
-    for (const box of parsedResponse.bounding_boxes) {
-      if (!box.vehicle_type || 
-          typeof box.x_min !== 'number' || 
-          typeof box.y_min !== 'number' || 
-          typeof box.x_max !== 'number' || 
-          typeof box.y_max !== 'number' ||
-          typeof box.confidence_score !== 'number') {
-        throw new Error('Invalid bounding box structure')
-      }
-      
-      // Check if coordinates are already in 0-1000 range
-      const isNormalized = box.x_min >= 0 && box.x_min <= 1000 && 
-                          box.y_min >= 0 && box.y_min <= 1000 && 
-                          box.x_max >= 0 && box.x_max <= 1000 && 
-                          box.y_max >= 0 && box.y_max <= 1000;
+    const entry = byKey.size > 0 ? byKey.get(member.request_key) : responses[index]
+    const blockReason = getBlockReason(entry?.response)
+    let error = entry?.error || batch.error || `Batch job ${batch.state}`
+    let rejection = null
+    
+    if (blockReason) {
+      rejection = rejectionError(REJECTION_REASONS.BLOCKED, `Response blocked (${blockReason})`)
+    } else if (entry?.response && !entry.error) {
+      const responseText = getResponseText(entry.response)
       
-      // If coordinates are not normalized, assume they're raw pixel coordinates and transform them
-      if (!isNormalized) {
-        log('warn', `Coordinates not in 0-1000 range, assuming raw pixel coordinates and normalizing`)
-        
-        // Find the maximum coordinate values to determine image dimensions
-        const maxX = Math.max(box.x_min, box.x_max)
-        const maxY = Math.max(box.y_min, box.y_max)
-        
-        // Normalize to 0-1000 range
-        box.x_min = Math.round((box.x_min / maxX) * 1000)
-        box.y_min = Math.round((box.y_min / maxY) * 1000)
-        box.x_max = Math.round((box.x_max / maxX) * 1000)
-        box.y_max = Math.round((box.y_max / maxY) * 1000)
+      try {
+        const parsedResponse = parseGeminiResponse(responseText)
         
-        log('info', `Normalized coordinates: [${box.x_min}, ${box.y_min}, ${box.x_max}, ${box.y_max}]`)
-      }
-      
-      // Validate coordinate ranges after normalization
-      if (box.x_min < 0 || box.x_min > 1000 || 
-          box.y_min < 0 || box.y_min > 1000 || 
-          box.x_max < 0 || box.x_max > 1000 || 
-          box.y_max < 0 || box.y_max > 1000) {
-        throw new Error('Bounding box coordinates out of range (0-1000) after normalization')
-      }
-      
-      // Validate confidence score range
-      if (box.confidence_score < 0 || box.confidence_score > 1) {
-        throw new Error('Confidence score out of range (0-1)')
+        await storeVehicleDetection({
+          image_id: member.image_id,
+          success: true,
+          bounding_boxes: parsedResponse.bounding_boxes,
+          gemini_response: responseText,
+          schema_version: DETECTION_SCHEMA_VERSION,
+          prompt_version_id: member.prompt_version_id,
+          detector: 'gemini',
+          detector_model: job.model
+        })
+        await dbConnection.run(`
+          UPDATE batch_job_images SET status = 'succeeded' WHERE batch_job_id = ? AND image_id = ?
+        `, [job.id, member.image_id])
+        succeeded++
+        continue
+      } catch (parseError) {
+        if (!isRejection(parseError)) throw parseError
+        rejection = parseError
       }
     }
     
+    if (rejection) {
+      error = `${rejection.code}: ${rejection.message}`
+      rejection.prompt_version_id = member.prompt_version_id
+      await storeRejectedDetection(member.image_id, rejection)
+    } else {
+      await updateProcessingStatus(member.image_id, 'failed')
+    }
+    
+    log('error', `Batch result for image ${member.image_id} failed: ${error}`)
+    await dbConnection.run(`
+      UPDATE batch_job_images SET status = 'failed', error = ? WHERE batch_job_id = ? AND image_id = ?
+    `, [error, job.id, member.image_id])
+    failed++
+  }
+  
+  await dbConnection.run(`
+    UPDATE batch_jobs SET
+      state = ?,
+      succeeded_count = ?,
+      failed_count = ?,
+      error = ?,
+      last_polled_at = datetime('now'),
+      poll_count = poll_count + 1,
+      completed_at = datetime('now')
+    WHERE id = ?
+  `, [batch.state, succeeded, failed, batch.error || null, job.id])
+  
+  log('info', `Batch job ${job.job_name}: ${succeeded} images stored, ${failed} failed`)
+  return { succeeded, failed }
+}
+
+// Poll every unfinished batch job, including those submitted before a restart
+let isPollingBatchJobs = false
+
+const pollBatchJobs = async () => {
+  if (!client || !dbConnection || isPollingBatchJobs) {
+    return
+  }
+  
+  isPollingBatchJobs = true
+  try {
+    const jobs = await dbConnection.runQuery(`
+      SELECT * FROM batch_jobs
+      WHERE state NOT IN (${TERMINAL_BATCH_STATES.map(() => '?').join(', ')})
+      ORDER BY id ASC
+    `, TERMINAL_BATCH_STATES)
+    
+    for (const job of jobs) {
+      try {
+        await monitorBatchJob(job)
+      } catch (error) {
+        log('error', `Error processing batch job ${job.job_name}: ${error.message}`)
+      }
+    }
+  } catch (error) {
+    log('error', `Error polling batch jobs: ${error.message}`)
+  } finally {
+    isPollingBatchJobs = false
+  }
+}
+
+/**
+ * Parse a detection payload against DETECTION_RESPONSE_SCHEMA. Nothing is
+ * repaired: responses that do not conform are rejected, with the raw text
+ * attached so it can be stored for inspection.
+ * @param {string} responseText - Model output
+ * @returns {Object} - { bounding_boxes }
+ * @throws {Error} - Rejection with a REJECTION_REASONS code and `response`
+ */
+const parseGeminiResponse = (responseText) => {
+  try {
+    const parsedResponse = parseDetectionPayload(responseText)
     log('info', `Successfully parsed Gemini response with ${parsedResponse.bounding_boxes.length} bounding boxes`)
     return parsedResponse
-  } catch (parseError) {
-    log('error', `Failed to parse Gemini response: ${parseError.message}`)
+  } catch (error) {
+    log('error', `Rejected Gemini response (${error.code}): ${error.message}`)
     log('error', `Raw response: ${responseText}`)
-    return null
+    error.response = responseText
+    throw error
   }
 }
 
@@ -554,53 +710,121 @@ const filterContent = (text) => {
   return filtered
 }
 
-// Process a batch of images using official batch mode
+// Submit images to the Gemini Batch API. Results arrive later through
+// pollBatchJobs; images that cannot be submitted are analyzed directly.
 const processImageBatch = async (images) => {
   if (!model) {
     log('error', 'Gemini AI model not initialized')
     return []
   }
 
-  if (!CONFIG.USE_BATCH_MODE) {
+  if (!CONFIG.USE_BATCH_MODE || !client) {
     log('info', 'Batch mode disabled, falling back to individual processing')
     return await processImagesIndividually(images)
   }
 
+  log('info', `Processing batch of ${images.length} images with Gemini AI Batch Mode...`)
+  const results = []
+  
+  for (let i = 0; i < images.length; i += CONFIG.MAX_IMAGES_PER_BATCH) {
+    const chunk = images.slice(i, i + CONFIG.MAX_IMAGES_PER_BATCH)
+    try {
+      results.push(...await submitBatchJob(chunk))
+    } catch (error) {
+      log('error', `Batch submission failed: ${error.message}`)
+      // Fallback to individual processing
+      results.push(...await processImagesIndividually(chunk))
+    }
+  }
+  
+  return results
+}
+
+/**
+ * Ask Gemini for the vehicles in one image
+ * @param {Buffer} imageBuffer - JPEG data
+ * @param {Object} prompt - Prompt version to use ({ id, prompt_text }), from promptService.resolvePrompt
+ * @returns {Promise<Object>} - { bounding_boxes, gemini_response, schema_version, prompt_version_id }
+ * @throws {Error} - Rejection with a REJECTION_REASONS code for unusable responses
+ */
+const analyzeImageWithGemini = async (imageBuffer, prompt) => {
+  if (!model) {
+    throw new Error('Gemini AI model not initialized')
+  }
+  
+  const result = await model.generateContent([
+    prompt.prompt_text,
+    {
+      inlineData: {
+        data: imageBuffer.toString('base64'),
+        mimeType: 'image/jpeg'
+      }
+    }
+  ])
+  
   try {
-    log('info', `Processing batch of ${images.length} images with Gemini AI Batch Mode...`)
+    const response = await result.response
+    const blockReason = getBlockReason(response)
+    if (blockReason) {
+      throw rejectionError(REJECTION_REASONS.BLOCKED, `Response blocked (${blockReason})`)
+    }
+    
+    const responseText = response.text()
+    const parsedResponse = parseGeminiResponse(responseText)
     
-    // Check if batch API is available
-    if (!model.batchGenerateContent) {
-      log('info', 'Batch API not yet available, using individual processing')
-      return await processImagesIndividually(images)
+    return {
+      bounding_boxes: parsedResponse.bounding_boxes,
+      gemini_response: responseText,
+      schema_version: DETECTION_SCHEMA_VERSION,
+      prompt_version_id: prompt.id
     }
-
-    // Fallback to individual processing for now
-    log('info', 'Falling back to individual image processing...')
-    return await processImagesIndividually(images)
   } catch (error) {
-    log('error', `Batch processing failed: ${error.message}`)
-    // Fallback to individual processing
-    return await processImagesIndividually(images)
+    // Rejections are stored against the prompt that produced them
+    if (isRejection(error)) {
+      error.prompt_version_id = prompt.id
+    }
+    throw error
   }
 }
 
-// Fallback: Process images individually (legacy method)
-const processImagesIndividually = async (images) => {
-  if (!model) {
-    log('error', 'Gemini AI model not initialized')
-    return []
-  }
+// Bounding boxes Gemini finds in one image, using the default prompt
+const detectVehicles = async (imageBuffer) => {
+  const analysis = await analyzeImageWithGemini(imageBuffer, await promptService.resolvePrompt(null))
+  return analysis.bounding_boxes
+}
+
+// Mark an image failed because its detector response was rejected, keeping
+// the reason and the raw response
+const storeRejectedDetection = async (imageId, error) => {
+  await dbConnection.run(`
+    UPDATE vehicle_detections SET
+      processing_status = 'failed',
+      rejection_reason = ?,
+      gemini_response = ?,
+      schema_version = ?,
+      prompt_version_id = ?,
+      processed_at = datetime('now')
+    WHERE image_id = ?
+  `, [
+    error.code,
+    error.response ? String(error.response).slice(0, CONFIG.MAX_RESPONSE_LENGTH) : null,
+    DETECTION_SCHEMA_VERSION,
+    error.prompt_version_id || null,
+    imageId
+  ])
+}
 
+// Run one detector over images a few at a time and store each result
+const runDetector = async (detector, images) => {
   const batchSize = Math.min(images.length, CONFIG.BATCH_SIZE)
-  const concurrencyLimit = CONFIG.MAX_CONCURRENT_REQUESTS
+  const concurrencyLimit = Math.max(1, detector.concurrency)
   
-  log('info', `Processing ${batchSize} images individually with enhanced safety settings...`)
+  log('info', `Processing ${batchSize} images with the ${detector.type} detector...`)
 
   // Process images in chunks to respect concurrency limits
   const chunks = []
   for (let i = 0; i < batchSize; i += concurrencyLimit) {
-    chunks.push(images.slice(i, i + concurrencyLimit))
+    chunks.push(images.slice(i, Math.min(i + concurrencyLimit, batchSize)))
   }
 
   const results = []
@@ -611,71 +835,50 @@ const processImagesIndividually = async (images) => {
     
     const chunkPromises = chunk.map(async (image) => {
       try {
-        const fullImagePath = path.join(__dirname, '../storage/images', image.local_path)
-        
-        if (!fs.existsSync(fullImagePath)) {
-          log('error', `Image file not found: ${fullImagePath}`)
+        let imageBuffer
+        try {
+          imageBuffer = await getImageStorage().get(image.local_path)
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error
+          log('error', `Image file not found: ${image.local_path}`)
+          await updateProcessingStatus(image.id, 'failed')
           return {
             image_id: image.id,
             success: false,
             error: 'Image file not found'
           }
         }
-
-        // Read and encode image
-        const imageBuffer = fs.readFileSync(fullImagePath)
-        const base64Image = imageBuffer.toString('base64')
         
-        // Create image part for Gemini
-        const imagePart = {
-          inlineData: {
-            data: base64Image,
-            mimeType: 'image/jpeg'
-          }
-        }
-
-        // Call Gemini AI
-        log('info', `Calling Gemini AI for image ${image.id}...`)
-        
-        const result = await model.generateContent([
-          VEHICLE_DETECTION_PROMPT,
-          imagePart
-        ])
-
-        const response = await result.response
-        const responseText = response.text()
-        
-        log('info', `Gemini API response received for image ${image.id}`)
-        
-        // Clean and parse response
-        const filteredResponse = responseText.replace(/```json\s*|\s*```/g, '').trim()
-        
-        // Parse JSON response
-        const parsedResponse = parseGeminiResponse(filteredResponse)
-        
-        if (!parsedResponse) {
-          throw new Error('Failed to parse Gemini response')
-        }
+        log('info', `Calling ${detector.type} detector for image ${image.id}...`)
+        const analysis = await detector.analyze(imageBuffer, image)
 
         // Create result object for storeVehicleDetection
         const detectionResult = {
           image_id: image.id,
           success: true,
-          bounding_boxes: parsedResponse.bounding_boxes
+          ...analysis,
+          detector: detector.type,
+          detector_model: detector.model
         }
         
         // Store vehicle detection data
         await storeVehicleDetection(detectionResult)
         
-        log('info', `Image ${image.id} processed successfully: ${parsedResponse.bounding_boxes.length} vehicles detected from bounding boxes`)
+        log('info', `Image ${image.id} processed successfully: ${analysis.bounding_boxes.length} vehicles detected from bounding boxes`)
         
         return detectionResult
       } catch (error) {
         log('error', `Error processing image ${image.id}: ${error.message}`)
+        if (isRejection(error)) {
+          await storeRejectedDetection(image.id, error)
+        } else {
+          await updateProcessingStatus(image.id, 'failed')
+        }
         return {
           image_id: image.id,
           success: false,
-          error: error.message
+          error: error.message,
+          ...(isRejection(error) && { rejection_reason: error.code })
         }
       }
     })
@@ -686,9 +889,9 @@ const processImagesIndividually = async (images) => {
     log('info', `Chunk completed with ${chunkResults.length} results`)
     
     // Rate limiting between chunks
-    if (i < chunks.length - 1) {
-      log('info', `Waiting ${CONFIG.RATE_LIMIT_DELAY}ms before processing next chunk...`)
-      await new Promise(resolve => setTimeout(resolve, CONFIG.RATE_LIMIT_DELAY))
+    if (i < chunks.length - 1 && detector.rateLimitDelay > 0) {
+      log('info', `Waiting ${detector.rateLimitDelay}ms before processing next chunk...`)
+      await new Promise(resolve => setTimeout(resolve, detector.rateLimitDelay))
     }
   }
 
@@ -696,10 +899,48 @@ const processImagesIndividually = async (images) => {
   return results
 }
 
+// Fallback: Process images individually with Gemini (legacy method)
+const processImagesIndividually = async (images) => {
+  if (!model) {
+    log('error', 'Gemini AI model not initialized')
+    return []
+  }
+
+  return runDetector(getDetector('gemini'), images)
+}
+
+/**
+ * Analyze images with the detector chosen for each one's camera. Images
+ * carry `camera_detector` (cameras.detector); Gemini images go through
+ * processImageBatch, the rest straight to their detector.
+ * @param {Array} images - Image rows ({ id, camera_id, local_path, camera_detector })
+ * @param {Object} options - { urgent: analyze Gemini images now instead of in a batch job }
+ * @returns {Promise<Array>} - Detection results, already stored (or submitted for batch images)
+ */
+const analyzeImages = async (images, { urgent = false } = {}) => {
+  const groups = new Map()
+  for (const image of images) {
+    const type = resolveDetectorType(image.camera_detector)
+    if (!groups.has(type)) groups.set(type, [])
+    groups.get(type).push(image)
+  }
+
+  const results = []
+  for (const [type, group] of groups) {
+    if (type !== 'gemini') {
+      results.push(...await runDetector(getDetector(type), group))
+    } else {
+      results.push(...(urgent ? await processImagesIndividually(group) : await processImageBatch(group)))
+    }
+  }
+  return results
+}
+
 // Queue for processing images
 let processingQueue = [];
 let isProcessing = false;
 let batchProcessingTimer = null;
+let batchPollingTimer = null;
 
 // Initialize batch processing timer (runs every 5 minutes)
 const initializeBatchProcessing = async () => {
@@ -711,6 +952,9 @@ const initializeBatchProcessing = async () => {
       clearInterval(batchProcessingTimer)
       log('info', 'Clearing existing batch processing timer...')
     }
+    if (batchPollingTimer) {
+      clearInterval(batchPollingTimer)
+    }
     
     // Check database connection
     if (!dbConnection) {
@@ -736,6 +980,17 @@ const initializeBatchProcessing = async () => {
     }, 5 * 60 * 1000) // Every 5 minutes
     
     log('info', 'AI analytics batch processing initialized (every 5 minutes)')
+    
+    // Poll submitted Gemini batch jobs, resuming any left from a previous run
+    batchPollingTimer = setInterval(pollBatchJobs, CONFIG.BATCH_POLLING_INTERVAL)
+    const pending = await dbConnection.runSingle(`
+      SELECT COUNT(*) as count FROM batch_jobs
+      WHERE state NOT IN (${TERMINAL_BATCH_STATES.map(() => '?').join(', ')})
+    `, TERMINAL_BATCH_STATES)
+    if (pending.count > 0) {
+      log('info', `Resuming polling of ${pending.count} Gemini batch jobs`)
+      pollBatchJobs()
+    }
     return true
   } catch (error) {
     log('error', `Failed to initialize batch processing: ${error.message}`)
@@ -764,14 +1019,29 @@ const updateProcessingStatus = async (imageId, status) => {
   }
 }
 
-// Add image to processing queue
-const queueImageForAnalysis = async (image) => {
+// Add image to processing queue. Frames failing the `ai.quality` policy are
+// not queued unless skipQualityCheck is set (manual analysis requests).
+const queueImageForAnalysis = async (image, { skipQualityCheck = false } = {}) => {
   if (!dbConnection) {
     log('error', 'Database connection not available for queuing image')
     return false
   }
   
   try {
+    if (!skipQualityCheck) {
+      const quality = await dbConnection.runSingle(`
+        SELECT quality_score, quality_brightness, quality_contrast, quality_sharpness, quality_uniformity
+        FROM images
+        WHERE id = ?
+      `, [image.id])
+      const { analyze, reason } = imageQualityService.checkPolicy(quality)
+      
+      if (!analyze) {
+        log('warn', `Skipping AI analysis for image ${image.id} (${reason})`)
+        return false
+      }
+    }
+    
     // Check if vehicle detection record already exists
     const existingRecord = await dbConnection.runQuery(`
       SELECT id, processing_status 
@@ -825,19 +1095,27 @@ const processQueue = async () => {
   
   // Always reload queued images from database instead of relying on in-memory queue
   log('info', 'Reloading queued images from database...')
-  const queuedImages = await dbConnection.runQuery(`
+  const queued = await dbConnection.runQuery(`
     SELECT 
       i.id, 
       i.camera_id, 
       i.local_path,
-      vd.id as vehicle_detection_id
+      vd.id as vehicle_detection_id,
+      c.detector as camera_detector
     FROM images i
     JOIN vehicle_detections vd ON i.id = vd.image_id
+    LEFT JOIN cameras c ON i.camera_id = c.camera_id
     WHERE vd.processing_status = 'queued'
     ORDER BY i.created_at ASC
   `)
   
-  log('info', `Found ${queuedImages.length} queued images in database`)
+  log('info', `Found ${queued.length} queued images in database`)
+  
+  // Images whose detector cannot run yet (no API key, no model file) stay queued
+  const queuedImages = queued.filter(image => getDetector(resolveDetectorType(image.camera_detector)).isAvailable())
+  if (queuedImages.length < queued.length) {
+    log('warn', `${queued.length - queuedImages.length} queued images are waiting for an unavailable detector`)
+  }
   
   if (queuedImages.length === 0) {
     log('info', 'No images in queue to process')
@@ -859,8 +1137,9 @@ const processQueue = async () => {
         await updateProcessingStatus(image.id, 'processing')
       }
       
-      log('info', 'Calling processImageBatch...')
-      const results = await processImageBatch(batch)
+      // Results are stored as each image is analyzed
+      log('info', 'Calling analyzeImages...')
+      const results = await analyzeImages(batch)
       log('info', `Received ${results.length} results from batch processing`)
       
       // Log each result
@@ -868,12 +1147,6 @@ const processQueue = async () => {
         log('info', `Result ${index + 1}: Image ${result.image_id}, Success: ${result.success}, Error: ${result.error || 'none'}`)
       })
       
-      // Store results in database and update status
-      for (const result of results) {
-        log('info', `Storing result for image ${result.image_id}, success: ${result.success}`)
-        await storeVehicleDetection(result)
-      }
-      
       // Rate limiting between batches
       if (i + CONFIG.BATCH_SIZE < queuedImages.length) {
         log('info', `Waiting ${CONFIG.RATE_LIMIT_DELAY}ms before processing next batch...`)
@@ -891,6 +1164,19 @@ const processQueue = async () => {
   }
 }
 
+// Replace a detection's per-lane counts; boxes carry the name of their `lane`
+const storeLaneCounts = async (vehicleDetectionId, cameraId, boxes, lanes) => {
+  await dbConnection.run('DELETE FROM vehicle_lane_counts WHERE vehicle_detection_id = ?', [vehicleDetectionId])
+  
+  for (const count of countByLane(boxes, lanes)) {
+    await dbConnection.run(`
+      INSERT INTO vehicle_lane_counts (
+        vehicle_detection_id, camera_id, lane, direction, vehicle_count, created_at
+      ) VALUES (?, ?, ?, ?, ?, datetime('now'))
+    `, [vehicleDetectionId, cameraId, count.lane, count.direction, count.vehicle_count])
+  }
+}
+
 // Store vehicle detection results in database
 const storeVehicleDetection = async (result) => {
   if (!dbConnection) {
@@ -912,7 +1198,7 @@ const storeVehicleDetection = async (result) => {
     
     // Check if vehicle detection record already exists
     const vehicleDetectionResult = await dbConnection.runQuery(`
-      SELECT id FROM vehicle_detections WHERE image_id = ?
+      SELECT id, camera_id FROM vehicle_detections WHERE image_id = ?
     `, [result.image_id])
     
     if (vehicleDetectionResult.length === 0) {
@@ -931,9 +1217,19 @@ const storeVehicleDetection = async (result) => {
       
       log('info', `Storing vehicle detection for image ${result.image_id} with ${boundingBoxes.length} bounding boxes`)
       
+      // Only boxes inside the camera's region masks are counted; all are stored
+      const cameraId = vehicleDetectionResult[0].camera_id
+      const regionMasks = await getCameraRegionMasks(cameraId)
+      const lanes = await getCameraLanes(cameraId)
+      const inRegion = boundingBoxes.map(box => isInRegion(box, regionMasks))
+      const boxLanes = boundingBoxes.map(box => assignLane(box, lanes))
+      const countedBoxes = boundingBoxes
+        .map((box, index) => ({ ...box, lane: boxLanes[index]?.name || null }))
+        .filter((box, index) => inRegion[index])
+      
       // Derive vehicle counts and confidence from bounding boxes
-      const vehicleCounts = deriveVehicleCounts(boundingBoxes)
-      const avgConfidence = calculateAverageConfidence(boundingBoxes)
+      const vehicleCounts = deriveVehicleCounts(countedBoxes)
+      const avgConfidence = calculateAverageConfidence(countedBoxes)
       
       log('info', `Derived vehicle counts:`, vehicleCounts)
       log('info', `Average confidence: ${avgConfidence}`)
@@ -949,31 +1245,47 @@ const storeVehicleDetection = async (result) => {
           emergency_vehicles = ?,
           construction_vehicles = ?,
           other_vehicles = ?,
+          masked_vehicles = ?,
           confidence_score = ?,
+          detector = ?,
+          detector_model = ?,
+          gemini_response = ?,
+          schema_version = ?,
+          prompt_version_id = ?,
+          rejection_reason = NULL,
           processed_at = datetime('now')
         WHERE id = ?
       `, [
-        boundingBoxes.length,
+        countedBoxes.length,
         vehicleCounts.cars,
         vehicleCounts.trucks,
         vehicleCounts.buses,
         vehicleCounts.emergency_vehicles,
         vehicleCounts.construction_vehicles,
         vehicleCounts.other_vehicles,
+        boundingBoxes.length - countedBoxes.length,
         avgConfidence,
+        result.detector || 'gemini',
+        result.detector_model || null,
+        result.gemini_response || null,
+        result.schema_version || null,
+        result.prompt_version_id || null,
         vehicleDetectionId
       ])
       
       log('info', `Update result:`, updateResult)
       log('info', `Found vehicle detection record with ID: ${vehicleDetectionId}`)
       
+      // A new analysis replaces the boxes of any earlier one for this image
+      await dbConnection.run('DELETE FROM vehicle_bounding_boxes WHERE vehicle_detection_id = ?', [vehicleDetectionId])
+      
       // Store bounding boxes if they exist
       if (boundingBoxes && Array.isArray(boundingBoxes) && boundingBoxes.length > 0) {
         log('info', `Processing ${boundingBoxes.length} bounding boxes...`)
         let validBoxes = 0
         let invalidBoxes = 0
         
-        for (const box of boundingBoxes) {
+        for (const [index, box] of boundingBoxes.entries()) {
           try {
             // Validate bounding box coordinates
             const isValid = box.x_min >= 0 && box.x_min <= 1000 &&
@@ -986,8 +1298,8 @@ const storeVehicleDetection = async (result) => {
             const insertResult = await dbConnection.run(`
               INSERT INTO vehicle_bounding_boxes (
                 vehicle_detection_id, image_id, vehicle_type, x_min, y_min, x_max, y_max, 
-                confidence_score, is_valid, created_at
-              ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+                confidence_score, is_valid, in_roi, lane, direction, created_at
+              ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
             `, [
               vehicleDetectionId,
               result.image_id,
@@ -997,7 +1309,10 @@ const storeVehicleDetection = async (result) => {
               box.x_max,
               box.y_max,
               box.confidence_score || 0.0,
-              isValid ? 1 : 0
+              isValid ? 1 : 0,
+              inRegion[index] ? 1 : 0,
+              boxLanes[index]?.name || null,
+              boxLanes[index]?.direction || null
             ])
             
             log('info', `Inserted bounding box with result:`, insertResult)
@@ -1018,7 +1333,9 @@ const storeVehicleDetection = async (result) => {
         log('info', `No bounding boxes to store for image ${result.image_id}`)
       }
       
-      log('info', `Stored vehicle detection for image ${result.image_id}: ${boundingBoxes.length} vehicles`)
+      await storeLaneCounts(vehicleDetectionId, cameraId, countedBoxes, lanes)
+      
+      log('info', `Stored vehicle detection for image ${result.image_id}: ${countedBoxes.length} vehicles (${boundingBoxes.length - countedBoxes.length} outside the region masks)`)
       log('info', `Derived vehicle counts:`, vehicleCounts)
       log('info', `Average confidence score: ${avgConfidence.toFixed(3)}`)
       
@@ -1033,10 +1350,17 @@ const storeVehicleDetection = async (result) => {
       // Update processing status to completed
       await updateProcessingStatus(result.image_id, 'completed')
       
+      // Link the boxes to the camera's previous frame; the detection is kept if this fails
+      try {
+        await trackingService.trackDetection(vehicleDetectionId)
+      } catch (error) {
+        log('error', `Error tracking vehicles for image ${result.image_id}: ${error.message}`)
+      }
+      
       return {
         success: true,
         image_id: result.image_id,
-        vehicle_count: boundingBoxes.length,
+        vehicle_count: countedBoxes.length,
         confidence_score: avgConfidence
       }
     } else {
@@ -1056,6 +1380,98 @@ const storeVehicleDetection = async (result) => {
   }
 }
 
+/**
+ * Recount a camera's stored detections with its current region masks and
+ * lanes. Raw boxes are kept with every detection, so only their in_roi and
+ * lane assignments, the detection's counts and its lane counts change.
+ * Detections without stored boxes are left alone.
+ * @param {string} cameraId - Camera ID
+ * @param {Object} options - { from, to } limits on the capture time (UTC 'YYYY-MM-DD HH:MM:SS')
+ * @returns {Promise<Object>} - { detections, updated, masked_vehicles }
+ */
+const recountDetections = async (cameraId, { from = null, to = null } = {}) => {
+  if (!dbConnection) {
+    throw new Error('Database connection not available')
+  }
+  
+  const regionMasks = await getCameraRegionMasks(cameraId)
+  const lanes = await getCameraLanes(cameraId)
+  const detections = await dbConnection.runQuery(`
+    SELECT vd.id, vd.total_vehicles, vd.masked_vehicles
+    FROM vehicle_detections vd
+    JOIN images i ON i.id = vd.image_id
+    WHERE vd.camera_id = ? AND vd.processing_status = 'completed'
+      AND EXISTS (SELECT 1 FROM vehicle_bounding_boxes b WHERE b.vehicle_detection_id = vd.id)
+      AND (? IS NULL OR i.captured_at >= ?)
+      AND (? IS NULL OR i.captured_at <= ?)
+  `, [cameraId, from, from, to, to])
+  
+  let updated = 0
+  let maskedVehicles = 0
+  
+  for (const detection of detections) {
+    const boxes = await dbConnection.runQuery(`
+      SELECT id, vehicle_type, x_min, y_min, x_max, y_max, confidence_score, in_roi, lane, direction
+      FROM vehicle_bounding_boxes WHERE vehicle_detection_id = ?
+    `, [detection.id])
+    
+    const countedBoxes = []
+    let changed = false
+    for (const box of boxes) {
+      const inRegion = isInRegion(box, regionMasks)
+      const lane = assignLane(box, lanes)
+      if (inRegion) countedBoxes.push({ ...box, lane: lane?.name || null })
+      
+      if (inRegion !== (box.in_roi !== 0) || (lane?.name || null) !== box.lane || (lane?.direction || null) !== box.direction) {
+        await dbConnection.run(
+          'UPDATE vehicle_bounding_boxes SET in_roi = ?, lane = ?, direction = ? WHERE id = ?',
+          [inRegion ? 1 : 0, lane?.name || null, lane?.direction || null, box.id]
+        )
+        changed = true
+      }
+    }
+    
+    const masked = boxes.length - countedBoxes.length
+    maskedVehicles += masked
+    
+    // Lane counts are rewritten either way so new lanes get their zero counts
+    await storeLaneCounts(detection.id, cameraId, countedBoxes, lanes)
+    if (!changed && countedBoxes.length === detection.total_vehicles && masked === (detection.masked_vehicles || 0)) {
+      continue
+    }
+    
+    const vehicleCounts = deriveVehicleCounts(countedBoxes)
+    await dbConnection.run(`
+      UPDATE vehicle_detections SET
+        total_vehicles = ?,
+        cars = ?,
+        trucks = ?,
+        buses = ?,
+        emergency_vehicles = ?,
+        construction_vehicles = ?,
+        other_vehicles = ?,
+        masked_vehicles = ?,
+        confidence_score = ?
+      WHERE id = ?
+    `, [
+      countedBoxes.length,
+      vehicleCounts.cars,
+      vehicleCounts.trucks,
+      vehicleCounts.buses,
+      vehicleCounts.emergency_vehicles,
+      vehicleCounts.construction_vehicles,
+      vehicleCounts.other_vehicles,
+      masked,
+      calculateAverageConfidence(countedBoxes),
+      detection.id
+    ])
+    updated++
+  }
+  
+  log('info', `Recounted detections for camera ${cameraId}: ${updated} of ${detections.length} changed`)
+  return { detections: detections.length, updated, masked_vehicles: maskedVehicles }
+}
+
 // Re-analyze existing images that are missing bounding boxes
 const reanalyzeMissingBoundingBoxes = async () => {
   if (!dbConnection) {
@@ -1068,13 +1484,15 @@ const reanalyzeMissingBoundingBoxes = async () => {
     
     // Find images that have vehicle detection records but no bounding boxes
     const imagesToReanalyze = await dbConnection.runQuery(`
-      SELECT DISTINCT i.id, i.camera_id, i.local_path
+      SELECT DISTINCT i.id, i.camera_id, i.local_path, c.detector as camera_detector
       FROM images i
       JOIN vehicle_detections vd ON i.id = vd.image_id
+      LEFT JOIN cameras c ON i.camera_id = c.camera_id
       LEFT JOIN vehicle_bounding_boxes vbb ON vd.id = vbb.vehicle_detection_id
       WHERE vd.processing_status = 'completed' 
         AND vbb.id IS NULL
         AND vd.total_vehicles > 0
+        AND i.local_path IS NOT NULL
       ORDER BY i.created_at DESC
       LIMIT 10
     `)
@@ -1094,8 +1512,8 @@ const reanalyzeMissingBoundingBoxes = async () => {
         // Update status to processing
         await updateProcessingStatus(image.id, 'processing')
         
-        // Process the image
-        const results = await processImagesIndividually([image])
+        // Process the image with its camera's detector
+        const results = await analyzeImages([image], { urgent: true })
         
         if (results.length > 0 && results[0].success) {
           log('info', `Successfully reanalyzed image ${image.id}`)
@@ -1198,9 +1616,14 @@ module.exports = {
   isGeminiAvailable: () => !!model,
   updateProcessingStatus,
   reanalyzeMissingBoundingBoxes,
+  recountDetections,
   initializeBatchProcessing,
   processQueue,
   processImageBatch,
+  pollBatchJobs,
+  analyzeImages,
+  detectVehicles,
+  analyzeImageWithGemini,
   getConfiguration,
   updateConfiguration,
   validateConfig,
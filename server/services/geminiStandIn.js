@@ -0,0 +1,361 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const axios = require('axios');
+const express = require('express');
+const MockDetector = require('./detectors/mockDetector');
+
+const UPSTREAM_URL = 'https://generativelanguage.googleapis.com';
+
+const STAND_IN_MODES = ['replay', 'synthetic', 'record'];
+
+// Failures the stand-in can inject, with the response the real API gives for each
+const FAILURE_TYPES = {
+  rate_limit: { status: 429, code: 'RESOURCE_EXHAUSTED', message: 'Resource has been exhausted (e.g. check quota).' },
+  timeout: { status: 504, code: 'DEADLINE_EXCEEDED', message: 'Deadline expired before operation could complete.' },
+  server_error: { status: 500, code: 'INTERNAL', message: 'An internal error has occurred.' },
+  malformed: { status: 200 },
+  safety: { status: 200 }
+};
+
+/**
+ * Parse failure rates like "rate_limit=0.1,safety=0.05"
+ * @param {string} value - Comma-separated type=probability pairs
+ * @returns {Object} - Probability (0-1) by failure type
+ */
+const parseFailureRates = (value) => {
+  const rates = {};
+  for (const pair of String(value || '').split(',')) {
+    const [type, rate] = pair.split('=').map(part => part.trim());
+    if (!type) continue;
+    if (!FAILURE_TYPES[type]) {
+      throw new Error(`Unknown failure type: ${type}`);
+    }
+    rates[type] = Math.min(Math.max(parseFloat(rate) || 0, 0), 1);
+  }
+  return rates;
+};
+
+// Stand-in settings from GEMINI_STANDIN* environment variables
+const standInOptionsFromEnv = () => ({
+  mode: process.env.GEMINI_STANDIN || 'replay',
+  port: parseInt(process.env.GEMINI_STANDIN_PORT) || 0,
+  fixturesDir: process.env.GEMINI_STANDIN_FIXTURES,
+  failures: parseFailureRates(process.env.GEMINI_STANDIN_FAILURES),
+  timeoutDelay: parseInt(process.env.GEMINI_STANDIN_TIMEOUT_DELAY) || undefined,
+  batchDelay: parseInt(process.env.GEMINI_STANDIN_BATCH_DELAY) || undefined
+});
+
+const apiError = ({ status, code, message }) => ({ error: { code: status, message, status: code } });
+
+// GenerateContentResponse whose text is the given string
+const textResponse = (text) => ({
+  candidates: [{
+    content: { role: 'model', parts: [{ text }] },
+    finishReason: 'STOP',
+    index: 0
+  }],
+  usageMetadata: { promptTokenCount: 0, candidatesTokenCount: 0, totalTokenCount: 0 }
+});
+
+// Response the API gives when the output is withheld by the safety filters
+const safetyBlockedResponse = () => ({
+  candidates: [{
+    finishReason: 'SAFETY',
+    index: 0,
+    safetyRatings: [{ category: 'HARM_CATEGORY_DANGEROUS_CONTENT', probability: 'HIGH', blocked: true }]
+  }]
+});
+
+// Valid JSON cut off partway through, as seen with truncated model output
+const MALFORMED_TEXT = '{"bounding_boxes": [{"vehicle_type": "car", "x_min": 120, "y_min": 410, "x_max": 2';
+
+/**
+ * Local stand-in for the Gemini API, so the AI path can be exercised
+ * without an API key. It serves generateContent and the Batch API
+ * endpoints used by geminiService, in one of three modes:
+ *
+ *   replay - answer from fixtures recorded per image (MD5 of the image
+ *            bytes, the same as images.image_hash), or with synthetic
+ *            boxes when an image has no fixture
+ *   synthetic - always answer with deterministic synthetic boxes
+ *   record - forward requests to the real API and save each
+ *            generateContent response as a fixture
+ *
+ * Failures are injected at the configured rates (`failures`), or for a
+ * single image with a fixture of the form { "failure": "safety" }.
+ */
+class GeminiStandIn {
+  constructor(options = {}) {
+    this.mode = options.mode || 'replay';
+    if (!STAND_IN_MODES.includes(this.mode)) {
+      throw new Error(`Unknown Gemini stand-in mode: ${this.mode}`);
+    }
+
+    this.fixturesDir = path.resolve(__dirname, '..', options.fixturesDir || 'fixtures/gemini');
+    this.failures = options.failures || {};
+    this.timeoutDelay = options.timeoutDelay ?? 30000;
+    this.batchDelay = options.batchDelay ?? 0;
+    this.upstreamUrl = options.upstreamUrl || UPSTREAM_URL;
+    this.synthetic = new MockDetector(options.synthetic || {});
+
+    this.batches = new Map();
+    this.files = new Map();
+    this.nextId = 1;
+    this.server = null;
+    this.app = this.createApp();
+  }
+
+  createApp() {
+    const app = express();
+    app.use(express.raw({ type: () => true, limit: '100mb' }));
+
+    const handle = (handler) => async (req, res) => {
+      try {
+        const { status, body, headers = {} } = await handler(req);
+        res.status(status).set(headers);
+        typeof body === 'string' ? res.send(body) : res.json(body);
+      } catch (error) {
+        res.status(500).json(apiError({ ...FAILURE_TYPES.server_error, message: error.message }));
+      }
+    };
+
+    app.post(/^\/(v1beta|v1)\/models\/([^/:]+):generateContent$/, handle(req => this.generateContent(req)));
+    app.post(/^\/(v1beta|v1)\/models\/([^/:]+):batchGenerateContent$/, handle(req => this.createBatch(req)));
+    app.get(/^\/(v1beta|v1)\/(batches\/[^/:]+)$/, handle(req => this.getBatch(req)));
+    app.post('/upload/v1beta/files', handle(req => this.uploadFile(req)));
+    app.get(/^\/download\/v1beta\/(files\/[^/:]+):download$/, handle(req => this.downloadFile(req)));
+
+    return app;
+  }
+
+  /**
+   * Listen on a local port
+   * @param {number} port - Port, or 0 for any free port
+   * @returns {Promise<string>} - Base URL to point the Gemini clients at
+   */
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${this.server.address().port}`);
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  // The inline image of a GenerateContentRequest (SDK camelCase or REST snake_case)
+  getImage(request) {
+    const parts = (request?.contents || []).flatMap(content => content.parts || []);
+    const inline = parts.map(part => part.inlineData || part.inline_data).find(Boolean);
+    return inline ? Buffer.from(inline.data, 'base64') : null;
+  }
+
+  imageHash(image) {
+    return image ? crypto.createHash('md5').update(image).digest('hex') : null;
+  }
+
+  fixturePath(hash) {
+    return path.join(this.fixturesDir, `${hash}.json`);
+  }
+
+  async loadFixture(hash) {
+    if (!hash || this.mode !== 'replay') return null;
+    const file = this.fixturePath(hash);
+    return (await fs.pathExists(file)) ? fs.readJson(file) : null;
+  }
+
+  async saveFixture(hash, model, response) {
+    await fs.ensureDir(this.fixturesDir);
+    await fs.writeJson(this.fixturePath(hash), {
+      image_hash: hash,
+      model,
+      recorded_at: new Date().toISOString(),
+      response
+    }, { spaces: 2 });
+  }
+
+  // Failure forced by the image's fixture, or drawn at the configured rates
+  pickFailure(fixture) {
+    if (fixture?.failure) return fixture.failure;
+    return Object.keys(this.failures).find(type => Math.random() < this.failures[type]) || null;
+  }
+
+  /**
+   * Answer one GenerateContentRequest
+   * @returns {Promise<Object>} - { status, body }
+   */
+  async answer(request) {
+    const image = this.getImage(request);
+    const hash = this.imageHash(image);
+    const fixture = await this.loadFixture(hash);
+    const failure = this.pickFailure(fixture);
+
+    if (failure === 'malformed') return { status: 200, body: textResponse(MALFORMED_TEXT) };
+    if (failure === 'safety') return { status: 200, body: safetyBlockedResponse() };
+    if (failure) return { status: FAILURE_TYPES[failure].status, body: apiError(FAILURE_TYPES[failure]), failure };
+
+    if (fixture?.response) return { status: 200, body: fixture.response };
+
+    const boxes = image ? await this.synthetic.detect(image) : [];
+    return { status: 200, body: textResponse(JSON.stringify({ bounding_boxes: boxes })) };
+  }
+
+  async generateContent(req) {
+    if (this.mode === 'record') {
+      const response = await this.forward(req);
+      const hash = this.imageHash(this.getImage(JSON.parse(req.body.toString())));
+      if (response.status === 200 && hash) {
+        await this.saveFixture(hash, req.params[1], response.body);
+      }
+      return response;
+    }
+
+    const result = await this.answer(JSON.parse(req.body.toString()));
+    if (result.failure === 'timeout') {
+      await new Promise(resolve => setTimeout(resolve, this.timeoutDelay));
+    }
+    return result;
+  }
+
+  // Batch requests are answered up front and reported as running until batchDelay has passed
+  async createBatch(req) {
+    if (this.mode === 'record') return this.forward(req);
+
+    const { batch } = JSON.parse(req.body.toString());
+    const inputConfig = batch.input_config || batch.inputConfig || {};
+    const fileName = inputConfig.file_name || inputConfig.fileName;
+
+    const entries = fileName
+      ? this.files.get(fileName).toString().split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+      : inputConfig.requests.requests.map(entry => ({ key: entry.metadata?.key, request: entry.request }));
+
+    const responses = [];
+    for (const entry of entries) {
+      const { status, body } = await this.answer(entry.request);
+      responses.push(status === 200
+        ? { key: entry.key, response: body }
+        : { key: entry.key, error: body.error });
+    }
+
+    const name = `batches/standin-${this.nextId++}`;
+    this.batches.set(name, {
+      name,
+      model: `models/${req.params[1]}`,
+      displayName: batch.display_name || batch.displayName,
+      fromFile: !!fileName,
+      responses,
+      createdAt: Date.now()
+    });
+
+    return { status: 200, body: this.batchOperation(this.batches.get(name)) };
+  }
+
+  async getBatch(req) {
+    if (this.mode === 'record') return this.forward(req);
+
+    const batch = this.batches.get(req.params[1]);
+    if (!batch) {
+      return { status: 404, body: apiError({ status: 404, code: 'NOT_FOUND', message: 'Batch not found.' }) };
+    }
+    return { status: 200, body: this.batchOperation(batch) };
+  }
+
+  batchOperation(batch) {
+    const done = Date.now() - batch.createdAt >= this.batchDelay;
+    const operation = {
+      name: batch.name,
+      metadata: {
+        name: batch.name,
+        model: batch.model,
+        displayName: batch.displayName,
+        state: done ? 'BATCH_STATE_SUCCEEDED' : 'BATCH_STATE_RUNNING'
+      },
+      done
+    };
+
+    if (!done) return operation;
+
+    if (batch.fromFile) {
+      const fileName = `files/${batch.name.split('/')[1]}-responses`;
+      this.files.set(fileName, Buffer.from(batch.responses.map(entry => JSON.stringify(entry)).join('\n')));
+      operation.response = { responsesFile: fileName };
+    } else {
+      operation.response = {
+        inlinedResponses: {
+          inlinedResponses: batch.responses.map(({ key, response, error }) => ({ metadata: { key }, response, error }))
+        }
+      };
+    }
+    return operation;
+  }
+
+  // Resumable upload: "start" hands out the URL, "upload, finalize" stores the bytes
+  async uploadFile(req) {
+    if (this.mode === 'record') return this.forward(req);
+
+    const command = req.get('X-Goog-Upload-Command') || '';
+    if (command === 'start') {
+      const uploadId = this.nextId++;
+      return {
+        status: 200,
+        headers: { 'x-goog-upload-url': `${req.protocol}://${req.get('host')}/upload/v1beta/files?upload_id=${uploadId}` },
+        body: {}
+      };
+    }
+
+    const name = `files/standin-upload-${req.query.upload_id}`;
+    this.files.set(name, req.body);
+    return { status: 200, body: { file: { name, sizeBytes: String(req.body.length), state: 'ACTIVE' } } };
+  }
+
+  async downloadFile(req) {
+    if (this.mode === 'record') return this.forward(req);
+
+    const file = this.files.get(req.params[0]);
+    if (!file) {
+      return { status: 404, body: apiError({ status: 404, code: 'NOT_FOUND', message: 'File not found.' }) };
+    }
+    return { status: 200, body: file.toString() };
+  }
+
+  // Pass a request through to the real API unchanged
+  async forward(req) {
+    const response = await axios({
+      method: req.method,
+      url: `${this.upstreamUrl}${req.originalUrl}`,
+      data: req.method === 'GET' ? undefined : req.body,
+      headers: Object.fromEntries(Object.entries(req.headers).filter(([name]) => (
+        name === 'content-type' || name === 'x-goog-api-key' || name.startsWith('x-goog-upload')
+      ))),
+      responseType: 'text',
+      transformResponse: data => data,
+      validateStatus: () => true,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity
+    });
+
+    let body = response.data;
+    try {
+      body = JSON.parse(body);
+    } catch (error) {
+      // Not JSON (e.g. a JSONL results download); pass it on as text
+    }
+
+    const headers = response.headers['x-goog-upload-url']
+      ? { 'x-goog-upload-url': response.headers['x-goog-upload-url'] }
+      : {};
+    return { status: response.status, body, headers };
+  }
+}
+
+module.exports = {
+  GeminiStandIn,
+  STAND_IN_MODES,
+  FAILURE_TYPES,
+  parseFailureRates,
+  standInOptionsFromEnv
+};
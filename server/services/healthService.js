@@ -2,6 +2,7 @@ const os = require('os');
 const path = require('path');
 const fs = require('fs-extra');
 const { runQuery } = require('../database/connection');
+const { getImageStorage } = require('./imageStorage');
 const { log } = require('./loggerService');
 
 class HealthService {
@@ -215,27 +216,14 @@ class HealthService {
   async checkStorage() {
     try {
       const storagePath = path.join(__dirname, '../storage');
-      const imagesPath = path.join(storagePath, 'images');
-      
-      // Check if directories exist
       const storageExists = await fs.pathExists(storagePath);
-      const imagesExists = await fs.pathExists(imagesPath);
       
-      // Count files in images directory
-      let imageCount = 0;
-      if (imagesExists) {
-        try {
-          const files = await fs.readdir(imagesPath);
-          imageCount = files.length;
-        } catch (error) {
-          log.warn('Could not read images directory', { error: error.message });
-        }
-      }
+      // The images themselves may live in a remote backend
+      const backend = await getImageStorage().checkHealth();
 
       return {
         storageDirectory: storageExists,
-        imagesDirectory: imagesExists,
-        imageCount,
+        ...backend,
         message: 'Storage structure verified'
       };
     } catch (error) {
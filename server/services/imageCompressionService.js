@@ -1,9 +1,19 @@
 const sharp = require('sharp')
 const fs = require('fs-extra')
 const path = require('path')
+const configService = require('./configService')
+const { getImageStorage } = require('./imageStorage')
+
+const VARIANT_CACHE_PATH = path.join(__dirname, '../storage/cache/variants')
+const VARIANT_FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+  webp: { extension: 'webp', contentType: 'image/webp' }
+}
 
 class ImageCompressionService {
   constructor() {
+    // Variants being generated, so concurrent requests share one sharp run
+    this.pendingVariants = new Map()
     this.compressionOptions = {
       quality: 80, // JPEG quality (0-100)
       maxWidth: 1920, // Maximum width
@@ -86,6 +96,43 @@ class ImageCompressionService {
     }
   }
 
+  /**
+   * Compress image data in memory, for images that go to the storage backend
+   * @param {Buffer} data - Image data
+   * @param {Object} options - Compression options
+   * @returns {Promise<Object>} - { success, buffer, originalSize, compressedSize, compressionRatio } or { success: false, error }
+   */
+  async compressBuffer(data, options = {}) {
+    try {
+      const compressionOptions = { ...this.compressionOptions, ...options }
+      const buffer = await sharp(data)
+        .resize(compressionOptions.maxWidth, compressionOptions.maxHeight, {
+          fit: 'inside',
+          withoutEnlargement: true
+        })
+        .jpeg({
+          quality: compressionOptions.quality,
+          progressive: compressionOptions.progressive,
+          mozjpeg: true
+        })
+        .toBuffer()
+
+      return {
+        success: true,
+        buffer,
+        originalSize: data.length,
+        compressedSize: buffer.length,
+        compressionRatio: parseFloat(((data.length - buffer.length) / data.length * 100).toFixed(2))
+      }
+    } catch (error) {
+      console.error('Image compression failed:', error)
+      return {
+        success: false,
+        error: error.message
+      }
+    }
+  }
+
   /**
    * Calculate new dimensions while maintaining aspect ratio
    */
@@ -150,6 +197,98 @@ class ImageCompressionService {
     return this.compressImage(inputPath, outputPath, thumbnailOptions)
   }
 
+  /**
+   * Resolve requested variant parameters to a cacheable variant. Widths snap
+   * up to the nearest of `storage.variantWidths` so the cache stays bounded.
+   * @param {Object} query - { w, format }
+   * @returns {Object} - { width, format } or { error }
+   */
+  resolveVariant({ w, format } = {}) {
+    const widths = [...configService.get('storage.variantWidths', [160, 320, 640, 1280])].sort((a, b) => a - b)
+    const variant = { width: null, format: 'jpeg' }
+
+    if (w !== undefined) {
+      const requested = Number(w)
+      if (!Number.isInteger(requested) || requested <= 0) {
+        return { error: 'w must be a positive integer' }
+      }
+      variant.width = widths.find(width => width >= requested) || widths[widths.length - 1]
+    }
+
+    if (format !== undefined) {
+      const normalized = format === 'jpg' ? 'jpeg' : format
+      if (!VARIANT_FORMATS[normalized]) {
+        return { error: `format must be one of: ${Object.keys(VARIANT_FORMATS).join(', ')}` }
+      }
+      variant.format = normalized
+    }
+
+    return variant
+  }
+
+  /**
+   * Get a resized/re-encoded copy of a stored image, generating it on first use.
+   * Variants are cached on local disk whichever backend holds the images.
+   * @param {string} filename - Image key in the storage backend
+   * @param {Object} variant - { width, format } from resolveVariant
+   * @returns {Promise<Object|null>} - { path, contentType }, or null if the image does not exist
+   */
+  async getVariant(filename, { width, format }) {
+    const { extension, contentType } = VARIANT_FORMATS[format]
+    // One folder per source image, so its variants can be removed together
+    const variantPath = path.join(
+      VARIANT_CACHE_PATH,
+      path.basename(filename),
+      `${width ? `w${width}` : 'full'}.${extension}`
+    )
+
+    const [source, variantStats] = await Promise.all([
+      getImageStorage().stat(filename),
+      fs.stat(variantPath).catch(() => null)
+    ])
+
+    if (!source) {
+      return null
+    }
+
+    if (!variantStats || variantStats.mtime < source.lastModified) {
+      if (!this.pendingVariants.has(variantPath)) {
+        const pending = this.createVariant(filename, variantPath, { width, format })
+          .finally(() => this.pendingVariants.delete(variantPath))
+        this.pendingVariants.set(variantPath, pending)
+      }
+      await this.pendingVariants.get(variantPath)
+    }
+
+    return { path: variantPath, contentType }
+  }
+
+  async createVariant(filename, variantPath, { width, format }) {
+    const quality = configService.get('storage.variantQuality', 75)
+    let pipeline = sharp(await getImageStorage().get(filename))
+
+    if (width) {
+      pipeline = pipeline.resize({ width, withoutEnlargement: true })
+    }
+    pipeline = format === 'webp'
+      ? pipeline.webp({ quality })
+      : pipeline.jpeg({ quality, progressive: true, mozjpeg: true })
+
+    // Write to a temporary file first so a half-written variant is never served
+    const tempPath = `${variantPath}.${process.pid}.tmp`
+    await fs.ensureDir(path.dirname(variantPath))
+    await pipeline.toFile(tempPath)
+    await fs.move(tempPath, variantPath, { overwrite: true })
+  }
+
+  /**
+   * Delete the cached variants of a stored image
+   * @param {string} filename - Stored image filename
+   */
+  async removeVariants(filename) {
+    await fs.remove(path.join(VARIANT_CACHE_PATH, filename))
+  }
+
   /**
    * Check if image needs compression
    * @param {string} imagePath - Path to image file
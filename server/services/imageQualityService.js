@@ -0,0 +1,170 @@
+const sharp = require('sharp');
+const configService = require('./configService');
+const { log } = require('./loggerService');
+
+const QUALITY_FLAGS = ['dark', 'bright', 'low_contrast', 'blurry', 'uniform'];
+
+// Frames are scored at this width so sharpness is comparable across cameras
+const ANALYSIS_WIDTH = 320;
+const UNIFORMITY_BANDS = 16;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+/**
+ * Scores captured frames so unusable ones (night, glare, fog, lens
+ * obstruction, blank feeds) can be kept away from AI analysis.
+ *
+ * Metrics, all measured on a grayscale copy scaled to 320 px wide:
+ * - brightness: mean luma, 0-255
+ * - contrast: standard deviation of luma
+ * - sharpness: variance of the Laplacian; low values mean blur or fog
+ * - uniformity: share of pixels in the most common of 16 brightness bands
+ *
+ * The metrics are stored on the `images` row together with an overall
+ * 0-100 score and the issue flags raised under the `ai.quality` thresholds.
+ */
+class ImageQualityService {
+  getSettings() {
+    return {
+      enabled: configService.get('ai.quality.enabled', true),
+      minBrightness: configService.get('ai.quality.minBrightness', 30),
+      maxBrightness: configService.get('ai.quality.maxBrightness', 235),
+      minContrast: configService.get('ai.quality.minContrast', 10),
+      minSharpness: configService.get('ai.quality.minSharpness', 20),
+      maxUniformity: configService.get('ai.quality.maxUniformity', 0.95),
+      minScore: configService.get('ai.quality.minScore', 0),
+      skipFlags: configService.get('ai.quality.skipFlags', QUALITY_FLAGS)
+    };
+  }
+
+  /**
+   * Measure a frame's quality
+   * @param {Buffer} buffer - Image data
+   * @returns {Promise<Object|null>} - { score, brightness, contrast, sharpness, uniformity, flags },
+   *   or null when the image could not be decoded
+   */
+  async analyze(buffer) {
+    try {
+      const { data, info } = await sharp(buffer)
+        .resize({ width: ANALYSIS_WIDTH, withoutEnlargement: true })
+        .grayscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+      const metrics = this.measure(data, info.width, info.height);
+      const flags = this.evaluate(metrics);
+      return { ...metrics, score: this.score(metrics), flags };
+    } catch (error) {
+      log.warn('Image quality analysis failed', { error: error.message });
+      return null;
+    }
+  }
+
+  // Brightness, contrast, sharpness and uniformity of raw 8-bit grayscale pixels
+  measure(pixels, width, height) {
+    const count = width * height;
+    const bands = new Array(UNIFORMITY_BANDS).fill(0);
+    let sum = 0;
+    let sumSquares = 0;
+
+    for (let i = 0; i < count; i++) {
+      const value = pixels[i];
+      sum += value;
+      sumSquares += value * value;
+      bands[Math.floor(value * UNIFORMITY_BANDS / 256)]++;
+    }
+
+    const mean = sum / count;
+    const contrast = Math.sqrt(Math.max(0, sumSquares / count - mean * mean));
+
+    // 4-neighbour Laplacian over the interior pixels
+    let lapSum = 0;
+    let lapSquares = 0;
+    let lapCount = 0;
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = y * width + x;
+        const laplacian = pixels[i - width] + pixels[i + width] + pixels[i - 1] + pixels[i + 1] - 4 * pixels[i];
+        lapSum += laplacian;
+        lapSquares += laplacian * laplacian;
+        lapCount++;
+      }
+    }
+    const lapMean = lapCount ? lapSum / lapCount : 0;
+    const sharpness = lapCount ? lapSquares / lapCount - lapMean * lapMean : 0;
+
+    return {
+      brightness: round(mean, 1),
+      contrast: round(contrast, 1),
+      sharpness: round(Math.max(0, sharpness), 1),
+      uniformity: round(Math.max(...bands) / count, 3)
+    };
+  }
+
+  /**
+   * Issue flags for a set of metrics under the current thresholds
+   * @param {Object} metrics - { brightness, contrast, sharpness, uniformity }
+   * @returns {string[]} - Subset of QUALITY_FLAGS
+   */
+  evaluate(metrics) {
+    const settings = this.getSettings();
+    const flags = [];
+
+    if (metrics.brightness < settings.minBrightness) flags.push('dark');
+    if (metrics.brightness > settings.maxBrightness) flags.push('bright');
+    if (metrics.contrast < settings.minContrast) flags.push('low_contrast');
+    if (metrics.sharpness < settings.minSharpness) flags.push('blurry');
+    if (metrics.uniformity > settings.maxUniformity) flags.push('uniform');
+
+    return flags;
+  }
+
+  // Overall 0-100 score: the mean of each metric scaled against a well-exposed, detailed frame
+  score(metrics) {
+    const parts = [
+      1 - Math.abs(metrics.brightness - 128) / 128,
+      clamp01(metrics.contrast / 50),
+      clamp01(metrics.sharpness / 100),
+      clamp01(1 - metrics.uniformity)
+    ];
+    return Math.round(100 * parts.reduce((total, part) => total + part, 0) / parts.length);
+  }
+
+  /**
+   * Decide whether an image is good enough to send for AI analysis. Flags are
+   * re-evaluated from the stored metrics so threshold changes apply to frames
+   * already captured. Images without scores are always analyzed.
+   * @param {Object} image - Row with the images.quality_* columns
+   * @returns {Object} - { analyze: boolean, reason }
+   */
+  checkPolicy(image) {
+    const settings = this.getSettings();
+
+    if (!settings.enabled || !image || image.quality_score === null || image.quality_score === undefined) {
+      return { analyze: true, reason: null };
+    }
+
+    const flags = this.evaluate({
+      brightness: image.quality_brightness,
+      contrast: image.quality_contrast,
+      sharpness: image.quality_sharpness,
+      uniformity: image.quality_uniformity
+    });
+    const blocking = flags.filter(flag => settings.skipFlags.includes(flag));
+
+    if (blocking.length > 0) {
+      return { analyze: false, reason: `Quality issues: ${blocking.join(', ')}` };
+    }
+    if (image.quality_score < settings.minScore) {
+      return { analyze: false, reason: `Quality score ${image.quality_score} is below ${settings.minScore}` };
+    }
+
+    return { analyze: true, reason: null };
+  }
+}
+
+const imageQualityService = new ImageQualityService();
+
+module.exports = imageQualityService;
+module.exports.QUALITY_FLAGS = QUALITY_FLAGS;
@@ -0,0 +1,87 @@
+/**
+ * Base class for image storage backends.
+ *
+ * Images are addressed by key, which is the filename stored in
+ * `images.local_path`. Missing objects behave like missing files: `get`
+ * and `stream` reject with an error whose `code` is 'ENOENT', `stat`
+ * resolves to null and `delete` succeeds.
+ */
+class BaseImageStorage {
+  /**
+   * @param {Object} options - Backend settings from `storage`
+   */
+  constructor(options = {}) {
+    this.options = options
+  }
+
+  /**
+   * Store an object, replacing any existing one
+   * @param {string} key - Object key (image filename)
+   * @param {Buffer} data - Object contents
+   * @param {Object} options - { contentType }
+   * @returns {Promise<void>}
+   */
+  async put(key, data, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement put`)
+  }
+
+  /**
+   * Read a whole object
+   * @returns {Promise<Buffer>}
+   */
+  async get(key) {
+    throw new Error(`${this.constructor.name} does not implement get`)
+  }
+
+  /**
+   * Open a readable stream of an object
+   * @returns {Promise<Readable>}
+   */
+  async stream(key) {
+    throw new Error(`${this.constructor.name} does not implement stream`)
+  }
+
+  /**
+   * Object size and validators
+   * @returns {Promise<Object|null>} - { size, lastModified: Date, etag }, or null if missing
+   */
+  async stat(key) {
+    throw new Error(`${this.constructor.name} does not implement stat`)
+  }
+
+  async delete(key) {
+    throw new Error(`${this.constructor.name} does not implement delete`)
+  }
+
+  /**
+   * List objects in key order, a page at a time
+   * @param {Object} options - { prefix, cursor, limit }
+   * @returns {Promise<Object>} - { items: [{ key, size, lastModified }], cursor } (cursor null on the last page)
+   */
+  async list(options = {}) {
+    throw new Error(`${this.constructor.name} does not implement list`)
+  }
+
+  async exists(key) {
+    return (await this.stat(key)) !== null
+  }
+
+  /**
+   * Check that the backend is reachable, for the storage health check
+   * @returns {Promise<Object>} - Backend details
+   */
+  async checkHealth() {
+    await this.list({ limit: 1 })
+    return { backend: this.constructor.name }
+  }
+}
+
+// Error for a missing object, matching fs errors
+const notFoundError = (key) => {
+  const error = new Error(`Image not found in storage: ${key}`)
+  error.code = 'ENOENT'
+  return error
+}
+
+module.exports = BaseImageStorage
+module.exports.notFoundError = notFoundError
@@ -0,0 +1,52 @@
+const configService = require('../configService')
+const BaseImageStorage = require('./baseImageStorage')
+const LocalImageStorage = require('./localImageStorage')
+const S3ImageStorage = require('./s3ImageStorage')
+
+// Backend classes by `storage.backend`
+const STORAGE_BACKENDS = {
+  local: LocalImageStorage,
+  s3: S3ImageStorage
+}
+
+let cachedStorage = null
+
+// Rebuild the backend whenever the storage configuration changes
+configService.onChange((key) => {
+  if (key === '*' || key.startsWith('storage')) {
+    cachedStorage = null
+  }
+})
+
+/**
+ * Create a storage backend
+ * @param {string} backend - 'local' or 's3'
+ * @param {Object} options - Backend settings (`storage.local` or `storage.s3`)
+ * @returns {BaseImageStorage}
+ */
+const createImageStorage = (backend, options = {}) => {
+  const StorageClass = STORAGE_BACKENDS[backend]
+  if (!StorageClass) {
+    throw new Error(`Unknown image storage backend: ${backend}`)
+  }
+  return new StorageClass(options)
+}
+
+/**
+ * The backend images are stored in, from `storage.backend`
+ * @returns {BaseImageStorage}
+ */
+const getImageStorage = () => {
+  if (!cachedStorage) {
+    const backend = configService.get('storage.backend', 'local')
+    cachedStorage = createImageStorage(backend, configService.get(`storage.${backend}`, {}))
+  }
+  return cachedStorage
+}
+
+module.exports = {
+  STORAGE_BACKENDS,
+  BaseImageStorage,
+  createImageStorage,
+  getImageStorage
+}
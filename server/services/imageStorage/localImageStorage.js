@@ -0,0 +1,100 @@
+const fs = require('fs-extra')
+const path = require('path')
+const BaseImageStorage = require('./baseImageStorage')
+const { notFoundError } = BaseImageStorage
+
+/**
+ * Stores images as files in a local directory (default: server/storage/images).
+ *
+ * Options (`storage.local`):
+ *   directory - Folder for the images, relative to the server folder
+ */
+class LocalImageStorage extends BaseImageStorage {
+  constructor(options = {}) {
+    super(options)
+    this.directory = path.resolve(__dirname, '../..', options.directory || 'storage/images')
+    fs.ensureDirSync(this.directory)
+  }
+
+  // Absolute path of a key, refusing keys that would escape the directory
+  resolve(key) {
+    const filePath = path.resolve(this.directory, key)
+    if (path.dirname(filePath) !== this.directory) {
+      throw new Error(`Invalid image key: ${key}`)
+    }
+    return filePath
+  }
+
+  async put(key, data) {
+    await fs.writeFile(this.resolve(key), data)
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key))
+    } catch (error) {
+      throw error.code === 'ENOENT' ? notFoundError(key) : error
+    }
+  }
+
+  async stream(key) {
+    const filePath = this.resolve(key)
+    if (!(await fs.pathExists(filePath))) {
+      throw notFoundError(key)
+    }
+    return fs.createReadStream(filePath)
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.stat(this.resolve(key))
+      return {
+        size: stats.size,
+        lastModified: stats.mtime,
+        // Same shape as the ETag express.static would send
+        etag: `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') return null
+      throw error
+    }
+  }
+
+  async delete(key) {
+    await fs.remove(this.resolve(key))
+  }
+
+  async list({ prefix = '', cursor = null, limit = 1000 } = {}) {
+    const keys = (await fs.readdir(this.directory))
+      .filter(name => name.startsWith(prefix) && (!cursor || name > cursor))
+      .sort()
+    const page = keys.slice(0, limit)
+
+    const items = []
+    for (const key of page) {
+      const stats = await fs.stat(path.join(this.directory, key))
+      if (stats.isFile()) {
+        items.push({ key, size: stats.size, lastModified: stats.mtime })
+      }
+    }
+
+    return {
+      items,
+      cursor: keys.length > limit ? page[page.length - 1] : null
+    }
+  }
+
+  async checkHealth() {
+    const exists = await fs.pathExists(this.directory)
+    const imageCount = exists ? (await fs.readdir(this.directory)).length : 0
+
+    return {
+      backend: 'local',
+      directory: this.directory,
+      imagesDirectory: exists,
+      imageCount
+    }
+  }
+}
+
+module.exports = LocalImageStorage
@@ -0,0 +1,252 @@
+const axios = require('axios')
+const crypto = require('crypto')
+const BaseImageStorage = require('./baseImageStorage')
+const { notFoundError } = BaseImageStorage
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex')
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex')
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest()
+
+// encodeURIComponent plus the characters SigV4 also requires escaped
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`)
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param {Object} request - { method, url: URL, headers, payloadHash }
+ * @param {Object} credentials - { accessKeyId, secretAccessKey, region }
+ * @param {Date} now - Signing time
+ * @returns {Object} - Headers to send, including Authorization
+ */
+const signRequest = ({ method, url, headers = {}, payloadHash }, { accessKeyId, secretAccessKey, region }, now = new Date()) => {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '')
+  const dateStamp = amzDate.slice(0, 8)
+
+  const signedHeaders = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  }
+  const headerNames = Object.keys(signedHeaders).sort()
+
+  const canonicalQuery = [...url.searchParams.entries()]
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a, aValue], [b, bValue]) => (a === b ? (aValue < bValue ? -1 : 1) : (a < b ? -1 : 1)))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&')
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    headerNames.map(name => `${name}:${signedHeaders[name]}\n`).join(''),
+    headerNames.join(';'),
+    payloadHash
+  ].join('\n')
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n')
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request')
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex')
+
+  const { host, ...sendHeaders } = signedHeaders
+  return {
+    ...sendHeaders,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+  }
+}
+
+// Text of the first <tag> in an S3 XML response
+const xmlValue = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`))
+  return match ? match[1] : null
+}
+
+const decodeXml = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&')
+
+/**
+ * Stores images in an S3-compatible bucket (AWS S3, MinIO, ...), talking to
+ * the REST API directly with SigV4-signed requests.
+ *
+ * Options (`storage.s3`):
+ *   endpoint       - e.g. http://localhost:9000 for a local MinIO
+ *   region         - Signing region (MinIO accepts us-east-1)
+ *   bucket         - Bucket name; the bucket must already exist
+ *   prefix         - Key prefix inside the bucket, e.g. 'images/'
+ *   forcePathStyle - Address the bucket as endpoint/bucket (needed for MinIO)
+ * Credentials come from S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY.
+ */
+class S3ImageStorage extends BaseImageStorage {
+  constructor(options = {}) {
+    super(options)
+
+    if (!options.bucket) {
+      throw new Error('S3 image storage requires storage.s3.bucket')
+    }
+
+    this.endpoint = new URL(options.endpoint || 'https://s3.amazonaws.com')
+    this.region = options.region || 'us-east-1'
+    this.bucket = options.bucket
+    this.prefix = options.prefix || ''
+    this.forcePathStyle = options.forcePathStyle !== false
+    this.timeout = options.timeout || 30000
+    this.credentials = {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      region: this.region
+    }
+
+    if (!this.credentials.accessKeyId || !this.credentials.secretAccessKey) {
+      throw new Error('S3 image storage requires S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY')
+    }
+  }
+
+  // URL of an object (or of the bucket, for an empty key)
+  objectUrl(key = '') {
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/')
+    const url = new URL(this.endpoint.href)
+    const basePath = url.pathname.replace(/\/$/, '')
+
+    if (this.forcePathStyle) {
+      url.pathname = `${basePath}/${encodeRfc3986(this.bucket)}/${encodedKey}`
+    } else {
+      url.hostname = `${this.bucket}.${url.hostname}`
+      url.pathname = `${basePath}/${encodedKey}`
+    }
+    return url
+  }
+
+  async request(method, url, { data = null, headers = {}, responseType = 'arraybuffer' } = {}) {
+    const payloadHash = data ? sha256(data) : EMPTY_PAYLOAD_HASH
+    const signedHeaders = signRequest({ method, url, headers, payloadHash }, this.credentials)
+
+    return axios({
+      method,
+      url: url.href,
+      data,
+      headers: signedHeaders,
+      responseType,
+      timeout: this.timeout,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+      validateStatus: () => true
+    })
+  }
+
+  failure(method, key, response) {
+    let body = response.data
+    if (body && typeof body.pipe === 'function') {
+      body.resume()
+      body = ''
+    }
+    const text = Buffer.isBuffer(body) ? body.toString() : String(body || '')
+    const code = xmlValue(text, 'Code') || response.statusText
+    return new Error(`S3 ${method} ${key || this.bucket} failed: ${response.status} ${code}`)
+  }
+
+  async put(key, data, { contentType = 'image/jpeg' } = {}) {
+    const response = await this.request('PUT', this.objectUrl(this.prefix + key), {
+      data,
+      headers: { 'Content-Type': contentType }
+    })
+    if (response.status >= 300) {
+      throw this.failure('PUT', key, response)
+    }
+  }
+
+  async get(key) {
+    const response = await this.request('GET', this.objectUrl(this.prefix + key))
+    if (response.status === 404) {
+      throw notFoundError(key)
+    }
+    if (response.status >= 300) {
+      throw this.failure('GET', key, response)
+    }
+    return Buffer.from(response.data)
+  }
+
+  async stream(key) {
+    const response = await this.request('GET', this.objectUrl(this.prefix + key), { responseType: 'stream' })
+    if (response.status === 404) {
+      response.data.resume()
+      throw notFoundError(key)
+    }
+    if (response.status >= 300) {
+      throw this.failure('GET', key, response)
+    }
+    return response.data
+  }
+
+  async stat(key) {
+    const response = await this.request('HEAD', this.objectUrl(this.prefix + key))
+    if (response.status === 404) {
+      return null
+    }
+    if (response.status >= 300) {
+      throw this.failure('HEAD', key, response)
+    }
+
+    return {
+      size: parseInt(response.headers['content-length'], 10),
+      lastModified: new Date(response.headers['last-modified']),
+      etag: response.headers.etag
+    }
+  }
+
+  async delete(key) {
+    const response = await this.request('DELETE', this.objectUrl(this.prefix + key))
+    if (response.status >= 300 && response.status !== 404) {
+      throw this.failure('DELETE', key, response)
+    }
+  }
+
+  async list({ prefix = '', cursor = null, limit = 1000 } = {}) {
+    const url = this.objectUrl()
+    url.searchParams.set('list-type', '2')
+    url.searchParams.set('prefix', this.prefix + prefix)
+    url.searchParams.set('max-keys', String(limit))
+    if (cursor) {
+      url.searchParams.set('continuation-token', cursor)
+    }
+
+    const response = await this.request('GET', url)
+    if (response.status >= 300) {
+      throw this.failure('LIST', prefix, response)
+    }
+
+    const xml = Buffer.from(response.data).toString()
+    const items = (xml.match(/<Contents>[\s\S]*?<\/Contents>/g) || []).map(entry => ({
+      key: decodeXml(xmlValue(entry, 'Key')).slice(this.prefix.length),
+      size: parseInt(xmlValue(entry, 'Size'), 10),
+      lastModified: new Date(xmlValue(entry, 'LastModified'))
+    }))
+    const truncated = xmlValue(xml, 'IsTruncated') === 'true'
+    const nextToken = xmlValue(xml, 'NextContinuationToken')
+
+    return {
+      items,
+      cursor: truncated && nextToken ? decodeXml(nextToken) : null
+    }
+  }
+
+  async checkHealth() {
+    await this.list({ limit: 1 })
+    return {
+      backend: 's3',
+      endpoint: this.endpoint.origin,
+      bucket: this.bucket,
+      prefix: this.prefix
+    }
+  }
+}
+
+module.exports = S3ImageStorage
+module.exports.signRequest = signRequest
@@ -0,0 +1,109 @@
+const { runSingle } = require('../database/connection');
+const { boxAnchor, pointInPolygon } = require('./regionMaskService');
+
+const DIRECTIONS = ['NB', 'SB', 'EB', 'WB'];
+const MAX_LANES = 20;
+const MAX_POINTS = 200;
+
+// Parse the lanes column, tolerating empty or malformed values
+const parseLanes = (lanes) => {
+  if (!lanes) return [];
+  if (Array.isArray(lanes)) return lanes;
+
+  try {
+    const parsed = JSON.parse(lanes);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Validate lane definitions before they are stored.
+ *
+ * Lanes are polygons in the 0-1000 normalized space of vehicle_bounding_boxes,
+ * tagged with the direction of travel:
+ *   [{ name: 'NB 1', direction: 'NB', points: [{ x: 120, y: 400 }, ...] }]
+ * @returns {Array<string>} - Validation errors (empty when valid)
+ */
+const validateLanes = (lanes) => {
+  const errors = [];
+
+  if (!Array.isArray(lanes)) {
+    return ['lanes must be an array'];
+  }
+  if (lanes.length > MAX_LANES) {
+    errors.push(`lanes can have at most ${MAX_LANES} lanes`);
+  }
+
+  const names = new Set();
+  lanes.forEach((lane, index) => {
+    const label = `lanes[${index}]`;
+    if (!lane || typeof lane !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (typeof lane.name !== 'string' || lane.name.trim() === '' || lane.name.length > 50) {
+      errors.push(`${label}.name is required and must be at most 50 characters`);
+    } else if (names.has(lane.name.trim())) {
+      errors.push(`${label}.name "${lane.name}" is used by another lane`);
+    } else {
+      names.add(lane.name.trim());
+    }
+
+    if (!DIRECTIONS.includes(lane.direction)) {
+      errors.push(`${label}.direction must be one of: ${DIRECTIONS.join(', ')}`);
+    }
+
+    if (!Array.isArray(lane.points) || lane.points.length < 3 || lane.points.length > MAX_POINTS) {
+      errors.push(`${label}.points must have 3 to ${MAX_POINTS} points`);
+    } else if (!lane.points.every(point => (
+      point && [point.x, point.y].every(value => typeof value === 'number' && value >= 0 && value <= 1000)
+    ))) {
+      errors.push(`${label}.points must be { x, y } with coordinates from 0 to 1000`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * The lane a box is driving in: the first lane containing the bottom centre
+ * of the box, the same footprint point region masks use
+ * @param {Object} box - Bounding box in 0-1000 coordinates
+ * @param {Array} lanes - Parsed lanes
+ * @returns {Object|null} - The lane, or null when the box is in none
+ */
+const assignLane = (box, lanes) => {
+  const anchor = boxAnchor(box);
+  return lanes.find(lane => pointInPolygon(anchor, lane.points)) || null;
+};
+
+/**
+ * Count boxes per lane. Lanes without vehicles are included with a zero
+ * count so a quiet lane reads as empty rather than missing.
+ * @param {Array} boxes - Counted boxes, each with its `lane`
+ * @param {Array} lanes - Parsed lanes
+ * @returns {Array<Object>} - [{ lane, direction, vehicle_count }]
+ */
+const countByLane = (boxes, lanes) => lanes.map(lane => ({
+  lane: lane.name,
+  direction: lane.direction,
+  vehicle_count: boxes.filter(box => box.lane === lane.name).length
+}));
+
+// A camera's lanes; cameras without any only have totals
+const getCameraLanes = async (cameraId) => {
+  const camera = await runSingle('SELECT lanes FROM cameras WHERE camera_id = ?', [cameraId]);
+  return parseLanes(camera?.lanes);
+};
+
+module.exports = {
+  DIRECTIONS,
+  parseLanes,
+  validateLanes,
+  assignLane,
+  countByLane,
+  getCameraLanes
+};
@@ -0,0 +1,137 @@
+const sharp = require('sharp')
+
+const HASH_SIZE = 8 // 8x8 = 64-bit hashes
+const DCT_SIZE = 32
+
+// Cosine table for the 32-point DCT used by pHash, built once
+const DCT_COSINES = Array.from({ length: DCT_SIZE }, (_, u) => (
+  Array.from({ length: DCT_SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * DCT_SIZE)))
+))
+
+/**
+ * Perceptual hashes for snapshot change detection.
+ *
+ * Unlike an MD5 of the file, a perceptual hash stays (nearly) the same when a
+ * frame is only re-encoded or its timestamp overlay ticks, so the Hamming
+ * distance between two hashes measures how much the scene actually changed.
+ *
+ * - dhash: compares neighbouring pixels of a 9x8 thumbnail; fast
+ * - phash: keeps the low frequencies of a 32x32 DCT; more robust to noise
+ */
+class PerceptualHashService {
+  constructor() {
+    this.algorithms = {
+      dhash: (buffer) => this.computeDHash(buffer),
+      phash: (buffer) => this.computePHash(buffer)
+    }
+  }
+
+  /**
+   * Compute a perceptual hash of an image
+   * @param {Buffer} buffer - Image data
+   * @param {string} algorithm - 'dhash' or 'phash'
+   * @returns {Promise<string>} - 64-bit hash as 16 hex characters
+   */
+  async computeHash(buffer, algorithm = 'dhash') {
+    const compute = this.algorithms[algorithm]
+    if (!compute) {
+      throw new Error(`Unknown perceptual hash algorithm: ${algorithm}`)
+    }
+    return compute(buffer)
+  }
+
+  // Downscale to a grayscale pixel grid, one byte per pixel
+  async getGrayscalePixels(buffer, width, height) {
+    const { data, info } = await sharp(buffer)
+      .grayscale()
+      .resize(width, height, { fit: 'fill' })
+      .raw()
+      .toBuffer({ resolveWithObject: true })
+
+    if (info.channels === 1) {
+      return data
+    }
+
+    const pixels = Buffer.alloc(width * height)
+    for (let i = 0; i < pixels.length; i++) {
+      pixels[i] = data[i * info.channels]
+    }
+    return pixels
+  }
+
+  async computeDHash(buffer) {
+    const width = HASH_SIZE + 1
+    const pixels = await this.getGrayscalePixels(buffer, width, HASH_SIZE)
+    const bits = []
+
+    for (let y = 0; y < HASH_SIZE; y++) {
+      for (let x = 0; x < HASH_SIZE; x++) {
+        bits.push(pixels[y * width + x] < pixels[y * width + x + 1] ? 1 : 0)
+      }
+    }
+
+    return this.bitsToHex(bits)
+  }
+
+  async computePHash(buffer) {
+    const pixels = await this.getGrayscalePixels(buffer, DCT_SIZE, DCT_SIZE)
+
+    // Separable 2D DCT, only the low-frequency corner is needed
+    const rows = Array.from({ length: DCT_SIZE }, (_, y) => (
+      Array.from({ length: HASH_SIZE }, (_, u) => {
+        let sum = 0
+        for (let x = 0; x < DCT_SIZE; x++) {
+          sum += pixels[y * DCT_SIZE + x] * DCT_COSINES[u][x]
+        }
+        return sum
+      })
+    ))
+
+    const coefficients = []
+    for (let v = 0; v < HASH_SIZE; v++) {
+      for (let u = 0; u < HASH_SIZE; u++) {
+        let sum = 0
+        for (let y = 0; y < DCT_SIZE; y++) {
+          sum += rows[y][u] * DCT_COSINES[v][y]
+        }
+        coefficients.push(sum)
+      }
+    }
+
+    // Median without the DC term, which only reflects overall brightness
+    const sorted = coefficients.slice(1).sort((a, b) => a - b)
+    const median = (sorted[31] + sorted[32]) / 2
+
+    return this.bitsToHex(coefficients.map(value => (value > median ? 1 : 0)))
+  }
+
+  bitsToHex(bits) {
+    let hex = ''
+    for (let i = 0; i < bits.length; i += 4) {
+      hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16)
+    }
+    return hex
+  }
+
+  /**
+   * Number of differing bits between two hashes of the same algorithm
+   * @param {string} hashA - Hex hash
+   * @param {string} hashB - Hex hash
+   * @returns {number|null} - Hamming distance, or null if the hashes are not comparable
+   */
+  hammingDistance(hashA, hashB) {
+    if (!hashA || !hashB || hashA.length !== hashB.length) {
+      return null
+    }
+
+    let diff = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`)
+    let distance = 0
+    while (diff > 0n) {
+      distance += Number(diff & 1n)
+      diff >>= 1n
+    }
+    return distance
+  }
+}
+
+module.exports = new PerceptualHashService()
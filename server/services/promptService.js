@@ -0,0 +1,266 @@
+const { run, runQuery, runSingle } = require('../database/connection');
+const { log } = require('./loggerService');
+
+// The prompt every installation starts with. The output format is enforced by
+// DETECTION_RESPONSE_SCHEMA (JSON mode), so prompts only describe the task.
+const DEFAULT_PROMPT_NAME = 'Default';
+
+const DEFAULT_PROMPT_TEXT = `Analyze this highway traffic camera image and detect ALL vehicles with their bounding boxes.
+
+Focus on motor vehicles on the highway only. Do not count pedestrians, bicycles, or stationary objects. Be accurate and conservative in your counts.
+
+Bounding box coordinates are normalized to 0-1000 regardless of the image resolution: (0,0) is the top-left corner and (1000,1000) the bottom-right corner of the image. Do not return pixel coordinates.`;
+
+const MAX_PROMPT_LENGTH = 20000;
+
+/**
+ * Validate a detection prompt before it is stored
+ * @param {Object} prompt - { name, description, prompt_text, notes }
+ * @param {boolean} partial - Only check the fields that are present (updates)
+ * @returns {Array<string>} - Validation errors (empty when valid)
+ */
+const validatePrompt = (prompt, partial = false) => {
+  const errors = [];
+
+  if (!partial || prompt.name !== undefined) {
+    if (typeof prompt.name !== 'string' || prompt.name.trim() === '') {
+      errors.push('name is required');
+    } else if (prompt.name.length > 200) {
+      errors.push('name must be at most 200 characters');
+    }
+  }
+
+  if (!partial || prompt.prompt_text !== undefined) {
+    if (typeof prompt.prompt_text !== 'string' || prompt.prompt_text.trim() === '') {
+      errors.push('prompt_text is required');
+    } else if (prompt.prompt_text.length > MAX_PROMPT_LENGTH) {
+      errors.push(`prompt_text must be at most ${MAX_PROMPT_LENGTH} characters`);
+    }
+  }
+
+  for (const field of ['description', 'notes']) {
+    if (prompt[field] !== undefined && prompt[field] !== null && typeof prompt[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  }
+
+  return errors;
+};
+
+// Error for a prompt that cannot be deleted; `code` tells the route why
+const promptInUseError = (message) => {
+  const error = new Error(message);
+  error.code = 'PROMPT_IN_USE';
+  return error;
+};
+
+/**
+ * Versioned detection prompts. Saving a changed prompt text adds a version
+ * instead of overwriting it, and every detection records the version it was
+ * made with (vehicle_detections.prompt_version_id), so results from different
+ * prompts can be told apart. Cameras pick a prompt (cameras.prompt_id) and
+ * always use its latest version; cameras without one use the default prompt.
+ */
+class PromptService {
+  // Create the default prompt on first start
+  async ensureDefaultPrompt() {
+    const existing = await runSingle('SELECT id FROM detection_prompts LIMIT 1');
+    if (existing) {
+      return;
+    }
+
+    const prompt = await this.createPrompt({
+      name: DEFAULT_PROMPT_NAME,
+      description: 'General-purpose highway prompt',
+      prompt_text: DEFAULT_PROMPT_TEXT,
+      notes: 'Initial version'
+    });
+    await this.setDefaultPrompt(prompt.id);
+    log.info('Default detection prompt created');
+  }
+
+  // All prompts with their latest version and usage counts
+  async listPrompts() {
+    return runQuery(`
+      SELECT
+        p.*,
+        v.id as version_id,
+        v.version,
+        v.prompt_text,
+        v.created_at as version_created_at,
+        (SELECT COUNT(*) FROM cameras c WHERE c.prompt_id = p.id) as camera_count,
+        (SELECT COUNT(*) FROM vehicle_detections vd
+          JOIN detection_prompt_versions pv ON pv.id = vd.prompt_version_id
+          WHERE pv.prompt_id = p.id) as detection_count
+      FROM detection_prompts p
+      JOIN detection_prompt_versions v ON v.prompt_id = p.id
+        AND v.version = (SELECT MAX(version) FROM detection_prompt_versions WHERE prompt_id = p.id)
+      ORDER BY p.is_default DESC, p.name ASC
+    `);
+  }
+
+  /**
+   * One prompt with every version (newest first), the detections made with
+   * each version and the cameras using it
+   * @returns {Promise<Object|null>} - Null if the prompt does not exist
+   */
+  async getPrompt(promptId) {
+    const prompt = await runSingle('SELECT * FROM detection_prompts WHERE id = ?', [promptId]);
+    if (!prompt) {
+      return null;
+    }
+
+    const versions = await runQuery(`
+      SELECT
+        v.*,
+        COUNT(vd.id) as detection_count,
+        COUNT(CASE WHEN vd.processing_status = 'failed' THEN 1 END) as failed_count,
+        AVG(CASE WHEN vd.processing_status = 'completed' THEN vd.total_vehicles END) as avg_vehicles,
+        AVG(CASE WHEN vd.processing_status = 'completed' THEN vd.confidence_score END) as avg_confidence
+      FROM detection_prompt_versions v
+      LEFT JOIN vehicle_detections vd ON vd.prompt_version_id = v.id
+      WHERE v.prompt_id = ?
+      GROUP BY v.id
+      ORDER BY v.version DESC
+    `, [promptId]);
+
+    const cameras = await runQuery(
+      'SELECT camera_id, name FROM cameras WHERE prompt_id = ? ORDER BY name ASC',
+      [promptId]
+    );
+
+    return { ...prompt, prompt_text: versions[0]?.prompt_text || null, versions, cameras };
+  }
+
+  /**
+   * Create a prompt with its first version
+   * @param {Object} prompt - { name, description, prompt_text, notes }
+   * @returns {Promise<Object>} - The stored prompt
+   */
+  async createPrompt({ name, description = null, prompt_text, notes = null }) {
+    const result = await run(`
+      INSERT INTO detection_prompts (name, description, created_at, updated_at)
+      VALUES (?, ?, datetime('now'), datetime('now'))
+    `, [name.trim(), description]);
+
+    await this.addVersion(result.id, prompt_text, notes);
+    log.info(`Detection prompt "${name}" created`);
+
+    return this.getPrompt(result.id);
+  }
+
+  /**
+   * Update a prompt. A prompt_text that differs from the latest version is
+   * stored as a new version; name and description are changed in place.
+   * @returns {Promise<Object|null>} - The stored prompt, or null if it does not exist
+   */
+  async updatePrompt(promptId, { name, description, prompt_text, notes = null }) {
+    const existing = await this.getPrompt(promptId);
+    if (!existing) {
+      return null;
+    }
+
+    await run(`
+      UPDATE detection_prompts SET name = ?, description = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `, [
+      name !== undefined ? name.trim() : existing.name,
+      description !== undefined ? description : existing.description,
+      promptId
+    ]);
+
+    if (prompt_text !== undefined && prompt_text !== existing.prompt_text) {
+      const version = await this.addVersion(promptId, prompt_text, notes);
+      log.info(`Detection prompt "${existing.name}" updated to version ${version}`);
+    }
+
+    return this.getPrompt(promptId);
+  }
+
+  // Append a version; versions are never changed once stored
+  async addVersion(promptId, promptText, notes = null) {
+    const latest = await runSingle(
+      'SELECT MAX(version) as version FROM detection_prompt_versions WHERE prompt_id = ?',
+      [promptId]
+    );
+    const version = (latest?.version || 0) + 1;
+
+    await run(`
+      INSERT INTO detection_prompt_versions (prompt_id, version, prompt_text, notes, created_at)
+      VALUES (?, ?, ?, ?, datetime('now'))
+    `, [promptId, version, promptText, notes]);
+
+    return version;
+  }
+
+  // Make a prompt the one used by cameras without their own
+  async setDefaultPrompt(promptId) {
+    const prompt = await runSingle('SELECT id FROM detection_prompts WHERE id = ?', [promptId]);
+    if (!prompt) {
+      return false;
+    }
+
+    await run('UPDATE detection_prompts SET is_default = CASE WHEN id = ? THEN 1 ELSE 0 END', [promptId]);
+    return true;
+  }
+
+  /**
+   * Delete a prompt that no detection was made with. Cameras using it go
+   * back to the default prompt.
+   * @returns {Promise<boolean>} - False if the prompt does not exist
+   * @throws {Error} - PROMPT_IN_USE for the default prompt or one with detections
+   */
+  async deletePrompt(promptId) {
+    const prompt = await runSingle('SELECT * FROM detection_prompts WHERE id = ?', [promptId]);
+    if (!prompt) {
+      return false;
+    }
+
+    if (prompt.is_default) {
+      throw promptInUseError('The default prompt cannot be deleted');
+    }
+
+    const used = await runSingle(`
+      SELECT COUNT(*) as count FROM vehicle_detections vd
+      JOIN detection_prompt_versions v ON v.id = vd.prompt_version_id
+      WHERE v.prompt_id = ?
+    `, [promptId]);
+    if (used.count > 0) {
+      throw promptInUseError(`${used.count} detections were made with this prompt`);
+    }
+
+    await run('UPDATE cameras SET prompt_id = NULL WHERE prompt_id = ?', [promptId]);
+    await run('DELETE FROM detection_prompt_versions WHERE prompt_id = ?', [promptId]);
+    await run('DELETE FROM detection_prompts WHERE id = ?', [promptId]);
+    log.info(`Detection prompt "${prompt.name}" deleted`);
+    return true;
+  }
+
+  /**
+   * The prompt version a camera's images are analyzed with: the latest
+   * version of the camera's prompt, or of the default prompt
+   * @param {string|null} cameraId - Camera ID
+   * @returns {Promise<Object>} - { id (version ID), prompt_id, name, version, prompt_text }
+   */
+  async resolvePrompt(cameraId) {
+    const version = await runSingle(`
+      SELECT v.id, v.prompt_id, p.name, v.version, v.prompt_text
+      FROM detection_prompts p
+      JOIN detection_prompt_versions v ON v.prompt_id = p.id
+      WHERE p.id = COALESCE((SELECT prompt_id FROM cameras WHERE camera_id = ?),
+                            (SELECT id FROM detection_prompts WHERE is_default = 1))
+      ORDER BY v.version DESC
+      LIMIT 1
+    `, [cameraId]);
+
+    // Before the default prompt is seeded there is nothing to record
+    return version || { id: null, prompt_id: null, name: DEFAULT_PROMPT_NAME, version: null, prompt_text: DEFAULT_PROMPT_TEXT };
+  }
+}
+
+// Create singleton instance
+const promptService = new PromptService();
+
+module.exports = promptService;
+module.exports.validatePrompt = validatePrompt;
+module.exports.DEFAULT_PROMPT_TEXT = DEFAULT_PROMPT_TEXT;
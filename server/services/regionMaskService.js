@@ -0,0 +1,114 @@
+const { runSingle } = require('../database/connection');
+
+const REGION_TYPES = ['include', 'exclude'];
+const MAX_REGIONS = 50;
+const MAX_POINTS = 200;
+
+// Parse the region_masks column, tolerating empty or malformed values
+const parseRegionMasks = (regionMasks) => {
+  if (!regionMasks) return [];
+  if (Array.isArray(regionMasks)) return regionMasks;
+
+  try {
+    const parsed = JSON.parse(regionMasks);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Validate region masks before they are stored.
+ *
+ * Masks are polygons in the 0-1000 normalized space of vehicle_bounding_boxes:
+ *   [{ type: 'include', name: 'Highway', points: [{ x: 0, y: 400 }, { x: 1000, y: 380 }, ...] }]
+ * With include polygons, only vehicles inside one of them are counted;
+ * vehicles inside an exclude polygon are never counted.
+ * @returns {Array<string>} - Validation errors (empty when valid)
+ */
+const validateRegionMasks = (regionMasks) => {
+  const errors = [];
+
+  if (!Array.isArray(regionMasks)) {
+    return ['region_masks must be an array'];
+  }
+  if (regionMasks.length > MAX_REGIONS) {
+    errors.push(`region_masks can have at most ${MAX_REGIONS} polygons`);
+  }
+
+  regionMasks.forEach((region, index) => {
+    const label = `region_masks[${index}]`;
+    if (!region || typeof region !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (!REGION_TYPES.includes(region.type)) {
+      errors.push(`${label}.type must be one of: ${REGION_TYPES.join(', ')}`);
+    }
+    if (region.name !== undefined && region.name !== null &&
+        (typeof region.name !== 'string' || region.name.length > 100)) {
+      errors.push(`${label}.name must be a string of at most 100 characters`);
+    }
+
+    if (!Array.isArray(region.points) || region.points.length < 3 || region.points.length > MAX_POINTS) {
+      errors.push(`${label}.points must have 3 to ${MAX_POINTS} points`);
+    } else if (!region.points.every(point => (
+      point && [point.x, point.y].every(value => typeof value === 'number' && value >= 0 && value <= 1000)
+    ))) {
+      errors.push(`${label}.points must be { x, y } with coordinates from 0 to 1000`);
+    }
+  });
+
+  return errors;
+};
+
+// Even-odd ray casting; points on an edge may fall either way
+const pointInPolygon = ({ x, y }, points) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Where a vehicle meets the road: the bottom centre of its box. Using the
+// whole box would count tall vehicles on a frontage road whose roofs
+// overlap the highway.
+const boxAnchor = (box) => ({ x: (box.x_min + box.x_max) / 2, y: box.y_max });
+
+/**
+ * Whether a box is counted under a camera's masks
+ * @param {Object} box - Bounding box in 0-1000 coordinates
+ * @param {Array} regionMasks - Parsed masks
+ * @returns {boolean}
+ */
+const isInRegion = (box, regionMasks) => {
+  const anchor = boxAnchor(box);
+  const includes = regionMasks.filter(region => region.type === 'include');
+
+  if (includes.length > 0 && !includes.some(region => pointInPolygon(anchor, region.points))) {
+    return false;
+  }
+  return !regionMasks.some(region => region.type === 'exclude' && pointInPolygon(anchor, region.points));
+};
+
+// A camera's masks; cameras without any count every box
+const getCameraRegionMasks = async (cameraId) => {
+  const camera = await runSingle('SELECT region_masks FROM cameras WHERE camera_id = ?', [cameraId]);
+  return parseRegionMasks(camera?.region_masks);
+};
+
+module.exports = {
+  REGION_TYPES,
+  parseRegionMasks,
+  validateRegionMasks,
+  pointInPolygon,
+  boxAnchor,
+  isInRegion,
+  getCameraRegionMasks
+};
@@ -0,0 +1,227 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { run } = require('../database/connection');
+const configService = require('./configService');
+const { log } = require('./loggerService');
+const { storeSnapshot } = require('./cameraService');
+
+// "2026-10-01T08-00-00.jpg", optionally with milliseconds and a trailing Z; read as UTC
+const FRAME_PATTERN = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})(?:[-.](\d{1,3}))?Z?\.jpe?g$/i;
+
+const parseFrameTime = (filename) => {
+  const match = filename.match(FRAME_PATTERN);
+  if (!match) return null;
+
+  const [, date, hours, minutes, seconds, millis = '0'] = match;
+  const time = new Date(`${date}T${hours}:${minutes}:${seconds}.${millis.padEnd(3, '0')}Z`);
+  return Number.isNaN(time.getTime()) ? null : time;
+};
+
+/**
+ * Replays a recorded snapshot archive through the normal storage, hashing,
+ * compression and AI-queueing path, keeping the original capture times.
+ *
+ * The archive holds one folder per camera ID with timestamped JPEGs:
+ *   <directory>/<cameraId>/2026-10-01T08-00-00.jpg
+ * `speed` 1 replays in real time, 60 replays an hour per minute and 0 ingests
+ * as fast as possible (useful for backfilling historical captures).
+ */
+class ReplayService {
+  constructor() {
+    this.current = null;
+    this.lastRun = null;
+    this.wakeUp = null;
+  }
+
+  get isRunning() {
+    return this.current !== null;
+  }
+
+  getSettings(overrides = {}) {
+    return {
+      directory: overrides.directory || configService.get('replay.directory', 'storage/replay'),
+      speed: overrides.speed !== undefined ? Number(overrides.speed) : configService.get('replay.speed', 1),
+      cameraIds: overrides.cameraIds || null,
+      from: overrides.from ? new Date(overrides.from) : null,
+      to: overrides.to ? new Date(overrides.to) : null
+    };
+  }
+
+  /**
+   * List the frames in an archive, oldest first
+   * @returns {Promise<Array>} - [{ cameraId, capturedAt, path }]
+   */
+  async scanArchive(directory, { cameraIds = null, from = null, to = null } = {}) {
+    if (!(await fs.pathExists(directory))) {
+      throw new Error(`Replay directory not found: ${directory}`);
+    }
+
+    const frames = [];
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+      if (cameraIds && !cameraIds.includes(entry.name)) continue;
+
+      const cameraDir = path.join(directory, entry.name);
+      for (const filename of await fs.readdir(cameraDir)) {
+        const capturedAt = parseFrameTime(filename);
+        if (!capturedAt) continue;
+        if (from && capturedAt < from) continue;
+        if (to && capturedAt > to) continue;
+
+        frames.push({ cameraId: entry.name, capturedAt, path: path.join(cameraDir, filename) });
+      }
+    }
+
+    return frames.sort((a, b) => a.capturedAt - b.capturedAt);
+  }
+
+  /**
+   * Start replaying an archive in the background
+   * @param {Object} options - { directory, speed, cameraIds, from, to }; defaults from `replay` config
+   * @returns {Promise<Object>} - Replay status
+   */
+  async start(options = {}) {
+    if (this.current) {
+      throw new Error('A replay is already running');
+    }
+
+    const settings = this.getSettings(options);
+    if (!Number.isFinite(settings.speed) || settings.speed < 0) {
+      throw new Error('speed must be 0 (as fast as possible) or a positive multiplier');
+    }
+
+    const directory = path.resolve(__dirname, '..', settings.directory);
+    const frames = await this.scanArchive(directory, settings);
+    if (frames.length === 0) {
+      throw new Error(`No timestamped snapshots found in ${directory}`);
+    }
+
+    await this.ensureCameras([...new Set(frames.map(frame => frame.cameraId))]);
+
+    this.current = {
+      directory,
+      speed: settings.speed,
+      cameras: new Set(frames.map(frame => frame.cameraId)).size,
+      totalFrames: frames.length,
+      processedFrames: 0,
+      failedFrames: 0,
+      firstFrameAt: frames[0].capturedAt.toISOString(),
+      lastFrameAt: frames[frames.length - 1].capturedAt.toISOString(),
+      currentFrameAt: null,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      stopped: false
+    };
+
+    log.system('Replay started', {
+      directory,
+      frames: frames.length,
+      cameras: this.current.cameras,
+      speed: settings.speed
+    });
+
+    // Not awaited: the caller gets the status straight away
+    this.play(frames, this.current).catch(error => {
+      log.error('Replay failed', { error: error.message });
+    });
+
+    return this.getStatus();
+  }
+
+  async play(frames, replay) {
+    const wallStart = Date.now();
+    const archiveStart = frames[0].capturedAt.getTime();
+
+    try {
+      for (const frame of frames) {
+        if (replay.stopped) break;
+
+        if (replay.speed > 0) {
+          const dueAt = wallStart + (frame.capturedAt.getTime() - archiveStart) / replay.speed;
+          await this.sleep(dueAt - Date.now());
+          if (replay.stopped) break;
+        }
+
+        try {
+          const data = await fs.readFile(frame.path);
+          await storeSnapshot(frame.cameraId, data, { capturedAt: frame.capturedAt });
+          replay.processedFrames++;
+        } catch (error) {
+          replay.failedFrames++;
+          log.warn(`Replay of ${frame.path} failed`, { error: error.message });
+        }
+
+        replay.currentFrameAt = frame.capturedAt.toISOString();
+      }
+    } finally {
+      replay.finishedAt = new Date().toISOString();
+      this.lastRun = this.serialize(replay);
+      this.current = null;
+      log.system(replay.stopped ? 'Replay stopped' : 'Replay finished', {
+        processed: replay.processedFrames,
+        failed: replay.failedFrames
+      });
+    }
+  }
+
+  // Wait between frames; stop() cuts the wait short
+  sleep(ms) {
+    if (ms <= 0) return Promise.resolve();
+
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      this.wakeUp = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  stop() {
+    if (!this.current) {
+      return false;
+    }
+
+    this.current.stopped = true;
+    if (this.wakeUp) {
+      this.wakeUp();
+      this.wakeUp = null;
+    }
+    return true;
+  }
+
+  // Replayed cameras may not exist in the catalog yet
+  async ensureCameras(cameraIds) {
+    for (const cameraId of cameraIds) {
+      await run(`
+        INSERT OR IGNORE INTO cameras (camera_id, name, description, source, enabled, created_at, updated_at)
+        VALUES (?, ?, 'Replayed from a snapshot archive', 'replay', 0, datetime('now'), datetime('now'))
+      `, [cameraId, cameraId]);
+    }
+  }
+
+  serialize(replay) {
+    const { stopped, ...status } = replay;
+    return { ...status, stopped };
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      current: this.current ? this.serialize(this.current) : null,
+      lastRun: this.lastRun
+    };
+  }
+
+  cleanup() {
+    this.stop();
+  }
+}
+
+// Create singleton instance
+const replayService = new ReplayService();
+
+module.exports = replayService;
+module.exports.parseFrameTime = parseFrameTime;
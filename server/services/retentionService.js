@@ -0,0 +1,281 @@
+const { run, runQuery } = require('../database/connection');
+const configService = require('./configService');
+const imageCompressionService = require('./imageCompressionService');
+const { getImageStorage } = require('./imageStorage');
+const { log } = require('./loggerService');
+
+const BATCH_SIZE = 500;
+
+// "2026-10-01 08:00:00" for the start of the hour `days` ago, in SQLite UTC text
+const hourCutoff = (days, now = new Date()) => {
+  const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  cutoff.setUTCMinutes(0, 0, 0);
+  return cutoff.toISOString().replace('T', ' ').slice(0, 19);
+};
+
+// Files behind an image row: the stored (compressed) copy and the full-resolution original
+const imageFiles = (localPath) => {
+  const original = localPath.replace(/_compressed\.jpg$/, '.jpg');
+  return { stored: localPath, original: original !== localPath ? original : null };
+};
+
+/**
+ * Tiered image retention, driven by `storage` config:
+ *   maxImageAge     - days before full-resolution files are deleted; each
+ *                     camera keeps one keyframe per hour past this age
+ *   keyframeMaxAge  - days before keyframes are deleted too (0 keeps them)
+ *   cleanupInterval - ms between scheduled runs
+ *   cleanupDryRun   - scheduled runs only report what they would delete
+ *
+ * Image rows, vehicle detections and bounding boxes are never deleted.
+ * `retention_tier` records what is left of an image: 'keyframe' (compressed
+ * copy only) or 'pruned' (no files, `local_path` cleared).
+ * Only whole hours older than the cutoff are processed, so an hour's
+ * keyframe is always chosen from all of its frames.
+ */
+class RetentionService {
+  constructor() {
+    this.interval = null;
+    this.running = null;
+    this.lastReport = null;
+  }
+
+  get isRunning() {
+    return this.running !== null;
+  }
+
+  getSettings() {
+    return {
+      maxImageAge: configService.get('storage.maxImageAge', 30),
+      keyframeMaxAge: configService.get('storage.keyframeMaxAge', 365),
+      cleanupInterval: configService.get('storage.cleanupInterval', 86400000),
+      dryRun: configService.get('storage.cleanupDryRun', false)
+    };
+  }
+
+  // Schedule cleanup runs every `storage.cleanupInterval`
+  start() {
+    if (this.interval) return;
+
+    const { cleanupInterval } = this.getSettings();
+    this.interval = setInterval(async () => {
+      try {
+        await this.runCleanup({ dryRun: this.getSettings().dryRun });
+      } catch (error) {
+        log.error('Scheduled image cleanup failed', { error: error.message });
+      }
+    }, cleanupInterval);
+
+    log.info('Image retention scheduled', { interval: `${cleanupInterval / 3600000}h` });
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Apply the retention policy
+   * @param {Object} options - { dryRun: report without deleting anything }
+   * @returns {Promise<Object>} - Report of images, files and bytes reclaimed
+   */
+  async runCleanup({ dryRun = false } = {}) {
+    if (this.running) {
+      throw new Error('Image cleanup is already running');
+    }
+
+    const settings = this.getSettings();
+    const report = {
+      dryRun,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      maxImageAge: settings.maxImageAge,
+      keyframeMaxAge: settings.keyframeMaxAge,
+      imageCutoff: null,
+      keyframeCutoff: null,
+      imagesKeptAsKeyframes: 0,
+      imagesPruned: 0,
+      keyframesPruned: 0,
+      filesDeleted: 0,
+      filesMissing: 0,
+      bytesReclaimed: 0,
+      errors: 0
+    };
+    this.running = report;
+
+    try {
+      if (settings.maxImageAge > 0) {
+        report.imageCutoff = hourCutoff(settings.maxImageAge);
+        if (settings.keyframeMaxAge > 0) {
+          report.keyframeCutoff = hourCutoff(Math.max(settings.keyframeMaxAge, settings.maxImageAge));
+        }
+
+        await this.pruneFullResolution(report);
+        if (report.keyframeCutoff) {
+          await this.pruneKeyframes(report);
+        }
+      }
+    } finally {
+      report.finishedAt = new Date().toISOString();
+      this.lastReport = report;
+      this.running = null;
+    }
+
+    log.system(dryRun ? 'Image cleanup dry run finished' : 'Image cleanup finished', {
+      imagesPruned: report.imagesPruned,
+      keyframes: report.imagesKeptAsKeyframes,
+      keyframesPruned: report.keyframesPruned,
+      filesDeleted: report.filesDeleted,
+      bytesReclaimed: report.bytesReclaimed
+    });
+
+    return report;
+  }
+
+  // Past maxImageAge: keep one keyframe per camera-hour (compressed copy only) and prune the rest
+  async pruneFullResolution(report) {
+    let lastId = 0;
+
+    for (;;) {
+      // The keyframe ranking covers every frame in the hour, including ones
+      // already processed, so it stays the same from batch to batch and run to run
+      const images = await runQuery(`
+        SELECT id, local_path, captured_at, keyframe_rank FROM (
+          SELECT
+            i.id,
+            i.local_path,
+            i.captured_at,
+            i.retention_tier,
+            ROW_NUMBER() OVER (
+              PARTITION BY i.camera_id, strftime('%Y-%m-%d %H', i.captured_at)
+              ORDER BY
+                CASE WHEN EXISTS (
+                  SELECT 1 FROM vehicle_detections vd
+                  WHERE vd.image_id = i.id AND vd.processing_status = 'completed'
+                ) THEN 0 ELSE 1 END,
+                i.has_changed DESC,
+                i.captured_at ASC,
+                i.id ASC
+            ) as keyframe_rank
+          FROM images i
+          WHERE i.captured_at < ?
+            AND i.captured_at >= (
+              SELECT strftime('%Y-%m-%d %H:00:00', MIN(captured_at)) FROM images
+              WHERE retention_tier IS NULL AND captured_at < ?
+            )
+        )
+        WHERE retention_tier IS NULL AND id > ?
+        ORDER BY id ASC
+        LIMIT ?
+      `, [report.imageCutoff, report.imageCutoff, lastId, BATCH_SIZE]);
+
+      if (images.length === 0) break;
+      lastId = images[images.length - 1].id;
+
+      for (const image of images) {
+        // Frames already past keyframeMaxAge are pruned outright
+        const keyframe = image.keyframe_rank === 1 && image.local_path &&
+          !(report.keyframeCutoff && image.captured_at < report.keyframeCutoff);
+        const files = image.local_path ? imageFiles(image.local_path) : { stored: null, original: null };
+        const toDelete = keyframe ? [files.original] : [files.stored, files.original];
+
+        if (await this.deleteFiles(toDelete.filter(Boolean), report)) {
+          if (keyframe) {
+            report.imagesKeptAsKeyframes++;
+          } else {
+            report.imagesPruned++;
+          }
+
+          if (!report.dryRun) {
+            await run(
+              "UPDATE images SET retention_tier = ?, local_path = ?, pruned_at = datetime('now') WHERE id = ?",
+              keyframe ? ['keyframe', image.local_path, image.id] : ['pruned', null, image.id]
+            );
+          }
+        }
+      }
+    }
+  }
+
+  // Past keyframeMaxAge: delete the remaining keyframes
+  async pruneKeyframes(report) {
+    let lastId = 0;
+
+    for (;;) {
+      const images = await runQuery(`
+        SELECT id, local_path FROM images
+        WHERE retention_tier = 'keyframe' AND captured_at < ? AND id > ?
+        ORDER BY id ASC
+        LIMIT ?
+      `, [report.keyframeCutoff, lastId, BATCH_SIZE]);
+
+      if (images.length === 0) break;
+      lastId = images[images.length - 1].id;
+
+      for (const image of images) {
+        if (await this.deleteFiles(image.local_path ? [image.local_path] : [], report)) {
+          report.keyframesPruned++;
+
+          if (!report.dryRun) {
+            await run(
+              "UPDATE images SET retention_tier = 'pruned', local_path = NULL, pruned_at = datetime('now') WHERE id = ?",
+              [image.id]
+            );
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Delete (or, in a dry run, measure) image files; missing files are fine
+   * @returns {Promise<boolean>} - False if a file could not be deleted
+   */
+  async deleteFiles(filenames, report) {
+    const storage = getImageStorage();
+    let ok = true;
+
+    for (const filename of filenames) {
+      try {
+        const stats = await storage.stat(filename);
+        if (!stats) {
+          report.filesMissing++;
+          continue;
+        }
+        if (!report.dryRun) {
+          await storage.delete(filename);
+          await imageCompressionService.removeVariants(filename);
+        }
+        report.filesDeleted++;
+        report.bytesReclaimed += stats.size;
+      } catch (error) {
+        ok = false;
+        report.errors++;
+        log.warn(`Could not delete image file ${filename}`, { error: error.message });
+      }
+    }
+
+    return ok;
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      scheduled: this.interval !== null,
+      settings: this.getSettings(),
+      current: this.running,
+      lastReport: this.lastReport
+    };
+  }
+
+  cleanup() {
+    this.stop();
+  }
+}
+
+// Create singleton instance
+const retentionService = new RetentionService();
+
+module.exports = retentionService;
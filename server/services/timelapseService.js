@@ -0,0 +1,411 @@
+const sharp = require('sharp');
+const fs = require('fs-extra');
+const path = require('path');
+const { run, runQuery, runSingle } = require('../database/connection');
+const configService = require('./configService');
+const { getImageStorage } = require('./imageStorage');
+const { log } = require('./loggerService');
+
+const TIMELAPSE_FORMATS = {
+  webp: { extension: 'webp', contentType: 'image/webp' },
+  gif: { extension: 'gif', contentType: 'image/gif' }
+};
+const MAX_FPS = 30;
+
+// Same palette as the bounding box overlay in the client
+const VEHICLE_COLORS = {
+  car: '#3B82F6',
+  truck: '#EF4444',
+  motorcycle: '#10B981',
+  bus: '#F59E0B',
+  rv: '#8B5CF6',
+  emergency_vehicle: '#DC2626',
+  construction_vehicle: '#F97316',
+  other_vehicle: '#6B7280'
+};
+
+// "2026-10-01 08:00:00" in SQLite UTC text, or null for an unparseable time
+const toSqlTime = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().replace('T', ' ').slice(0, 19);
+};
+
+const isTrue = (value) => value === true || value === 'true' || value === '1';
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/*
+ * Animated WebP muxing. sharp 0.33 cannot assemble separate frames into an
+ * animation, so each frame is encoded as a still WebP and its bitstream is
+ * wrapped in an ANMF chunk of an animated WebP container.
+ */
+const riffChunk = (fourcc, data) => {
+  const header = Buffer.alloc(8);
+  header.write(fourcc, 0, 'ascii');
+  header.writeUInt32LE(data.length, 4);
+  return Buffer.concat(data.length % 2 ? [header, data, Buffer.alloc(1)] : [header, data]);
+};
+
+const uint24 = (value) => {
+  const buffer = Buffer.alloc(3);
+  buffer.writeUIntLE(value, 0, 3);
+  return buffer;
+};
+
+// The ALPH/VP8/VP8L chunks of a still WebP, which become one animation frame
+const webpFrameChunks = (webp) => {
+  const chunks = [];
+  let offset = 12;
+
+  while (offset + 8 <= webp.length) {
+    const fourcc = webp.toString('ascii', offset, offset + 4);
+    const size = webp.readUInt32LE(offset + 4);
+    const end = offset + 8 + size + (size % 2);
+    if (fourcc === 'ALPH' || fourcc === 'VP8 ' || fourcc === 'VP8L') {
+      chunks.push(webp.subarray(offset, end));
+    }
+    offset = end;
+  }
+
+  return Buffer.concat(chunks);
+};
+
+const webpAnimationFrame = (frameChunks, width, height, duration) => riffChunk('ANMF', Buffer.concat([
+  uint24(0),
+  uint24(0),
+  uint24(width - 1),
+  uint24(height - 1),
+  uint24(duration),
+  Buffer.from([0x02]), // no blending, so every frame replaces the last
+  frameChunks
+]));
+
+const muxAnimatedWebp = (frames, width, height) => {
+  const vp8x = Buffer.alloc(10);
+  vp8x[0] = 0x02; // animation flag
+  vp8x.writeUIntLE(width - 1, 4, 3);
+  vp8x.writeUIntLE(height - 1, 7, 3);
+
+  const anim = Buffer.alloc(6);
+  anim.writeUInt32LE(0xff000000, 0); // black background
+  anim.writeUInt16LE(0, 4); // loop forever
+
+  const body = Buffer.concat([Buffer.from('WEBP'), riffChunk('VP8X', vp8x), riffChunk('ANIM', anim), ...frames]);
+  const header = Buffer.alloc(8);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(body.length, 4);
+  return Buffer.concat([header, body]);
+};
+
+/**
+ * Validate timelapse request parameters
+ * @param {Object} query - { from, to, fps, format, boxes, timestamp }
+ * @returns {Object} - { errors, params } with times as SQLite UTC text
+ */
+const validateTimelapseRequest = (query) => {
+  const errors = [];
+  const fps = query.fps === undefined ? configService.get('timelapse.defaultFps', 8) : Number(query.fps);
+  const format = query.format || 'webp';
+  const params = {
+    startTime: toSqlTime(query.from),
+    endTime: toSqlTime(query.to),
+    fps,
+    format,
+    showBoxes: isTrue(query.boxes),
+    showTimestamp: query.timestamp === undefined ? true : isTrue(query.timestamp)
+  };
+
+  if (!params.startTime || !params.endTime) {
+    errors.push('from and to must be valid dates');
+  } else if (params.startTime >= params.endTime) {
+    errors.push('from must be before to');
+  }
+  if (!Number.isInteger(fps) || fps < 1 || fps > MAX_FPS) {
+    errors.push(`fps must be a whole number between 1 and ${MAX_FPS}`);
+  }
+  if (!TIMELAPSE_FORMATS[format]) {
+    errors.push(`format must be one of: ${Object.keys(TIMELAPSE_FORMATS).join(', ')}`);
+  }
+
+  return { errors, params };
+};
+
+/**
+ * Renders a camera's stored frames over a time range into an animated WebP
+ * or GIF, driven by `timelapse` config:
+ *   directory  - where finished timelapses are kept, relative to the server folder
+ *   width      - frame width in pixels (height follows the camera's aspect ratio)
+ *   maxFrames  - longer ranges are sampled evenly down to this many frames
+ *   quality    - WebP frame quality
+ *
+ * Jobs are recorded in `timelapse_jobs` and rendered one at a time in the
+ * background; a job's `progress` is the percentage of frames rendered.
+ */
+class TimelapseService {
+  constructor() {
+    this.queue = [];
+    this.current = null;
+    this.stopping = false;
+  }
+
+  getSettings() {
+    return {
+      directory: path.resolve(__dirname, '..', configService.get('timelapse.directory', 'storage/timelapses')),
+      width: configService.get('timelapse.width', 640),
+      maxFrames: configService.get('timelapse.maxFrames', 300),
+      quality: configService.get('timelapse.quality', 70)
+    };
+  }
+
+  // Resume jobs that were queued or rendering when the server stopped
+  async start() {
+    const pending = await runQuery(
+      "SELECT id FROM timelapse_jobs WHERE status IN ('queued', 'running') ORDER BY id"
+    );
+    if (pending.length === 0) return;
+
+    await run("UPDATE timelapse_jobs SET status = 'queued', progress = 0, rendered_frames = 0 WHERE status = 'running'");
+    pending.forEach(job => this.queue.push(job.id));
+    log.info('Resuming timelapse jobs', { count: pending.length });
+    this.processQueue();
+  }
+
+  /**
+   * Queue a timelapse, reusing an identical job that is pending or finished
+   * @param {string} cameraId - Camera ID
+   * @param {Object} params - Validated parameters from validateTimelapseRequest
+   * @returns {Promise<Object>} - { job, created }
+   */
+  async requestTimelapse(cameraId, params) {
+    const existing = await runSingle(`
+      SELECT * FROM timelapse_jobs
+      WHERE camera_id = ? AND start_time = ? AND end_time = ? AND fps = ? AND format = ?
+        AND show_boxes = ? AND show_timestamp = ? AND status != 'failed'
+      ORDER BY id DESC
+      LIMIT 1
+    `, [cameraId, params.startTime, params.endTime, params.fps, params.format, params.showBoxes ? 1 : 0, params.showTimestamp ? 1 : 0]);
+
+    if (existing && (existing.status !== 'completed' || await fs.pathExists(this.getFilePath(existing)))) {
+      return { job: existing, created: false };
+    }
+
+    const result = await run(`
+      INSERT INTO timelapse_jobs (camera_id, start_time, end_time, fps, format, show_boxes, show_timestamp)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [cameraId, params.startTime, params.endTime, params.fps, params.format, params.showBoxes ? 1 : 0, params.showTimestamp ? 1 : 0]);
+
+    this.queue.push(result.id);
+    this.processQueue();
+
+    return { job: await this.getJob(result.id), created: true };
+  }
+
+  async getJob(id) {
+    return runSingle('SELECT * FROM timelapse_jobs WHERE id = ?', [id]);
+  }
+
+  async listJobs(cameraId, limit = 20) {
+    return runQuery(
+      'SELECT * FROM timelapse_jobs WHERE camera_id = ? ORDER BY id DESC LIMIT ?',
+      [cameraId, limit]
+    );
+  }
+
+  getFilePath(job) {
+    return job.file_name ? path.join(this.getSettings().directory, job.file_name) : null;
+  }
+
+  getContentType(job) {
+    return TIMELAPSE_FORMATS[job.format].contentType;
+  }
+
+  /**
+   * Delete a job and its file
+   * @returns {Promise<boolean>} - False if the job is still rendering
+   */
+  async deleteJob(job) {
+    if (this.current === job.id) {
+      return false;
+    }
+
+    this.queue = this.queue.filter(id => id !== job.id);
+    if (job.file_name) {
+      await fs.remove(this.getFilePath(job));
+    }
+    await run('DELETE FROM timelapse_jobs WHERE id = ?', [job.id]);
+    return true;
+  }
+
+  async processQueue() {
+    if (this.current !== null || this.stopping) return;
+
+    const id = this.queue.shift();
+    if (id === undefined) return;
+
+    this.current = id;
+    try {
+      const job = await this.getJob(id);
+      if (job) {
+        await this.renderJob(job);
+      }
+    } catch (error) {
+      if (this.stopping) return; // left as running, so start() picks it up again
+      log.error('Timelapse rendering failed', { jobId: id, error: error.message });
+      await run(
+        "UPDATE timelapse_jobs SET status = 'failed', error = ?, completed_at = datetime('now') WHERE id = ?",
+        [error.message, id]
+      ).catch(() => {});
+    } finally {
+      this.current = null;
+      setImmediate(() => this.processQueue());
+    }
+  }
+
+  async renderJob(job) {
+    const settings = this.getSettings();
+    const storage = getImageStorage();
+
+    const images = await runQuery(`
+      SELECT id, local_path, captured_at FROM images
+      WHERE camera_id = ? AND captured_at >= ? AND captured_at <= ? AND local_path IS NOT NULL
+      ORDER BY captured_at
+    `, [job.camera_id, job.start_time, job.end_time]);
+
+    if (images.length === 0) {
+      throw new Error('No stored frames in this time range');
+    }
+
+    // Sample long ranges evenly rather than cutting them short
+    const step = Math.max(1, images.length / settings.maxFrames);
+    const frames = [];
+    for (let index = 0; index < images.length && frames.length < settings.maxFrames; index += step) {
+      frames.push(images[Math.floor(index)]);
+    }
+
+    await run(
+      "UPDATE timelapse_jobs SET status = 'running', total_frames = ?, started_at = datetime('now') WHERE id = ?",
+      [frames.length, job.id]
+    );
+    log.info('Rendering timelapse', { jobId: job.id, cameraId: job.camera_id, frames: frames.length });
+
+    const duration = Math.round(1000 / job.fps);
+    const animationFrames = [];
+    let size = null;
+    let lastProgress = 0;
+
+    for (let index = 0; index < frames.length; index++) {
+      if (this.stopping) {
+        throw new Error('Server stopped while rendering');
+      }
+
+      const image = frames[index];
+      let data;
+      try {
+        data = await storage.get(image.local_path);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        continue; // pruned since the query, skip the frame
+      }
+
+      if (!size) {
+        const metadata = await sharp(data).metadata();
+        const width = Math.min(settings.width, metadata.width);
+        size = { width, height: Math.max(1, Math.round(width * metadata.height / metadata.width)) };
+      }
+
+      const overlay = await this.buildOverlay(job, image, size);
+      let pipeline = sharp(data).resize(size.width, size.height, { fit: 'fill' });
+      if (overlay) {
+        pipeline = pipeline.composite([{ input: Buffer.from(overlay) }]);
+      }
+      const webp = await pipeline.webp({ quality: settings.quality }).toBuffer();
+      animationFrames.push(webpAnimationFrame(webpFrameChunks(webp), size.width, size.height, duration));
+
+      const progress = Math.floor((index + 1) / frames.length * 100);
+      if (progress > lastProgress) {
+        lastProgress = progress;
+        await run(
+          'UPDATE timelapse_jobs SET progress = ?, rendered_frames = ? WHERE id = ?',
+          [progress, animationFrames.length, job.id]
+        );
+      }
+    }
+
+    if (animationFrames.length === 0) {
+      throw new Error('None of the frames in this time range have stored files');
+    }
+
+    let output = muxAnimatedWebp(animationFrames, size.width, size.height);
+    if (job.format === 'gif') {
+      output = await sharp(output, { animated: true, limitInputPixels: false })
+        .gif({ loop: 0, delay: duration })
+        .toBuffer();
+    }
+
+    const fileName = `${job.camera_id}_timelapse_${job.id}.${TIMELAPSE_FORMATS[job.format].extension}`;
+    const filePath = path.join(settings.directory, fileName);
+    await fs.ensureDir(settings.directory);
+    await fs.writeFile(`${filePath}.tmp`, output);
+    await fs.move(`${filePath}.tmp`, filePath, { overwrite: true });
+
+    await run(`
+      UPDATE timelapse_jobs
+      SET status = 'completed', progress = 100, rendered_frames = ?, file_name = ?, file_size = ?,
+          error = NULL, completed_at = datetime('now')
+      WHERE id = ?
+    `, [animationFrames.length, fileName, output.length, job.id]);
+    log.info('Timelapse rendered', { jobId: job.id, frames: animationFrames.length, bytes: output.length });
+  }
+
+  // SVG drawn over a frame: its latest detection's boxes and/or the capture time
+  async buildOverlay(job, image, { width, height }) {
+    const parts = [];
+
+    if (job.show_boxes) {
+      const boxes = await runQuery(`
+        SELECT vehicle_type, x_min, y_min, x_max, y_max
+        FROM vehicle_bounding_boxes
+        WHERE is_valid = 1 AND vehicle_detection_id = (
+          SELECT id FROM vehicle_detections
+          WHERE image_id = ? AND processing_status = 'completed'
+          ORDER BY created_at DESC
+          LIMIT 1
+        )
+      `, [image.id]);
+
+      // Box coordinates are normalized to 0-1000
+      boxes.forEach(box => {
+        const color = VEHICLE_COLORS[box.vehicle_type.toLowerCase()] || VEHICLE_COLORS.other_vehicle;
+        const x = box.x_min / 1000 * width;
+        const y = box.y_min / 1000 * height;
+        parts.push(`<rect x="${x}" y="${y}" width="${(box.x_max - box.x_min) / 1000 * width}" height="${(box.y_max - box.y_min) / 1000 * height}" fill="none" stroke="${color}" stroke-width="2"/>`);
+      });
+    }
+
+    if (job.show_timestamp) {
+      const fontSize = Math.max(12, Math.round(width / 40));
+      const label = new Date(`${image.captured_at.replace(' ', 'T')}Z`).toLocaleString();
+      parts.push(`<rect x="0" y="${height - fontSize * 1.8}" width="${fontSize * 0.6 * label.length + fontSize}" height="${fontSize * 1.8}" fill="rgba(0,0,0,0.6)"/>`);
+      parts.push(`<text x="${fontSize / 2}" y="${height - fontSize * 0.55}" font-family="sans-serif" font-size="${fontSize}" fill="#fff">${escapeXml(label)}</text>`);
+    }
+
+    if (parts.length === 0) return null;
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${parts.join('')}</svg>`;
+  }
+
+  // Stop after the current frame; unfinished jobs resume on the next start
+  cleanup() {
+    this.stopping = true;
+    this.queue = [];
+  }
+}
+
+const timelapseService = new TimelapseService();
+
+module.exports = timelapseService;
+module.exports.validateTimelapseRequest = validateTimelapseRequest;
+module.exports.TIMELAPSE_FORMATS = TIMELAPSE_FORMATS;
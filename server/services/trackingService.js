@@ -0,0 +1,298 @@
+const { run, runQuery, runSingle } = require('../database/connection');
+const configService = require('./configService');
+const { getCameraLanes } = require('./laneService');
+const { log } = require('./loggerService');
+
+// Intersection over union of two boxes in 0-1000 coordinates
+const iou = (a, b) => {
+  const width = Math.min(a.x_max, b.x_max) - Math.max(a.x_min, b.x_min);
+  const height = Math.min(a.y_max, b.y_max) - Math.max(a.y_min, b.y_min);
+  if (width <= 0 || height <= 0) return 0;
+
+  const intersection = width * height;
+  const areaA = (a.x_max - a.x_min) * (a.y_max - a.y_min);
+  const areaB = (b.x_max - b.x_min) * (b.y_max - b.y_min);
+  return intersection / (areaA + areaB - intersection);
+};
+
+const sameClass = (a, b) => a.vehicle_type.toLowerCase().trim() === b.vehicle_type.toLowerCase().trim();
+
+/**
+ * Links vehicles across consecutive frames of a camera. Each box is matched
+ * to the box of the same class in the previous analyzed frame it overlaps
+ * most (IoU), greedily from the best overlap down; unmatched boxes start a
+ * new track. Boxes carry their track in vehicle_bounding_boxes.track_id, and
+ * vehicle_tracks keeps each track's first/last sighting and dwell time.
+ *
+ * A match that barely moved (IoU of at least `stationaryIou`) counts as a
+ * stationary frame. A vehicle stationary across `stallFrames` frames on the
+ * roadway - counted under the region masks and, on cameras with lanes, in
+ * a lane - is flagged as a potential stall.
+ */
+class TrackingService {
+  constructor() {
+    this.pending = Promise.resolve();
+  }
+
+  getSettings() {
+    return {
+      enabled: configService.get('ai.tracking.enabled', true),
+      matchIou: configService.get('ai.tracking.matchIou', 0.3),
+      stationaryIou: configService.get('ai.tracking.stationaryIou', 0.7),
+      stallFrames: Math.max(2, configService.get('ai.tracking.stallFrames', 3)),
+      maxFrameGap: configService.get('ai.tracking.maxFrameGap', 900000)
+    };
+  }
+
+  /**
+   * Track the boxes of a stored detection against the camera's previous frame.
+   * A frame stored again, or one that completes after later frames were
+   * tracked, is tracked again together with every frame after it.
+   * @param {number} vehicleDetectionId - Detection ID
+   * @returns {Promise<Object|null>} - { boxes, matched, started, stalled }, or null when tracking is off
+   */
+  async trackDetection(vehicleDetectionId) {
+    const settings = this.getSettings();
+    if (!settings.enabled) {
+      return null;
+    }
+
+    return this.serialize(async () => {
+      const detection = await runSingle(`
+        SELECT vd.id, vd.camera_id, i.captured_at
+        FROM vehicle_detections vd
+        JOIN images i ON i.id = vd.image_id
+        WHERE vd.id = ?
+      `, [vehicleDetectionId]);
+      if (!detection) {
+        return null;
+      }
+
+      const laterTrack = await runSingle(`
+        SELECT id FROM vehicle_tracks WHERE camera_id = ? AND last_seen_at >= ? LIMIT 1
+      `, [detection.camera_id, detection.captured_at]);
+      if (!laterTrack) {
+        return this.trackFrame(detection, settings);
+      }
+
+      const summaries = await this.retrackFrom(detection.camera_id, detection.captured_at, settings);
+      log.info(`Re-tracked camera ${detection.camera_id} from ${detection.captured_at}`, { detection: detection.id, frames: summaries.size });
+      return summaries.get(detection.id) || null;
+    });
+  }
+
+  // Run tracking work one call at a time, so frames are linked in order
+  serialize(work) {
+    const result = this.pending.then(work);
+    this.pending = result.catch(() => {});
+    return result;
+  }
+
+  // Link a frame's untracked boxes to the tracks of the frame before it
+  async trackFrame(detection, settings) {
+    const boxes = await runQuery(`
+      SELECT id, vehicle_type, x_min, y_min, x_max, y_max, in_roi, lane
+      FROM vehicle_bounding_boxes
+      WHERE vehicle_detection_id = ? AND track_id IS NULL
+      ORDER BY id
+    `, [detection.id]);
+
+    const previous = await runSingle(`
+      SELECT vd.id, (julianday(?) - julianday(i.captured_at)) * 86400000 as gap
+      FROM vehicle_detections vd
+      JOIN images i ON i.id = vd.image_id
+      WHERE vd.camera_id = ? AND vd.processing_status = 'completed' AND vd.id != ?
+        AND (i.captured_at < ? OR (i.captured_at = ? AND vd.id < ?))
+      ORDER BY i.captured_at DESC, vd.id DESC
+      LIMIT 1
+    `, [detection.captured_at, detection.camera_id, detection.id,
+      detection.captured_at, detection.captured_at, detection.id]);
+
+    // Tracks end at a gap in the frames, e.g. the camera was down
+    const previousBoxes = previous && previous.gap <= settings.maxFrameGap
+      ? await runQuery(`
+          SELECT b.id, b.vehicle_type, b.x_min, b.y_min, b.x_max, b.y_max, b.track_id, t.stationary_frames
+          FROM vehicle_bounding_boxes b
+          JOIN vehicle_tracks t ON t.id = b.track_id
+          WHERE b.vehicle_detection_id = ?
+        `, [previous.id])
+      : [];
+
+    const matches = this.matchBoxes(previousBoxes, boxes, settings.matchIou);
+    const hasLanes = (await getCameraLanes(detection.camera_id)).length > 0;
+    const summary = { boxes: boxes.length, matched: 0, started: 0, stalled: 0 };
+
+    for (const box of boxes) {
+      const match = matches.get(box.id);
+      let trackId;
+      let stalled = false;
+
+      if (match) {
+        const stationaryFrames = match.overlap >= settings.stationaryIou ? match.previous.stationary_frames + 1 : 0;
+        const onRoadway = box.in_roi !== 0 && (!hasLanes || !!box.lane);
+        stalled = onRoadway && stationaryFrames >= settings.stallFrames - 1;
+
+        trackId = match.previous.track_id;
+        await run(`
+          UPDATE vehicle_tracks SET
+            last_seen_at = ?,
+            frame_count = frame_count + 1,
+            dwell_seconds = CAST(ROUND((julianday(?) - julianday(first_seen_at)) * 86400) AS INTEGER),
+            stationary_frames = ?,
+            is_stalled = MAX(is_stalled, ?),
+            updated_at = datetime('now')
+          WHERE id = ?
+        `, [detection.captured_at, detection.captured_at, stationaryFrames, stalled ? 1 : 0, trackId]);
+        summary.matched++;
+      } else {
+        const result = await run(`
+          INSERT INTO vehicle_tracks (
+            camera_id, vehicle_type, first_seen_at, last_seen_at, created_at, updated_at
+          ) VALUES (?, ?, ?, ?, datetime('now'), datetime('now'))
+        `, [detection.camera_id, box.vehicle_type, detection.captured_at, detection.captured_at]);
+        trackId = result.id;
+        summary.started++;
+      }
+
+      await run('UPDATE vehicle_bounding_boxes SET track_id = ?, is_stalled = ? WHERE id = ?', [trackId, stalled ? 1 : 0, box.id]);
+      if (stalled) {
+        summary.stalled++;
+      }
+    }
+
+    if (summary.stalled > 0) {
+      log.info(`Potential stalled vehicles on camera ${detection.camera_id}`, { detection: detection.id, stalled: summary.stalled });
+    }
+    return summary;
+  }
+
+  /**
+   * Greedy one-to-one matching of same-class boxes, best overlap first
+   * @returns {Map<number, Object>} - Current box ID to { previous, overlap }
+   */
+  matchBoxes(previousBoxes, boxes, minIou) {
+    const pairs = [];
+    for (const previous of previousBoxes) {
+      for (const box of boxes) {
+        if (!sameClass(previous, box)) continue;
+        const overlap = iou(previous, box);
+        if (overlap >= minIou) {
+          pairs.push({ previous, box, overlap });
+        }
+      }
+    }
+    pairs.sort((a, b) => b.overlap - a.overlap);
+
+    const matches = new Map();
+    const usedPrevious = new Set();
+    for (const pair of pairs) {
+      if (matches.has(pair.box.id) || usedPrevious.has(pair.previous.id)) continue;
+      matches.set(pair.box.id, { previous: pair.previous, overlap: pair.overlap });
+      usedPrevious.add(pair.previous.id);
+    }
+    return matches;
+  }
+
+  /**
+   * Track all of a camera's detections again in capture order, e.g. after
+   * the region masks or lanes changed
+   * @returns {Promise<Object>} - { detections, tracks, stalled }
+   */
+  async rebuildTracks(cameraId) {
+    const settings = this.getSettings();
+    const summaries = await this.serialize(() => this.retrackFrom(cameraId, null, settings));
+
+    const totals = await runSingle(`
+      SELECT COUNT(*) as tracks, COUNT(CASE WHEN is_stalled = 1 THEN 1 END) as stalled
+      FROM vehicle_tracks WHERE camera_id = ?
+    `, [cameraId]);
+    log.info(`Rebuilt vehicle tracks for camera ${cameraId}`, { detections: summaries.size, tracks: totals.tracks });
+    return { detections: summaries.size, tracks: totals.tracks, stalled: totals.stalled };
+  }
+
+  /**
+   * Drop a camera's tracks from a capture time on and track its frames from
+   * there again. The start moves back to the first sighting of any track
+   * still seen at that time, so no track is left half rebuilt.
+   * @param {string|null} since - Capture time, or null for all frames
+   * @returns {Promise<Map<number, Object>>} - Detection ID to its frame summary
+   */
+  async retrackFrom(cameraId, since, settings) {
+    let start = since;
+    while (start !== null) {
+      const earliest = await runSingle(`
+        SELECT MIN(first_seen_at) as first_seen_at FROM vehicle_tracks
+        WHERE camera_id = ? AND last_seen_at >= ?
+      `, [cameraId, start]);
+      if (!earliest.first_seen_at || earliest.first_seen_at >= start) break;
+      start = earliest.first_seen_at;
+    }
+
+    await run(`
+      UPDATE vehicle_bounding_boxes SET track_id = NULL, is_stalled = 0
+      WHERE vehicle_detection_id IN (
+        SELECT vd.id FROM vehicle_detections vd
+        JOIN images i ON i.id = vd.image_id
+        WHERE vd.camera_id = ? AND (? IS NULL OR i.captured_at >= ?)
+      )
+    `, [cameraId, start, start]);
+    await run('DELETE FROM vehicle_tracks WHERE camera_id = ? AND (? IS NULL OR last_seen_at >= ?)', [cameraId, start, start]);
+
+    const detections = await runQuery(`
+      SELECT vd.id, vd.camera_id, i.captured_at
+      FROM vehicle_detections vd
+      JOIN images i ON i.id = vd.image_id
+      WHERE vd.camera_id = ? AND vd.processing_status = 'completed'
+        AND (? IS NULL OR i.captured_at >= ?)
+      ORDER BY i.captured_at ASC, vd.id ASC
+    `, [cameraId, start, start]);
+
+    const summaries = new Map();
+    for (const detection of detections) {
+      summaries.set(detection.id, await this.trackFrame(detection, settings));
+    }
+    return summaries;
+  }
+
+  /**
+   * A camera's tracks last seen in the past `hours`, most recent first
+   * @param {Object} options - { hours, stalled: only potential stalls, minFrames, limit }
+   */
+  async getTracks(cameraId, { hours = 24, stalled = false, minFrames = 1, limit = 100 } = {}) {
+    return runQuery(`
+      SELECT * FROM vehicle_tracks
+      WHERE camera_id = ? AND last_seen_at >= datetime('now', ?) AND frame_count >= ?
+        ${stalled ? 'AND is_stalled = 1' : ''}
+      ORDER BY last_seen_at DESC, id DESC
+      LIMIT ?
+    `, [cameraId, `-${hours} hours`, minFrames, limit]);
+  }
+
+  /**
+   * A track with the box it had in each frame
+   * @returns {Promise<Object|null>} - Null if the track does not exist
+   */
+  async getTrack(trackId) {
+    const track = await runSingle('SELECT * FROM vehicle_tracks WHERE id = ?', [trackId]);
+    if (!track) {
+      return null;
+    }
+
+    const boxes = await runQuery(`
+      SELECT b.id, b.image_id, i.captured_at, b.vehicle_type, b.x_min, b.y_min, b.x_max, b.y_max,
+        b.confidence_score, b.in_roi, b.lane, b.is_stalled
+      FROM vehicle_bounding_boxes b
+      JOIN images i ON i.id = b.image_id
+      WHERE b.track_id = ?
+      ORDER BY i.captured_at ASC, b.id ASC
+    `, [trackId]);
+
+    return { ...track, boxes };
+  }
+}
+
+// Create singleton instance
+const trackingService = new TrackingService();
+
+module.exports = trackingService;
+module.exports.iou = iou;
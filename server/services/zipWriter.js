@@ -0,0 +1,139 @@
+const fs = require('fs-extra');
+const zlib = require('zlib');
+
+// ZIP archives without ZIP64 extensions are limited to this many entries
+const MAX_ZIP_ENTRIES = 65535;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS time and date fields used by ZIP headers
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Writes a ZIP archive to disk one entry at a time, so large exports never
+ * have to be held in memory. Entries are deflated unless `compress` is
+ * false, which suits data that is already compressed (JPEG images).
+ */
+class ZipWriter {
+  constructor(filePath) {
+    this.stream = fs.createWriteStream(filePath);
+    this.offset = 0;
+    this.entries = [];
+  }
+
+  write(buffer) {
+    this.offset += buffer.length;
+    if (this.stream.write(buffer)) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      this.stream.once('drain', resolve);
+      this.stream.once('error', reject);
+    });
+  }
+
+  /**
+   * Add a file to the archive
+   * @param {string} name - Path inside the archive, with forward slashes
+   * @param {Buffer|string} data - File contents
+   * @param {Object} options - { compress: deflate the data (default true), date }
+   */
+  async addFile(name, data, { compress = true, date = new Date() } = {}) {
+    if (this.entries.length >= MAX_ZIP_ENTRIES) {
+      throw new Error(`ZIP archives are limited to ${MAX_ZIP_ENTRIES} files`);
+    }
+
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    const stored = compress ? zlib.deflateRawSync(content) : content;
+    const nameBuffer = Buffer.from(name);
+    const { time, date: dosDate } = dosDateTime(date);
+    const entry = {
+      nameBuffer,
+      method: compress ? 8 : 0,
+      time,
+      date: dosDate,
+      crc: crc32(content),
+      compressedSize: stored.length,
+      size: content.length,
+      offset: this.offset
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // version needed to extract
+    header.writeUInt16LE(0x0800, 6); // UTF-8 names
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(entry.time, 10);
+    header.writeUInt16LE(entry.date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    await this.write(Buffer.concat([header, nameBuffer]));
+    await this.write(stored);
+    this.entries.push(entry);
+  }
+
+  // Write the central directory and close the file
+  async finish() {
+    const directoryOffset = this.offset;
+
+    for (const entry of this.entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4); // version made by
+      header.writeUInt16LE(20, 6); // version needed to extract
+      header.writeUInt16LE(0x0800, 8);
+      header.writeUInt16LE(entry.method, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBuffer.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      await this.write(Buffer.concat([header, entry.nameBuffer]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await this.write(end);
+
+    await new Promise((resolve, reject) => {
+      this.stream.once('error', reject);
+      this.stream.end(resolve);
+    });
+    return this.offset;
+  }
+
+  // Stop writing after a failure; the partial file is left for the caller to remove
+  async abort() {
+    await new Promise(resolve => this.stream.end(resolve));
+  }
+}
+
+module.exports = ZipWriter;
+module.exports.MAX_ZIP_ENTRIES = MAX_ZIP_ENTRIES;